@@ -0,0 +1,269 @@
+import { ethers } from "ethers";
+import {
+  hashRecord,
+  buildProofFile,
+  parseProofFile,
+  normalizeRecord,
+  isConversationRecord,
+  PROOF_FILE_FORMAT,
+} from "../frontend/src/lib/records.js";
+import { parseTurnProof, TURN_PROOF_FORMAT } from "../frontend/src/lib/conversation.js";
+import { parseBatchItemProof, BATCH_ITEM_FORMAT } from "../frontend/src/lib/merkle.js";
+import { parseCertificate, verifyCertificate, CERTIFICATE_FORMAT } from "../frontend/src/lib/certificate.js";
+import { buildMetadata } from "../frontend/src/lib/metadata.js";
+import { CliError } from "./context.js";
+import { readInput, parseRegisterInput } from "./input.js";
+
+/**
+ * CLI COMMANDS
+ *
+ * Each command takes the connection from context.js (null for a dry run)
+ * and returns a plain object that index.js prints as JSON. `ok: false` in
+ * the result makes the process exit with status 1. Contract calls go
+ * through the SDK's registry client (frontend/src/lib/sdk).
+ */
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Read something older deployments don't have (metadata, moderation, claims):
+ * a call that fails there reads as `fallback` instead of failing the command
+ */
+async function optionalRead(read, fallback) {
+  try {
+    return await read();
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * On-chain state of one hash: registration, metadata, moderation flag and
+ * claims recorded by other addresses
+ */
+async function lookupHash(registry, hash) {
+  const { exists, author, timestamp, registeredAt, promptIPFSHash } = await registry.lookup(hash);
+  if (!exists) return { hash, registered: false };
+
+  const flag = await optionalRead(() => registry.getFlag(hash), null);
+  const claimAttempts = await optionalRead(() => registry.getClaimAttempts(hash), []);
+  return {
+    hash,
+    registered: true,
+    author,
+    timestamp,
+    registeredAt: registeredAt.toISOString(),
+    promptIPFSHash,
+    metadata: await optionalRead(() => registry.getMetadata(hash), null),
+    flag: flag && { ...flag, flaggedAt: flag.flaggedAt.toISOString() },
+    claimAttempts: claimAttempts.map(({ claimant, claimedAt }) => ({ claimant, claimedAt: claimedAt.toISOString() })),
+  };
+}
+
+
+// ============ REGISTER ============
+
+/**
+ * Register records from a file or stdin, one transaction each
+ *
+ * @param options { prompt, cid, type, dryRun, confirmations }
+ * @returns { ok, results: [{ hash, status, txHash?, proof, … }] }
+ *   Keep each result's `proof`: its salt is needed to verify by content later
+ */
+export async function register(ctx, source, options) {
+  const records = parseRegisterInput(await readInput(source), { prompt: options.prompt });
+  if (options.cid && records.length > 1) {
+    throw new CliError("--cid applies to a single record");
+  }
+
+  const withMetadata = options.dryRun || ctx.registry.supportsMetadata();
+  const results = [];
+  for (const record of records) {
+    const hash = await hashRecord(record);
+    const metadata = withMetadata
+      ? buildMetadata(record.generation, options.type || (isConversationRecord(record) ? "conversation" : "text"))
+      : null;
+    const result = { hash, status: "dry-run", metadata, proof: buildProofFile(record, hash) };
+
+    if (!options.dryRun) {
+      try {
+        if (await ctx.registry.isRegistered(hash)) {
+          result.status = "already-registered";
+        } else {
+          const tx = await ctx.registry.register(hash, { cid: options.cid || "", metadata });
+          const receipt = await tx.wait(options.confirmations);
+          Object.assign(result, {
+            status: "registered",
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            author: await ctx.signer.getAddress(),
+          });
+        }
+      } catch (e) {
+        Object.assign(result, { status: "failed", error: ctx.registry.decodeError(e).message });
+      }
+    }
+    results.push(result);
+  }
+
+  return { ok: results.every((r) => r.status !== "failed"), network: ctx?.network, results };
+}
+
+
+// ============ VERIFY ============
+
+/**
+ * Verify a hash, or any file the app produces: proof file, record, turn
+ * proof, batch item proof or certificate (JSON or HTML)
+ *
+ * @returns { ok, kind, … } where ok means registered and consistent
+ */
+export async function verify(ctx, target) {
+  const { registry } = ctx;
+  if (HASH_PATTERN.test(target || "")) {
+    const result = await lookupHash(registry, target.toLowerCase());
+    return { ok: result.registered, kind: "hash", ...result };
+  }
+
+  const text = await readInput(target);
+  if (/^\s*</.test(text)) return verifyCertificateText(ctx, text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new CliError("Expected a content hash, or a JSON proof, record or certificate");
+  }
+
+  switch (data?.format) {
+    case CERTIFICATE_FORMAT:
+      return verifyCertificateText(ctx, text);
+
+    case TURN_PROOF_FORMAT: {
+      const { contentHash, header, turn } = parseTurnProof(data);
+      const result = await lookupHash(registry, contentHash.toLowerCase());
+      return {
+        ok: result.registered,
+        kind: "conversation-turn",
+        turn: { index: turn.index, role: turn.role, content: turn.content, turnCount: header.turnCount },
+        ...result,
+      };
+    }
+
+    case BATCH_ITEM_FORMAT: {
+      const item = await parseBatchItemProof(text);
+      const { included, author, timestamp, registeredAt, itemCount } = await registry.verifyBatchItem(
+        item.itemHash, item.proof, item.merkleRoot
+      );
+      return {
+        ok: included,
+        kind: "batch-item",
+        hash: item.itemHash.toLowerCase(),
+        merkleRoot: item.merkleRoot,
+        included,
+        ...(author && { author, timestamp, registeredAt: registeredAt.toISOString(), itemCount }),
+      };
+    }
+
+    default: {
+      // A proof file (record + claimed hash) or a bare record: recompute first
+      const { record, hash: claimed } = data?.format === PROOF_FILE_FORMAT
+        ? parseProofFile(text)
+        : { record: normalizeRecord(data), hash: null };
+      const recomputed = await hashRecord(record);
+      const hashMatches = !claimed || claimed.toLowerCase() === recomputed;
+      const result = await lookupHash(registry, recomputed);
+      return { ok: hashMatches && result.registered, kind: "record", hashMatches, ...result };
+    }
+  }
+}
+
+async function verifyCertificateText(ctx, text) {
+  const certificate = parseCertificate(text);
+  const checks = await verifyCertificate(certificate, ctx);
+  return {
+    ok: checks.every((check) => check.status === "pass"),
+    kind: "certificate",
+    hash: certificate.contentHash,
+    checks,
+  };
+}
+
+
+// ============ LIST / STATS / EXPORT ============
+
+/**
+ * Registrations and batches of an author (the signing account by default)
+ */
+export async function list(ctx, { author }) {
+  const address = author || (await ctx.signer?.getAddress());
+  if (!address || !ethers.isAddress(address)) {
+    throw new CliError("Pass --author <address> (or set a signing key)");
+  }
+
+  const { registry } = ctx;
+  const registrations = [];
+  for (const hash of await registry.getAuthorContent(address)) {
+    const { timestamp, registeredAt, promptIPFSHash } = await registry.getContentDetails(hash);
+    registrations.push({
+      hash,
+      timestamp,
+      registeredAt: registeredAt.toISOString(),
+      promptIPFSHash,
+      metadata: await optionalRead(() => registry.getMetadata(hash), null),
+    });
+  }
+
+  const batches = [];
+  for (const merkleRoot of await registry.getAuthorBatches(address)) {
+    const { timestamp, registeredAt, itemCount } = await registry.getBatch(merkleRoot);
+    batches.push({ merkleRoot, timestamp, registeredAt: registeredAt.toISOString(), itemCount });
+  }
+
+  return { ok: true, network: ctx.network, author: ethers.getAddress(address), registrations, batches };
+}
+
+/**
+ * Registry totals and where it lives
+ */
+export async function stats(ctx) {
+  const { total, owner } = await ctx.registry.getStats();
+  return {
+    ok: true,
+    network: ctx.network,
+    chainId: ctx.chainId,
+    contract: ctx.registry.address,
+    owner,
+    totalRegistrations: total,
+    totalBatches: Number(await ctx.contract.totalBatches()),
+    latestBlock: await ctx.provider.getBlockNumber(),
+  };
+}
+
+/**
+ * Every registration from the ContentRegistered log, oldest first
+ *
+ * @param options { author, type, fromBlock, metadata } where metadata also
+ *   reads each registration's model and parameters hash (one call per row)
+ * @returns { ok, rows } (index.js prints rows as JSON Lines with --format jsonl)
+ */
+export async function exportRegistrations(ctx, options) {
+  const { registry } = ctx;
+  if (options.author && !ethers.isAddress(options.author)) {
+    throw new CliError(`Not an address: ${options.author}`);
+  }
+
+  const registrations = await registry.queryRegistrations({
+    author: options.author,
+    contentType: options.type,
+    fromBlock: options.fromBlock ?? ctx.manifest?.deployBlock ?? 0,
+  });
+
+  const rows = [];
+  for (const { hash, author, contentType, timestamp, registeredAt, blockNumber, txHash } of registrations) {
+    const row = { hash, author, contentType, timestamp, registeredAt: registeredAt.toISOString(), blockNumber, txHash };
+    if (options.metadata) row.metadata = await optionalRead(() => registry.getMetadata(hash), null);
+    rows.push(row);
+  }
+  return { ok: true, rows };
+}
@@ -0,0 +1,125 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { FULLY_QUALIFIED_NAME, readManifest } from "../scripts/lib/manifest.js";
+import { createRegistry } from "../frontend/src/lib/sdk/index.js";
+
+/**
+ * NETWORK, CONTRACT AND SIGNER FOR THE CLI
+ *
+ * Networks come from hardhat.config.js (plus Hardhat's built-in localhost);
+ * the contract address and ABI from deployments/<network>.json.
+ *
+ * Signing key, first match wins:
+ *   --keystore <file> / POP_KEYSTORE   encrypted JSON keystore, password in
+ *                                      POP_KEYSTORE_PASSWORD
+ *   POP_PRIVATE_KEY                    raw private key
+ *   the network's `accounts` in hardhat.config.js
+ *   the node's first unlocked account  (npx hardhat node only)
+ */
+
+export class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Load the Hardhat runtime for a network, only to read its configuration
+ */
+async function loadHardhat(networkName) {
+  process.env.HARDHAT_NETWORK = networkName;
+  // hardhat.config.js loads .env.local; keep dotenv's banner off stdout
+  process.env.DOTENV_CONFIG_QUIET = "true";
+  try {
+    const { default: hre } = await import("hardhat");
+    return hre;
+  } catch (e) {
+    throw new CliError(e.message?.includes("HH100") || e.message?.includes("network")
+      ? `Unknown network "${networkName}" (see networks in hardhat.config.js)`
+      : e.message);
+  }
+}
+
+async function loadAbi(hre, manifest) {
+  if (manifest?.abi) return manifest.abi;
+  try {
+    return (await hre.artifacts.readArtifact(FULLY_QUALIFIED_NAME)).abi;
+  } catch {
+    throw new CliError("No ABI: run npx hardhat compile, or deploy with scripts/deploy.js");
+  }
+}
+
+async function loadSigner(provider, networkConfig, keystore) {
+  if (keystore) {
+    if (!fs.existsSync(keystore)) throw new CliError(`Keystore not found: ${keystore}`);
+    const password = process.env.POP_KEYSTORE_PASSWORD;
+    if (password === undefined) throw new CliError("Set POP_KEYSTORE_PASSWORD to unlock the keystore");
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, "utf8"), password);
+      return wallet.connect(provider);
+    } catch (e) {
+      throw new CliError(`Could not unlock keystore: ${e.shortMessage || e.message}`);
+    }
+  }
+  if (process.env.POP_PRIVATE_KEY) return new ethers.Wallet(process.env.POP_PRIVATE_KEY, provider);
+
+  const [configured] = Array.isArray(networkConfig.accounts) ? networkConfig.accounts : [];
+  if (typeof configured === "string") return new ethers.Wallet(configured, provider);
+
+  const accounts = await provider.send("eth_accounts", []);
+  if (accounts.length === 0) {
+    throw new CliError("No signing key: set POP_PRIVATE_KEY, or pass --keystore <file>");
+  }
+  return provider.getSigner(accounts[0]);
+}
+
+/**
+ * Connect to the registry on a network
+ *
+ * @param network Network name from hardhat.config.js (or "localhost")
+ * @param contractAddress Optional address overriding the manifest
+ * @param keystore Optional keystore file
+ * @param withSigner Load a signing key (registering); read-only otherwise
+ * @returns { network, chainId, provider, contract, registry, signer, manifest }
+ */
+export async function connect({ network, contractAddress, keystore, withSigner = false }) {
+  const hre = await loadHardhat(network);
+  const networkConfig = hre.network.config;
+  if (!networkConfig.url) {
+    throw new CliError(`Network "${network}" has no RPC url (use localhost with npx hardhat node)`);
+  }
+
+  const provider = new ethers.JsonRpcProvider(networkConfig.url);
+  let chainId;
+  try {
+    ({ chainId } = await provider.getNetwork());
+  } catch {
+    provider.destroy();
+    throw new CliError(`Cannot reach ${network} at ${networkConfig.url}`);
+  }
+
+  const manifest = readManifest(hre, network);
+  const address = contractAddress || manifest?.address;
+  if (!address) {
+    provider.destroy();
+    throw new CliError(`No contract address: deploy to ${network} first, or pass --contract / set POP_CONTRACT_ADDRESS`);
+  }
+  if ((await provider.getCode(address)) === "0x") {
+    provider.destroy();
+    throw new CliError(`No contract at ${address} on ${network} (chain ${chainId})`);
+  }
+
+  const signer = withSigner ? await loadSigner(provider, networkConfig, keystore) : null;
+  const contract = new ethers.Contract(address, await loadAbi(hre, manifest), signer ?? provider);
+
+  return {
+    network,
+    chainId: Number(chainId),
+    provider,
+    contract,
+    registry: createRegistry({ contract }),
+    signer,
+    manifest,
+  };
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import * as dotenv from "dotenv";
+import { connect, CliError } from "./context.js";
+import { register, verify, list, stats, exportRegistrations } from "./commands.js";
+
+/**
+ * PROOF OF PROMPT CLI
+ *
+ * Register and verify from scripts and pipelines, with the same records and
+ * hashes as the app. Output is JSON on stdout; errors go to stderr and set a
+ * non-zero exit status.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+dotenv.config({ path: path.join(ROOT, ".env.local"), quiet: true });
+
+const USAGE = `Usage: node cli/index.js <command> [options]
+
+Commands:
+  register [file|-]     Register records from a JSON file or stdin
+                        ({ prompt, output }, { messages }, a proof file, an array or JSON Lines)
+      --prompt <text>     Treat the input as the raw output text for this prompt
+      --type <tag>        Content type stored on-chain (default text / conversation)
+      --cid <cid>         Storage CID to record with a single registration
+      --dry-run           Only build and hash the records; nothing is sent
+      --confirmations <n> Blocks to wait for (default 1)
+  verify <hash|file|->  Check a hash, proof file, record, turn proof, batch item proof
+                        or certificate; exit status 1 when it does not verify
+  list                  Registrations and batches of an author
+      --author <address>  Defaults to the signing account
+  stats                 Registry totals
+  export                Every registration from the event log
+      --author <address>  Only this author
+      --type <tag>        Only this content type
+      --from-block <n>    Start block (default: the deploy block)
+      --metadata          Also read each registration's model and parameters hash
+      --format <json|jsonl>
+
+Options:
+  --network <name>      Network from hardhat.config.js (default POP_NETWORK or localhost)
+  --contract <address>  Registry address (default: deployments/<network>.json)
+  --keystore <file>     Encrypted JSON keystore (password in POP_KEYSTORE_PASSWORD)
+  -h, --help
+
+Signing key: --keystore / POP_KEYSTORE, else POP_PRIVATE_KEY, else the network's
+accounts in hardhat.config.js, else the local node's first account.`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  contract: { type: "string" },
+  keystore: { type: "string" },
+  author: { type: "string" },
+  prompt: { type: "string" },
+  type: { type: "string" },
+  cid: { type: "string" },
+  "dry-run": { type: "boolean" },
+  confirmations: { type: "string" },
+  "from-block": { type: "string" },
+  metadata: { type: "boolean" },
+  format: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = new Set(["register", "verify", "list", "stats", "export"]);
+
+// Commands that send transactions need a signing key
+const SIGNING_COMMANDS = new Set(["register"]);
+
+const toJson = (value) => JSON.stringify(
+  value,
+  (_, v) => (typeof v === "bigint" ? v.toString() : v),
+  2
+);
+
+const toInteger = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new CliError(`--${name} must be a whole number`);
+  return Number(value);
+};
+
+async function run(command, target, values) {
+  const dryRun = Boolean(values["dry-run"]);
+  const ctx = dryRun ? null : await connect({
+    network: values.network || process.env.POP_NETWORK || "localhost",
+    contractAddress: values.contract || process.env.POP_CONTRACT_ADDRESS,
+    keystore: values.keystore || process.env.POP_KEYSTORE,
+    withSigner: SIGNING_COMMANDS.has(command) || (command === "list" && !values.author),
+  });
+
+  try {
+    switch (command) {
+      case "register":
+        return await register(ctx, target, {
+          prompt: values.prompt,
+          cid: values.cid,
+          type: values.type,
+          dryRun,
+          confirmations: toInteger(values.confirmations, "confirmations") ?? 1,
+        });
+      case "verify":
+        if (!target) throw new CliError("verify needs a hash, a file, or - for stdin");
+        return await verify(ctx, target);
+      case "list":
+        return await list(ctx, { author: values.author });
+      case "stats":
+        return await stats(ctx);
+      case "export":
+        return await exportRegistrations(ctx, {
+          author: values.author,
+          type: values.type,
+          fromBlock: toInteger(values["from-block"], "from-block"),
+          metadata: Boolean(values.metadata),
+        });
+      default:
+        throw new CliError(`Unknown command: ${command}`, 2);
+    }
+  } finally {
+    ctx?.provider.destroy();
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new CliError(`${e.message}\n\n${USAGE}`, 2);
+  }
+  const { values, positionals: [command, target, ...extra] } = parsed;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.has(command)) throw new CliError(`Unknown command: ${command}\n\n${USAGE}`, 2);
+  if (extra.length > 0) throw new CliError(`Unexpected arguments: ${extra.join(" ")}`, 2);
+  if (values["dry-run"] && command !== "register") throw new CliError("--dry-run only applies to register", 2);
+  if (values.format && !["json", "jsonl"].includes(values.format)) {
+    throw new CliError("--format must be json or jsonl", 2);
+  }
+
+  const result = await run(command, target, values);
+  if (result.rows && values.format === "jsonl") {
+    for (const row of result.rows) console.log(JSON.stringify(row));
+  } else {
+    console.log(toJson(result.rows ?? result));
+  }
+  if (!result.ok) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(toJson({ error: error.message }));
+  process.exitCode = error instanceof CliError ? error.exitCode : 1;
+});
@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import {
+  createRecord,
+  createConversationRecord,
+  normalizeRecord,
+  parseProofFile,
+  PROOF_FILE_FORMAT,
+} from "../frontend/src/lib/records.js";
+import { CliError } from "./context.js";
+
+/**
+ * READING RECORDS FROM FILES AND STDIN
+ *
+ * `register` accepts, from a file or stdin:
+ * - { "prompt", "output", "generation"? }         a prompt/output pair
+ * - { "messages": [{ "role", "content" }…] }       a conversation
+ * - a proof file or a full record (with its salt) to register it as is
+ * - a JSON array, or JSON Lines, of any of the above
+ * - with --prompt, the whole input is the output text, exactly as read
+ *
+ * New records get a fresh random salt, like in the app.
+ */
+
+/**
+ * Read a file, or stdin for "-" (or no path at all)
+ */
+export async function readInput(source) {
+  if (source && source !== "-") {
+    if (!fs.existsSync(source)) throw new CliError(`File not found: ${source}`);
+    return fs.readFileSync(source, "utf8");
+  }
+  if (process.stdin.isTTY) {
+    throw new CliError("Nothing to read: pass a file, or pipe the input on stdin");
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Parse JSON, a JSON array, or JSON Lines into a list of values
+ */
+export function parseJsonItems(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new CliError("Input is empty");
+  try {
+    const value = JSON.parse(trimmed);
+    return Array.isArray(value) ? value : [value];
+  } catch {
+    // not a single JSON value: try JSON Lines
+  }
+  return trimmed.split("\n").filter((line) => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new CliError(`Line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+/**
+ * Turn one input item into a record
+ */
+export function toRecord(item, index = 0) {
+  const label = `Item ${index + 1}`;
+  try {
+    if (item?.format === PROOF_FILE_FORMAT) return parseProofFile(JSON.stringify(item)).record;
+    if (item?.scheme) return normalizeRecord(item);
+    if (Array.isArray(item?.messages)) {
+      return createConversationRecord({ messages: item.messages, generation: item.generation });
+    }
+    if (typeof item?.prompt === "string" && typeof item?.output === "string") {
+      return createRecord({ prompt: item.prompt, output: item.output, generation: item.generation });
+    }
+  } catch (e) {
+    throw new CliError(`${label}: ${e.message}`);
+  }
+  throw new CliError(`${label} needs "prompt" and "output" strings, "messages", or a record with its salt`);
+}
+
+/**
+ * Records to register from the input text
+ *
+ * @param prompt When set, the input is the output text for this prompt
+ */
+export function parseRegisterInput(text, { prompt } = {}) {
+  if (prompt !== undefined) return [createRecord({ prompt, output: text })];
+  return parseJsonItems(text).map(toRecord);
+}
@@ -9,6 +9,10 @@ pragma solidity ^0.8.28;
  * 1. Register AI-generated content with an immutable timestamp
  * 2. Verify ownership and authenticity of content
  * 3. Prove the original prompt that generated the content
+ * 4. Register large batches cheaply through a single Merkle root
+ * 5. Register without holding ETH, through a signed EIP-712 message and a relayer
+ * 6. Record which model and settings produced the content, for provenance audits
+ * 7. Keep a public record of everyone else who claimed already registered content
  * 
  * Use cases:
  * - Prove you were the first to generate specific AI content
@@ -26,7 +30,7 @@ contract ProofOfPrompt {
      * 
      * Fields explained:
      * - author: The wallet address that registered this content
-     * - contentHash: SHA256 hash of (prompt + output + timestamp combined)
+     * - contentHash: SHA256 hash of the canonical (prompt + output + salt) record
      * - timestamp: When this was registered (in Unix seconds)
      * - promptIPFSHash: Optional link to IPFS for storing the full prompt text
      */
@@ -41,6 +45,28 @@ contract ProofOfPrompt {
     // This is like a giant immutable database on the blockchain
     mapping(bytes32 => ContentRegistry) public registry;
 
+    /**
+     * @dev Optional generation metadata stored next to a registration
+     *
+     * Fields explained:
+     * - modelId: Which model produced the content (e.g. "bytez:openai/gpt-4.1")
+     * - paramsHash: SHA256 of the canonical JSON of the generation parameters
+     * - contentType: Short tag such as "text" or "conversation", as a
+     *   right-padded bytes32 string (also indexed in ContentRegistered)
+     * All three are empty for registrations made without metadata.
+     */
+    struct GenerationMetadata {
+        string modelId;
+        bytes32 paramsHash;
+        bytes32 contentType;
+    }
+
+    // Generation metadata: contentHash => GenerationMetadata
+    mapping(bytes32 => GenerationMetadata) public metadata;
+
+    // Keeps model ids to a sensible size (they are stored on-chain)
+    uint256 public constant MAX_MODEL_ID_LENGTH = 128;
+
     // Quick lookup: Does this hash exist? (for gas-efficient checks)
     mapping(bytes32 => bool) public hashExists;
 
@@ -54,16 +80,110 @@ contract ProofOfPrompt {
     // Owner of the contract (for potential admin functions later)
     address public contractOwner;
 
+    /**
+     * @dev A batch of records registered at once through its Merkle root
+     *
+     * Fields explained:
+     * - author: The wallet address that registered the batch
+     * - timestamp: When the root was registered (in Unix seconds)
+     * - itemCount: How many records the tree was built over (informational)
+     */
+    struct BatchRecord {
+        address author;
+        uint256 timestamp;
+        uint256 itemCount;
+    }
+
+    // Batch storage: merkleRoot => BatchRecord (author is zero if unknown)
+    mapping(bytes32 => BatchRecord) public batches;
+
+    // Batch roots registered by each author
+    mapping(address => bytes32[]) public authorBatches;
+
+    // Counter for registered batches (items inside them aren't counted)
+    uint256 public totalBatches = 0;
+
+    // Encryption public keys: address => compressed secp256k1 key (33 bytes)
+    // Authors look these up to share encrypted records with other addresses
+    mapping(address => bytes) public encryptionKeys;
+
+    /**
+     * @dev Moderation flag on a registration
+     * Flags never touch the registration itself: the record stays exactly as
+     * registered, the flag is only a label shown next to it
+     *
+     * Fields explained:
+     * - status: None (no flag / cleared), Disputed or Abusive
+     * - reason: Free-text explanation from the moderator
+     * - flaggedBy: Owner or admin who set (or cleared) the flag
+     * - flaggedAt: When that happened (in Unix seconds)
+     */
+    enum FlagStatus { None, Disputed, Abusive }
+
+    struct ContentFlag {
+        FlagStatus status;
+        string reason;
+        address flaggedBy;
+        uint256 flaggedAt;
+    }
+
+    // Moderation flags: contentHash => ContentFlag
+    mapping(bytes32 => ContentFlag) public flags;
+
+    // Delegated moderators (the owner is always allowed)
+    mapping(address => bool) public admins;
+
+    // Every address ever made admin, so the dashboard can list them
+    address[] private adminHistory;
+
+    // EIP-712 (typed signatures for gasless registration)
+    // The domain separator is rebuilt on every call so signatures stay tied to
+    // the chain they were made for, even after a fork
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant REGISTER_TYPEHASH = keccak256(
+        "RegisterContent(address author,bytes32 contentHash,string promptIPFSHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant REGISTER_WITH_METADATA_TYPEHASH = keccak256(
+        "RegisterContentWithMetadata(address author,bytes32 contentHash,string promptIPFSHash,string modelId,bytes32 paramsHash,bytes32 contentType,uint256 nonce,uint256 deadline)"
+    );
+
+    // Signature nonces: author => next nonce (each signature can be used once)
+    mapping(address => uint256) public nonces;
+
+    /**
+     * @dev Someone other than the author claiming an already registered hash
+     * The registration itself is never touched: claims are only listed next
+     * to it, as evidence of who else said they made the content, and when
+     *
+     * Fields explained:
+     * - claimant: The address that claimed the hash
+     * - timestamp: When it did (in Unix seconds)
+     */
+    struct ClaimAttempt {
+        address claimant;
+        uint256 timestamp;
+    }
+
+    // Claims on registered content: contentHash => claims, oldest first
+    mapping(bytes32 => ClaimAttempt[]) private claimAttempts;
+
+    // Has this address already claimed this hash? (one claim per address)
+    mapping(bytes32 => mapping(address => bool)) public hasClaimed;
+
     
     // ============ EVENTS ============
     
     /**
      * @dev Fired when new content is registered
      * Frontend apps listen to this event to show real-time updates
+     * contentType is zero when the registration carries no metadata
      */
     event ContentRegistered(
         address indexed author,
         bytes32 indexed contentHash,
+        bytes32 indexed contentType,
         uint256 timestamp,
         uint256 totalRegistrations
     );
@@ -80,12 +200,65 @@ contract ProofOfPrompt {
     );
 
     /**
-     * @dev Fired when someone tries to register duplicate content
-     * Could indicate either honest users or potential attacks
+     * @dev Fired when a batch Merkle root is registered
+     */
+    event BatchRegistered(
+        address indexed author,
+        bytes32 indexed merkleRoot,
+        uint256 itemCount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Fired when an address publishes (or rotates) its encryption key
+     */
+    event EncryptionKeySet(
+        address indexed account,
+        bytes publicKey
+    );
+
+    /**
+     * @dev Fired when a registration is flagged, re-flagged or cleared
+     * status follows FlagStatus (0 = cleared, 1 = disputed, 2 = abusive)
+     */
+    event ContentFlagged(
+        bytes32 indexed contentHash,
+        uint8 status,
+        string reason,
+        address indexed moderator,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Fired when the owner grants or revokes admin rights
+     */
+    event AdminUpdated(
+        address indexed account,
+        bool isAdmin
+    );
+
+    /**
+     * @dev Fired alongside ContentRegistered when a relayer submitted the
+     * registration on the author's behalf
+     */
+    event RelayedRegistration(
+        address indexed author,
+        address indexed relayer,
+        bytes32 indexed contentHash,
+        uint256 nonce
+    );
+
+    /**
+     * @dev Fired when someone claims content that another address registered
+     * (recordClaimAttempt). Could indicate either honest users or plagiarism;
+     * attemptCount is how many addresses have claimed the hash so far
      */
     event DuplicateRegistrationAttempt(
         address indexed attemptedBy,
-        bytes32 contentHash
+        bytes32 indexed contentHash,
+        address indexed author,
+        uint256 timestamp,
+        uint256 attemptCount
     );
 
     
@@ -100,6 +273,15 @@ contract ProofOfPrompt {
         _;
     }
 
+    /**
+     * @dev Ensures the caller is the owner or a delegated admin
+     * Used for moderation (flagging registrations)
+     */
+    modifier onlyAdmin() {
+        require(isAdmin(msg.sender), "Only owner or admin can call this");
+        _;
+    }
+
     /**
      * @dev Ensures the provided hash is valid (not zero)
      * Prevents accidental registration of empty content
@@ -114,10 +296,12 @@ contract ProofOfPrompt {
     
     /**
      * @dev Initialize the contract
-     * Sets the deployer as the contract owner
+     * @param initialOwner Address that becomes the contract owner
+     * Pass address(0) to make the deployer the owner
+     * (lets a deploy key set up the contract for a separate admin wallet)
      */
-    constructor() {
-        contractOwner = msg.sender;
+    constructor(address initialOwner) {
+        contractOwner = initialOwner == address(0) ? msg.sender : initialOwner;
     }
 
     
@@ -127,21 +311,23 @@ contract ProofOfPrompt {
      * @notice Register a new piece of AI-generated content on the blockchain
      * @dev This creates an immutable record that cannot be changed or deleted
      * 
-     * @param contentHash The SHA256 hash of your (prompt + output + timestamp)
+     * @param contentHash The SHA256 hash of your canonical record
      * @param promptIPFSHash Optional: IPFS hash if you're storing full prompt text
      * 
-     * How to generate contentHash:
-     * 1. Combine: prompt + "|" + output + "|" + timestamp
-     * 2. Run through SHA256
-     * 3. Convert to bytes32 hex
+     * How to generate contentHash (record scheme "pop-record" v1):
+     * 1. Build: { output, prompt, salt, scheme: "pop-record", v: 1 }
+     * 2. Serialize as JSON with sorted keys and no whitespace, encode as UTF-8
+     * 3. Run through SHA256 and convert to bytes32 hex
      * 
      * The frontend does this automatically, but here's how it works:
      * - Prompt: "Write a poem about cats"
      * - Output: "Whiskers soft and grey..."
-     * - Timestamp: 1634567890
-     * - Combined: "Write a poem about cats|Whiskers soft and grey...|1634567890"
+     * - Salt: 0x9f3c... (32 random bytes, kept by the author)
+     * - Combined: {"output":"Whiskers soft and grey...","prompt":"Write a poem about cats","salt":"0x9f3c...","scheme":"pop-record","v":1}
      * - SHA256 Hash: 0xabcdef... (256 bits = 32 bytes)
      * - This hash goes on the blockchain forever
+     * 
+     * Older hashes used "prompt|output|timestamp" and still verify the same way.
      */
     function registerContent(
         bytes32 contentHash,
@@ -150,22 +336,175 @@ contract ProofOfPrompt {
         external 
         validHash(contentHash)
     {
+        _registerContent(msg.sender, contentHash, promptIPFSHash, GenerationMetadata("", bytes32(0), bytes32(0)));
+    }
+
+    /**
+     * @notice Register content together with its generation metadata
+     * @dev Same as registerContent, plus the model, a hash of the generation
+     * parameters and a content-type tag (any of them may be left empty)
+     *
+     * @param contentHash The SHA256 hash of your canonical record
+     * @param promptIPFSHash Optional: IPFS hash if you're storing full prompt text
+     * @param meta { modelId, paramsHash, contentType }
+     *
+     * paramsHash is SHA256 over the canonical JSON of the parameters (sorted
+     * keys, no whitespace), e.g. {"maxTokens":1024,"temperature":0.6}; the
+     * frontend computes it from the same values it puts in the record.
+     */
+    function registerContentWithMetadata(
+        bytes32 contentHash,
+        string calldata promptIPFSHash,
+        GenerationMetadata calldata meta
+    )
+        external
+        validHash(contentHash)
+    {
+        _registerContent(msg.sender, contentHash, promptIPFSHash, meta);
+    }
+
+    /**
+     * @notice Register content for an author who signed it, paid for by the caller
+     * @dev The author signs a RegisterContent EIP-712 message in their wallet
+     * (no gas needed); anyone, typically a relayer, submits it here. The
+     * signer becomes the author, exactly as if they had called registerContent.
+     *
+     * @param author The address that signed (and will own) the registration
+     * @param contentHash The SHA256 hash of the canonical record
+     * @param promptIPFSHash Optional storage CID, covered by the signature
+     * @param deadline Unix time after which the signature is no longer accepted
+     * @param signature 65-byte signature (r, s, v) over the typed message
+     *
+     * Replay protection: the message includes nonces[author], which goes up by
+     * one on every use, plus the chain id and this contract's address.
+     */
+    function registerContentFor(
+        address author,
+        bytes32 contentHash,
+        string calldata promptIPFSHash,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        validHash(contentHash)
+    {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        uint256 nonce = nonces[author];
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_TYPEHASH,
+            author,
+            contentHash,
+            keccak256(bytes(promptIPFSHash)),
+            nonce,
+            deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(_recoverSigner(digest, signature) == author, "Invalid signature");
+
+        nonces[author] = nonce + 1;
+        _registerContent(author, contentHash, promptIPFSHash, GenerationMetadata("", bytes32(0), bytes32(0)));
+        emit RelayedRegistration(author, msg.sender, contentHash, nonce);
+    }
+
+    /**
+     * @notice Relayed registration with generation metadata
+     * @dev Like registerContentFor, but the author signs a
+     * RegisterContentWithMetadata message that also covers the metadata,
+     * so a relayer cannot change the recorded model or content type
+     */
+    function registerContentWithMetadataFor(
+        address author,
+        bytes32 contentHash,
+        string calldata promptIPFSHash,
+        GenerationMetadata calldata meta,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        validHash(contentHash)
+    {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        uint256 nonce = nonces[author];
+        bytes32 digest = _metadataDigest(author, contentHash, promptIPFSHash, meta, nonce, deadline);
+        require(_recoverSigner(digest, signature) == author, "Invalid signature");
+
+        nonces[author] = nonce + 1;
+        _registerContent(author, contentHash, promptIPFSHash, meta);
+        emit RelayedRegistration(author, msg.sender, contentHash, nonce);
+    }
+
+    /**
+     * @notice EIP-712 domain separator for this contract on this chain
+     * @dev Domain: name "ProofOfPrompt", version "1", chainId, this address
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("ProofOfPrompt")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev EIP-712 digest of a RegisterContentWithMetadata message
+     */
+    function _metadataDigest(
+        address author,
+        bytes32 contentHash,
+        string calldata promptIPFSHash,
+        GenerationMetadata calldata meta,
+        uint256 nonce,
+        uint256 deadline
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_WITH_METADATA_TYPEHASH,
+            author,
+            contentHash,
+            keccak256(bytes(promptIPFSHash)),
+            keccak256(bytes(meta.modelId)),
+            meta.paramsHash,
+            meta.contentType,
+            nonce,
+            deadline
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    /**
+     * @dev Store a registration for an author (shared by direct and relayed calls)
+     */
+    function _registerContent(
+        address author,
+        bytes32 contentHash,
+        string calldata promptIPFSHash,
+        GenerationMetadata memory meta
+    ) internal {
         // Safety check 1: Prevent registering the same content twice
-        if (hashExists[contentHash]) {
-            emit DuplicateRegistrationAttempt(msg.sender, contentHash);
-            revert("Content already registered");
-        }
+        // (a revert also drops any event, so claims go through recordClaimAttempt)
+        require(!hashExists[contentHash], "Content already registered");
+
+        // Safety check 2: Keep stored model ids short
+        require(bytes(meta.modelId).length <= MAX_MODEL_ID_LENGTH, "Model id too long");
 
         // Create and store the registration record
         registry[contentHash] = ContentRegistry({
-            author: msg.sender,              // Automatically gets caller's address
+            author: author,                  // The caller, or the signer for relayed calls
             contentHash: contentHash,
             timestamp: block.timestamp,      // Current Ethereum block timestamp
             promptIPFSHash: promptIPFSHash   // Empty string if not provided
         });
 
+        // Generation metadata only costs storage when there is some
+        if (bytes(meta.modelId).length > 0 || meta.paramsHash != bytes32(0) || meta.contentType != bytes32(0)) {
+            metadata[contentHash] = meta;
+        }
+
         // Track this content in the author's portfolio
-        authorContent[msg.sender].push(contentHash);
+        authorContent[author].push(contentHash);
         
         // Mark hash as existing for quick lookups
         hashExists[contentHash] = true;
@@ -175,13 +514,37 @@ contract ProofOfPrompt {
 
         // Broadcast event for listening apps
         emit ContentRegistered(
-            msg.sender,
+            author,
             contentHash,
+            meta.contentType,
             block.timestamp,
             totalRegistrations
         );
     }
 
+    /**
+     * @dev Recover the address that signed a digest
+     * Rejects malformed and malleable (high-s) signatures, and never returns
+     * the zero address for a valid result (ecrecover's failure value)
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature s value"
+        );
+        require(v == 27 || v == 28, "Invalid signature v value");
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
     /**
      * @notice Verify if a piece of content exists in the registry
      * @dev Call this to check if someone actually created something
@@ -193,11 +556,17 @@ contract ProofOfPrompt {
      * @return promptIPFSHash The IPFS link if provided
      * 
      * Example flow:
-     * 1. Someone claims they wrote "The Greatest Poem Ever"
-     * 2. You hash their claim: hash = SHA256("The Greatest Poem Ever|...")
+     * 1. Someone claims they wrote "The Greatest Poem Ever" and hands you the
+     *    prompt, the output and the salt from their proof file
+     * 2. You rebuild the record the way registerContent describes ("pop-record" v1):
+     *    hash = SHA256({"output":"...","prompt":"...","salt":"0x...","scheme":"pop-record","v":1})
+     *    (sorted keys, no whitespace, UTF-8; plus "generation" if the record has one)
      * 3. You call verifyContent(hash)
      * 4. If exists = true, they're telling the truth!
      * 5. If exists = false, they're lying or forgot to register it
+     *
+     * Legacy only: hashes registered before records were versioned used
+     * SHA256("prompt|output|timestamp"). New registrations never do.
      */
     function verifyContent(bytes32 contentHash)
         external
@@ -227,6 +596,27 @@ contract ProofOfPrompt {
         return (false, address(0), 0, "");
     }
 
+    /**
+     * @notice Get the generation metadata of a registration
+     * @dev All values are empty when it was registered without metadata
+     *
+     * @return modelId Which model produced the content
+     * @return paramsHash SHA256 of the canonical generation parameters
+     * @return contentType Content-type tag (bytes32 string, zero if none)
+     */
+    function getMetadata(bytes32 contentHash)
+        external
+        view
+        returns (
+            string memory modelId,
+            bytes32 paramsHash,
+            bytes32 contentType
+        )
+    {
+        GenerationMetadata storage meta = metadata[contentHash];
+        return (meta.modelId, meta.paramsHash, meta.contentType);
+    }
+
     /**
      * @notice Get all content registered by a specific author
      * @dev Useful for building user profiles or portfolios
@@ -320,6 +710,294 @@ contract ProofOfPrompt {
     }
 
 
+    // ============ BATCH FUNCTIONS ============
+
+    /**
+     * @notice Register many records at once by their Merkle root
+     * @dev One transaction covers the whole batch; each item is later proven
+     * with an inclusion proof against this root (see verifyBatchItem)
+     *
+     * @param merkleRoot Root of the tree built over the items' content hashes
+     * @param itemCount Number of items in the tree (for display only)
+     *
+     * How the tree is built (frontend/src/lib/merkle.js does the same):
+     * - Leaf:   SHA256(0x00 || contentHash)
+     * - Parent: SHA256(0x01 || min(left, right) || max(left, right))
+     * - An odd node at the end of a level moves up unchanged
+     * Sorting each pair means a proof is just the list of sibling hashes.
+     * The 0x00 / 0x01 prefixes stop an inner node from passing as a leaf.
+     */
+    function registerBatch(bytes32 merkleRoot, uint256 itemCount)
+        external
+        validHash(merkleRoot)
+    {
+        require(itemCount > 0, "Batch must contain at least one item");
+        require(batches[merkleRoot].author == address(0), "Batch already registered");
+
+        batches[merkleRoot] = BatchRecord({
+            author: msg.sender,
+            timestamp: block.timestamp,
+            itemCount: itemCount
+        });
+        authorBatches[msg.sender].push(merkleRoot);
+        totalBatches++;
+
+        emit BatchRegistered(msg.sender, merkleRoot, itemCount, block.timestamp);
+    }
+
+    /**
+     * @notice Check that an item belongs to a registered batch
+     *
+     * @param contentHash The item's content hash (same scheme as registerContent)
+     * @param proof Sibling hashes from the item's leaf up to the root
+     * @param merkleRoot The batch root the proof claims to lead to
+     * @return included True if the proof is valid and the root is registered
+     * @return author Who registered the batch (zero if the root is unknown)
+     * @return timestamp When the batch was registered
+     * @return itemCount How many items the batch holds
+     */
+    function verifyBatchItem(
+        bytes32 contentHash,
+        bytes32[] calldata proof,
+        bytes32 merkleRoot
+    )
+        external
+        view
+        returns (
+            bool included,
+            address author,
+            uint256 timestamp,
+            uint256 itemCount
+        )
+    {
+        BatchRecord storage batch = batches[merkleRoot];
+        bool registered = batch.author != address(0);
+        bool valid = _processProof(contentHash, proof) == merkleRoot;
+
+        return (registered && valid, batch.author, batch.timestamp, batch.itemCount);
+    }
+
+    /**
+     * @notice Get all batch roots registered by an author
+     */
+    function getAuthorBatches(address author)
+        external
+        view
+        returns (bytes32[] memory)
+    {
+        return authorBatches[author];
+    }
+
+    /**
+     * @dev Walk a proof from an item's leaf up to the root it implies
+     */
+    function _processProof(bytes32 contentHash, bytes32[] calldata proof)
+        internal
+        pure
+        returns (bytes32 node)
+    {
+        node = sha256(abi.encodePacked(bytes1(0x00), contentHash));
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 sibling = proof[i];
+            node = node < sibling
+                ? sha256(abi.encodePacked(bytes1(0x01), node, sibling))
+                : sha256(abi.encodePacked(bytes1(0x01), sibling, node));
+        }
+    }
+
+
+    // ============ ENCRYPTION KEYS ============
+
+    /**
+     * @notice Publish the public key others use to encrypt records for you
+     * @dev The key is derived off-chain from a wallet signature (see
+     * frontend/src/lib/encryption.js); only its public half is stored here
+     *
+     * @param publicKey Compressed secp256k1 public key (0x02/0x03 + 32 bytes)
+     */
+    function setEncryptionKey(bytes calldata publicKey) external {
+        require(
+            publicKey.length == 33 && (publicKey[0] == 0x02 || publicKey[0] == 0x03),
+            "Encryption key must be a compressed secp256k1 public key"
+        );
+        encryptionKeys[msg.sender] = publicKey;
+        emit EncryptionKeySet(msg.sender, publicKey);
+    }
+
+
+    // ============ CLAIM CONFLICTS ============
+
+    /**
+     * @notice Put on record that you claim content someone else registered
+     * @dev registerContent has to revert on a duplicate, which would also
+     * erase any trace of the attempt. This is the path that doesn't: the
+     * first author keeps the registration, and the claim is stored next to it
+     * for anyone verifying the hash to see. Each address can claim a hash once.
+     *
+     * @param contentHash The registered hash you claim
+     */
+    function recordClaimAttempt(bytes32 contentHash) external validHash(contentHash) {
+        require(hashExists[contentHash], "Content not found in registry");
+        address author = registry[contentHash].author;
+        require(msg.sender != author, "You are the registered author");
+        require(!hasClaimed[contentHash][msg.sender], "Claim already recorded");
+
+        hasClaimed[contentHash][msg.sender] = true;
+        claimAttempts[contentHash].push(ClaimAttempt({
+            claimant: msg.sender,
+            timestamp: block.timestamp
+        }));
+
+        emit DuplicateRegistrationAttempt(
+            msg.sender,
+            contentHash,
+            author,
+            block.timestamp,
+            claimAttempts[contentHash].length
+        );
+    }
+
+    /**
+     * @notice How many addresses have claimed a registered hash
+     */
+    function getClaimAttemptCount(bytes32 contentHash) external view returns (uint256) {
+        return claimAttempts[contentHash].length;
+    }
+
+    /**
+     * @notice Claims on a hash, oldest first, a page at a time
+     * @param offset Index of the first claim to return
+     * @param limit Maximum number of claims to return
+     * @return claimants Who claimed the hash
+     * @return timestamps When each of them did (Unix seconds)
+     */
+    function getClaimAttempts(bytes32 contentHash, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory claimants, uint256[] memory timestamps)
+    {
+        ClaimAttempt[] storage attempts = claimAttempts[contentHash];
+        uint256 count = offset < attempts.length ? attempts.length - offset : 0;
+        if (count > limit) count = limit;
+
+        claimants = new address[](count);
+        timestamps = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            claimants[i] = attempts[offset + i].claimant;
+            timestamps[i] = attempts[offset + i].timestamp;
+        }
+    }
+
+
+    // ============ MODERATION ============
+
+    /**
+     * @notice Check whether an address may moderate (owner or admin)
+     */
+    function isAdmin(address account) public view returns (bool) {
+        return account != address(0) && (account == contractOwner || admins[account]);
+    }
+
+    /**
+     * @notice Grant or revoke admin (moderator) rights
+     * @param account The address to update
+     * @param enabled True to make it an admin, false to revoke
+     */
+    function setAdmin(address account, bool enabled) external onlyOwner {
+        require(account != address(0), "Admin cannot be the zero address");
+        require(admins[account] != enabled, "Admin status unchanged");
+
+        if (enabled && !_inAdminHistory(account)) {
+            adminHistory.push(account);
+        }
+        admins[account] = enabled;
+        emit AdminUpdated(account, enabled);
+    }
+
+    /**
+     * @notice List current admins (not including the owner)
+     */
+    function getAdmins() external view returns (address[] memory current) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < adminHistory.length; i++) {
+            if (admins[adminHistory[i]]) count++;
+        }
+        current = new address[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < adminHistory.length; i++) {
+            if (admins[adminHistory[i]]) current[j++] = adminHistory[i];
+        }
+    }
+
+    /**
+     * @notice Flag a registration as disputed or abusive
+     * @dev The registration is never modified or deleted; calling again
+     * replaces the flag, and clearFlag removes it
+     *
+     * @param contentHash The registered hash to flag
+     * @param status FlagStatus.Disputed or FlagStatus.Abusive
+     * @param reason Why it is flagged (shown on the Verify page)
+     */
+    function flagContent(bytes32 contentHash, FlagStatus status, string calldata reason)
+        external
+        onlyAdmin
+    {
+        require(hashExists[contentHash], "Content not found in registry");
+        require(status != FlagStatus.None, "Use clearFlag to remove a flag");
+        require(bytes(reason).length > 0, "A reason is required");
+
+        _setFlag(contentHash, status, reason);
+    }
+
+    /**
+     * @notice Remove the flag from a registration
+     * @param reason Why the flag was cleared (kept in the event log)
+     */
+    function clearFlag(bytes32 contentHash, string calldata reason) external onlyAdmin {
+        require(flags[contentHash].status != FlagStatus.None, "Content is not flagged");
+
+        _setFlag(contentHash, FlagStatus.None, reason);
+    }
+
+    /**
+     * @notice Get the moderation flag of a registration
+     * @return status 0 = none, 1 = disputed, 2 = abusive
+     * @return reason The moderator's reason
+     * @return flaggedBy Who set (or cleared) it
+     * @return flaggedAt When (Unix seconds, 0 if never flagged)
+     */
+    function getFlag(bytes32 contentHash)
+        external
+        view
+        returns (
+            uint8 status,
+            string memory reason,
+            address flaggedBy,
+            uint256 flaggedAt
+        )
+    {
+        ContentFlag storage flag = flags[contentHash];
+        return (uint8(flag.status), flag.reason, flag.flaggedBy, flag.flaggedAt);
+    }
+
+    function _setFlag(bytes32 contentHash, FlagStatus status, string calldata reason) internal {
+        flags[contentHash] = ContentFlag({
+            status: status,
+            reason: reason,
+            flaggedBy: msg.sender,
+            flaggedAt: block.timestamp
+        });
+        emit ContentFlagged(contentHash, uint8(status), reason, msg.sender, block.timestamp);
+    }
+
+    function _inAdminHistory(address account) internal view returns (bool) {
+        for (uint256 i = 0; i < adminHistory.length; i++) {
+            if (adminHistory[i] == account) return true;
+        }
+        return false;
+    }
+
+
     // ============ EMERGENCY FUNCTIONS ============
     
     /**
@@ -1,412 +1,129 @@
 // frontend/src/App.jsx
-import React, { useState, useEffect } from 'react';
-import Bytez from 'bytez.js';
+import React, { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
+import {
+  createRecord,
+  createConversationRecord,
+  isConversationRecord,
+  recordSummary,
+  hashRecord,
+  recordFromParts,
+  buildProofFile,
+  parseProofFile,
+  LEGACY_SCHEME,
+  createRegistry,
+  createLocalRecords,
+  createFingerprintIndex,
+  isAlreadyRegistered,
+} from './lib/sdk';
+import { describeGeneration } from './lib/records';
+import { buildTurnProof, parseTurnProof } from './lib/conversation';
+import { downloadJson, downloadFile, readFileAsText } from './lib/download';
+import {
+  buildCertificate,
+  renderCertificateHtml,
+  parseCertificate,
+  verifyCertificate,
+} from './lib/certificate';
+import PortfolioTab from './components/PortfolioTab';
+import ExplorerTab from './components/ExplorerTab';
+import TxQueuePanel from './components/TxQueuePanel';
+import BackupPanel from './components/BackupPanel';
+import BatchRegisterPanel from './components/BatchRegisterPanel';
+import EncryptionKeyPanel from './components/EncryptionKeyPanel';
+import AdminDashboard from './components/AdminDashboard';
+import ConversationEditor from './components/ConversationEditor';
+import ShareLinkButton from './components/ShareLinkButton';
+import ReadSource from './components/ReadSource';
+import SimilarContentPanel from './components/SimilarContentPanel';
+import useRoute, { paths, isContentHash } from './lib/router';
+import {
+  getChain,
+  chainName,
+  getContractAddress,
+  isSupportedChain,
+  supportedChains,
+  explorerAddressUrl,
+  switchToChain,
+} from './lib/chains';
+import { getDeployment, getContractAbi, checkDeployment } from './lib/deployments';
+import { createReadOnlyConnection } from './lib/readOnly';
+import {
+  createStorageFromEnv,
+  publishRecord,
+  publishJson,
+  fetchPublished,
+  verifyRecordText,
+} from './lib/storage';
+import {
+  requestEncryptionKey,
+  encryptionPublicKey,
+  encryptForRecipients,
+  decryptEnvelope,
+  isRecipient,
+} from './lib/encryption';
+import { parseBatchItemProof, parseProofList, processProof } from './lib/merkle';
+import { checkIsAdmin } from './lib/moderation';
+import {
+  CONTENT_TYPES,
+  buildMetadata,
+  contentTypeLabel,
+  metadataMatchesGeneration,
+} from './lib/metadata';
+import { RELAYER_URL, signRegistration, relayRegistration } from './lib/relayer';
+import {
+  createProviders,
+  defaultProviderId,
+  generateOutput,
+  isAbortError,
+  DEFAULT_PARAMS,
+  PARAM_LIMITS,
+} from './lib/ai';
+import useTxTracker from './lib/useTxTracker';
+import { createEntry } from './lib/txTracker';
 import './App.css';
 
 // ============ CONTRACT CONFIGURATION ============
 
-// Get contract address from environment variables (set in .env.local)
-const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS;
-const BYTEZ_API_KEY = import.meta.env.VITE_BYTEZ_API_KEY;
-const BYTEZ_MODEL_ID = 'openai/gpt-4.1';
-
-/**
- * CONTRACT ABI (Application Binary Interface)
- * This tells ethers.js what functions exist on the smart contract
- * Each object describes a function and its parameters
- * 
- * The frontend uses this to know:
- * - What functions can be called
- * - What parameters they need
- * - What they return
- * - Whether they cost gas (write functions) or not (read functions)
- */
-const CONTRACT_ABI = [
-    {
-      "inputs": [],
-      "stateMutability": "nonpayable",
-      "type": "constructor"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        {
-          "indexed": true,
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        },
-        {
-          "indexed": true,
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        },
-        {
-          "indexed": false,
-          "internalType": "uint256",
-          "name": "timestamp",
-          "type": "uint256"
-        },
-        {
-          "indexed": false,
-          "internalType": "uint256",
-          "name": "totalRegistrations",
-          "type": "uint256"
-        }
-      ],
-      "name": "ContentRegistered",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        {
-          "indexed": true,
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        },
-        {
-          "indexed": true,
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        },
-        {
-          "indexed": false,
-          "internalType": "uint256",
-          "name": "registeredAt",
-          "type": "uint256"
-        },
-        {
-          "indexed": false,
-          "internalType": "bool",
-          "name": "isValid",
-          "type": "bool"
-        }
-      ],
-      "name": "ContentVerified",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        {
-          "indexed": true,
-          "internalType": "address",
-          "name": "attemptedBy",
-          "type": "address"
-        },
-        {
-          "indexed": false,
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        }
-      ],
-      "name": "DuplicateRegistrationAttempt",
-      "type": "event"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
-        },
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
-        }
-      ],
-      "name": "authorContent",
-      "outputs": [
-        {
-          "internalType": "bytes32",
-          "name": "",
-          "type": "bytes32"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "contractOwner",
-      "outputs": [
-        {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        }
-      ],
-      "name": "getAuthorContent",
-      "outputs": [
-        {
-          "internalType": "bytes32[]",
-          "name": "",
-          "type": "bytes32[]"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        }
-      ],
-      "name": "getAuthorContentCount",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        }
-      ],
-      "name": "getContentDetails",
-      "outputs": [
-        {
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        },
-        {
-          "internalType": "uint256",
-          "name": "timestamp",
-          "type": "uint256"
-        },
-        {
-          "internalType": "string",
-          "name": "promptIPFSHash",
-          "type": "string"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getPlatformStats",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "total",
-          "type": "uint256"
-        },
-        {
-          "internalType": "address",
-          "name": "owner",
-          "type": "address"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "",
-          "type": "bytes32"
-        }
-      ],
-      "name": "hashExists",
-      "outputs": [
-        {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        }
-      ],
-      "name": "isContentRegistered",
-      "outputs": [
-        {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        },
-        {
-          "internalType": "string",
-          "name": "promptIPFSHash",
-          "type": "string"
-        }
-      ],
-      "name": "registerContent",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "",
-          "type": "bytes32"
-        }
-      ],
-      "name": "registry",
-      "outputs": [
-        {
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        },
-        {
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        },
-        {
-          "internalType": "uint256",
-          "name": "timestamp",
-          "type": "uint256"
-        },
-        {
-          "internalType": "string",
-          "name": "promptIPFSHash",
-          "type": "string"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "renounceOwnership",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "totalRegistrations",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "contentHash",
-          "type": "bytes32"
-        }
-      ],
-      "name": "verifyContent",
-      "outputs": [
-        {
-          "internalType": "bool",
-          "name": "exists",
-          "type": "bool"
-        },
-        {
-          "internalType": "address",
-          "name": "author",
-          "type": "address"
-        },
-        {
-          "internalType": "uint256",
-          "name": "timestamp",
-          "type": "uint256"
-        },
-        {
-          "internalType": "string",
-          "name": "promptIPFSHash",
-          "type": "string"
-        }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    }
-  ];
+// Contract address and ABI are per chain: they come from the deployment
+// manifest written by scripts/deploy.js (see lib/deployments.js and lib/chains.js)
+
+// AI providers for output generation (see lib/ai)
+const aiProviders = createProviders();
+
+// Where full records are published so anyone can fetch them by CID
+// (null when publishing is off; see lib/storage.js)
+const contentStorage = createStorageFromEnv();
+
+// Records (with their salts) kept in this browser, by hash (see lib/sdk)
+const localRecords = createLocalRecords();
+
+// Fingerprints of the outputs behind them, for near-duplicate search
+// (lib/similarity.js); every saved record gets one
+const fingerprints = createFingerprintIndex();
+const saveLocalRecord = (hash, record) => {
+  localRecords.save(hash, record);
+  fingerprints.addRecord(hash, record);
+};
+
+// Registry on a public RPC, for verifying and browsing without a wallet
+// (null when no chain has both a contract and an RPC; see lib/readOnly.js)
+const readOnly = createReadOnlyConnection();
+
+// Shown when there is neither a wallet nor a read-only RPC to verify through
+const NO_READER_MESSAGE = 'No network to read from. Connect your wallet, or set VITE_RPC_URL_<chainId> for a chain with a contract';
+
+// A fresh conversation starts with one empty user turn
+const EMPTY_CONVERSATION = [{ role: 'user', content: '' }];
+
+
 // ============ MAIN APP COMPONENT ============
 
 export default function App() {
-  // ========== LOCAL STORAGE HELPERS ==========
-  const LOCAL_STORAGE_PREFIX = 'proof-of-prompt:';
-
   const truncateSnippet = (text, limit = 30) => {
     if (typeof text !== 'string') return '';
     return text.length > limit ? `${text.slice(0, limit)}…` : text;
   };
-
-  const saveLocalRecord = (hash, record) => {
-    try {
-      if (typeof window === 'undefined') return;
-      const key = `${LOCAL_STORAGE_PREFIX}${String(hash).toLowerCase()}`;
-      window.localStorage.setItem(key, JSON.stringify(record));
-    } catch (e) {
-      console.log('Local record save failed', e);
-    }
-  };
-
-  const loadLocalRecord = (hash) => {
-    try {
-      if (typeof window === 'undefined') return null;
-      const key = `${LOCAL_STORAGE_PREFIX}${String(hash).toLowerCase()}`;
-      const raw = window.localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (e) {
-      return null;
-    }
-  };
   
   // ========== WALLET STATE ==========
   
@@ -419,17 +136,39 @@ export default function App() {
   // Currently connected wallet address
   const [account, setAccount] = useState(null);
   
-  // The smart contract object (lets us call functions)
-  const [contract, setContract] = useState(null);
+  // Registry client for the contract on the wallet's chain (see lib/sdk)
+  // Its ethers contract is handed to the panels and helpers that take one
+  const [registry, setRegistry] = useState(null);
+  const contract = registry?.contract ?? null;
   
   // Is the wallet currently connected?
   const [isConnected, setIsConnected] = useState(false);
 
+  // Chain id the wallet is on (registration attempts are tracked per chain)
+  const [chainId, setChainId] = useState(null);
+
+  // Contract deployed on that chain (null when the chain isn't supported)
+  const contractAddress = getContractAddress(chainId);
+
+  // Mismatches between the deployment manifest and the code on-chain
+  const [deploymentWarnings, setDeploymentWarnings] = useState([]);
+
+  // Where reads go: the wallet's registry when it is on a supported chain,
+  // else the read-only RPC. Only registering needs the wallet
+  const reader = registry ?? readOnly?.registry ?? null;
+  const readProvider = registry ? provider : readOnly?.provider ?? null;
+  const readSource = registry
+    ? { chainId, address: contractAddress, via: 'wallet' }
+    : readOnly && { chainId: readOnly.chainId, address: readOnly.address, via: 'rpc', rpcUrl: readOnly.rpcUrl };
+
   
   // ========== UI STATE ==========
   
-  // Which tab is active: 'register' or 'verify'
-  const [activeTab, setActiveTab] = useState('register');
+  // Which tab is active: 'register', 'verify', 'portfolio', 'explorer' or 'admin'
+  // It comes from the URL (see lib/router.js) so views can be linked to,
+  // survive refresh and follow the browser's back/forward buttons
+  const { route, navigate } = useRoute();
+  const activeTab = route.tab;
 
   
   // ========== REGISTER TAB STATE ==========
@@ -440,6 +179,39 @@ export default function App() {
   // The AI output they're registering
   const [output, setOutput] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
+
+  // AI provider, model and parameters used by "Generate"
+  const [aiProviderId, setAiProviderId] = useState(() => defaultProviderId(aiProviders));
+  const [aiModel, setAiModel] = useState('');
+  const [aiParams, setAiParams] = useState(DEFAULT_PARAMS);
+  const aiProvider = aiProviders.find((p) => p.id === aiProviderId) ?? aiProviders[0];
+  const aiModelId = aiModel || aiProvider.models[0];
+
+  // Generated candidates for the current prompt: [{ id, prompt, text, generation }]
+  // Regenerating adds another; the selected one goes into the record
+  // (with its generation details) as long as the output is left unedited
+  const [candidates, setCandidates] = useState([]);
+  const [selectedCandidateId, setSelectedCandidateId] = useState(null);
+
+  // Cancels the generation in progress
+  const generationAbort = useRef(null);
+
+  // Bumped by every connect and disconnect, so only the latest one lands
+  const connectAttempt = useRef(0);
+
+  // Register a single prompt/output, or a whole conversation
+  const [registerMode, setRegisterMode] = useState('single');
+  const [conversation, setConversation] = useState(EMPTY_CONVERSATION);
+
+  // The last AI-written conversation reply: { text, generation }
+  // Its generation details are recorded while it is the unedited final turn
+  const [conversationReply, setConversationReply] = useState(null);
+
+  // Content-type tag stored on-chain ('auto' follows the register mode)
+  const [contentTypeChoice, setContentTypeChoice] = useState('auto');
+  const contentType = contentTypeChoice === 'auto'
+    ? (registerMode === 'conversation' ? 'conversation' : 'text')
+    : contentTypeChoice;
   
   // Are we currently registering? (shows loading state)
   const [isRegistering, setIsRegistering] = useState(false);
@@ -447,64 +219,166 @@ export default function App() {
   // Status message to show user (success/error)
   const [registerStatus, setRegisterStatus] = useState('');
 
+  // Publish the full record to content storage and put its CID on-chain:
+  // 'none', 'public' (anyone can read it) or 'encrypted' (only listed addresses)
+  const [publishMode, setPublishMode] = useState(contentStorage ? 'public' : 'none');
+
+  // Encrypted publishing: extra addresses to share with (comma separated)
+  // and whether to include the contract owner
+  const [shareWith, setShareWith] = useState('');
+  const [shareWithOwner, setShareWithOwner] = useState(true);
+
+  // Gasless: sign the registration and let the relayer pay (needs VITE_RELAYER_URL)
+  const [useRelayer, setUseRelayer] = useState(Boolean(RELAYER_URL));
+
+  // Proof file for the last successful registration (record + hash)
+  const [lastProof, setLastProof] = useState(null);
+
+  // Full proof certificate for the last successful registration
+  const [lastCertificate, setLastCertificate] = useState(null);
+
+  // Content someone else registered first: { hash, author, registeredAt,
+  // claimed, isSending, error }; the author can put a claim on record
+  const [claimConflict, setClaimConflict] = useState(null);
+
   
   // ========== VERIFY TAB STATE ==========
   
+  // Verify mode: 'hash' (paste a hash), 'text' (recompute from prompt + output)
+  // or 'certificate' (check every claim in a downloaded certificate)
+  const [verifyMode, setVerifyMode] = useState('hash');
+
   // The hash they want to verify
   const [verifyHash, setVerifyHash] = useState('');
+
+  // Verify-by-text inputs: the original parts plus the salt (or legacy timestamp)
+  const [verifyPrompt, setVerifyPrompt] = useState('');
+  const [verifyOutput, setVerifyOutput] = useState('');
+  const [verifyGeneration, setVerifyGeneration] = useState('');
+  const [verifySalt, setVerifySalt] = useState('');
+
+  // Batch-item inputs: the batch's Merkle root and the item's proof path
+  // (the item's own hash goes in verifyHash)
+  const [verifyBatchRoot, setVerifyBatchRoot] = useState('');
+  const [verifyBatchProof, setVerifyBatchProof] = useState('');
   
   // Are we currently verifying?
   const [isVerifying, setIsVerifying] = useState(false);
   
   // Results from verification
   const [verifyResult, setVerifyResult] = useState(null);
-  const [showAdminPreview, setShowAdminPreview] = useState(false);
+
+  // Decrypting shared content on the Verify tab
+  const [isDecrypting, setIsDecrypting] = useState(false);
 
   
   // ========== PLATFORM STATS ==========
   
   const [stats, setStats] = useState({ total: 0, owner: null });
 
+  // Can the connected account moderate? (owner or admin; shows the Admin tab)
+  const [isAdmin, setIsAdmin] = useState(false);
+
+
+  // ========== ENCRYPTION ==========
+
+  // The wallet's derived encryption key, cached for this session: { account, key }
+  const [encryptionKey, setEncryptionKey] = useState(null);
+
+
+  // ========== REGISTRATION TRACKER ==========
+
+  // Persistent queue of registration attempts (survives reloads)
+  // The arrow defers to handleTxUpdate, which is defined further down
+  const {
+    entries: txEntries,
+    addEntry: addTxEntry,
+    updateEntry: updateTxEntry,
+    removeEntry: removeTxEntry,
+    clearFinished: clearFinishedTx,
+  } = useTxTracker({
+    provider,
+    contract,
+    chainId,
+    onUpdate: (entry, previous) => handleTxUpdate(entry, previous),
+  });
+
   
   // ========== EFFECTS ==========
-  
+
+  // The wallet listeners below are added once; they reach the current
+  // handlers through this ref instead of the ones from the first render
+  const walletHandlers = useRef({});
+  useEffect(() => {
+    walletHandlers.current = { handleConnect, handleChainChanged };
+  });
+
   /**
    * This runs once when the component first loads
    * It sets up the connection to Ethereum
    */
   useEffect(() => {
-    if (typeof window !== 'undefined' && window.ethereum) {
-      const initProvider = async () => {
-        try {
-          // Create provider (connection to Ethereum)
-          const p = new ethers.BrowserProvider(window.ethereum);
-          setProvider(p);
-
-          // Check if user already has connected wallets
-          const accounts = await window.ethereum.request({
-            method: 'eth_accounts',
-          });
-          
-          // If they do, auto-connect
-          if (accounts.length > 0) {
-            handleConnect();
-          }
-
-          // Listen for when user switches accounts in MetaMask
-          window.ethereum.on('accountsChanged', handleConnect);
-          
-          // Listen for when user switches networks
-          window.ethereum.on('chainChanged', () => window.location.reload());
-        } catch (error) {
-          console.error('Provider initialization failed:', error);
-          setRegisterStatus('❌ Failed to initialize Web3. Is MetaMask installed?');
+    if (typeof window === 'undefined' || !window.ethereum) return;
+    const ethereum = window.ethereum;
+    const onAccountsChanged = () => walletHandlers.current.handleConnect();
+    const onChainChanged = () => walletHandlers.current.handleChainChanged();
+    let active = true;
+
+    const initProvider = async () => {
+      try {
+        // Create provider (connection to Ethereum)
+        const p = new ethers.BrowserProvider(ethereum);
+        setProvider(p);
+
+        // Check if user already has connected wallets
+        const accounts = await ethereum.request({
+          method: 'eth_accounts',
+        });
+
+        // If they do, auto-connect
+        if (active && accounts.length > 0) {
+          walletHandlers.current.handleConnect();
         }
-      };
-      
-      initProvider();
-    }
+      } catch (error) {
+        console.error('Provider initialization failed:', error);
+        setRegisterStatus('❌ Failed to initialize Web3. Is MetaMask installed?');
+      }
+    };
+    
+    initProvider();
+
+    // Listen for when user switches accounts in MetaMask
+    ethereum.on('accountsChanged', onAccountsChanged);
+
+    // Listen for when user switches networks: rebuild provider + contract
+    // for the new chain instead of reloading the page
+    ethereum.on('chainChanged', onChainChanged);
+
+    // StrictMode mounts twice: without this, every event would be handled twice
+    return () => {
+      active = false;
+      ethereum.removeListener('accountsChanged', onAccountsChanged);
+      ethereum.removeListener('chainChanged', onChainChanged);
+    };
   }, []);
 
+  /**
+   * Platform stats from whichever registry answers reads, so visitors
+   * without a wallet see them too
+   */
+  useEffect(() => {
+    if (!reader) return;
+    let cancelled = false;
+    reader.getStats()
+      .then(({ total, owner }) => {
+        if (!cancelled) setStats({ total: String(total), owner });
+      })
+      .catch((e) => console.log('Could not fetch stats:', e));
+    return () => {
+      cancelled = true;
+    };
+  }, [reader]);
+
   
   // ========== WALLET FUNCTIONS ==========
   
@@ -513,6 +387,11 @@ export default function App() {
    * This is called when user clicks "Connect MetaMask"
    */
   const handleConnect = async () => {
+    // A later connect (another account or chain switch, or a disconnect)
+    // supersedes this one: its results are for a chain that is no longer current
+    const attempt = ++connectAttempt.current;
+    const superseded = () => attempt !== connectAttempt.current;
+
     try {
       if (typeof window === 'undefined' || !window.ethereum) {
         setRegisterStatus('❌ MetaMask not detected');
@@ -532,144 +411,250 @@ export default function App() {
       // Get the wallet address from signer
       const addr = await s.getAddress();
 
+      // Which chain are we on? (pending registrations are watched per chain)
+      const network = await p.getNetwork();
+      if (superseded()) return;
+
       // Update state
+      setProvider(p);
       setSigner(s);
       setAccount(addr);
+      setChainId(Number(network.chainId));
       setIsConnected(true);
 
-      // Validate contract address before initializing contract
-      if (!CONTRACT_ADDRESS || typeof CONTRACT_ADDRESS !== 'string' || CONTRACT_ADDRESS.length !== 42) {
-        setRegisterStatus('❌ Missing or invalid VITE_CONTRACT_ADDRESS. Configure your .env.local');
+      // Look up the contract for this chain; unsupported chains get no contract
+      // (the network banner offers a switch instead)
+      const address = getContractAddress(network.chainId);
+      setDeploymentWarnings([]);
+      setIsAdmin(false);
+      if (!address) {
+        setRegistry(null);
+        const options = supportedChains().map((chain) => chain.name).join(' or ');
+        setRegisterStatus(options
+          ? `⚠️ ${chainName(network.chainId)} is not supported. Switch to ${options}.`
+          : '❌ No contract address configured. Set VITE_CONTRACT_ADDRESS_<chainId> in your .env.local');
+        return;
+      }
+
+      // The ABI comes from the manifest (or the compiled contract)
+      const abi = getContractAbi(network.chainId);
+      if (!abi) {
+        setRegistry(null);
+        setRegisterStatus('❌ No contract ABI found. Run npx hardhat compile, or deploy with scripts/deploy.js');
         return;
       }
 
-      // Initialize contract with the signer
+      // Initialize the registry with the signer
       // Now we can call functions that modify state (write functions)
-      const c = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, s);
-      setContract(c);
+      const r = createRegistry({ address, abi, runner: s });
+      setRegistry(r);
 
-      // Fetch and display platform stats
-      try {
-        const [total, owner] = await c.getPlatformStats();
-        setStats({ total: total.toString(), owner });
-      } catch (e) {
-        console.log('Could not fetch stats:', e);
-      }
+      // Warn (but carry on) if the manifest doesn't match what's deployed
+      checkDeployment(p, network.chainId, address)
+        .then((warnings) => {
+          if (!superseded()) setDeploymentWarnings(warnings);
+        })
+        .catch((e) => console.log('Deployment check failed:', e));
+
+      // Owner and admins get the moderation dashboard
+      const admin = await checkIsAdmin(r.contract, addr);
+      if (superseded()) return;
+      setIsAdmin(admin);
 
       // Show success message with shortened address
       const shortAddr = `${addr.substring(0, 6)}...${addr.substring(38)}`;
       setRegisterStatus(`✅ Connected: ${shortAddr}`);
       
     } catch (error) {
+      if (superseded()) return;
       console.error('Connection error:', error);
       setRegisterStatus('❌ Failed to connect wallet. Did you approve MetaMask?');
     }
   };
 
+  /**
+   * The wallet switched networks: reconnect if we were connected
+   * (eth_accounts doesn't prompt, so an unconnected visitor sees nothing)
+   */
+  const handleChainChanged = async () => {
+    const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    if (accounts.length > 0) {
+      handleConnect();
+    } else {
+      connectAttempt.current++;
+      setProvider(new ethers.BrowserProvider(window.ethereum));
+    }
+  };
+
+  /**
+   * Ask the wallet to move to a supported chain
+   * chainChanged fires afterwards and reconnects
+   */
+  const handleSwitchNetwork = async (targetChainId) => {
+    try {
+      await switchToChain(window.ethereum, targetChainId);
+    } catch (error) {
+      console.error('Network switch failed:', error);
+      setRegisterStatus(error?.code === 4001
+        ? '❌ Network switch cancelled in wallet'
+        : `❌ Could not switch to ${chainName(targetChainId)}: ${error?.message || 'Unknown error'}`);
+    }
+  };
+
   /**
    * Disconnect the wallet (clear all state)
    */
   const handleDisconnect = () => {
+    connectAttempt.current++;
     setProvider(null);
     setSigner(null);
     setAccount(null);
-    setContract(null);
+    setRegistry(null);
     setIsConnected(false);
+    setChainId(null);
+    setDeploymentWarnings([]);
+    setEncryptionKey(null);
+    setIsAdmin(false);
     setRegisterStatus('');
   };
 
   
-  // ========== HASHING FUNCTIONS ==========
-  
+  // Candidates generated for the prompt currently in the form
+  const promptCandidates = candidates.filter((c) => c.prompt === prompt);
+
   /**
-   * Hash text using SHA-256 (browser's crypto API)
-   * This creates a unique fingerprint of the content
-   * 
-   * SHA-256 is:
-   * - Deterministic: Same input always produces same hash
-   * - One-way: Can't reverse a hash back to original
-   * - Collision-free: Almost impossible to find two inputs with same hash
-   * 
-   * @param text The text to hash
-   * @returns The hash as a hex string (0x...)
+   * Generation details for the record: those of the selected candidate, plus
+   * which candidate it was, if the output is still exactly what it generated
    */
-  const hashContent = async (text) => {
-    try {
-      // 1. Convert text to bytes
-      const encoder = new TextEncoder();
-      const data = encoder.encode(text);
-      
-      // 2. Run SHA-256 on it (browser's built-in crypto)
-      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-      
-      // 3. Convert result to hex string
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      const hexString = hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
-      
-      // 4. Add "0x" prefix to make it a valid Ethereum bytes32
-      return '0x' + hexString;
-      
-    } catch (error) {
-      console.error('Hashing failed:', error);
-      throw new Error('Failed to hash content');
-    }
+  const chosenGeneration = () => {
+    const index = promptCandidates.findIndex((c) => c.id === selectedCandidateId);
+    const candidate = promptCandidates[index];
+    if (!candidate || candidate.text !== output) return undefined;
+    return { ...candidate.generation, candidate: { index: index + 1, total: promptCandidates.length } };
   };
 
   /**
-   * Generate AI output using Bytez GPT-4.1 based on the provided prompt.
+   * Stream AI output for a prompt into the output box with the selected
+   * provider and model, and keep the result as a new candidate
+   * Cancelling puts the previous output back
+   *
+   * @returns { text, generation } with the candidate position in generation
    */
   const generateAIOutput = async (userPrompt) => {
-    if (!userPrompt || !userPrompt.trim()) {
-      throw new Error('Prompt is empty');
-    }
-    if (!BYTEZ_API_KEY) {
-      throw new Error('Missing VITE_BYTEZ_API_KEY. Configure your .env.local');
-    }
+    const controller = new AbortController();
+    generationAbort.current = controller;
+    const previousOutput = output;
+    const previous = candidates.filter((c) => c.prompt === userPrompt);
 
-    const sdk = new Bytez(BYTEZ_API_KEY);
-    const model = sdk.model(BYTEZ_MODEL_ID);
+    setOutput('');
+    try {
+      const result = await generateOutput(aiProvider, userPrompt, {
+        model: aiModelId,
+        params: aiParams,
+        signal: controller.signal,
+        onToken: (chunk) => setOutput((current) => current + chunk),
+      });
 
-    const messages = [
-      { role: 'user', content: userPrompt.trim() },
-    ];
+      const candidate = {
+        id: `${Date.now()}-${previous.length}`,
+        prompt: userPrompt,
+        text: result.text,
+        generation: result.generation,
+      };
+      setCandidates([...previous, candidate]);
+      setSelectedCandidateId(candidate.id);
+      setOutput(result.text);
+
+      const position = previous.length + 1;
+      return {
+        text: result.text,
+        generation: { ...result.generation, candidate: { index: position, total: position } },
+      };
+    } catch (error) {
+      setOutput(previousOutput);
+      throw error;
+    } finally {
+      generationAbort.current = null;
+    }
+  };
 
-    let runResult;
+  /**
+   * Generate (or regenerate) from the button next to the output box
+   */
+  const handleGenerate = async () => {
     try {
-      // Prefer options with max_tokens and temperature
-      runResult = await model.run(messages, { max_tokens: 150, temperature: 0.6 });
-    } catch (e) {
-      // Fallback in case the SDK version doesn't accept options param
-      try {
-        runResult = await model.run(messages);
-      } catch (inner) {
-        throw new Error(inner?.message || 'AI generation failed');
-      }
+      setIsGenerating(true);
+      setRegisterStatus(`⏳ Generating AI output with ${aiModelId}...`);
+      await generateAIOutput(prompt);
+      setRegisterStatus('✅ AI output generated');
+    } catch (err) {
+      setRegisterStatus(isAbortError(err)
+        ? '⏹️ Generation cancelled'
+        : `❌ AI generation failed: ${err?.message || 'Unknown error'}`);
+    } finally {
+      setIsGenerating(false);
     }
+  };
 
-    const { error, output: modelOutput } = runResult || {};
-    if (error) {
-      const message = typeof error === 'string' ? error : (error?.message || 'AI generation error');
-      throw new Error(message);
-    }
+  const handleCancelGeneration = () => {
+    generationAbort.current?.abort();
+  };
 
-    let text = '';
-    if (typeof modelOutput === 'string') {
-      text = modelOutput;
-    } else if (Array.isArray(modelOutput)) {
-      text = modelOutput
-        .map((p) => (typeof p === 'string' ? p : (p?.content ?? '')))
-        .join('\n');
-    } else if (modelOutput && typeof modelOutput === 'object') {
-      text = modelOutput.text ?? modelOutput.content ?? '';
+  /**
+   * Generation details for a conversation record: those of its final turn,
+   * if that is still exactly the reply the AI wrote
+   */
+  const conversationGeneration = () => {
+    const last = conversation[conversation.length - 1];
+    if (!conversationReply || last?.role !== 'assistant' || last.content !== conversationReply.text) {
+      return undefined;
     }
+    return conversationReply.generation;
+  };
 
-    text = (text || '').trim();
-    if (!text) {
-      throw new Error('Empty AI response');
+  /**
+   * Stream the next assistant turn of the conversation
+   * If the last turn is an unedited AI reply, it is replaced (regenerated)
+   * Cancelling or failing puts the turns back as they were
+   */
+  const handleContinueConversation = async () => {
+    const history = conversationGeneration() ? conversation.slice(0, -1) : conversation;
+    const replyIndex = history.length;
+    const controller = new AbortController();
+    generationAbort.current = controller;
+
+    setConversation([...history, { role: 'assistant', content: '' }]);
+    try {
+      setIsGenerating(true);
+      setRegisterStatus(`⏳ Generating the next reply with ${aiModelId}...`);
+      const result = await generateOutput(aiProvider, history, {
+        model: aiModelId,
+        params: aiParams,
+        signal: controller.signal,
+        onToken: (chunk) => setConversation((current) => current.map((message, i) => (
+          i === replyIndex ? { ...message, content: message.content + chunk } : message
+        ))),
+      });
+      setConversation([...history, { role: 'assistant', content: result.text }]);
+      setConversationReply({ text: result.text, generation: result.generation });
+      setRegisterStatus('✅ AI reply added to the conversation');
+    } catch (err) {
+      setConversation(conversation);
+      setRegisterStatus(isAbortError(err)
+        ? '⏹️ Generation cancelled'
+        : `❌ AI generation failed: ${err?.message || 'Unknown error'}`);
+    } finally {
+      generationAbort.current = null;
+      setIsGenerating(false);
     }
-    return text;
   };
 
+  // Something to register in the current mode (empty turns are left out)
+  const conversationTurns = conversation.filter((message) => message.content.trim());
+  const hasRegisterContent = registerMode === 'conversation'
+    ? conversationTurns.length > 0
+    : Boolean(prompt.trim());
+
   
   // ========== REGISTER FUNCTION ==========
   
@@ -679,6 +664,7 @@ export default function App() {
    */
   const handleRegister = async (e) => {
     e.preventDefault();
+    setClaimConflict(null);
 
     // Validation checks
     if (!isConnected) {
@@ -686,27 +672,40 @@ export default function App() {
       return;
     }
 
+    if (!isSupportedChain(chainId)) {
+      setRegisterStatus(`❌ Registering is not available on ${chainName(chainId)}. Switch to a supported network first.`);
+      return;
+    }
+
     if (!contract) {
       setRegisterStatus('❌ Contract not initialized');
       return;
     }
 
-    if (!prompt.trim()) {
+    if (registerMode === 'conversation' && conversationTurns.length === 0) {
+      setRegisterStatus('❌ Please add at least one turn to the conversation');
+      return;
+    }
+
+    if (registerMode === 'single' && !prompt.trim()) {
       setRegisterStatus('❌ Please enter a Prompt');
       return;
     }
 
     // Auto-generate AI output if it's empty
-    if (!output.trim()) {
+    let generated = null;
+    if (registerMode === 'single' && !output.trim()) {
       try {
         setIsRegistering(true);
         setIsGenerating(true);
-        setRegisterStatus('⏳ Generating AI output with GPT-4.1...');
-        const aiText = await generateAIOutput(prompt);
-        setOutput(aiText);
+        setRegisterStatus(`⏳ Generating AI output with ${aiModelId}...`);
+        generated = await generateAIOutput(prompt);
+        setOutput(generated.text);
         setRegisterStatus('⏳ Preparing content...');
       } catch (genErr) {
-        setRegisterStatus(`❌ AI generation failed: ${genErr?.message || 'Unknown error'}`);
+        setRegisterStatus(isAbortError(genErr)
+          ? '⏹️ Generation cancelled'
+          : `❌ AI generation failed: ${genErr?.message || 'Unknown error'}`);
         setIsGenerating(false);
         setIsRegistering(false);
         return;
@@ -719,152 +718,777 @@ export default function App() {
       setIsRegistering(true);
       setRegisterStatus('⏳ Preparing content...');
 
-      // Step 1: Combine prompt + output + timestamp
-      // This ensures each combination is unique
-      const timestamp = Date.now();
-      const combined = `${prompt}|${output}|${timestamp}`;
-      
+      // Step 1: Build a versioned record (prompt + output + random salt)
+      // The salt makes each registration unique and is all you need to re-verify
+      // Generation details are only kept if the output is exactly what the model wrote
+      // Conversations hash every turn into a Merkle root (see lib/records.js)
+      let record;
+      if (registerMode === 'conversation') {
+        record = createConversationRecord({
+          messages: conversationTurns,
+          generation: conversationGeneration(),
+        });
+      } else {
+        const recordOutput = generated ? generated.text : output;
+        const generation = generated ? generated.generation : chosenGeneration();
+        record = createRecord({ prompt, output: recordOutput, generation });
+      }
+
       setRegisterStatus('⏳ Hashing content (this is instant)...');
-      
-      // Step 2: Hash the combined string
-      const hash = await hashContent(combined);
-      
-      setRegisterStatus(`⏳ Sending to blockchain...\nHash: ${hash.substring(0, 20)}...`);
+
+      // Step 2: Hash the canonical encoding of the record
+      // (SHA-256: same record, same hash; see lib/records.js)
+      const hash = await hashRecord(record);
 
       // Save local record for future snippet retrieval (off-chain only)
       saveLocalRecord(hash, {
-        prompt,
-        output,
+        ...record,
         author: account,
-        clientTimestamp: timestamp,
+        clientTimestamp: Date.now(),
+        chainId,
+        contractAddress,
       });
+      setLastProof(null);
+      setLastCertificate(null);
+
+      // Step 3 (optional): Publish the full record; its CID goes on-chain
+      // as promptIPFSHash so anyone can fetch and re-check the content
+      let contentCid = '';
+      if (publishMode === 'public' && contentStorage) {
+        setRegisterStatus(`⏳ Publishing record to ${contentStorage.name} storage...`);
+        contentCid = await publishRecord(contentStorage, record, hash);
+      } else if (publishMode === 'encrypted' && contentStorage) {
+        setRegisterStatus('⏳ Encrypting record (sign the key message in your wallet)...');
+        const recipients = await resolveRecipients([
+          account,
+          ...(shareWithOwner && stats.owner && stats.owner !== ethers.ZeroAddress ? [stats.owner] : []),
+          ...shareWith.split(/[\s,]+/).filter(Boolean),
+        ]);
+        const envelope = await encryptForRecipients(
+          JSON.stringify(buildProofFile(record, hash)),
+          recipients,
+          { contentType: 'record', hash }
+        );
+        setRegisterStatus(`⏳ Publishing encrypted record to ${contentStorage.name} storage...`);
+        contentCid = await publishJson(contentStorage, envelope);
+      }
 
-      // Step 3: Call the smart contract
-      // This triggers MetaMask to ask for signature/confirmation
-      const tx = await contract.registerContent(hash, '');
-      
-      setRegisterStatus('⏳ Waiting for blockchain confirmation (30-60 seconds)...');
+      // Step 4: Queue the attempt (persisted, so a reload can't lose it)
+      // Model, parameters hash and content type also go on-chain when the
+      // deployed contract supports them
+      const entry = createEntry({
+        hash,
+        record,
+        from: account,
+        chainId,
+        contractAddress,
+        contentCid,
+        relayed: useRelayer && Boolean(RELAYER_URL),
+        metadata: registry.supportsMetadata() ? buildMetadata(record.generation, contentType) : null,
+      });
+      addTxEntry(entry);
+
+      // Step 5: Send it; the tracker watches the receipt from here on
+      await submitRegistration(entry);
+    } catch (error) {
+      console.error('Registration error:', error);
+      setRegisterStatus(`❌ Error: ${error.message}`);
+    } finally {
+      setIsRegistering(false);
+    }
+  };
 
-      // Step 4: Wait for transaction to be mined
-      const receipt = await tx.wait();
+  /**
+   * The connected wallet's encryption key
+   * Derived from a signature the first time it's needed, then cached
+   */
+  const getEncryptionKey = async () => {
+    if (encryptionKey && encryptionKey.account === account) {
+      return encryptionKey.key;
+    }
+    if (!signer) {
+      throw new Error('Connect your wallet to use encryption');
+    }
+    const key = await requestEncryptionKey(signer);
+    setEncryptionKey({ account, key });
+    return key;
+  };
 
-      // Success!
+  /**
+   * Look up the encryption keys of everyone a record is shared with
+   * The connected wallet uses its own derived key; others must have
+   * published theirs on-chain (My Registrations → Encryption Key)
+   */
+  const resolveRecipients = async (addresses) => {
+    const unique = [...new Set(addresses.map((address) => {
+      if (!ethers.isAddress(address)) throw new Error(`Not an address: ${address}`);
+      return ethers.getAddress(address);
+    }))];
+
+    const recipients = [];
+    for (const address of unique) {
+      if (address === account) {
+        recipients.push({ address, publicKey: encryptionPublicKey(await getEncryptionKey()) });
+        continue;
+      }
+      const publicKey = await registry.getEncryptionKey(address);
+      if (!publicKey) {
+        throw new Error(`${address} has not published an encryption key yet`);
+      }
+      recipients.push({ address, publicKey });
+    }
+    return recipients;
+  };
+
+  /**
+   * Send the registerContent tx for a queued attempt
+   * Used both for fresh registrations and for retries
+   * Relayed entries are signed (EIP-712) and handed to the relayer instead
+   */
+  const submitRegistration = async (entry) => {
+    try {
+      if (entry.relayed) {
+        setRegisterStatus(`⏳ Sign the registration in MetaMask (no gas needed)...\nHash: ${entry.hash.substring(0, 20)}...`);
+        const request = await signRegistration(signer, contract, {
+          contentHash: entry.hash,
+          promptIPFSHash: entry.contentCid || '',
+          metadata: entry.metadata,
+        });
+
+        setRegisterStatus('⏳ Sending to the relayer...');
+        const { txHash } = await relayRegistration(request);
+
+        // The relayer's tx: there is no nonce of ours to watch for replacement
+        updateTxEntry(entry.id, {
+          status: 'pending',
+          txHash,
+          nonce: null,
+          error: null,
+        });
+      } else {
+        setRegisterStatus(`⏳ Sending to blockchain...\nHash: ${entry.hash.substring(0, 20)}...`);
+
+        // This triggers MetaMask to ask for signature/confirmation
+        const tx = await registry.register(entry.hash, { cid: entry.contentCid || '', metadata: entry.metadata });
+
+        updateTxEntry(entry.id, {
+          status: 'pending',
+          txHash: tx.hash,
+          nonce: tx.nonce,
+          error: null,
+        });
+      }
       setRegisterStatus(
-        `✅ Success! Registered on blockchain!\n📦 Transaction: ${receipt.hash.substring(0, 20)}...\n🔐 Your hash (copied to clipboard):\n${hash}`
+        '⏳ Waiting for blockchain confirmation (30-60 seconds)...\nIt is safe to reload: progress is tracked under Registration Attempts.'
       );
-      
-      // Copy hash to clipboard for easy sharing
-      navigator.clipboard.writeText(hash).catch(() => {
-        console.log('Could not copy to clipboard');
+    } catch (error) {
+      console.error('Registration error:', error);
+
+      // Show specific error messages
+      const decoded = registry.decodeError(error);
+      if (decoded.kind === 'rejected') {
+        updateTxEntry(entry.id, { status: 'rejected', error: 'Rejected in MetaMask' });
+        setRegisterStatus('❌ You rejected the transaction in MetaMask');
+      } else if (isAlreadyRegistered(decoded)) {
+        updateTxEntry(entry.id, { status: 'failed', error: 'Content already registered' });
+        setRegisterStatus('❌ This content is already registered!');
+        showClaimConflict(entry.hash);
+      } else {
+        updateTxEntry(entry.id, { status: 'failed', error: decoded.message });
+        setRegisterStatus(`❌ Error: ${decoded.message}`);
+      }
+    }
+  };
+
+  /**
+   * A registration hit a hash another address registered first: say who,
+   * and let the user put their own claim on record (recordClaimAttempt)
+   */
+  const showClaimConflict = async (hash) => {
+    try {
+      const registration = await registry.lookup(hash);
+      if (!registration.exists || registration.author.toLowerCase() === account.toLowerCase()) return;
+      if (!registry.supportsClaimAttempts()) return;
+      const claims = await registry.getClaimAttempts(hash);
+      setClaimConflict({
+        hash,
+        author: registration.author,
+        registeredAt: registration.registeredAt,
+        claimed: claims.some((claim) => claim.claimant.toLowerCase() === account.toLowerCase()),
+        isSending: false,
+        error: null,
       });
+    } catch (e) {
+      console.log('Could not look up the existing registration:', e);
+    }
+  };
 
-      // Update stats
-      try {
-        const [total, owner] = await contract.getPlatformStats();
-        setStats({ total: total.toString(), owner });
-      } catch (e) {
-        console.log('Could not update stats');
+  /**
+   * Record the connected wallet's claim on content someone else registered
+   * The registration stays theirs; the claim shows up when the hash is verified
+   */
+  const handleRecordClaim = async () => {
+    try {
+      setClaimConflict((prev) => ({ ...prev, isSending: true, error: null }));
+      const tx = await registry.recordClaimAttempt(claimConflict.hash);
+      await tx.wait();
+      setClaimConflict((prev) => ({ ...prev, isSending: false, claimed: true }));
+    } catch (error) {
+      console.error('Claim error:', error);
+      const decoded = registry.decodeError(error);
+      setClaimConflict((prev) => ({
+        ...prev,
+        isSending: false,
+        error: decoded.kind === 'rejected' ? 'You rejected the transaction in MetaMask' : decoded.message,
+      }));
+    }
+  };
+
+  /**
+   * Called by the tracker whenever a queued attempt changes state
+   * Shows the success message the first time an attempt is mined
+   */
+  const handleTxUpdate = async (entry, previous) => {
+    const justMined = entry.status === 'confirmed' && previous.status !== 'confirmed';
+    const speedUp = entry.status === 'replaced' && entry.registeredByReplacement;
+    if (!justMined && !speedUp) {
+      if (entry.status === 'failed' || entry.status === 'dropped' || entry.status === 'replaced') {
+        setRegisterStatus(`❌ Registration ${entry.status}: ${entry.error || 'see Registration Attempts'}`);
       }
+      return;
+    }
 
-      // Clear form
+    const txHash = entry.replacedBy || entry.txHash;
+
+    // Success!
+    setRegisterStatus(
+      `✅ Success! Registered on blockchain!\n📦 Transaction: ${txHash ? `${txHash.substring(0, 20)}...` : 'replacement'}\n🔐 Your hash (copied to clipboard):\n${entry.hash}\n🧂 Salt (keep it to verify by text):\n${entry.record.salt}`
+    );
+    setLastProof(buildProofFile(entry.record, entry.hash));
+
+    try {
+      setLastCertificate(await certificateFor(entry));
+    } catch (e) {
+      console.log('Could not build certificate', e);
+    }
+
+    // Copy hash to clipboard for easy sharing
+    navigator.clipboard.writeText(entry.hash).catch(() => {
+      console.log('Could not copy to clipboard');
+    });
+
+    // Clear the form if it still holds what was just registered
+    if (isConversationRecord(entry.record)) {
+      const registered = JSON.stringify(entry.record.messages);
+      if (registered === JSON.stringify(conversationTurns.map(({ role, content }) => ({ role, content })))) {
+        setConversation(EMPTY_CONVERSATION);
+        setConversationReply(null);
+      }
+    } else if (entry.record.prompt === prompt && entry.record.output === output) {
       setPrompt('');
       setOutput('');
-      
+    }
+
+    // Update stats
+    if (registry) {
+      try {
+        const { total, owner } = await registry.getStats();
+        setStats({ total: String(total), owner });
+      } catch {
+        console.log('Could not update stats');
+      }
+    }
+  };
+
+  /**
+   * Build a proof certificate for a mined registration attempt
+   * Reads the receipt and registry entry so every claim comes from the chain
+   */
+  const certificateFor = async (entry) => {
+    const txHash = entry.replacedBy || entry.txHash;
+    const receipt = txHash ? await provider.getTransactionReceipt(txHash) : null;
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+    const { exists, author, timestamp } = await registry.lookup(entry.hash);
+    if (!exists) {
+      throw new Error('Content is not registered yet');
+    }
+    return buildCertificate({
+      record: entry.record,
+      hash: entry.hash,
+      txHash,
+      blockNumber: receipt.blockNumber,
+      chainId: entry.chainId,
+      contractAddress: entry.contractAddress,
+      author,
+      blockTimestamp: timestamp,
+    });
+  };
+
+  /**
+   * Save a certificate as JSON or as a printable HTML page
+   */
+  const downloadCertificate = (certificate, kind) => {
+    const name = `certificate-${certificate.contentHash.substring(2, 14)}`;
+    if (kind === 'html') {
+      downloadFile(`${name}.html`, renderCertificateHtml(certificate), 'text/html');
+    } else {
+      downloadJson(`${name}.json`, certificate);
+    }
+  };
+
+  /**
+   * Certificate download for an entry in the Registration Attempts list
+   */
+  const handleEntryCertificate = async (entry, kind) => {
+    try {
+      downloadCertificate(await certificateFor(entry), kind);
+    } catch (error) {
+      setRegisterStatus(`❌ Could not build certificate: ${error.message}`);
+    }
+  };
+
+  /**
+   * Retry a failed, rejected, dropped or cancelled attempt
+   * Re-sends the same record, so the hash (and any saved proof) stays valid
+   */
+  const handleRetry = async (entry) => {
+    if (!isConnected || !contract) {
+      setRegisterStatus('❌ Please connect your wallet first');
+      return;
+    }
+
+    saveLocalRecord(entry.hash, {
+      ...entry.record,
+      author: account,
+      clientTimestamp: Date.now(),
+      chainId: entry.chainId,
+      contractAddress: entry.contractAddress,
+    });
+    updateTxEntry(entry.id, {
+      status: 'signing',
+      from: account,
+      txHash: null,
+      nonce: null,
+      blockNumber: null,
+      confirmations: 0,
+      replacedBy: null,
+      error: null,
+      attempts: (entry.attempts || 1) + 1,
+    });
+
+    try {
+      setIsRegistering(true);
+      await submitRegistration(entry);
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  
+  // ========== VERIFY FUNCTION ==========
+  
+  /**
+   * Look up a hash on-chain and turn the answer into a verifyResult
+   *
+   * @param hash The content hash to check
+   * @param recomputed Optional record the hash was rebuilt from (verify-by-text)
+   */
+  const lookupHash = async (hash, recomputed = null) => {
+    // Call the smart contract to verify
+    const { exists, author, timestamp, registeredAt, promptIPFSHash: promptIPFS } = await reader.lookup(hash);
+
+    if (!exists) {
+      // Content not found
+      return { exists: false, hash, recomputedHash: recomputed ? hash : undefined, source: readSource };
+    }
+
+    // Content found! Format results nicely
+    const date = registeredAt.toLocaleString();
+    const shortAddress = `${author.substring(0, 6)}...${author.substring(38)}`;
+    // Published content is only shown once it hashes back to the registered hash
+    // (encrypted content is checked the same way once a recipient decrypts it)
+    let published = null;
+    let publishedError = null;
+    if (promptIPFS && promptIPFS.trim() && contentStorage) {
+      try {
+        published = await fetchPublished(contentStorage, promptIPFS, hash);
+      } catch (e) {
+        publishedError = e.message;
+      }
+    }
+
+    // Model, parameters hash and content type recorded with the registration
+    let metadata = null;
+    try {
+      metadata = await reader.getMetadata(hash);
+    } catch (e) {
+      console.log('Could not read metadata:', e);
+    }
+
+    // Moderation flag, if an admin has flagged this registration
+    let flag = null;
+    try {
+      flag = await reader.getFlag(hash);
+    } catch (e) {
+      console.log('Could not read flag:', e);
+    }
+
+    // Other addresses that claimed this content after it was registered
+    let claimAttempts = [];
+    try {
+      claimAttempts = await reader.getClaimAttempts(hash);
+    } catch (e) {
+      console.log('Could not read claim attempts:', e);
+    }
+
+    const localRecord = recomputed || published?.record || localRecords.load(hash);
+    const summary = recordSummary(localRecord);
+    const promptSnippet = summary.prompt
+      ? truncateSnippet(summary.prompt)
+      : 'Mock prompt snippet (not on-chain)';
+    const responseSnippet = summary.output
+      ? truncateSnippet(summary.output)
+      : 'Mock response snippet (not on-chain)';
+
+    return {
+      exists: true,
+      hash,
+      author: shortAddress,
+      fullAuthor: author,
+      timestamp: date,
+      timestampUnix: String(timestamp),
+      promptIPFS,
+      published,
+      publishedError,
+      flag,
+      claimAttempts,
+      promptSnippet,
+      responseSnippet,
+      generation: localRecord?.generation,
+      metadata,
+      metadataMatches: metadataMatchesGeneration(metadata, localRecord?.generation),
+      // Turns are only shown (and provable) with the full record at hand
+      conversation: isConversationRecord(localRecord) ? localRecord : null,
+      recomputedHash: recomputed ? hash : undefined,
+      scheme: recomputed
+        ? (recomputed.scheme === LEGACY_SCHEME ? 'legacy (prompt|output|timestamp)' : `${recomputed.scheme} v${recomputed.v}`)
+        : undefined,
+      source: readSource,
+    };
+  };
+
+  /**
+   * Shared error handling for both verify modes
+   */
+  const describeVerifyError = (error) => {
+    if (error.message.includes('invalid input') || error.message.includes('invalid BytesLike')) {
+      return 'Invalid hash format. Must be 0x... hex string';
+    }
+    if (error.message.includes('not found')) {
+      return 'Content not found in registry';
+    }
+    return error.message || 'Verification failed';
+  };
+
+  /**
+   * Verify if content exists on the blockchain
+   * This is called when user clicks "Verify Content"
+   */
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    // Validation
+    if (!reader) {
+      setVerifyResult({ error: NO_READER_MESSAGE });
+      return;
+    }
+
+    if (!verifyHash.trim()) {
+      setVerifyResult({ error: 'Please enter a content hash to verify' });
+      return;
+    }
+
+    // Well-formed hashes go through the URL so the result can be shared
+    if (isContentHash(verifyHash)) {
+      await openVerify(verifyHash.trim());
+    } else {
+      await checkHash(verifyHash.trim());
+    }
+  };
+
+  /**
+   * Run a by-hash lookup and show the result
+   */
+  const checkHash = async (hash) => {
+    try {
+      setIsVerifying(true);
+      setVerifyResult(null);
+      setVerifyResult(await lookupHash(hash));
+    } catch (error) {
+      console.error('Verification error:', error);
+      setVerifyResult({ error: describeVerifyError(error) });
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Verify by text: rebuild the record from prompt + output + salt,
+   * recompute its hash, then check that hash on-chain
+   */
+  const handleVerifyText = async (e) => {
+    e.preventDefault();
+
+    if (!reader) {
+      setVerifyResult({ error: NO_READER_MESSAGE });
+      return;
+    }
+
+    let record;
+    try {
+      record = recordFromParts({
+        prompt: verifyPrompt,
+        output: verifyOutput,
+        salt: verifySalt,
+        generation: verifyGeneration,
+      });
+    } catch (error) {
+      setVerifyResult({ error: error.message });
+      return;
+    }
+
+    try {
+      setIsVerifying(true);
+      setVerifyResult(null);
+      const hash = await hashRecord(record);
+      setVerifyResult(await lookupHash(hash, record));
+    } catch (error) {
+      console.error('Verification error:', error);
+      setVerifyResult({ error: describeVerifyError(error) });
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Jump to the Verify tab and check a hash right away
+   * Used by the portfolio's one-click verify buttons
+   */
+  const openVerify = async (hash) => {
+    const normalized = hash.toLowerCase();
+
+    // Already on /verify/<hash>: the route effect won't fire again, so check directly
+    if (route.tab === 'verify' && route.hash === normalized) {
+      await checkHash(normalized);
+      return;
+    }
+    navigate(paths.verify(normalized));
+  };
+
+  /**
+   * Deep links: /verify/0x… fills in the hash and checks it as soon as there
+   * is a registry to read from (right away without a wallet, and again through
+   * the wallet's chain once it connects)
+   */
+  const latestCheckHash = useRef(checkHash);
+  useEffect(() => {
+    latestCheckHash.current = checkHash;
+  });
+  useEffect(() => {
+    if (route.tab !== 'verify' || !route.hash) return;
+    setVerifyMode('hash');
+    setVerifyHash(route.hash);
+    if (reader) {
+      // Through the ref: checkHash changes every render, the link only when these deps do
+      latestCheckHash.current(route.hash);
+    }
+  }, [route.tab, route.hash, reader]);
+
+  /**
+   * Check an uploaded certificate (JSON or HTML) claim by claim
+   */
+  const handleCertificateFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsVerifying(true);
+      setVerifyResult(null);
+      const certificate = parseCertificate(await readFileAsText(file));
+      const checks = await verifyCertificate(certificate, {
+        contract: reader?.contract ?? null,
+        provider: readProvider,
+        chainId: readSource?.chainId ?? null,
+      });
+      setVerifyResult({ certificate, checks, source: readSource });
     } catch (error) {
-      console.error('Registration error:', error);
-      
-      // Show specific error messages
-      if (error.message.includes('user rejected')) {
-        setRegisterStatus('❌ You rejected the transaction in MetaMask');
-      } else if (error.message.includes('already registered')) {
-        setRegisterStatus('❌ This content is already registered!');
-      } else {
-        setRegisterStatus(`❌ Error: ${error.message}`);
-      }
-      
+      console.error('Certificate verification error:', error);
+      setVerifyResult({ error: describeVerifyError(error) });
     } finally {
-      setIsRegistering(false);
+      setIsVerifying(false);
     }
   };
 
-  
-  // ========== VERIFY FUNCTION ==========
-  
   /**
-   * Verify if content exists on the blockchain
-   * This is called when user clicks "Verify Content"
+   * Check that an item belongs to a registered batch root
+   * The proof is also replayed locally so a failure can say which part is wrong
    */
-  const handleVerify = async (e) => {
+  const checkBatchItem = async (itemHash, proof, merkleRoot) => {
+    const { included, author, timestamp, registeredAt, itemCount } = await reader.verifyBatchItem(
+      itemHash, proof, merkleRoot
+    );
+    const registered = author !== null;
+    const proofLeadsToRoot = processProof(itemHash, proof) === merkleRoot.toLowerCase();
+
+    return {
+      hash: itemHash.toLowerCase(),
+      batch: {
+        included,
+        registered,
+        proofLeadsToRoot,
+        merkleRoot,
+        itemCount,
+        author,
+        timestamp: registered ? registeredAt.toLocaleString() : null,
+        timestampUnix: String(timestamp),
+      },
+      source: readSource,
+    };
+  };
+
+  const handleVerifyBatch = async (e) => {
     e.preventDefault();
 
-    // Validation
-    if (!isConnected) {
-      setVerifyResult({ error: 'Please connect your wallet first' });
+    if (!reader) {
+      setVerifyResult({ error: NO_READER_MESSAGE });
       return;
     }
-
-    if (!contract) {
-      setVerifyResult({ error: 'Contract not initialized' });
+    if (!isContentHash(verifyHash) || !isContentHash(verifyBatchRoot)) {
+      setVerifyResult({ error: 'Item hash and Merkle root must both be 0x followed by 64 hex characters' });
       return;
     }
 
-    if (!verifyHash.trim()) {
-      setVerifyResult({ error: 'Please enter a content hash to verify' });
-      return;
+    try {
+      setIsVerifying(true);
+      setVerifyResult(null);
+      const proof = parseProofList(verifyBatchProof);
+      setVerifyResult(await checkBatchItem(verifyHash.trim(), proof, verifyBatchRoot.trim()));
+    } catch (error) {
+      console.error('Batch verification error:', error);
+      setVerifyResult({ error: describeVerifyError(error) });
+    } finally {
+      setIsVerifying(false);
     }
+  };
+
+  /**
+   * Load a downloaded batch item proof into the batch form
+   */
+  const handleBatchProofFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
 
     try {
-      setIsVerifying(true);
+      const itemProof = await parseBatchItemProof(await readFileAsText(file));
+      setVerifyHash(itemProof.itemHash);
+      setVerifyBatchRoot(itemProof.merkleRoot);
+      setVerifyBatchProof(itemProof.proof.join('\n'));
       setVerifyResult(null);
+    } catch (error) {
+      setVerifyResult({ error: error.message });
+    }
+  };
 
-      // Call the smart contract to verify
-      const [exists, author, timestamp, promptIPFS] = await contract.verifyContent(
-        verifyHash
-      );
+  /**
+   * Decrypt shared content on the Verify tab and check it against the hash
+   */
+  const handleDecrypt = async () => {
+    const { envelope } = verifyResult.published;
+    try {
+      setIsDecrypting(true);
+      const key = await getEncryptionKey();
+      const text = await decryptEnvelope(envelope, account, key);
+      const record = await verifyRecordText(text, verifyResult.hash);
+      const summary = recordSummary(record);
+      setVerifyResult((prev) => ({
+        ...prev,
+        published: { ...prev.published, record },
+        conversation: isConversationRecord(record) ? record : prev.conversation,
+        promptSnippet: truncateSnippet(summary.prompt),
+        responseSnippet: truncateSnippet(summary.output),
+        publishedError: null,
+      }));
+    } catch (error) {
+      console.error('Decryption error:', error);
+      setVerifyResult((prev) => ({ ...prev, publishedError: error.shortMessage || error.message }));
+    } finally {
+      setIsDecrypting(false);
+    }
+  };
 
-      if (exists) {
-        // Content found! Format results nicely
-        const date = new Date(Number(timestamp) * 1000).toLocaleString();
-        const shortAddress = `${author.substring(0, 6)}...${author.substring(38)}`;
-        const localRecord = loadLocalRecord(verifyHash);
-        const promptSnippet = localRecord?.prompt
-          ? truncateSnippet(localRecord.prompt)
-          : 'Mock prompt snippet (not on-chain)';
-        const responseSnippet = localRecord?.output
-          ? truncateSnippet(localRecord.output)
-          : 'Mock response snippet (not on-chain)';
-        
-        setVerifyResult({
-          exists: true,
-          author: shortAddress,
-          fullAuthor: author,
-          timestamp: date,
-          timestampUnix: timestamp.toString(),
-          promptIPFS,
-          promptSnippet,
-          responseSnippet,
-        });
-      } else {
-        // Content not found
-        setVerifyResult({ exists: false });
+  /**
+   * Load a downloaded proof file into the verify-by-text form
+   * Conversations don't fit the form, so they are checked right away
+   */
+  const handleProofFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { record } = parseProofFile(await readFileAsText(file));
+      if (isConversationRecord(record)) {
+        setIsVerifying(true);
+        setVerifyResult(null);
+        setVerifyResult(await lookupHash(await hashRecord(record), record));
+        return;
       }
-      
+      setVerifyPrompt(record.prompt);
+      setVerifyOutput(record.output);
+      setVerifySalt(record.scheme === LEGACY_SCHEME ? record.timestamp : record.salt);
+      setVerifyGeneration(record.generation ? JSON.stringify(record.generation) : '');
+      setVerifyResult(null);
     } catch (error) {
-      console.error('Verification error:', error);
-      
-      if (error.message.includes('invalid input')) {
-        setVerifyResult({ error: 'Invalid hash format. Must be 0x... hex string' });
-      } else if (error.message.includes('not found')) {
-        setVerifyResult({ error: 'Content not found in registry' });
-      } else {
-        setVerifyResult({ error: error.message || 'Verification failed' });
-      }
-      
+      setVerifyResult({ error: describeVerifyError(error) });
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Check a conversation turn proof: offline first (turn → turns root →
+   * content hash), then that the content hash is registered on-chain
+   */
+  const handleTurnProofFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsVerifying(true);
+      setVerifyResult(null);
+      const { contentHash, header, turn } = parseTurnProof(await readFileAsText(file));
+      const result = await lookupHash(contentHash);
+      setVerifyResult({ ...result, turnProof: { ...turn, turnCount: header.turnCount } });
+    } catch (error) {
+      console.error('Turn proof verification error:', error);
+      setVerifyResult({ error: describeVerifyError(error) });
     } finally {
       setIsVerifying(false);
     }
   };
 
+  /**
+   * Download the proof that one turn belongs to a verified conversation
+   */
+  const downloadTurnProof = (record, hash, index) => {
+    downloadJson(`turn-proof-${hash.substring(2, 14)}-${index + 1}.json`, buildTurnProof(record, index, hash));
+  };
+
   
   // ========== UI RENDERING ==========
   
@@ -888,6 +1512,29 @@ export default function App() {
             }
           </button>
         </div>
+        {isConnected && !isSupportedChain(chainId) && (
+          <div className="network-banner">
+            ⚠️ Your wallet is on <strong>{chainName(chainId)}</strong>, where Proof of Prompt isn't deployed.
+            {supportedChains().map((chain) => (
+              <button
+                key={chain.chainId}
+                type="button"
+                className="preview-btn"
+                onClick={() => handleSwitchNetwork(chain.chainId)}
+              >
+                Switch to {chain.name}
+              </button>
+            ))}
+          </div>
+        )}
+        {isConnected && deploymentWarnings.length > 0 && (
+          <div className="network-banner">
+            ⚠️ Deployment mismatch on {chainName(chainId)}:
+            <ul>
+              {deploymentWarnings.map((warning) => <li key={warning}>{warning}</li>)}
+            </ul>
+          </div>
+        )}
         {stats.total > 0 && (
           <div className="stats-bar">
             📊 {stats.total} pieces of content registered on blockchain
@@ -902,16 +1549,36 @@ export default function App() {
         <div className="tabs">
           <button
             className={`tab-btn ${activeTab === 'register' ? 'active' : ''}`}
-            onClick={() => setActiveTab('register')}
+            onClick={() => navigate(paths.register())}
           >
             📝 Register
           </button>
           <button
             className={`tab-btn ${activeTab === 'verify' ? 'active' : ''}`}
-            onClick={() => setActiveTab('verify')}
+            onClick={() => navigate(paths.verify())}
           >
             ✅ Verify
           </button>
+          <button
+            className={`tab-btn ${activeTab === 'portfolio' ? 'active' : ''}`}
+            onClick={() => navigate(paths.portfolio())}
+          >
+            📚 My Registrations
+          </button>
+          <button
+            className={`tab-btn ${activeTab === 'explorer' ? 'active' : ''}`}
+            onClick={() => navigate(paths.explorer())}
+          >
+            🧭 Explorer
+          </button>
+          {isAdmin && (
+            <button
+              className={`tab-btn ${activeTab === 'admin' ? 'active' : ''}`}
+              onClick={() => navigate(paths.admin())}
+            >
+              🛡️ Admin
+            </button>
+          )}
         </div>
 
         {/* ========== REGISTER TAB ========== */}
@@ -922,76 +1589,273 @@ export default function App() {
               Register AI-generated content to prove you created it first. 
               Your hash will be permanently stored on the blockchain.
             </p>
+
+            <div className="mode-toggle">
+              <button
+                type="button"
+                className={`mode-btn ${registerMode === 'single' ? 'active' : ''}`}
+                onClick={() => setRegisterMode('single')}
+                disabled={isRegistering || isGenerating}
+              >
+                📝 Prompt &amp; Output
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${registerMode === 'conversation' ? 'active' : ''}`}
+                onClick={() => setRegisterMode('conversation')}
+                disabled={isRegistering || isGenerating}
+              >
+                💬 Conversation
+              </button>
+            </div>
             
             <form onSubmit={handleRegister}>
-              <div className="form-group">
-                <label htmlFor="prompt">
-                  Original Prompt
-                  <span className="required">*</span>
-                </label>
-                <textarea
-                  id="prompt"
-                  placeholder="Enter the exact prompt you gave to the AI (e.g., 'Write a poem about cats')"
-                  value={prompt}
-                  onChange={(e) => setPrompt(e.target.value)}
-                  disabled={!isConnected || isRegistering}
-                  rows="4"
-                />
-                <small>{prompt.length} characters</small>
-              </div>
-
-              <div className="form-group">
-                <label htmlFor="output">
-                  AI Output
-                  <span className="required">*</span>
-                </label>
-                <textarea
-                  id="output"
-                  placeholder="Paste the complete AI-generated response you want to register"
-                  value={output}
-                  onChange={(e) => setOutput(e.target.value)}
-                  disabled={!isConnected || isRegistering || isGenerating}
-                  rows="4"
-                />
-                <small>{output.length} characters</small>
-              </div>
+              {registerMode === 'conversation' ? (
+                <div className="form-group">
+                  <label>
+                    Conversation
+                    <span className="required">*</span>
+                  </label>
+                  <ConversationEditor
+                    messages={conversation}
+                    onChange={setConversation}
+                    onContinue={handleContinueConversation}
+                    onCancel={handleCancelGeneration}
+                    isGenerating={isGenerating}
+                    canRegenerate={Boolean(conversationGeneration())}
+                    modelId={aiModelId}
+                    disabled={!isConnected || isRegistering}
+                  />
+                  <small>
+                    Every turn is hashed into the record, so any single turn can later be proven
+                    to belong to it without revealing the others.
+                  </small>
+                </div>
+              ) : (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="prompt">
+                      Original Prompt
+                      <span className="required">*</span>
+                    </label>
+                    <textarea
+                      id="prompt"
+                      placeholder="Enter the exact prompt you gave to the AI (e.g., 'Write a poem about cats')"
+                      value={prompt}
+                      onChange={(e) => setPrompt(e.target.value)}
+                      disabled={!isConnected || isRegistering}
+                      rows="4"
+                    />
+                    <small>{prompt.length} characters</small>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="output">
+                      AI Output
+                      <span className="required">*</span>
+                    </label>
+                    <textarea
+                      id="output"
+                      placeholder="Paste the complete AI-generated response you want to register"
+                      value={output}
+                      onChange={(e) => setOutput(e.target.value)}
+                      disabled={!isConnected || isRegistering || isGenerating}
+                      rows="4"
+                    />
+                    <small>{output.length} characters</small>
+                  </div>
+                </>
+              )}
 
               <div className="form-group">
-                <button
-                  type="button"
-                  className="preview-btn"
-                  onClick={async () => {
-                    try {
-                      setIsGenerating(true);
-                      setRegisterStatus('⏳ Generating AI output with GPT-4.1...');
-                      const aiText = await generateAIOutput(prompt);
-                      setOutput(aiText);
-                      setRegisterStatus('✅ AI output generated');
-                    } catch (err) {
-                      setRegisterStatus(`❌ AI generation failed: ${err?.message || 'Unknown error'}`);
-                    } finally {
-                      setIsGenerating(false);
-                    }
-                  }}
-                  disabled={!isConnected || isGenerating || isRegistering || !prompt.trim()}
-                >
-                  {isGenerating ? '⏳ Generating...' : '✨ Generate with GPT-4.1'}
-                </button>
-                {!BYTEZ_API_KEY && (
+                <label>AI Generation</label>
+                <div className="ai-settings">
+                  <select
+                    aria-label="AI provider"
+                    value={aiProvider.id}
+                    onChange={(e) => { setAiProviderId(e.target.value); setAiModel(''); }}
+                    disabled={isGenerating || isRegistering}
+                  >
+                    {aiProviders.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}{p.isConfigured ? '' : ' (not configured)'}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label="Model"
+                    value={aiModelId}
+                    onChange={(e) => setAiModel(e.target.value)}
+                    disabled={isGenerating || isRegistering}
+                  >
+                    {aiProvider.models.map((model) => (
+                      <option key={model} value={model}>{model}</option>
+                    ))}
+                  </select>
+                  <label className="ai-param">
+                    Max tokens
+                    <input
+                      type="number"
+                      {...PARAM_LIMITS.maxTokens}
+                      value={aiParams.maxTokens}
+                      onChange={(e) => setAiParams({ ...aiParams, maxTokens: Number(e.target.value) })}
+                      disabled={isGenerating || isRegistering}
+                    />
+                  </label>
+                  <label className="ai-param">
+                    Temperature
+                    <input
+                      type="number"
+                      {...PARAM_LIMITS.temperature}
+                      value={aiParams.temperature}
+                      onChange={(e) => setAiParams({ ...aiParams, temperature: Number(e.target.value) })}
+                      disabled={isGenerating || isRegistering}
+                    />
+                  </label>
+                </div>
+                {registerMode === 'single' && (isGenerating ? (
+                  <button type="button" className="preview-btn" onClick={handleCancelGeneration}>
+                    ⏹️ Cancel generation
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="preview-btn"
+                    onClick={handleGenerate}
+                    disabled={!isConnected || isRegistering || !prompt.trim()}
+                  >
+                    {promptCandidates.length > 0 ? `🔁 Regenerate with ${aiModelId}` : `✨ Generate with ${aiModelId}`}
+                  </button>
+                ))}
+                {!aiProvider.isConfigured && (
+                  <small style={{ display: 'block', marginTop: '8px' }}>
+                    ⚠️ {aiProvider.name} is not configured. {aiProvider.setupHint}
+                  </small>
+                )}
+                {registerMode === 'single' && promptCandidates.length > 1 && (
+                  <div className="candidate-list">
+                    <small>Candidates for this prompt (pick the one to register):</small>
+                    {promptCandidates.map((candidate, index) => (
+                      <label
+                        key={candidate.id}
+                        className={`candidate ${candidate.id === selectedCandidateId ? 'selected' : ''}`}
+                      >
+                        <input
+                          type="radio"
+                          name="candidate"
+                          checked={candidate.id === selectedCandidateId && candidate.text === output}
+                          onChange={() => {
+                            setSelectedCandidateId(candidate.id);
+                            setOutput(candidate.text);
+                          }}
+                          disabled={isGenerating || isRegistering}
+                        />
+                        <span>
+                          <strong>#{index + 1}</strong> · {candidate.generation.model} ·{' '}
+                          {candidate.text.length > 120 ? `${candidate.text.slice(0, 120)}…` : candidate.text}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {!isGenerating && (registerMode === 'conversation' ? conversationGeneration() : chosenGeneration()) && (
                   <small style={{ display: 'block', marginTop: '8px' }}>
-                    ⚠️ Bytez API key missing. Set <code>VITE_BYTEZ_API_KEY</code> in your .env.local
+                    🤖 Will be recorded as generated by {describeGeneration(
+                      registerMode === 'conversation' ? conversationGeneration() : chosenGeneration()
+                    )}
                   </small>
                 )}
               </div>
 
+              {registry?.supportsMetadata() && (
+                <div className="form-group">
+                  <label htmlFor="content-type">Content Type</label>
+                  <select
+                    id="content-type"
+                    value={contentTypeChoice}
+                    onChange={(e) => setContentTypeChoice(e.target.value)}
+                    disabled={isRegistering}
+                  >
+                    <option value="auto">Automatic ({contentTypeLabel(registerMode === 'conversation' ? 'conversation' : 'text')})</option>
+                    {CONTENT_TYPES.map((type) => (
+                      <option key={type.id} value={type.id}>{type.label}</option>
+                    ))}
+                  </select>
+                  <small>
+                    Recorded on-chain with the model and a hash of the generation parameters
+                    (when the output is unedited AI output), so registrations can be audited and filtered by type.
+                  </small>
+                </div>
+              )}
+
+              {contentStorage && (
+                <div className="form-group">
+                  <label htmlFor="publish-mode">Publish Full Content ({contentStorage.name} storage)</label>
+                  <select
+                    id="publish-mode"
+                    value={publishMode}
+                    onChange={(e) => setPublishMode(e.target.value)}
+                    disabled={isRegistering}
+                  >
+                    <option value="none">Keep private (this browser only)</option>
+                    <option value="public">Public: anyone with the hash can read it</option>
+                    <option value="encrypted">Encrypted: only addresses I share with</option>
+                  </select>
+                  {publishMode === 'public' && (
+                    <small>The prompt, output and salt are published, so anyone can re-check the content.</small>
+                  )}
+                  {publishMode === 'encrypted' && (
+                    <>
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={shareWithOwner}
+                          onChange={(e) => setShareWithOwner(e.target.checked)}
+                          disabled={isRegistering}
+                        />
+                        Share with the contract owner
+                      </label>
+                      <input
+                        type="text"
+                        placeholder="Other addresses to share with (0x…, comma separated)"
+                        value={shareWith}
+                        onChange={(e) => setShareWith(e.target.value)}
+                        disabled={isRegistering}
+                      />
+                      <small>
+                        Encrypted in your browser with a key derived from a wallet signature. You can always
+                        decrypt it; others need to have published their encryption key.
+                      </small>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {RELAYER_URL && (
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={useRelayer}
+                      onChange={(e) => setUseRelayer(e.target.checked)}
+                      disabled={isRegistering}
+                    />
+                    ⛽ Gasless: sign only, the relayer pays the gas
+                  </label>
+                  <small>
+                    You sign a message in MetaMask instead of sending a transaction. You are still recorded as the author.
+                  </small>
+                </div>
+              )}
+
               <button
                 type="submit"
                 className="submit-btn"
-                disabled={!isConnected || isRegistering || isGenerating || !prompt.trim()}
+                disabled={!isConnected || isRegistering || isGenerating || !hasRegisterContent}
               >
                 {isRegistering 
                   ? '⏳ Registering on blockchain...' 
-                  : '🚀 Register Content'
+                  : registerMode === 'conversation' ? '🚀 Register Conversation' : '🚀 Register Content'
                 }
               </button>
             </form>
@@ -1003,9 +1867,77 @@ export default function App() {
                 'error'
               }`}>
                 <p>{registerStatus}</p>
+                {lastProof && registerStatus.includes('✅') && (
+                  <button
+                    type="button"
+                    className="preview-btn"
+                    onClick={() => downloadJson(`proof-${lastProof.hash.substring(2, 14)}.json`, lastProof)}
+                  >
+                    💾 Download proof file
+                  </button>
+                )}
+                {lastCertificate && registerStatus.includes('✅') && (
+                  <>
+                    <button
+                      type="button"
+                      className="preview-btn"
+                      onClick={() => downloadCertificate(lastCertificate, 'json')}
+                    >
+                      📜 Certificate (JSON)
+                    </button>
+                    <button
+                      type="button"
+                      className="preview-btn"
+                      onClick={() => downloadCertificate(lastCertificate, 'html')}
+                    >
+                      🖨️ Certificate (HTML)
+                    </button>
+                  </>
+                )}
+                {claimConflict && registerStatus.includes('❌') && (
+                  <div className="claim-conflict">
+                    <p>
+                      Registered by <code>{claimConflict.author}</code> on {claimConflict.registeredAt.toLocaleString()}.
+                      If you made this content, you can put your claim on record: it won't change the
+                      registration, but it will be shown to everyone who verifies this hash.
+                    </p>
+                    {claimConflict.claimed ? (
+                      <small>✅ Your claim is on record</small>
+                    ) : (
+                      <button
+                        type="button"
+                        className="preview-btn"
+                        onClick={handleRecordClaim}
+                        disabled={claimConflict.isSending}
+                      >
+                        {claimConflict.isSending ? '⏳ Recording claim...' : '⚑ Record my claim on-chain'}
+                      </button>
+                    )}
+                    {claimConflict.error && <p>❌ {claimConflict.error}</p>}
+                  </div>
+                )}
               </div>
             )}
 
+            <TxQueuePanel
+              entries={txEntries}
+              chainId={chainId}
+              onRetry={handleRetry}
+              onDismiss={removeTxEntry}
+              onClearFinished={clearFinishedTx}
+              onCertificate={handleEntryCertificate}
+              disabled={!isConnected || isRegistering}
+            />
+
+            <BatchRegisterPanel
+              registry={registry}
+              account={account}
+              chainId={chainId}
+              contractAddress={contractAddress}
+              isConnected={isConnected}
+              saveLocalRecord={saveLocalRecord}
+            />
+
             {!isConnected && (
               <div className="info-box">
                 ℹ️ Connect your MetaMask wallet above to register content
@@ -1020,38 +1952,283 @@ export default function App() {
             <h2>Verify Content</h2>
             <p className="tab-description">
               Enter a content hash to verify if it was registered on the blockchain 
-              and see who registered it and when.
+              and see who registered it and when. Or paste the original prompt, output 
+              and salt to recompute the hash yourself. Items registered in a batch are
+              checked with their inclusion proof, and a single turn of a registered
+              conversation with its turn proof. Edited copies of registered outputs
+              can be found with Similar Content.
             </p>
-            
-            <form onSubmit={handleVerify}>
+
+            <div className="mode-toggle">
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'hash' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('hash'); setVerifyResult(null); }}
+              >
+                🔑 By Hash
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'text' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('text'); setVerifyResult(null); }}
+              >
+                📄 By Text
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'certificate' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('certificate'); setVerifyResult(null); }}
+              >
+                📜 Certificate
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'batch' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('batch'); setVerifyResult(null); }}
+              >
+                📦 Batch Item
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'turn' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('turn'); setVerifyResult(null); }}
+              >
+                💬 Conversation Turn
+              </button>
+              <button
+                type="button"
+                className={`mode-btn ${verifyMode === 'similar' ? 'active' : ''}`}
+                onClick={() => { setVerifyMode('similar'); setVerifyResult(null); }}
+              >
+                🧬 Similar Content
+              </button>
+            </div>
+
+            {verifyMode === 'hash' && (
+              <form onSubmit={handleVerify}>
+                <div className="form-group">
+                  <label htmlFor="hash">
+                    Content Hash
+                    <span className="required">*</span>
+                  </label>
+                  <textarea
+                    id="hash"
+                    placeholder="Paste the content hash here (starts with 0x and is 66 characters long)"
+                    value={verifyHash}
+                    onChange={(e) => setVerifyHash(e.target.value)}
+                    disabled={!reader || isVerifying}
+                    rows="3"
+                  />
+                  <small>Hash must be 66 characters (0x + 64 hex digits)</small>
+                </div>
+
+                <button
+                  type="submit"
+                  className="submit-btn"
+                  disabled={!reader || isVerifying || !verifyHash.trim()}
+                >
+                  {isVerifying ? '⏳ Verifying...' : '🔍 Verify Content'}
+                </button>
+              </form>
+            )}
+
+            {verifyMode === 'text' && (
+              <form onSubmit={handleVerifyText}>
+                <div className="form-group">
+                  <label htmlFor="verify-prompt">
+                    Original Prompt
+                    <span className="required">*</span>
+                  </label>
+                  <textarea
+                    id="verify-prompt"
+                    placeholder="Paste the exact prompt that was registered"
+                    value={verifyPrompt}
+                    onChange={(e) => setVerifyPrompt(e.target.value)}
+                    disabled={!reader || isVerifying}
+                    rows="4"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="verify-output">
+                    AI Output
+                    <span className="required">*</span>
+                  </label>
+                  <textarea
+                    id="verify-output"
+                    placeholder="Paste the exact AI output that was registered"
+                    value={verifyOutput}
+                    onChange={(e) => setVerifyOutput(e.target.value)}
+                    disabled={!reader || isVerifying}
+                    rows="4"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="verify-salt">
+                    Salt
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    id="verify-salt"
+                    type="text"
+                    placeholder="0x… salt from your proof file (or the millisecond timestamp for older hashes)"
+                    value={verifySalt}
+                    onChange={(e) => setVerifySalt(e.target.value)}
+                    disabled={!reader || isVerifying}
+                  />
+                  <input
+                    id="verify-generation"
+                    type="text"
+                    placeholder='Generation details, if the record has them: {"provider":…,"model":…,"params":{…}}'
+                    value={verifyGeneration}
+                    onChange={(e) => setVerifyGeneration(e.target.value)}
+                    disabled={!reader || isVerifying}
+                  />
+                  <small>
+                    Or load a proof file:{' '}
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      className="file-input"
+                      onChange={handleProofFile}
+                      disabled={!reader || isVerifying}
+                    />
+                  </small>
+                </div>
+
+                <button
+                  type="submit"
+                  className="submit-btn"
+                  disabled={!reader || isVerifying || !verifySalt.trim()}
+                >
+                  {isVerifying ? '⏳ Verifying...' : '🔍 Recompute & Verify'}
+                </button>
+              </form>
+            )}
+
+            {verifyMode === 'certificate' && (
               <div className="form-group">
-                <label htmlFor="hash">
-                  Content Hash
+                <label htmlFor="verify-certificate">
+                  Proof Certificate
                   <span className="required">*</span>
                 </label>
-                <textarea
-                  id="hash"
-                  placeholder="Paste the content hash here (starts with 0x and is 66 characters long)"
-                  value={verifyHash}
-                  onChange={(e) => setVerifyHash(e.target.value)}
-                  disabled={!isConnected || isVerifying}
-                  rows="3"
+                <input
+                  id="verify-certificate"
+                  type="file"
+                  accept="application/json,.json,text/html,.html"
+                  onChange={handleCertificateFile}
+                  disabled={!reader || isVerifying}
                 />
-                <small>Hash must be 66 characters (0x + 64 hex digits)</small>
+                <small>
+                  {isVerifying
+                    ? '⏳ Checking every claim against the blockchain...'
+                    : 'Upload a certificate (.json or .html) to check each claim against the chain'}
+                </small>
               </div>
+            )}
 
-              <button
-                type="submit"
-                className="submit-btn"
-                disabled={!isConnected || isVerifying || !verifyHash.trim()}
-              >
-                {isVerifying ? '⏳ Verifying...' : '🔍 Verify Content'}
-              </button>
-            </form>
+            {verifyMode === 'turn' && (
+              <div className="form-group">
+                <label htmlFor="verify-turn-proof">
+                  Turn Proof
+                  <span className="required">*</span>
+                </label>
+                <input
+                  id="verify-turn-proof"
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleTurnProofFile}
+                  disabled={!reader || isVerifying}
+                />
+                <small>
+                  {isVerifying
+                    ? '⏳ Checking the turn against the registered conversation...'
+                    : 'Upload a turn proof (downloaded from a verified conversation) to check that the turn is part of it'}
+                </small>
+              </div>
+            )}
+
+            {verifyMode === 'similar' && (
+              <SimilarContentPanel
+                registry={reader}
+                readSource={readSource}
+                fingerprints={fingerprints}
+                listLocalRecords={localRecords.list}
+                loadLocalRecord={localRecords.load}
+                onVerify={openVerify}
+              />
+            )}
+
+            {verifyMode === 'batch' && (
+              <form onSubmit={handleVerifyBatch}>
+                <div className="form-group">
+                  <label htmlFor="batch-item-hash">
+                    Item Hash
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    id="batch-item-hash"
+                    type="text"
+                    placeholder="0x… content hash of the item"
+                    value={verifyHash}
+                    onChange={(e) => setVerifyHash(e.target.value)}
+                    disabled={!reader || isVerifying}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="batch-root">
+                    Merkle Root
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    id="batch-root"
+                    type="text"
+                    placeholder="0x… root registered for the batch"
+                    value={verifyBatchRoot}
+                    onChange={(e) => setVerifyBatchRoot(e.target.value)}
+                    disabled={!reader || isVerifying}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="batch-proof">Inclusion Proof</label>
+                  <textarea
+                    id="batch-proof"
+                    placeholder="Sibling hashes, one per line (empty for a single-item batch)"
+                    value={verifyBatchProof}
+                    onChange={(e) => setVerifyBatchProof(e.target.value)}
+                    disabled={!reader || isVerifying}
+                    rows="4"
+                  />
+                  <small>
+                    Or load a batch item proof:{' '}
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      className="file-input"
+                      onChange={handleBatchProofFile}
+                      disabled={!reader || isVerifying}
+                    />
+                  </small>
+                </div>
+
+                <button
+                  type="submit"
+                  className="submit-btn"
+                  disabled={!reader || isVerifying || !verifyHash.trim() || !verifyBatchRoot.trim()}
+                >
+                  {isVerifying ? '⏳ Verifying...' : '🔍 Verify Batch Item'}
+                </button>
+              </form>
+            )}
 
             {verifyResult && (
               <div className={`verify-result ${
                 verifyResult.error ? 'error' : 
+                verifyResult.batch ? (verifyResult.batch.included ? 'verified' : 'not-found') :
+                verifyResult.checks ? (verifyResult.checks.every((c) => c.status === 'pass') ? 'verified' : 'error') :
                 verifyResult.exists ? 'verified' : 
                 'not-found'
               }`}>
@@ -1065,6 +2242,46 @@ export default function App() {
                 {verifyResult.exists && (
                   <>
                     <h3>✅ Content Verified!</h3>
+                    {verifyResult.turnProof && (
+                      <div className="turn-proof-result">
+                        <strong>
+                          ✅ Turn {verifyResult.turnProof.index + 1} of {verifyResult.turnProof.turnCount}
+                          {' '}({verifyResult.turnProof.role}) is part of this registered conversation
+                        </strong>
+                        <pre>{verifyResult.turnProof.content}</pre>
+                      </div>
+                    )}
+                    {/* Moderation flag: the registration stands, but admins have labelled it */}
+                    {verifyResult.flag && (
+                      <div className={`flag-banner flag-${verifyResult.flag.status}`}>
+                        <strong>{verifyResult.flag.label}</strong>
+                        <p>{verifyResult.flag.reason}</p>
+                        <small>
+                          Flagged by <code>{verifyResult.flag.flaggedBy}</code> on {verifyResult.flag.flaggedAt.toLocaleString()}
+                        </small>
+                      </div>
+                    )}
+                    {/* Claim conflicts: others who said they made it, after it was registered */}
+                    {verifyResult.claimAttempts?.length > 0 && (
+                      <div className="flag-banner claim-attempts">
+                        <strong>
+                          ⚠️ Also claimed by {verifyResult.claimAttempts.length} other address
+                          {verifyResult.claimAttempts.length === 1 ? '' : 'es'}
+                        </strong>
+                        <p>
+                          They tried to register this content after {verifyResult.author} did.
+                          The registration stays with the first author.
+                        </p>
+                        <ul className="recipient-list">
+                          {verifyResult.claimAttempts.map((attempt) => (
+                            <li key={attempt.claimant}>
+                              <code>{attempt.claimant}</code>
+                              <small> on {attempt.claimedAt.toLocaleString()}</small>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                     {/* Summary card with required fields */}
                     <div className="summary-card">
                       <div className="summary-row">
@@ -1075,6 +2292,28 @@ export default function App() {
                         <strong>Response snippet:</strong>
                         <span className="summary-value">{verifyResult.responseSnippet}</span>
                       </div>
+                      {verifyResult.generation && (
+                        <div className="summary-row">
+                          <strong>Generated by:</strong>
+                          <span className="summary-value">{describeGeneration(verifyResult.generation)}</span>
+                        </div>
+                      )}
+                      {verifyResult.metadata?.modelId && (
+                        <div className="summary-row">
+                          <strong>Model (on-chain):</strong>
+                          <span className="summary-value">
+                            {verifyResult.metadata.modelId}
+                            {verifyResult.metadataMatches === true && ' ✅ matches the record'}
+                            {verifyResult.metadataMatches === false && ' ⚠️ differs from the record'}
+                          </span>
+                        </div>
+                      )}
+                      {verifyResult.metadata?.contentType && (
+                        <div className="summary-row">
+                          <strong>Content type:</strong>
+                          <span className="summary-value">{contentTypeLabel(verifyResult.metadata.contentType)}</span>
+                        </div>
+                      )}
                       <div className="summary-row">
                         <strong>Registered By:</strong>
                         <code className="summary-code">{verifyResult.author}</code>
@@ -1105,6 +2344,24 @@ export default function App() {
                         <strong>Timestamp (Unix):</strong>
                         <code>{verifyResult.timestampUnix}</code>
                       </div>
+                      {verifyResult.recomputedHash && (
+                        <>
+                          <div className="detail-row">
+                            <strong>Recomputed Hash:</strong>
+                            <code>{verifyResult.recomputedHash}</code>
+                          </div>
+                          <div className="detail-row">
+                            <strong>Hash Scheme:</strong>
+                            <code>{verifyResult.scheme}</code>
+                          </div>
+                        </>
+                      )}
+                      {verifyResult.metadata?.paramsHash && (
+                        <div className="detail-row">
+                          <strong>Params Hash:</strong>
+                          <code>{verifyResult.metadata.paramsHash}</code>
+                        </div>
+                      )}
                       {verifyResult.promptIPFS && verifyResult.promptIPFS.trim() && (
                         <div className="detail-row">
                           <strong>IPFS Hash:</strong>
@@ -1112,69 +2369,300 @@ export default function App() {
                         </div>
                       )}
                     </div>
+                    {verifyResult.published?.record && (
+                      <div className="published-content">
+                        <h4>
+                          {verifyResult.published.envelope ? '🔓 Decrypted Content' : '📖 Published Content'} (hash verified)
+                        </h4>
+                        {isConversationRecord(verifyResult.published.record) ? (
+                          <small>💬 A conversation of {verifyResult.published.record.messages.length} turns (below)</small>
+                        ) : (
+                          <>
+                            <strong>Prompt</strong>
+                            <pre>{verifyResult.published.record.prompt}</pre>
+                            <strong>Output</strong>
+                            <pre>{verifyResult.published.record.output}</pre>
+                          </>
+                        )}
+                      </div>
+                    )}
+                    {verifyResult.conversation && (
+                      <div className="published-content">
+                        <h4>💬 Conversation ({verifyResult.conversation.messages.length} turns)</h4>
+                        <ol className="conversation-turns">
+                          {verifyResult.conversation.messages.map((message, index) => (
+                            <li key={index} className={`conversation-turn turn-${message.role}`}>
+                              <div className="conversation-turn-header">
+                                <strong>{message.role}</strong>
+                                <small>Turn {index + 1}</small>
+                                <button
+                                  type="button"
+                                  className="preview-btn"
+                                  onClick={() => downloadTurnProof(verifyResult.conversation, verifyResult.hash, index)}
+                                >
+                                  📥 Turn proof
+                                </button>
+                              </div>
+                              <pre>{message.content}</pre>
+                            </li>
+                          ))}
+                        </ol>
+                        <small>
+                          A turn proof shows that one turn belongs to this registration without
+                          revealing the rest of the conversation.
+                        </small>
+                      </div>
+                    )}
+                    {verifyResult.publishedError && (
+                      <p className="error-text">
+                        ⚠️ Could not load the published content: {verifyResult.publishedError}
+                      </p>
+                    )}
                     <p className="success-message">
-                      This content has been permanently recorded on the Sepolia blockchain 
+                      This content has been permanently recorded on {chainName(verifyResult.source?.chainId ?? chainId)} 
                       and cannot be modified or deleted.
                     </p>
-                    {/* Admin Access (Preview) */}
-                    <div className="admin-access">
-                      <button
-                        type="button"
-                        className="preview-btn"
-                        onClick={() => setShowAdminPreview((prev) => !prev)}
-                      >
-                        Admin Access (Preview)
-                      </button>
-                      {showAdminPreview && (
-                        <div className="admin-preview-message">
-                          Admin view: Full prompt and response data can be retrieved securely by authorized users.
-                        </div>
+                    <ShareLinkButton path={paths.verify(verifyResult.hash)} />
+                    {/* Shared access: encrypted content for listed addresses */}
+                    {verifyResult.published?.envelope && !verifyResult.published.record && (
+                      <div className="admin-access">
+                        <h4>🔒 Encrypted Content</h4>
+                        <p className="admin-preview-message">
+                          The full prompt and output are encrypted and shared with{' '}
+                          {verifyResult.published.envelope.recipients.length} address
+                          {verifyResult.published.envelope.recipients.length === 1 ? '' : 'es'}:
+                        </p>
+                        <ul className="recipient-list">
+                          {verifyResult.published.envelope.recipients.map((recipient) => (
+                            <li key={recipient.address}>
+                              <code>{recipient.address}</code>
+                              {recipient.address.toLowerCase() === account?.toLowerCase() && ' (you)'}
+                            </li>
+                          ))}
+                        </ul>
+                        {isRecipient(verifyResult.published.envelope, account) ? (
+                          <button
+                            type="button"
+                            className="preview-btn"
+                            onClick={handleDecrypt}
+                            disabled={isDecrypting}
+                          >
+                            {isDecrypting ? '⏳ Decrypting...' : '🔓 Decrypt & verify'}
+                          </button>
+                        ) : (
+                          <small>Your connected address is not among them.</small>
+                        )}
+                      </div>
+                    )}
+                  </>
+                )}
+                
+                {verifyResult.checks && (
+                  <>
+                    <h3>
+                      {verifyResult.checks.every((c) => c.status === 'pass')
+                        ? '✅ Certificate Verified!'
+                        : '⚠️ Certificate Did Not Fully Verify'}
+                    </h3>
+                    <div className="verification-details">
+                      <div className="detail-row">
+                        <strong>Content Hash:</strong>
+                        <code>{verifyResult.certificate.contentHash}</code>
+                      </div>
+                      <div className="detail-row">
+                        <strong>Author:</strong>
+                        <code>{verifyResult.certificate.registration.author}</code>
+                      </div>
+                    </div>
+                    <ShareLinkButton path={paths.verify(verifyResult.certificate.contentHash)} />
+                    <ul className="check-list">
+                      {verifyResult.checks.map((check) => (
+                        <li key={check.label} className={`check-${check.status}`}>
+                          <span>
+                            {check.status === 'pass' ? '✅' : check.status === 'fail' ? '❌' : '⏭️'} {check.label}
+                          </span>
+                          {check.detail && <small>{check.detail}</small>}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {verifyResult.batch && (
+                  <>
+                    <h3>{verifyResult.batch.included ? '✅ Item Is In A Registered Batch!' : '❌ Item Not Proven'}</h3>
+                    {!verifyResult.batch.included && (
+                      <p className="error-text">
+                        {!verifyResult.batch.proofLeadsToRoot
+                          ? 'The proof does not lead from this item hash to the given Merkle root.'
+                          : 'The proof is valid, but this Merkle root is not registered on this network.'}
+                      </p>
+                    )}
+                    <div className="verification-details">
+                      <div className="detail-row">
+                        <strong>Item Hash:</strong>
+                        <code>{verifyResult.hash}</code>
+                      </div>
+                      <div className="detail-row">
+                        <strong>Merkle Root:</strong>
+                        <code>{verifyResult.batch.merkleRoot}</code>
+                      </div>
+                      {verifyResult.batch.registered && (
+                        <>
+                          <div className="detail-row">
+                            <strong>Batch Registered By:</strong>
+                            <code className="full-address">{verifyResult.batch.author}</code>
+                          </div>
+                          <div className="detail-row">
+                            <strong>Registered On:</strong>
+                            <span>{verifyResult.batch.timestamp}</span>
+                          </div>
+                          <div className="detail-row">
+                            <strong>Timestamp (Unix):</strong>
+                            <code>{verifyResult.batch.timestampUnix}</code>
+                          </div>
+                          <div className="detail-row">
+                            <strong>Items In Batch:</strong>
+                            <span>{verifyResult.batch.itemCount}</span>
+                          </div>
+                        </>
                       )}
                     </div>
                   </>
                 )}
-                
-                {!verifyResult.exists && !verifyResult.error && (
+
+                {!verifyResult.exists && !verifyResult.error && !verifyResult.checks && !verifyResult.batch && (
                   <>
                     <h3>❌ Content Not Found</h3>
                     <p className="error-text">
                       This hash is not registered in the Proof of Prompt registry. 
                       Either the content hasn't been registered yet, or the hash is incorrect.
                     </p>
+                    {verifyResult.recomputedHash && (
+                      <div className="verification-details">
+                        <div className="detail-row">
+                          <strong>Recomputed Hash:</strong>
+                          <code>{verifyResult.recomputedHash}</code>
+                        </div>
+                      </div>
+                    )}
                     <div className="tips">
                       <strong>💡 Tips:</strong>
                       <ul>
                         <li>Make sure you copied the full hash (0x followed by 64 hex characters)</li>
                         <li>The hash is case-insensitive but must be exact</li>
-                        <li>Check that content was registered on the same network (Sepolia)</li>
+                        <li>When verifying by text, the prompt, output and salt must match character for character</li>
+                        <li>Check that content was registered on the same network ({supportedChains().map((chain) => chain.name).join(' / ') || 'see footer'})</li>
                       </ul>
                     </div>
+                    {verifyResult.hash && <ShareLinkButton path={paths.verify(verifyResult.hash)} />}
                   </>
                 )}
+
+                <ReadSource source={verifyResult.source} />
               </div>
             )}
 
-            {!isConnected && (
+            {!reader && (
               <div className="info-box">
                 ℹ️ Connect your MetaMask wallet above to verify content
               </div>
             )}
+            {!isConnected && readOnly && (
+              <div className="info-box">
+                ℹ️ No wallet needed to verify: results come from {chainName(readOnly.chainId)} through{' '}
+                <code>{readOnly.rpcUrl}</code>. Connect a wallet to check another network or decrypt shared content.
+              </div>
+            )}
           </div>
         )}
+
+        {/* ========== PORTFOLIO TAB ========== */}
+        {activeTab === 'portfolio' && (
+          <PortfolioTab
+            registry={reader}
+            readSource={readSource}
+            account={account}
+            isConnected={isConnected}
+            loadLocalRecord={localRecords.load}
+            onVerify={openVerify}
+            routeAddress={route.address}
+            onViewAddress={(address) => navigate(address ? paths.author(address) : paths.portfolio())}
+          >
+            <BackupPanel
+              contract={contract}
+              account={account}
+              chainId={chainId}
+              contractAddress={contractAddress}
+              getEncryptionKey={getEncryptionKey}
+              listLocalRecords={localRecords.list}
+              loadLocalRecord={localRecords.load}
+              saveLocalRecord={saveLocalRecord}
+            />
+            <EncryptionKeyPanel
+              contract={contract}
+              account={account}
+              getEncryptionKey={getEncryptionKey}
+            />
+          </PortfolioTab>
+        )}
+
+        {/* ========== EXPLORER TAB ========== */}
+        {/* Keyed by chain and contract so switching networks starts a fresh scan */}
+        {activeTab === 'explorer' && (
+          <ExplorerTab
+            key={readSource ? `${readSource.chainId}:${readSource.address}` : 'none'}
+            registry={reader}
+            readSource={readSource}
+            deployBlock={readSource ? getDeployment(readSource.chainId)?.deployBlock : undefined}
+            onVerify={openVerify}
+            onViewAddress={(address) => navigate(paths.author(address))}
+          />
+        )}
+
+        {/* ========== ADMIN TAB ========== */}
+        {activeTab === 'admin' && (isAdmin ? (
+          <AdminDashboard
+            contract={contract}
+            account={account}
+            isOwner={Boolean(account && stats.owner && account.toLowerCase() === stats.owner.toLowerCase())}
+            deployBlock={getDeployment(chainId)?.deployBlock}
+            onVerify={openVerify}
+          />
+        ) : (
+          <div className="tab-content">
+            <div className="info-box">
+              🛡️ The admin dashboard is only available to the contract owner and admins.
+              {!isConnected && ' Connect your wallet above.'}
+            </div>
+          </div>
+        ))}
       </main>
 
       {/* ========== FOOTER ========== */}
       <footer className="footer">
         <div className="footer-content">
           <p>
-            🌐 <strong>Proof of Prompt</strong> | Built on Sepolia Testnet | 
-            <a href="https://sepolia.etherscan.io" target="_blank" rel="noopener noreferrer">
-              View on Etherscan
-            </a>
-          </p>
-          <p className="contract-info">
-            Contract: <code>{CONTRACT_ADDRESS?.substring(0, 10)}...</code>
+            🌐 <strong>Proof of Prompt</strong> | {isSupportedChain(chainId)
+              ? `Connected to ${getChain(chainId).label}`
+              : `Available on ${supportedChains().map((chain) => chain.name).join(', ') || 'no configured network'}`}
+            {explorerAddressUrl(chainId, contractAddress) && (
+              <>
+                {' | '}
+                <a href={explorerAddressUrl(chainId, contractAddress)} target="_blank" rel="noopener noreferrer">
+                  View on explorer
+                </a>
+              </>
+            )}
           </p>
+          {contractAddress && (
+            <p className="contract-info">
+              Contract: <code title={contractAddress}>{contractAddress.substring(0, 10)}...</code>
+              {getDeployment(chainId)?.deploymentId && (
+                <> | Deployment: <code>{getDeployment(chainId).deploymentId}</code></>
+              )}
+            </p>
+          )}
           <p className="disclaimer">
             This is a proof-of-concept for blockchain-based content verification. 
             Use at your own discretion.
@@ -0,0 +1,331 @@
+// frontend/src/components/AdminDashboard.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { FLAG_STATUS, FLAG_LABELS, readFlag } from '../lib/moderation';
+import { queryEventsChunked } from '../lib/events';
+
+// How many registrations to show per page
+const PAGE_SIZE = 10;
+
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+/**
+ * Moderation dashboard (owner and admins only)
+ *
+ * - Lists every registration from the ContentRegistered log, newest first,
+ *   with its current flag (flags are only fetched for the visible page)
+ * - Flags registrations as disputed / abusive with a reason, or clears them;
+ *   the registrations themselves are never changed
+ * - Lets the owner grant and revoke admin rights
+ *
+ * The contract has no on-chain list of all hashes, so the list comes from
+ * events, scanned in chunks from the deploy block.
+ */
+export default function AdminDashboard({ contract, account, isOwner, deployBlock, onVerify }) {
+  // All registrations from the event log, oldest first: [{ hash, author, timestamp }]
+  const [registrations, setRegistrations] = useState([]);
+
+  // Flags for the visible page: hash => flag | null
+  const [flagsByHash, setFlagsByHash] = useState({});
+
+  const [page, setPage] = useState(0);
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Reason typed for each hash before flagging / clearing
+  const [reasons, setReasons] = useState({});
+  const [busyHash, setBusyHash] = useState(null);
+
+  // Admin management (owner only)
+  const [admins, setAdmins] = useState([]);
+  const [adminInput, setAdminInput] = useState('');
+  const [isUpdatingAdmin, setIsUpdatingAdmin] = useState(false);
+
+  /**
+   * Load every registration from the event log
+   */
+  useEffect(() => {
+    if (!contract) return;
+
+    let cancelled = false;
+    const loadRegistrations = async () => {
+      try {
+        setIsLoading(true);
+        setMessage('');
+        const events = await queryEventsChunked(contract, contract.filters.ContentRegistered(), {
+          fromBlock: deployBlock ?? 0,
+        });
+        if (!cancelled) {
+          setRegistrations(events.map((event) => ({
+            hash: event.args.contentHash,
+            author: event.args.author,
+            timestamp: Number(event.args.timestamp),
+          })));
+          setPage(0);
+        }
+      } catch (e) {
+        console.error('Admin registrations load failed:', e);
+        if (!cancelled) setMessage(`❌ Could not load registrations: ${e?.shortMessage || e?.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadRegistrations();
+    return () => { cancelled = true; };
+  }, [contract, deployBlock]);
+
+  const loadAdmins = useCallback(async () => {
+    if (!contract) return;
+    try {
+      setAdmins(Array.from(await contract.getAdmins()));
+    } catch (e) {
+      console.log('Could not load admins:', e);
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    loadAdmins();
+  }, [loadAdmins]);
+
+  /**
+   * Newest first, filtered by hash or author
+   */
+  const filtered = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const newest = [...registrations].reverse();
+    if (!query) return newest;
+    return newest.filter((r) => r.hash.toLowerCase().includes(query) || r.author.toLowerCase().includes(query));
+  }, [registrations, search]);
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const pageItems = useMemo(
+    () => filtered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE),
+    [filtered, page]
+  );
+
+  /**
+   * Fetch flags for the visible page
+   */
+  useEffect(() => {
+    if (!contract || pageItems.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(pageItems.map(async ({ hash }) => [hash, await readFlag(contract, hash)]))
+      .then((pairs) => {
+        if (!cancelled) setFlagsByHash((prev) => ({ ...prev, ...Object.fromEntries(pairs) }));
+      })
+      .catch((e) => console.log('Could not load flags:', e));
+    return () => { cancelled = true; };
+  }, [contract, pageItems]);
+
+  const handleFlag = async (hash, status) => {
+    const reason = (reasons[hash] || '').trim();
+    if (status !== FLAG_STATUS.none && !reason) {
+      setMessage('❌ Enter a reason before flagging');
+      return;
+    }
+
+    try {
+      setBusyHash(hash);
+      setMessage('⏳ Waiting for wallet confirmation...');
+      const tx = status === FLAG_STATUS.none
+        ? await contract.clearFlag(hash, reason)
+        : await contract.flagContent(hash, status, reason);
+      setMessage('⏳ Waiting for confirmation...');
+      await tx.wait();
+
+      const flag = await readFlag(contract, hash);
+      setFlagsByHash((prev) => ({ ...prev, [hash]: flag }));
+      setReasons((prev) => ({ ...prev, [hash]: '' }));
+      setMessage(status === FLAG_STATUS.none ? '✅ Flag cleared' : `✅ Flagged as ${FLAG_LABELS[status]}`);
+    } catch (e) {
+      console.error('Flag update failed:', e);
+      setMessage(e.code === 'ACTION_REJECTED' ? '❌ Rejected in wallet' : `❌ ${e.shortMessage || e.message}`);
+    } finally {
+      setBusyHash(null);
+    }
+  };
+
+  const handleAdmin = async (address, enabled) => {
+    if (!ethers.isAddress(address)) {
+      setMessage('❌ Enter a valid 0x… address');
+      return;
+    }
+
+    try {
+      setIsUpdatingAdmin(true);
+      setMessage('⏳ Waiting for wallet confirmation...');
+      const tx = await contract.setAdmin(ethers.getAddress(address), enabled);
+      await tx.wait();
+      setAdminInput('');
+      await loadAdmins();
+      setMessage(enabled ? `✅ ${shortAddress(address)} is now an admin` : `✅ Removed ${shortAddress(address)}`);
+    } catch (e) {
+      console.error('Admin update failed:', e);
+      setMessage(e.code === 'ACTION_REJECTED' ? '❌ Rejected in wallet' : `❌ ${e.shortMessage || e.message}`);
+    } finally {
+      setIsUpdatingAdmin(false);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Admin Dashboard</h2>
+      <p className="tab-description">
+        Flag registrations as disputed or abusive. Flags are public labels with a reason;
+        the registration itself is never modified or deleted.
+        Signed in as <code>{shortAddress(account)}</code> ({isOwner ? 'owner' : 'admin'}).
+      </p>
+
+      {message && (
+        <div className={`status-message ${message.includes('✅') ? 'success' : message.includes('⏳') ? 'pending' : 'error'}`}>
+          <p>{message}</p>
+        </div>
+      )}
+
+      <div className="backup-panel">
+        <h3>🛡️ Admins</h3>
+        {admins.length === 0 ? (
+          <small>No delegated admins; only the owner can moderate.</small>
+        ) : (
+          <ul className="recipient-list">
+            {admins.map((admin) => (
+              <li key={admin}>
+                <code>{admin}</code>
+                {isOwner && (
+                  <button
+                    type="button"
+                    className="preview-btn"
+                    onClick={() => handleAdmin(admin, false)}
+                    disabled={isUpdatingAdmin}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {isOwner && (
+          <form
+            className="inline-form"
+            onSubmit={(e) => { e.preventDefault(); handleAdmin(adminInput.trim(), true); }}
+          >
+            <input
+              type="text"
+              placeholder="0x… address to make admin"
+              value={adminInput}
+              onChange={(e) => setAdminInput(e.target.value)}
+              disabled={isUpdatingAdmin}
+            />
+            <button type="submit" className="preview-btn" disabled={isUpdatingAdmin || !adminInput.trim()}>
+              ➕ Add admin
+            </button>
+          </form>
+        )}
+      </div>
+
+      <div className="portfolio-toolbar">
+        <span>{registrations.length} registration{registrations.length === 1 ? '' : 's'}</span>
+        <input
+          type="text"
+          placeholder="Filter by hash or author"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+        />
+      </div>
+
+      {isLoading && <p className="portfolio-loading">⏳ Scanning registration events...</p>}
+
+      <ul className="portfolio-list">
+        {pageItems.map(({ hash, author, timestamp }) => {
+          const flag = flagsByHash[hash];
+          return (
+            <li key={hash} className={`portfolio-item ${flag ? 'flagged' : ''}`}>
+              <div className="detail-row">
+                <strong>Hash:</strong>
+                <code>{hash}</code>
+              </div>
+              <div className="detail-row">
+                <strong>Author:</strong>
+                <code>{author}</code>
+              </div>
+              <div className="detail-row">
+                <strong>Registered On:</strong>
+                <span>{new Date(timestamp * 1000).toLocaleString()}</span>
+              </div>
+              <div className="detail-row">
+                <strong>Flag:</strong>
+                <span>
+                  {flag ? `${flag.label}: ${flag.reason}` : FLAG_LABELS[FLAG_STATUS.none]}
+                </span>
+              </div>
+              <input
+                type="text"
+                placeholder="Reason"
+                value={reasons[hash] || ''}
+                onChange={(e) => setReasons((prev) => ({ ...prev, [hash]: e.target.value }))}
+                disabled={busyHash === hash}
+              />
+              <div className="portfolio-actions">
+                <button
+                  type="button"
+                  className="preview-btn"
+                  onClick={() => handleFlag(hash, FLAG_STATUS.disputed)}
+                  disabled={busyHash !== null}
+                >
+                  ⚠️ Disputed
+                </button>
+                <button
+                  type="button"
+                  className="preview-btn"
+                  onClick={() => handleFlag(hash, FLAG_STATUS.abusive)}
+                  disabled={busyHash !== null}
+                >
+                  🚫 Abusive
+                </button>
+                {flag && (
+                  <button
+                    type="button"
+                    className="preview-btn"
+                    onClick={() => handleFlag(hash, FLAG_STATUS.none)}
+                    disabled={busyHash !== null}
+                  >
+                    ✔️ Clear flag
+                  </button>
+                )}
+                <button type="button" className="preview-btn" onClick={() => onVerify(hash)}>
+                  🔍 Verify
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {filtered.length > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={() => setPage((p) => Math.max(0, p - 1))}
+            disabled={page === 0}
+          >
+            ← Previous
+          </button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={() => setPage((p) => Math.min(pageCount - 1, p + 1))}
+            disabled={page >= pageCount - 1}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
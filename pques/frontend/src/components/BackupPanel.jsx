@@ -0,0 +1,225 @@
+// frontend/src/components/BackupPanel.jsx
+import React, { useState } from 'react';
+import {
+  buildBackupBundle,
+  parseBackupBundle,
+  checkBackupEntry,
+  toLocalRecord,
+} from '../lib/backup';
+import { recordSummary } from '../lib/records';
+import { downloadJson, readFileAsText } from '../lib/download';
+import {
+  encryptForRecipients,
+  encryptionPublicKey,
+  decryptEnvelope,
+  isEncryptedEnvelope,
+} from '../lib/encryption';
+
+const ON_CHAIN_LABELS = {
+  registered: '✅ On-chain',
+  'author-mismatch': '⚠️ Different author',
+  'not-registered': '❌ Not registered',
+  'other-network': '🌐 Other network',
+  unchecked: '❔ Unchecked',
+};
+
+/**
+ * Export / import of local prompt records
+ *
+ * Export bundles every `proof-of-prompt:` record into a versioned JSON file.
+ * Import re-checks every record (recomputed hash + on-chain lookup) and only
+ * pre-selects the ones that pass, so mismatches are flagged before merging.
+ * Backups can be encrypted to the wallet's own encryption key (lib/encryption.js);
+ * importing one asks the same wallet to decrypt it.
+ */
+export default function BackupPanel({
+  contract,
+  account,
+  chainId,
+  contractAddress,
+  getEncryptionKey,
+  listLocalRecords,
+  loadLocalRecord,
+  saveLocalRecord,
+}) {
+  // Checked import candidates: [{ entry, check, existing, selected }]
+  const [candidates, setCandidates] = useState([]);
+  const [isChecking, setIsChecking] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleExport = async (encrypted) => {
+    const records = listLocalRecords();
+    if (records.length === 0) {
+      setMessage('❌ No local records to export');
+      return;
+    }
+    const bundle = buildBackupBundle(records, { chainId, contractAddress });
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (!encrypted) {
+      downloadJson(`proof-of-prompt-backup-${date}.json`, bundle);
+      setMessage(`✅ Exported ${records.length} record${records.length === 1 ? '' : 's'}`);
+      return;
+    }
+
+    try {
+      setMessage('⏳ Sign the key message in your wallet to encrypt the backup...');
+      const key = await getEncryptionKey();
+      const envelope = await encryptForRecipients(
+        JSON.stringify(bundle),
+        [{ address: account, publicKey: encryptionPublicKey(key) }],
+        { contentType: 'backup' }
+      );
+      downloadJson(`proof-of-prompt-backup-${date}.encrypted.json`, envelope);
+      setMessage(`✅ Exported ${records.length} record${records.length === 1 ? '' : 's'}, encrypted to ${account}`);
+    } catch (error) {
+      setMessage(`❌ ${error.shortMessage || error.message}`);
+    }
+  };
+
+  /**
+   * Backup file text, decrypted first when it is an encrypted envelope
+   */
+  const readBackupText = async (file) => {
+    const text = await readFileAsText(file);
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return text;
+    }
+    if (!isEncryptedEnvelope(data)) return text;
+
+    setMessage('⏳ Sign the key message in your wallet to decrypt the backup...');
+    return decryptEnvelope(data, account || '', await getEncryptionKey());
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsChecking(true);
+      setCandidates([]);
+      setMessage('⏳ Checking records against the blockchain...');
+
+      const entries = parseBackupBundle(await readBackupText(file));
+      const checked = [];
+      for (const entry of entries) {
+        const check = await checkBackupEntry(entry, { contract, chainId, contractAddress });
+        const existing = loadLocalRecord(entry.hash);
+        checked.push({ entry, check, existing: Boolean(existing), selected: check.ok && !existing });
+      }
+
+      setCandidates(checked);
+      const flagged = checked.filter((c) => !c.check.ok).length;
+      setMessage(
+        flagged > 0
+          ? `⏳ ${checked.length} records checked, ${flagged} flagged. Review them before merging.`
+          : `✅ ${checked.length} records checked, all match the blockchain.`
+      );
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const toggleCandidate = (hash) => {
+    setCandidates((prev) => prev.map((c) => (
+      c.entry.hash === hash ? { ...c, selected: !c.selected } : c
+    )));
+  };
+
+  const handleMerge = () => {
+    const selected = candidates.filter((c) => c.selected);
+    let merged = 0;
+    for (const { entry } of selected) {
+      try {
+        saveLocalRecord(entry.hash, toLocalRecord(entry));
+        merged++;
+      } catch (e) {
+        console.log('Could not merge record', entry.hash, e);
+      }
+    }
+    setCandidates([]);
+    setMessage(`✅ Merged ${merged} record${merged === 1 ? '' : 's'} into this browser`);
+  };
+
+  const selectedCount = candidates.filter((c) => c.selected).length;
+
+  return (
+    <div className="backup-panel">
+      <h3>💾 Backup Local Records</h3>
+      <p className="tab-description">
+        Prompt and output text only live in this browser. Export them to a file, and
+        import that file on another machine; every record is re-checked before it is merged.
+      </p>
+
+      <div className="portfolio-actions">
+        <button type="button" className="preview-btn" onClick={() => handleExport(false)}>
+          ⬇️ Export backup
+        </button>
+        <button
+          type="button"
+          className="preview-btn"
+          onClick={() => handleExport(true)}
+          disabled={!account}
+        >
+          🔒 Export encrypted
+        </button>
+        <label className="preview-btn file-label">
+          ⬆️ Import backup
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            disabled={isChecking}
+            hidden
+          />
+        </label>
+      </div>
+
+      {message && (
+        <div className={`status-message ${message.includes('✅') ? 'success' : message.includes('⏳') ? 'pending' : 'error'}`}>
+          <p>{message}</p>
+        </div>
+      )}
+
+      {candidates.length > 0 && (
+        <>
+          <ul className="portfolio-list backup-candidates">
+            {candidates.map(({ entry, check, existing, selected }) => (
+              <li key={entry.hash} className={`portfolio-item ${check.ok ? '' : 'flagged'}`}>
+                <label className="backup-candidate">
+                  <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={() => toggleCandidate(entry.hash)}
+                  />
+                  <code>{`${entry.hash.substring(0, 14)}...${entry.hash.substring(58)}`}</code>
+                  <span>{check.hashMatches ? '✅ Hash matches' : '❌ Hash mismatch'}</span>
+                  <span>{ON_CHAIN_LABELS[check.onChain]}</span>
+                  {existing && <span>📁 Already local</span>}
+                </label>
+                <small>“{String(recordSummary(entry.record).prompt).slice(0, 80)}”</small>
+                {check.problems.map((problem) => (
+                  <small key={problem} className="tx-error">{problem}</small>
+                ))}
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            className="submit-btn"
+            onClick={handleMerge}
+            disabled={selectedCount === 0}
+          >
+            Merge {selectedCount} selected record{selectedCount === 1 ? '' : 's'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
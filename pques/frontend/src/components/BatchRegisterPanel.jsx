@@ -0,0 +1,220 @@
+// frontend/src/components/BatchRegisterPanel.jsx
+import React, { useState } from 'react';
+import { createRecord, hashRecord } from '../lib/records';
+import { buildMerkleTree, getProof, buildBatchItemProof } from '../lib/merkle';
+import { downloadJson, readFileAsText } from '../lib/download';
+
+// Keeps a batch (and its local records) comfortably inside one tx and localStorage
+const MAX_BATCH_ITEMS = 1000;
+
+// How many items to list individually after registering
+const LISTED_ITEMS = 20;
+
+/**
+ * Read prompt/output pairs from an uploaded file
+ * Accepts a JSON array or JSON Lines, each item { prompt, output }
+ */
+const parseBatchInput = (text) => {
+  const trimmed = text.trim();
+  let items;
+  try {
+    items = trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : trimmed.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  } catch {
+    throw new Error('File must be a JSON array or JSON Lines of { "prompt", "output" } objects');
+  }
+
+  items.forEach((item, i) => {
+    if (typeof item?.prompt !== 'string' || typeof item?.output !== 'string') {
+      throw new Error(`Item ${i + 1} needs a "prompt" and an "output" string`);
+    }
+  });
+  if (items.length === 0) throw new Error('File contains no items');
+  if (items.length > MAX_BATCH_ITEMS) throw new Error(`At most ${MAX_BATCH_ITEMS} items per batch`);
+  return items.map(({ prompt, output }) => ({ prompt, output }));
+};
+
+/**
+ * Batch registration
+ *
+ * Builds a Merkle tree over many records (lib/merkle.js), registers only the
+ * root with one transaction and hands out an inclusion proof per item.
+ * Items are saved as local records too, with their proof, so they show up in
+ * backups and can be re-downloaded later.
+ */
+export default function BatchRegisterPanel({
+  registry,
+  account,
+  chainId,
+  contractAddress,
+  isConnected,
+  saveLocalRecord,
+}) {
+  const [items, setItems] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Registered batch: { merkleRoot, txHash, proofs: [item proof files] }
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setResult(null);
+      setItems(parseBatchInput(await readFileAsText(file)));
+      setFileName(file.name);
+      setMessage('');
+    } catch (error) {
+      setItems([]);
+      setFileName('');
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleRegister = async () => {
+    if (!registry || items.length === 0) return;
+
+    try {
+      setIsRegistering(true);
+      setResult(null);
+      setMessage(`⏳ Hashing ${items.length} records...`);
+
+      const records = items.map((item) => createRecord(item));
+      const hashes = await Promise.all(records.map((record) => hashRecord(record)));
+      const tree = buildMerkleTree(hashes);
+
+      setMessage('⏳ Waiting for wallet confirmation...');
+      const tx = await registry.registerBatch(tree.root, hashes.length);
+
+      setMessage('⏳ Batch submitted, waiting for confirmation...');
+      const receipt = await tx.wait();
+
+      const proofs = records.map((record, index) => buildBatchItemProof({
+        itemHash: hashes[index],
+        merkleRoot: tree.root,
+        proof: getProof(tree, index),
+        index,
+        itemCount: hashes.length,
+        chainId,
+        contractAddress,
+        author: account,
+        txHash: receipt.hash,
+        record,
+      }));
+
+      // Keep every item locally, with its proof, like single registrations
+      const clientTimestamp = Date.now();
+      proofs.forEach(({ itemHash, merkleRoot, proof, index, itemCount, txHash, record }) => {
+        saveLocalRecord(itemHash, {
+          ...record,
+          author: account,
+          clientTimestamp,
+          chainId,
+          contractAddress,
+          batch: { merkleRoot, proof, index, itemCount, txHash },
+        });
+      });
+
+      setResult({ merkleRoot: tree.root, txHash: receipt.hash, proofs });
+      setItems([]);
+      setFileName('');
+      setMessage(`✅ Registered ${proofs.length} records in one transaction`);
+    } catch (error) {
+      console.error('Batch registration error:', error);
+      const decoded = registry.decodeError(error);
+      if (decoded.kind === 'rejected') {
+        setMessage('❌ Transaction rejected in wallet');
+      } else if (decoded.reason === 'Batch already registered') {
+        setMessage('❌ This exact batch is already registered');
+      } else {
+        setMessage(`❌ Batch registration failed: ${decoded.message}`);
+      }
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  const downloadAll = () => {
+    downloadJson(`proof-of-prompt-batch-${result.merkleRoot.substring(2, 10)}.json`, result.proofs);
+  };
+
+  const downloadItem = (proof) => {
+    downloadJson(`proof-of-prompt-batch-item-${proof.itemHash.substring(2, 10)}.json`, proof);
+  };
+
+  return (
+    <div className="batch-panel">
+      <h3>📦 Batch Registration</h3>
+      <p className="tab-description">
+        Register many prompt/output pairs with one transaction. Upload a JSON array (or JSON Lines)
+        of <code>{'{ "prompt": "…", "output": "…" }'}</code> objects; only the Merkle root goes
+        on-chain and every item gets its own inclusion proof.
+      </p>
+
+      <div className="portfolio-actions">
+        <label className="preview-btn file-label">
+          📂 Choose batch file
+          <input
+            type="file"
+            accept="application/json,.json,.jsonl"
+            onChange={handleFile}
+            disabled={!isConnected || isRegistering}
+            hidden
+          />
+        </label>
+        {items.length > 0 && (
+          <button
+            type="button"
+            className="submit-btn"
+            onClick={handleRegister}
+            disabled={!registry || isRegistering}
+          >
+            {isRegistering ? '⏳ Registering...' : `🚀 Register ${items.length} records`}
+          </button>
+        )}
+      </div>
+      {fileName && <small>{fileName}: {items.length} item{items.length === 1 ? '' : 's'}</small>}
+
+      {message && (
+        <div className={`status-message ${message.includes('✅') ? 'success' : message.includes('⏳') ? 'pending' : 'error'}`}>
+          <p>{message}</p>
+        </div>
+      )}
+
+      {result && (
+        <div className="batch-result">
+          <div className="detail-row">
+            <strong>Merkle Root:</strong>
+            <code>{result.merkleRoot}</code>
+          </div>
+          <div className="detail-row">
+            <strong>Transaction:</strong>
+            <code>{result.txHash}</code>
+          </div>
+          <button type="button" className="preview-btn" onClick={downloadAll}>
+            ⬇️ Download all {result.proofs.length} proofs
+          </button>
+          <ul className="portfolio-list">
+            {result.proofs.slice(0, LISTED_ITEMS).map((proof) => (
+              <li key={proof.itemHash} className="portfolio-item">
+                <code title={proof.itemHash}>{`${proof.itemHash.substring(0, 14)}...${proof.itemHash.substring(58)}`}</code>
+                <small>“{proof.record.prompt.slice(0, 60)}{proof.record.prompt.length > 60 ? '…' : ''}”</small>
+                <button type="button" className="preview-btn" onClick={() => downloadItem(proof)}>
+                  📥 Proof
+                </button>
+              </li>
+            ))}
+          </ul>
+          {result.proofs.length > LISTED_ITEMS && (
+            <small>…and {result.proofs.length - LISTED_ITEMS} more in the full download</small>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
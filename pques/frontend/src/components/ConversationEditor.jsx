@@ -0,0 +1,162 @@
+// frontend/src/components/ConversationEditor.jsx
+import React, { useState } from 'react';
+import { CONVERSATION_ROLES } from '../lib/records';
+import { parseTranscript, formatTranscript } from '../lib/conversation';
+
+const ROLE_LABELS = {
+  system: '⚙️ System',
+  user: '🧑 User',
+  assistant: '🤖 Assistant',
+};
+
+/**
+ * Editor for a multi-turn conversation to register
+ *
+ * Turns can be typed one by one or pasted as a whole transcript (JSON chat
+ * messages, or "user: …" / "assistant: …" lines). The AI provider picked in
+ * the register form can write the next assistant turn; while it streams, the
+ * turns are read-only.
+ *
+ * @param messages [{ role, content }] being edited
+ * @param onChange Called with the new messages
+ * @param onContinue Ask the AI provider for the next assistant turn
+ * @param onCancel Stop a running generation
+ * @param isGenerating A generation is streaming into the last turn
+ * @param canRegenerate The last turn is an unedited AI reply (continuing replaces it)
+ * @param modelId Model named on the continue button
+ * @param disabled Lock the editor (not connected, registering…)
+ */
+export default function ConversationEditor({
+  messages,
+  onChange,
+  onContinue,
+  onCancel,
+  isGenerating,
+  canRegenerate,
+  modelId,
+  disabled,
+}) {
+  const [showPaste, setShowPaste] = useState(false);
+  const [transcript, setTranscript] = useState('');
+  const [pasteError, setPasteError] = useState('');
+
+  const locked = disabled || isGenerating;
+  const last = messages[messages.length - 1];
+  const canContinue = messages.some((m) => m.role === 'user' && m.content.trim())
+    && (last?.role === 'user' || canRegenerate);
+
+  const updateTurn = (index, changes) => {
+    onChange(messages.map((message, i) => (i === index ? { ...message, ...changes } : message)));
+  };
+
+  const removeTurn = (index) => {
+    onChange(messages.filter((_, i) => i !== index));
+  };
+
+  const addTurn = () => {
+    onChange([...messages, { role: last?.role === 'user' ? 'assistant' : 'user', content: '' }]);
+  };
+
+  const openPaste = () => {
+    setTranscript(messages.some((m) => m.content) ? formatTranscript(messages) : '');
+    setPasteError('');
+    setShowPaste(true);
+  };
+
+  const loadTranscript = () => {
+    try {
+      onChange(parseTranscript(transcript));
+      setShowPaste(false);
+      setPasteError('');
+    } catch (error) {
+      setPasteError(error.message);
+    }
+  };
+
+  return (
+    <div className="conversation-editor">
+      <ol className="conversation-turns">
+        {messages.map((message, index) => (
+          <li key={index} className={`conversation-turn turn-${message.role}`}>
+            <div className="conversation-turn-header">
+              <select
+                aria-label={`Role of turn ${index + 1}`}
+                value={message.role}
+                onChange={(e) => updateTurn(index, { role: e.target.value })}
+                disabled={locked}
+              >
+                {CONVERSATION_ROLES.map((role) => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+              <small>Turn {index + 1} · {message.content.length} characters</small>
+              <button
+                type="button"
+                className="preview-btn"
+                onClick={() => removeTurn(index)}
+                disabled={locked || messages.length === 1}
+              >
+                🗑️ Remove
+              </button>
+            </div>
+            <textarea
+              aria-label={`Text of turn ${index + 1}`}
+              placeholder={message.role === 'system' ? 'Instructions given to the model' : `What the ${message.role} said`}
+              value={message.content}
+              onChange={(e) => updateTurn(index, { content: e.target.value })}
+              disabled={locked}
+              rows="3"
+            />
+          </li>
+        ))}
+      </ol>
+
+      <div className="portfolio-actions">
+        <button type="button" className="preview-btn" onClick={addTurn} disabled={locked}>
+          ➕ Add turn
+        </button>
+        <button type="button" className="preview-btn" onClick={openPaste} disabled={locked}>
+          📋 Paste transcript
+        </button>
+        {isGenerating ? (
+          <button type="button" className="preview-btn" onClick={onCancel}>
+            ⏹️ Cancel generation
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={onContinue}
+            disabled={disabled || !canContinue}
+          >
+            {canRegenerate ? `🔁 Regenerate last reply with ${modelId}` : `✨ Continue with ${modelId}`}
+          </button>
+        )}
+      </div>
+      {!isGenerating && !canContinue && (
+        <small>End the conversation with a user turn to have the AI reply.</small>
+      )}
+
+      {showPaste && (
+        <div className="conversation-paste">
+          <textarea
+            aria-label="Transcript"
+            placeholder={'system: You are a helpful assistant.\n\nuser: Write a poem about cats\n\nassistant: …\n\nor a JSON array of { "role", "content" } messages'}
+            value={transcript}
+            onChange={(e) => setTranscript(e.target.value)}
+            rows="8"
+          />
+          {pasteError && <small className="tx-error">{pasteError}</small>}
+          <div className="portfolio-actions">
+            <button type="button" className="preview-btn" onClick={loadTranscript} disabled={!transcript.trim()}>
+              ✅ Replace turns with transcript
+            </button>
+            <button type="button" className="preview-btn" onClick={() => setShowPaste(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
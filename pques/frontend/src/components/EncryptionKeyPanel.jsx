@@ -0,0 +1,85 @@
+// frontend/src/components/EncryptionKeyPanel.jsx
+import React, { useEffect, useState } from 'react';
+import { encryptionPublicKey } from '../lib/encryption';
+
+/**
+ * Publish the wallet's encryption key on-chain
+ *
+ * Others can only share encrypted records with an address once its public
+ * encryption key is on-chain (ProofOfPrompt.encryptionKeys). The key itself is
+ * derived from a wallet signature, so publishing it again after switching
+ * browsers gives the same value.
+ */
+export default function EncryptionKeyPanel({ contract, account, getEncryptionKey }) {
+  // Key currently on-chain for this account ('' when none)
+  const [publishedKey, setPublishedKey] = useState('');
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setPublishedKey('');
+    setMessage('');
+    if (!contract || !account) return undefined;
+
+    contract.encryptionKeys(account)
+      .then((key) => { if (!cancelled) setPublishedKey(key === '0x' ? '' : key); })
+      .catch((e) => console.log('Could not load encryption key:', e));
+    return () => { cancelled = true; };
+  }, [contract, account]);
+
+  const handlePublish = async () => {
+    try {
+      setIsPublishing(true);
+      setMessage('⏳ Sign the key message in your wallet...');
+      const publicKey = encryptionPublicKey(await getEncryptionKey());
+
+      if (publicKey.toLowerCase() === publishedKey.toLowerCase()) {
+        setMessage('✅ Your encryption key is already published');
+        return;
+      }
+
+      setMessage('⏳ Publishing key on-chain...');
+      const tx = await contract.setEncryptionKey(publicKey);
+      await tx.wait();
+      setPublishedKey(publicKey);
+      setMessage('✅ Encryption key published. Others can now share encrypted records with you.');
+    } catch (error) {
+      console.error('Publish encryption key error:', error);
+      setMessage(error.code === 'ACTION_REJECTED'
+        ? '❌ Rejected in wallet'
+        : `❌ ${error.shortMessage || error.message}`);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  if (!account) return null;
+
+  return (
+    <div className="backup-panel">
+      <h3>🔑 Encryption Key</h3>
+      <p className="tab-description">
+        {publishedKey
+          ? 'Your encryption key is published, so authors can share encrypted prompts with you.'
+          : 'Publish your encryption key so authors can share encrypted prompts with your address.'}
+      </p>
+      {publishedKey && <code className="full-address">{publishedKey}</code>}
+      <div className="portfolio-actions">
+        <button
+          type="button"
+          className="preview-btn"
+          onClick={handlePublish}
+          disabled={!contract || isPublishing}
+        >
+          {publishedKey ? '🔁 Check / republish key' : '📢 Publish my encryption key'}
+        </button>
+      </div>
+      {message && (
+        <div className={`status-message ${message.includes('✅') ? 'success' : message.includes('⏳') ? 'pending' : 'error'}`}>
+          <p>{message}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,346 @@
+// frontend/src/components/ExplorerTab.jsx
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ethers } from 'ethers';
+import ReadSource from './ReadSource';
+import { explorerTxUrl } from '../lib/chains';
+import { contentTypeLabel } from '../lib/metadata';
+
+// Registrations per page (a page can run a little over: whole chunks are kept)
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { author: '', fromDate: '', toDate: '', fromBlock: '', toBlock: '' };
+
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+// Same registration from a page and from the live feed
+const registrationKey = (registration) => `${registration.txHash}:${registration.logIndex}`;
+
+/**
+ * Local midnight at the start of a <input type="date"> day, in Unix seconds
+ */
+const dayStart = (value) => Math.floor(new Date(`${value}T00:00:00`).getTime() / 1000);
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Check the filter form and turn it into { author, fromBlock, toBlock, untilTime }
+ * Dates become block numbers (first block of the day, last block before the
+ * next day). toBlock is null when the range is still open and follows the
+ * head; an end date that hasn't passed yet keeps it open until untilTime
+ */
+const resolveFilters = async (registry, form, deployBlock) => {
+  const author = form.author.trim();
+  if (author && !ethers.isAddress(author)) {
+    throw new Error('Author must be a 0x… address (42 characters)');
+  }
+  for (const field of ['fromBlock', 'toBlock']) {
+    if (form[field] && !/^\d+$/.test(form[field].trim())) {
+      throw new Error('Block numbers must be whole numbers');
+    }
+  }
+  if (form.fromDate && form.toDate && form.fromDate > form.toDate) {
+    throw new Error('The start date is after the end date');
+  }
+
+  let fromBlock = Math.max(deployBlock ?? 0, Number(form.fromBlock || 0));
+  let toBlock = form.toBlock ? Number(form.toBlock) : null;
+  let untilTime = null;
+  if (form.fromDate) {
+    fromBlock = Math.max(fromBlock, await registry.blockAtTime(dayStart(form.fromDate), { fromBlock }));
+  }
+  if (form.toDate) {
+    const endTime = dayStart(form.toDate) + DAY_SECONDS;
+    if (endTime > Date.now() / 1000) {
+      untilTime = endTime;
+    } else {
+      const nextDay = await registry.blockAtTime(endTime, { fromBlock });
+      toBlock = Math.min(toBlock ?? Infinity, nextDay - 1);
+    }
+  }
+  if (toBlock !== null && toBlock < fromBlock) {
+    throw new Error('The range is empty: it ends before it starts (or before the contract was deployed)');
+  }
+
+  return { author: author ? ethers.getAddress(author) : null, fromBlock, toBlock, untilTime };
+};
+
+/**
+ * Registry explorer
+ *
+ * Pages through the ContentRegistered log, newest first, scanning back from
+ * the head in block chunks (registry.queryRegistrationsPage) so nothing has
+ * to be loaded up front. Filters by author (an indexed topic, so the node
+ * does the filtering), by date and by block range. While the range is open
+ * at the top, new registrations are added live as they are mined.
+ *
+ * Reads only, so `registry` may be the read-only one (no wallet).
+ */
+export default function ExplorerTab({ registry, readSource, deployBlock, onVerify, onViewAddress }) {
+  // What is typed in the form, and what the list currently shows
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(null);
+
+  // Registrations shown, newest first (live ones are marked isNew)
+  const [rows, setRows] = useState([]);
+
+  // Highest block of the first page, and where the next older page starts
+  // (null once the start of the range was reached)
+  const [headBlock, setHeadBlock] = useState(null);
+  const [nextToBlock, setNextToBlock] = useState(null);
+
+  const [live, setLive] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Results of a search that has since been replaced are dropped
+  const searchId = useRef(0);
+
+  /**
+   * Start over: resolve the filters and load the newest page
+   */
+  const search = useCallback(async (values) => {
+    const id = ++searchId.current;
+    try {
+      setIsLoading(true);
+      setError('');
+      setRows([]);
+      setNextToBlock(null);
+      const resolved = await resolveFilters(registry, values, deployBlock);
+      const page = await registry.queryRegistrationsPage({
+        author: resolved.author,
+        fromBlock: resolved.fromBlock,
+        toBlock: resolved.toBlock ?? undefined,
+        limit: PAGE_SIZE,
+      });
+      if (id !== searchId.current) return;
+      setFilters(resolved);
+      setRows(page.registrations);
+      setHeadBlock(page.toBlock);
+      setNextToBlock(page.nextToBlock);
+    } catch (e) {
+      console.error('Explorer search failed:', e);
+      if (id === searchId.current) {
+        setFilters(null);
+        setError(registry.decodeError(e).message);
+      }
+    } finally {
+      if (id === searchId.current) setIsLoading(false);
+    }
+  }, [registry, deployBlock]);
+
+  /**
+   * Next, older page
+   */
+  const loadOlder = async () => {
+    const id = searchId.current;
+    try {
+      setIsLoading(true);
+      const page = await registry.queryRegistrationsPage({
+        author: filters.author,
+        fromBlock: filters.fromBlock,
+        toBlock: nextToBlock,
+        limit: PAGE_SIZE,
+      });
+      if (id !== searchId.current) return;
+      setRows((previous) => [...previous, ...page.registrations]);
+      setNextToBlock(page.nextToBlock);
+    } catch (e) {
+      console.error('Explorer page failed:', e);
+      if (id === searchId.current) setError(registry.decodeError(e).message);
+    } finally {
+      if (id === searchId.current) setIsLoading(false);
+    }
+  };
+
+  // Everything, newest first, as soon as there is a registry to read from
+  // (filters the user applies afterwards go through handleSubmit)
+  useEffect(() => {
+    if (registry) search(EMPTY_FILTERS);
+  }, [registry, search]);
+
+  /**
+   * Live feed: registrations mined after the first page, while the range is
+   * open at the top. The same log can arrive twice around the head block
+   */
+  const following = Boolean(registry && filters && filters.toBlock === null && live);
+  useEffect(() => {
+    if (!following) return;
+    const unsubscribe = registry.onRegistered((registration) => {
+      if (registration.blockNumber <= headBlock) return;
+      if (filters.untilTime !== null && registration.timestamp >= filters.untilTime) return;
+      setRows((previous) => (
+        previous.some((row) => registrationKey(row) === registrationKey(registration))
+          ? previous
+          : [{ ...registration, isNew: true }, ...previous]
+      ));
+    }, filters.author ? { author: filters.author } : undefined);
+    return () => {
+      unsubscribe().catch((e) => console.log('Could not stop the live feed:', e));
+    };
+  }, [following, registry, filters, headBlock]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search(form);
+  };
+
+  const handleClear = () => {
+    setForm(EMPTY_FILTERS);
+    search(EMPTY_FILTERS);
+  };
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Lowest block scanned so far, for the progress line
+  const scannedFrom = nextToBlock === null ? filters?.fromBlock : nextToBlock + 1;
+
+  return (
+    <div className="tab-content">
+      <h2>Registry Explorer</h2>
+      <p className="tab-description">
+        Every registration in the contract's event log, newest first. Filter by author,
+        date or block range; new registrations appear live while the range is open.
+      </p>
+
+      <form onSubmit={handleSubmit} className="explorer-filters">
+        <input
+          type="text"
+          placeholder="0x… author address (optional)"
+          value={form.author}
+          onChange={updateForm('author')}
+          disabled={!registry}
+        />
+        <div className="ai-settings">
+          <label className="ai-param">
+            From date
+            <input type="date" value={form.fromDate} onChange={updateForm('fromDate')} disabled={!registry} />
+          </label>
+          <label className="ai-param">
+            To date
+            <input type="date" value={form.toDate} onChange={updateForm('toDate')} disabled={!registry} />
+          </label>
+          <label className="ai-param">
+            From block
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder={String(deployBlock ?? 0)}
+              value={form.fromBlock}
+              onChange={updateForm('fromBlock')}
+              disabled={!registry}
+            />
+          </label>
+          <label className="ai-param">
+            To block
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="latest"
+              value={form.toBlock}
+              onChange={updateForm('toBlock')}
+              disabled={!registry}
+            />
+          </label>
+        </div>
+        <div className="portfolio-actions">
+          <button type="submit" className="preview-btn" disabled={!registry || isLoading}>
+            🔎 Apply filters
+          </button>
+          <button type="button" className="preview-btn" onClick={handleClear} disabled={!registry || isLoading}>
+            ✖️ Clear
+          </button>
+          <label className="checkbox-label">
+            <input type="checkbox" checked={live} onChange={(e) => setLive(e.target.checked)} />
+            Show new registrations live
+          </label>
+        </div>
+      </form>
+
+      {filters && (
+        <div className="portfolio-toolbar">
+          <span>
+            {rows.length} registration{rows.length === 1 ? '' : 's'}
+            {filters.author && <> by <code>{shortAddress(filters.author)}</code></>}
+            {' '}in blocks {scannedFrom}–{filters.toBlock ?? headBlock}
+            {nextToBlock !== null && ' (older blocks not scanned yet)'}
+          </span>
+          <span>{following ? '🟢 Live' : '⏸️ Not live'}</span>
+        </div>
+      )}
+
+      {filters && <ReadSource source={readSource} />}
+
+      {error && (
+        <div className="status-message error">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading && <p className="portfolio-loading">⏳ Scanning the event log...</p>}
+
+      {!isLoading && filters && rows.length === 0 && nextToBlock === null && (
+        <div className="info-box">No registrations match these filters.</div>
+      )}
+
+      <ul className="portfolio-list">
+        {rows.map((row) => (
+          <li key={registrationKey(row)} className={`portfolio-item ${row.isNew ? 'live' : ''}`}>
+            <div className="detail-row">
+              <strong>Hash:</strong>
+              <code>{row.hash}</code>
+              {row.isNew && <span className="status-badge">NEW</span>}
+            </div>
+            <div className="detail-row">
+              <strong>Author:</strong>
+              <code>{row.author}</code>
+            </div>
+            <div className="detail-row">
+              <strong>Registered On:</strong>
+              <span>{row.registeredAt.toLocaleString()}</span>
+            </div>
+            <div className="detail-row">
+              <strong>Block:</strong>
+              <span>
+                {row.blockNumber}
+                {explorerTxUrl(readSource?.chainId, row.txHash) && (
+                  <a href={explorerTxUrl(readSource.chainId, row.txHash)} target="_blank" rel="noopener noreferrer">
+                    View transaction
+                  </a>
+                )}
+              </span>
+            </div>
+            {row.contentType && (
+              <div className="detail-row">
+                <strong>Type:</strong>
+                <span>{contentTypeLabel(row.contentType)}</span>
+              </div>
+            )}
+            <div className="portfolio-actions">
+              <button type="button" className="preview-btn" onClick={() => onVerify(row.hash)}>
+                🔍 Verification details
+              </button>
+              <button type="button" className="preview-btn" onClick={() => onViewAddress(row.author)}>
+                👤 Author's registrations
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {filters && nextToBlock !== null && (
+        <div className="pagination">
+          <span>Scanned back to block {scannedFrom}</span>
+          <button type="button" className="preview-btn" onClick={loadOlder} disabled={isLoading}>
+            Load older ↓
+          </button>
+        </div>
+      )}
+
+      {!registry && (
+        <div className="info-box">
+          ℹ️ Connect your MetaMask wallet above, or configure a read-only RPC, to explore registrations
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+// frontend/src/components/PortfolioTab.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import ShareLinkButton from './ShareLinkButton';
+import ReadSource from './ReadSource';
+import { paths } from '../lib/router';
+import { recordSummary, isConversationRecord } from '../lib/records';
+import { contentTypeLabel } from '../lib/metadata';
+
+// Public gateway used to turn stored IPFS hashes into clickable links
+const IPFS_GATEWAY = import.meta.env.VITE_IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+
+// How many registrations to show per page
+const PAGE_SIZE = 10;
+
+/**
+ * Turn a stored promptIPFSHash ("Qm…", "bafy…" or "ipfs://…") into a gateway URL
+ */
+const ipfsUrl = (value) => {
+  const cid = String(value || '').trim().replace(/^ipfs:\/\//, '');
+  return cid ? `${IPFS_GATEWAY}${cid}` : null;
+};
+
+/**
+ * "My Registrations" portfolio
+ *
+ * Lists every hash an address has registered (getAuthorContent) with the
+ * on-chain details (getContentDetails) and any matching local record.
+ *
+ * The contract pushes hashes onto authorContent in registration order, so the
+ * array is already sorted by date: sorting just flips the index order, and we
+ * only fetch details for the page being shown.
+ *
+ * Browsing only reads, so `registry` may be the read-only one (no wallet);
+ * `readSource` says which chain and contract it reads from.
+ */
+export default function PortfolioTab({
+  registry,
+  readSource,
+  account,
+  isConnected,
+  loadLocalRecord,
+  onVerify,
+  routeAddress,
+  onViewAddress,
+  children,
+}) {
+  // Address being viewed: the one in the URL (/author/0x…), else the connected wallet
+  const viewedAddress = routeAddress || account || '';
+  const [addressInput, setAddressInput] = useState(viewedAddress);
+
+  // All hashes for the viewed address, in registration order
+  const [hashes, setHashes] = useState([]);
+
+  // Details for the current page only
+  const [entries, setEntries] = useState([]);
+
+  const [page, setPage] = useState(0);
+  const [sortOrder, setSortOrder] = useState('newest');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedHash, setCopiedHash] = useState(null);
+
+  // Keep the input in sync when the viewed address changes (URL, wallet switch)
+  useEffect(() => {
+    setAddressInput(viewedAddress);
+  }, [viewedAddress]);
+
+  /**
+   * Fetch the full list of hashes for the viewed address
+   */
+  useEffect(() => {
+    if (!registry || !viewedAddress) return;
+
+    let cancelled = false;
+    const loadHashes = async () => {
+      try {
+        setIsLoading(true);
+        setError('');
+        const list = await registry.getAuthorContent(viewedAddress);
+        if (!cancelled) {
+          setHashes(list);
+          setPage(0);
+        }
+      } catch (e) {
+        console.error('Portfolio load failed:', e);
+        if (!cancelled) {
+          setHashes([]);
+          setError(registry.decodeError(e).message);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadHashes();
+    return () => { cancelled = true; };
+  }, [registry, viewedAddress]);
+
+  const pageCount = Math.max(1, Math.ceil(hashes.length / PAGE_SIZE));
+
+  /**
+   * Hashes on the current page, honouring the sort order
+   */
+  const pageHashes = useMemo(() => {
+    const ordered = sortOrder === 'newest' ? [...hashes].reverse() : hashes;
+    return ordered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  }, [hashes, page, sortOrder]);
+
+  /**
+   * Fetch on-chain details for the visible page
+   */
+  useEffect(() => {
+    if (!registry) return;
+
+    let cancelled = false;
+    const loadDetails = async () => {
+      const visible = pageHashes;
+      if (visible.length === 0) {
+        setEntries([]);
+        return;
+      }
+      try {
+        setIsLoading(true);
+        const details = await Promise.all(
+          visible.map(async (hash) => {
+            const { author, timestamp, promptIPFSHash } = await registry.getContentDetails(hash);
+            return {
+              hash,
+              author,
+              timestamp,
+              promptIPFSHash,
+              metadata: await registry.getMetadata(hash),
+            };
+          })
+        );
+        if (!cancelled) setEntries(details);
+      } catch (e) {
+        console.error('Portfolio details failed:', e);
+        if (!cancelled) setError(registry.decodeError(e).message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadDetails();
+    return () => { cancelled = true; };
+  }, [registry, pageHashes]);
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    const value = addressInput.trim();
+    if (!ethers.isAddress(value)) {
+      setError('Enter a valid 0x… address (42 characters)');
+      return;
+    }
+    setError('');
+    onViewAddress(ethers.getAddress(value));
+  };
+
+  const handleCopy = (hash) => {
+    navigator.clipboard.writeText(hash)
+      .then(() => {
+        setCopiedHash(hash);
+        setTimeout(() => setCopiedHash(null), 1500);
+      })
+      .catch(() => console.log('Could not copy to clipboard'));
+  };
+
+  const isOwnPortfolio = account && viewedAddress && account.toLowerCase() === viewedAddress.toLowerCase();
+
+  return (
+    <div className="tab-content">
+      <h2>My Registrations</h2>
+      <p className="tab-description">
+        Every piece of content registered by an address, straight from the blockchain.
+        Prompt and output text appear when this browser still holds the local record.
+      </p>
+
+      <form onSubmit={handleLookup} className="inline-form">
+        <input
+          type="text"
+          placeholder="0x… author address"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          disabled={!registry}
+        />
+        <button type="submit" className="preview-btn" disabled={!registry || !addressInput.trim()}>
+          🔎 Load
+        </button>
+        {account && !isOwnPortfolio && (
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={() => onViewAddress(null)}
+          >
+            👤 Mine
+          </button>
+        )}
+      </form>
+
+      {viewedAddress && (
+        <div className="portfolio-toolbar">
+          <span>
+            {hashes.length} registration{hashes.length === 1 ? '' : 's'} for{' '}
+            <code>{`${viewedAddress.substring(0, 6)}...${viewedAddress.substring(38)}`}</code>
+          </span>
+          <ShareLinkButton path={paths.author(viewedAddress)} />
+          <select
+            value={sortOrder}
+            onChange={(e) => { setSortOrder(e.target.value); setPage(0); }}
+          >
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+          </select>
+        </div>
+      )}
+
+      {viewedAddress && <ReadSource source={readSource} />}
+
+      {error && (
+        <div className="status-message error">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading && <p className="portfolio-loading">⏳ Loading registrations...</p>}
+
+      {!isLoading && viewedAddress && hashes.length === 0 && !error && (
+        <div className="info-box">No registrations found for this address yet.</div>
+      )}
+
+      <ul className="portfolio-list">
+        {entries.map((entry) => {
+          const local = loadLocalRecord(entry.hash);
+          return (
+            <li key={entry.hash} className="portfolio-item">
+              <div className="detail-row">
+                <strong>Hash:</strong>
+                <code>{entry.hash}</code>
+              </div>
+              <div className="detail-row">
+                <strong>Registered On:</strong>
+                <span>{new Date(entry.timestamp * 1000).toLocaleString()}</span>
+              </div>
+              {ipfsUrl(entry.promptIPFSHash) && (
+                <div className="detail-row">
+                  <strong>IPFS:</strong>
+                  <a href={ipfsUrl(entry.promptIPFSHash)} target="_blank" rel="noopener noreferrer">
+                    {entry.promptIPFSHash}
+                  </a>
+                </div>
+              )}
+              {entry.metadata?.modelId && (
+                <div className="detail-row">
+                  <strong>Model:</strong>
+                  <span>{entry.metadata.modelId}</span>
+                </div>
+              )}
+              {entry.metadata?.contentType && (
+                <div className="detail-row">
+                  <strong>Type:</strong>
+                  <span>{contentTypeLabel(entry.metadata.contentType)}</span>
+                </div>
+              )}
+              {local ? (
+                <>
+                  <div className="detail-row">
+                    <strong>Prompt:</strong>
+                    <span className="summary-value">{recordSummary(local).prompt}</span>
+                  </div>
+                  <div className="detail-row">
+                    <strong>Output:</strong>
+                    <span className="summary-value">{recordSummary(local).output}</span>
+                  </div>
+                  {isConversationRecord(local) && (
+                    <small>💬 Conversation of {local.messages.length} turns</small>
+                  )}
+                </>
+              ) : (
+                <small>No local record in this browser</small>
+              )}
+              <div className="portfolio-actions">
+                <button type="button" className="preview-btn" onClick={() => handleCopy(entry.hash)}>
+                  {copiedHash === entry.hash ? '✅ Copied' : '📋 Copy hash'}
+                </button>
+                <button type="button" className="preview-btn" onClick={() => onVerify(entry.hash)}>
+                  🔍 Verify
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {hashes.length > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={() => setPage((p) => Math.max(0, p - 1))}
+            disabled={page === 0 || isLoading}
+          >
+            ← Previous
+          </button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button
+            type="button"
+            className="preview-btn"
+            onClick={() => setPage((p) => Math.min(pageCount - 1, p + 1))}
+            disabled={page >= pageCount - 1 || isLoading}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
+      {!registry && (
+        <div className="info-box">
+          ℹ️ Connect your MetaMask wallet above to view registrations
+        </div>
+      )}
+      {registry && !isConnected && !viewedAddress && (
+        <div className="info-box">
+          ℹ️ Enter any author address to browse their registrations, or connect your wallet to see your own
+        </div>
+      )}
+
+      {children}
+    </div>
+  );
+}
+
@@ -0,0 +1,26 @@
+// frontend/src/components/ReadSource.jsx
+import React from 'react';
+import { chainName, explorerAddressUrl } from '../lib/chains';
+
+/**
+ * Which chain and contract answered a read, and whether it came through the
+ * wallet or the read-only RPC endpoint (see lib/readOnly.js)
+ *
+ * @param source { chainId, address, via: 'wallet' | 'rpc', rpcUrl? }
+ */
+export default function ReadSource({ source }) {
+  if (!source) return null;
+  const link = explorerAddressUrl(source.chainId, source.address);
+
+  return (
+    <small className="read-source">
+      📡 Answered by {chainName(source.chainId)} (chain {source.chainId}), contract{' '}
+      {link ? (
+        <a href={link} target="_blank" rel="noopener noreferrer"><code>{source.address}</code></a>
+      ) : (
+        <code>{source.address}</code>
+      )}
+      {source.via === 'rpc' ? `, read through ${source.rpcUrl} without a wallet` : ', read through your wallet'}
+    </small>
+  );
+}
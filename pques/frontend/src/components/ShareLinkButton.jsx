@@ -0,0 +1,25 @@
+// frontend/src/components/ShareLinkButton.jsx
+import React, { useState } from 'react';
+import { shareUrl } from '../lib/router';
+
+/**
+ * Copies an absolute link to the given app path (e.g. /verify/0x…)
+ */
+export default function ShareLinkButton({ path, label = '🔗 Copy share link' }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(shareUrl(path))
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(() => console.log('Could not copy to clipboard'));
+  };
+
+  return (
+    <button type="button" className="preview-btn" onClick={handleCopy}>
+      {copied ? '✅ Link copied' : label}
+    </button>
+  );
+}
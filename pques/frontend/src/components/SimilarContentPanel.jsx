@@ -0,0 +1,200 @@
+// frontend/src/components/SimilarContentPanel.jsx
+import React, { useState } from 'react';
+import ReadSource from './ReadSource';
+import { fingerprintText, diffWords, textSimilarity } from '../lib/sdk';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Candidates shown, and how many are looked up on-chain at a time
+const MAX_RESULTS = 10;
+const LOOKUP_BATCH = 10;
+
+/**
+ * One side of a word diff: what both texts share, plus what only this side has
+ */
+function DiffSide({ segments, side }) {
+  return (
+    <pre>
+      {segments.map((segment, index) => {
+        if (segment.type === 'equal') return <span key={index}>{segment.text}</span>;
+        if (segment.type !== side) return null;
+        return <mark key={index} className={`diff-${side}`}>{segment.text}</mark>;
+      })}
+    </pre>
+  );
+}
+
+/**
+ * Find similar registered content (Verify tab)
+ *
+ * Exact verification needs the exact text. This compares a text's MinHash
+ * fingerprint with the fingerprints kept for registered outputs (lib/sdk
+ * fingerprints), keeps the candidates that are registered on the chain being
+ * read, and diffs each one word by word against its text when this browser
+ * still has the record.
+ *
+ * Only outputs fingerprinted here (registered, or imported from a backup, in
+ * this browser) can be found.
+ */
+export default function SimilarContentPanel({
+  registry,
+  readSource,
+  fingerprints,
+  listLocalRecords,
+  loadLocalRecord,
+  onVerify,
+}) {
+  const [text, setText] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  // { query, candidates: [{ hash, similarity, author, registeredAt, localText, exactSimilarity, diff }] }
+  const [result, setResult] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSearching(true);
+      setError('');
+      setResult(null);
+
+      // Records saved before fingerprints existed (or restored from a backup)
+      for (const { hash, record } of listLocalRecords()) {
+        if (!fingerprints.get(hash)) fingerprints.addRecord(hash, record);
+      }
+
+      // Every match, not just the top few: the limit applies after the chain check
+      const matches = fingerprints.search(text, {
+        chainId: readSource.chainId,
+        contractAddress: readSource.address,
+        limit: Infinity,
+      });
+
+      // Local records are kept before the transaction is sent, so a failed
+      // registration has a fingerprint too: only keep what is on-chain,
+      // going down the list (most similar first) until there are enough
+      const candidates = [];
+      for (let i = 0; i < matches.length && candidates.length < MAX_RESULTS; i += LOOKUP_BATCH) {
+        const batch = matches.slice(i, i + LOOKUP_BATCH);
+        const registrations = await Promise.all(batch.map((match) => registry.lookup(match.hash)));
+        batch.forEach((match, index) => {
+          const registration = registrations[index];
+          if (!registration.exists || candidates.length >= MAX_RESULTS) return;
+          const local = loadLocalRecord(match.hash);
+          const localText = local ? fingerprintText(local) : null;
+          candidates.push({
+            hash: match.hash,
+            similarity: match.similarity,
+            author: registration.author,
+            registeredAt: registration.registeredAt,
+            localText,
+            exactSimilarity: localText === null ? null : textSimilarity(text, localText),
+            diff: localText === null ? null : diffWords(text, localText),
+          });
+        });
+      }
+
+      setResult({ query: text, candidates });
+    } catch (e) {
+      console.error('Similarity search failed:', e);
+      setError(registry.decodeError(e).message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSearch}>
+        <div className="form-group">
+          <label htmlFor="similar-text">
+            Text to Compare
+            <span className="required">*</span>
+          </label>
+          <textarea
+            id="similar-text"
+            placeholder="Paste an output, even an edited one, to find registered content it is close to"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            disabled={!registry || isSearching}
+            rows="6"
+          />
+          <small>
+            Compared by overlapping runs of three words, ignoring case and punctuation.
+            Only outputs registered or restored in this browser are searched.
+          </small>
+        </div>
+
+        <button
+          type="submit"
+          className="submit-btn"
+          disabled={!registry || isSearching || !text.trim()}
+        >
+          {isSearching ? '⏳ Searching...' : '🧬 Find Similar Content'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="status-message error">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {result && (
+        <div className="similar-results">
+          <ReadSource source={readSource} />
+          {result.candidates.length === 0 && (
+            <div className="info-box">No registered content in this browser is similar to this text.</div>
+          )}
+          <ul className="portfolio-list">
+            {result.candidates.map((candidate) => (
+              <li key={candidate.hash} className="portfolio-item">
+                <div className="detail-row">
+                  <strong>Hash:</strong>
+                  <code>{candidate.hash}</code>
+                  <span className="status-badge">{percent(candidate.exactSimilarity ?? candidate.similarity)} similar</span>
+                </div>
+                <div className="detail-row">
+                  <strong>Author:</strong>
+                  <code>{candidate.author}</code>
+                </div>
+                <div className="detail-row">
+                  <strong>Registered On:</strong>
+                  <span>{candidate.registeredAt.toLocaleString()}</span>
+                </div>
+
+                {candidate.localText === null && (
+                  <small>
+                    Estimated from fingerprints ({percent(candidate.similarity)}). The registered text
+                    isn't in this browser, so there is nothing to diff against.
+                  </small>
+                )}
+                {candidate.localText !== null && candidate.diff === null && (
+                  <small>The texts are too different for a side-by-side diff.</small>
+                )}
+                {candidate.diff && (
+                  <div className="similar-diff">
+                    <div>
+                      <h4>Your text</h4>
+                      <DiffSide segments={candidate.diff} side="removed" />
+                    </div>
+                    <div>
+                      <h4>Registered text (local copy)</h4>
+                      <DiffSide segments={candidate.diff} side="added" />
+                    </div>
+                  </div>
+                )}
+
+                <div className="portfolio-actions">
+                  <button type="button" className="preview-btn" onClick={() => onVerify(candidate.hash)}>
+                    🔍 Verification details
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
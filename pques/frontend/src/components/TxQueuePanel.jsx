@@ -0,0 +1,127 @@
+// frontend/src/components/TxQueuePanel.jsx
+import React from 'react';
+import { REQUIRED_CONFIRMATIONS, isRetryable, isFinal } from '../lib/txTracker';
+import { chainName, explorerTxUrl } from '../lib/chains';
+import { recordSummary } from '../lib/records';
+
+// Human-readable labels for each lifecycle status
+const STATUS_LABELS = {
+  signing: '✍️ Awaiting signature',
+  pending: '⏳ Pending',
+  confirmed: '✅ Confirmed',
+  failed: '❌ Failed',
+  rejected: '🚫 Rejected',
+  replaced: '🔁 Replaced',
+  dropped: '🕳️ Dropped',
+};
+
+const shortHash = (hash) => (hash ? `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}` : '—');
+
+const promptSnippet = (record) => {
+  const { prompt } = recordSummary(record);
+  return prompt ? `“${prompt.slice(0, 60)}${prompt.length > 60 ? '…' : ''}”` : '';
+};
+
+/**
+ * Registration attempts tracked across reloads
+ *
+ * Shows each attempt with its lifecycle status, confirmation count and any
+ * replacement, plus Retry for attempts that didn't make it on-chain and
+ * certificate downloads for the ones that did.
+ */
+export default function TxQueuePanel({
+  entries,
+  chainId,
+  onRetry,
+  onDismiss,
+  onClearFinished,
+  onCertificate,
+  disabled,
+}) {
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="tx-queue">
+      <div className="tx-queue-header">
+        <h3>📬 Registration Attempts</h3>
+        <button type="button" className="preview-btn" onClick={onClearFinished}>
+          🧹 Clear finished
+        </button>
+      </div>
+
+      <ul>
+        {entries.map((entry) => (
+          <li key={entry.id} className={`tx-entry tx-${entry.status}`}>
+            <div className="tx-entry-main">
+              <span className="tx-status">
+                {STATUS_LABELS[entry.status] || entry.status}
+                {entry.status === 'confirmed' && (
+                  isFinal(entry)
+                    ? ` (${entry.confirmations} confirmations)`
+                    : ` (${entry.confirmations}/${REQUIRED_CONFIRMATIONS})`
+                )}
+              </span>
+              <code title={entry.hash}>{shortHash(entry.hash)}</code>
+            </div>
+            <small>
+              {promptSnippet(entry.record)}
+              {' · '}
+              {new Date(entry.createdAt).toLocaleString()}
+              {entry.attempts > 1 && ` · attempt ${entry.attempts}`}
+              {entry.relayed && ' · ⛽ gasless (relayed)'}
+              {entry.chainId !== chainId && ` · ${chainName(entry.chainId)}`}
+            </small>
+            {entry.txHash && (
+              <small>
+                Tx: <code title={entry.txHash}>{shortHash(entry.txHash)}</code>
+                {explorerTxUrl(entry.chainId, entry.txHash) && (
+                  <>
+                    {' '}
+                    <a href={explorerTxUrl(entry.chainId, entry.txHash)} target="_blank" rel="noopener noreferrer">
+                      explorer ↗
+                    </a>
+                  </>
+                )}
+                {entry.blockNumber !== null && ` · block ${entry.blockNumber}`}
+              </small>
+            )}
+            {entry.replacedBy && (
+              <small>
+                Replaced by: <code title={entry.replacedBy}>{shortHash(entry.replacedBy)}</code>
+              </small>
+            )}
+            {entry.error && <small className="tx-error">{entry.error}</small>}
+
+            <div className="portfolio-actions">
+              {(entry.status === 'confirmed' || entry.registeredByReplacement) && entry.chainId === chainId && (
+                <>
+                  <button type="button" className="preview-btn" onClick={() => onCertificate(entry, 'json')}>
+                    📜 Certificate
+                  </button>
+                  <button type="button" className="preview-btn" onClick={() => onCertificate(entry, 'html')}>
+                    🖨️ Printable
+                  </button>
+                </>
+              )}
+              {isRetryable(entry) && (
+                <button
+                  type="button"
+                  className="preview-btn"
+                  onClick={() => onRetry(entry)}
+                  disabled={disabled || entry.chainId !== chainId}
+                >
+                  🔄 Retry
+                </button>
+              )}
+              {entry.status !== 'pending' && entry.status !== 'signing' && (
+                <button type="button" className="preview-btn" onClick={() => onDismiss(entry.id)}>
+                  ✖ Dismiss
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
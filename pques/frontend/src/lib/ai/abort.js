@@ -0,0 +1,13 @@
+// frontend/src/lib/ai/abort.js
+
+/**
+ * The error providers throw when a generation is cancelled
+ * (same name as fetch's, so callers can treat both alike)
+ */
+export const abortError = () => {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
@@ -0,0 +1,108 @@
+// frontend/src/lib/ai/bytez.js
+
+import { abortError } from './abort.js';
+
+/**
+ * Bytez provider (hosted models, needs VITE_BYTEZ_API_KEY)
+ *
+ * The SDK is loaded on first use, so the app and scripts that only use the
+ * mock provider never touch it. Output is streamed when the model supports
+ * it; otherwise the whole answer arrives as one chunk.
+ */
+
+/**
+ * Pull the text out of a Bytez run result (its shape varies by model)
+ */
+const extractText = (modelOutput) => {
+  if (typeof modelOutput === 'string') {
+    return modelOutput;
+  }
+  if (Array.isArray(modelOutput)) {
+    return modelOutput
+      .map((p) => (typeof p === 'string' ? p : (p?.content ?? '')))
+      .join('\n');
+  }
+  if (modelOutput && typeof modelOutput === 'object') {
+    return modelOutput.text ?? modelOutput.content ?? '';
+  }
+  return '';
+};
+
+/**
+ * @param apiKey Bytez API key ('' leaves the provider listed but unconfigured)
+ * @param models Model ids offered in the picker (first one is the default)
+ */
+export const createBytezProvider = ({ apiKey, models = ['openai/gpt-4.1'] }) => ({
+  id: 'bytez',
+  name: 'Bytez',
+  models,
+  isConfigured: Boolean(apiKey),
+  setupHint: 'Set VITE_BYTEZ_API_KEY in your .env.local',
+
+  generate: async (messages, { model, params, signal, onToken = () => {} }) => {
+    if (!apiKey) {
+      throw new Error('Missing VITE_BYTEZ_API_KEY. Configure your .env.local');
+    }
+
+    const { default: Bytez } = await import('bytez.js');
+    const sdk = new Bytez(apiKey);
+    const runner = sdk.model(model);
+    const options = { max_tokens: params.maxTokens, temperature: params.temperature };
+
+    // Streaming first: read chunks until done or cancelled. A model that
+    // can't stream may answer this call with a whole result instead
+    let result;
+    let streamFailed = false;
+    try {
+      result = await runner.run(messages, options, true);
+    } catch (e) {
+      streamFailed = true;
+      console.log('Bytez streaming unavailable, falling back to a single response', e);
+    }
+    if (signal?.aborted) throw abortError();
+
+    if (result?.getReader) {
+      const reader = result.pipeThrough(new TextDecoderStream()).getReader();
+      const cancel = () => reader.cancel().catch(() => {});
+      signal?.addEventListener('abort', cancel, { once: true });
+      let text = '';
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (signal?.aborted) throw abortError();
+          if (done) break;
+          text += value;
+          onToken(value);
+        }
+      } finally {
+        signal?.removeEventListener('abort', cancel);
+      }
+      return text;
+    }
+
+    // Each run is a paid generation: only run again if the streaming call failed
+    let runResult = result;
+    if (streamFailed) {
+      try {
+        // Prefer options with max_tokens and temperature
+        runResult = await runner.run(messages, options);
+      } catch {
+        // Fallback in case the SDK version doesn't accept options param
+        try {
+          runResult = await runner.run(messages);
+        } catch (inner) {
+          throw new Error(inner?.message || 'AI generation failed');
+        }
+      }
+      if (signal?.aborted) throw abortError();
+    }
+
+    const { error, output } = runResult || {};
+    if (error) {
+      throw new Error(typeof error === 'string' ? error : (error?.message || 'AI generation error'));
+    }
+    const text = extractText(output);
+    onToken(text);
+    return text;
+  },
+});
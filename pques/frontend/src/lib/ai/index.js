@@ -0,0 +1,127 @@
+// frontend/src/lib/ai/index.js
+import { createBytezProvider } from './bytez.js';
+import { createMockProvider } from './mock.js';
+
+export { isAbortError } from './abort.js';
+
+/**
+ * AI PROVIDERS
+ *
+ * Output generation goes through a provider instead of a hard-wired SDK.
+ * Every provider has the same shape:
+ *
+ *   {
+ *     id, name,
+ *     models,            model ids for the picker (first is the default)
+ *     isConfigured,      false when e.g. an API key is missing
+ *     setupHint,         what to configure when it isn't
+ *     generate(messages, { model, params, signal, onToken }) → text
+ *   }
+ *
+ * messages is a chat transcript ([{ role, content }], roles system, user and
+ * assistant); a plain prompt is sent as a single user message.
+ *
+ * Providers stream: onToken(chunk) is called as text arrives, and aborting
+ * `signal` stops the generation with an AbortError (see isAbortError).
+ *
+ * Providers:
+ * - bytez: hosted models through the Bytez SDK (VITE_BYTEZ_API_KEY,
+ *          models from VITE_BYTEZ_MODELS, comma separated)
+ * - mock:  deterministic offline text, for development and tests
+ *
+ * The default is VITE_AI_PROVIDER, else bytez when a key is set, else mock.
+ * generate() returns the generation details along with the text; they go into
+ * the registered record so the proof names the model that produced it.
+ */
+
+export const DEFAULT_PARAMS = {
+  maxTokens: 1024,
+  temperature: 0.6,
+};
+
+// Limits for the parameter inputs (and for values read back from storage)
+export const PARAM_LIMITS = {
+  maxTokens: { min: 1, max: 4096, step: 1 },
+  temperature: { min: 0, max: 2, step: 0.1 },
+};
+
+/**
+ * Build the provider registry from environment variables
+ */
+export const createProviders = (env = import.meta.env ?? {}) => {
+  const bytezModels = (env.VITE_BYTEZ_MODELS || 'openai/gpt-4.1')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+  return [
+    createBytezProvider({ apiKey: env.VITE_BYTEZ_API_KEY || '', models: bytezModels }),
+    createMockProvider(),
+  ];
+};
+
+/**
+ * Which provider to preselect
+ */
+export const defaultProviderId = (providers, env = import.meta.env ?? {}) => {
+  if (env.VITE_AI_PROVIDER && providers.some((p) => p.id === env.VITE_AI_PROVIDER)) {
+    return env.VITE_AI_PROVIDER;
+  }
+  return providers.find((p) => p.id !== 'mock' && p.isConfigured)?.id ?? 'mock';
+};
+
+/**
+ * Clamp user-entered parameters to their limits
+ */
+export const normalizeParams = (params = {}) => {
+  const clean = {};
+  for (const [name, { min, max }] of Object.entries(PARAM_LIMITS)) {
+    const value = Number(params[name] ?? DEFAULT_PARAMS[name]);
+    clean[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_PARAMS[name];
+  }
+  clean.maxTokens = Math.round(clean.maxTokens);
+  return clean;
+};
+
+/**
+ * Generate an output with a provider
+ *
+ * @param provider A provider from createProviders()
+ * @param input The prompt text (sent trimmed), or a conversation to continue
+ *   as [{ role, content }]
+ * @param model Model id (defaults to the provider's first model)
+ * @param params { maxTokens, temperature }
+ * @param signal Optional AbortSignal to cancel the generation
+ * @param onToken Optional callback for each streamed chunk of text
+ * @returns { text, generation } where text is the whole streamed output, as
+ *   shown, and generation is { provider, model, params }
+ */
+export const generateOutput = async (provider, input, { model, params, signal, onToken } = {}) => {
+  const messages = Array.isArray(input)
+    ? input.filter((message) => message.content?.trim())
+    : [{ role: 'user', content: String(input ?? '').trim() }];
+  if (!messages.some((message) => message.role === 'user' && message.content)) {
+    throw new Error(Array.isArray(input) ? 'The conversation has no user message' : 'Prompt is empty');
+  }
+  if (!provider.isConfigured) {
+    throw new Error(`${provider.name} is not configured. ${provider.setupHint}`);
+  }
+
+  const chosenModel = model || provider.models[0];
+  const cleanParams = normalizeParams(params);
+  // Not trimmed: the text registered is exactly the text streamed to onToken
+  const text = String(await provider.generate(messages, {
+    model: chosenModel,
+    params: cleanParams,
+    signal,
+    onToken,
+  }) || '');
+  if (!text.trim()) {
+    throw new Error('Empty AI response');
+  }
+
+  return {
+    text,
+    generation: { provider: provider.id, model: chosenModel, params: cleanParams },
+  };
+};
@@ -0,0 +1,81 @@
+// frontend/src/lib/ai/mock.js
+import { sha256Hex } from '../records.js';
+import { abortError } from './abort.js';
+
+/**
+ * Offline mock provider
+ *
+ * Produces deterministic filler text: the same prompt (or conversation), model
+ * and parameters always give the same output, so registrations and scripted checks can run
+ * without a network or an API key. The output says it is a mock.
+ * Words are streamed one at a time, with a short delay, like a real model.
+ */
+
+const WORDS = [
+  'ledger', 'prompt', 'block', 'signal', 'quiet', 'river', 'lantern', 'echo', 'proof', 'garden',
+  'silver', 'morning', 'circuit', 'paper', 'harbor', 'orbit', 'mosaic', 'thread', 'window', 'compass',
+  'meadow', 'cipher', 'amber', 'canvas', 'summit', 'glacier', 'story', 'pattern', 'anchor', 'horizon',
+  'the', 'a', 'of', 'and', 'with', 'under', 'beyond', 'through',
+];
+
+// Words per sentence, before the final period
+const SENTENCE_LENGTH = 8;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', stop);
+    resolve();
+  }, ms);
+  const stop = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', stop, { once: true });
+});
+
+/**
+ * @param delayMs Pause between streamed words (0 streams instantly)
+ */
+export const createMockProvider = ({ delayMs = 20 } = {}) => ({
+  id: 'mock',
+  name: 'Offline mock',
+  models: ['mock-1'],
+  isConfigured: true,
+  setupHint: '',
+
+  generate: async (messages, { model, params, signal, onToken = () => {} }) => {
+    // A lone prompt seeds on its text; a conversation on the whole transcript
+    const prompt = messages.length === 1
+      ? messages[0].content
+      : messages.map((message) => `${message.role}: ${message.content}`).join('\n');
+    // maxTokens counts words here; temperature only changes the seed
+    const length = Math.max(1, Math.min(params.maxTokens ?? 60, 500));
+    const words = [];
+    let block = 0;
+    while (words.length < length) {
+      const digest = await sha256Hex(`${model}|${params.temperature ?? ''}|${block}|${prompt}`);
+      for (let i = 2; i + 2 <= digest.length && words.length < length; i += 2) {
+        words.push(WORDS[parseInt(digest.slice(i, i + 2), 16) % WORDS.length]);
+      }
+      block += 1;
+    }
+
+    const sentences = [];
+    for (let i = 0; i < words.length; i += SENTENCE_LENGTH) {
+      const sentence = words.slice(i, i + SENTENCE_LENGTH).join(' ');
+      sentences.push(`${sentence[0].toUpperCase()}${sentence.slice(1)}.`);
+    }
+    const text = `[mock output] ${sentences.join(' ')}`;
+
+    // Stream it word by word (each chunk keeps its leading space)
+    for (const token of text.match(/\s*\S+/g)) {
+      await wait(delayMs, signal);
+      onToken(token);
+    }
+    return text;
+  },
+});
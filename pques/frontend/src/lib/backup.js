@@ -0,0 +1,182 @@
+// frontend/src/lib/backup.js
+import { hashRecord, normalizeRecord } from './records.js';
+
+/**
+ * BACKUP BUNDLES
+ *
+ * The full prompt/output text of a registration only lives in this browser's
+ * localStorage. A backup bundle is a versioned JSON file holding every local
+ * record together with the hash, chain id and contract address it was
+ * registered under, so it can be restored on another machine.
+ *
+ * Bundle format (version 1):
+ *   {
+ *     format: "proof-of-prompt/backup",
+ *     version: 1,
+ *     exportedAt: ISO date,
+ *     records: [{ hash, chainId, contractAddress, author, clientTimestamp, record, batch? }]
+ *   }
+ *
+ * Items registered in a batch carry `batch` ({ merkleRoot, proof, index,
+ * itemCount, txHash }) and are checked against their batch root on import.
+ */
+
+export const BACKUP_FORMAT = 'proof-of-prompt/backup';
+export const BACKUP_VERSION = 1;
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+
+// ============ EXPORT ============
+
+/**
+ * Split a stored local record into its hashing record and its metadata
+ */
+const toBackupEntry = (hash, stored, defaults) => {
+  const { author, clientTimestamp, chainId, contractAddress, batch, ...record } = stored;
+  return {
+    hash: String(hash).toLowerCase(),
+    chainId: chainId ?? defaults.chainId ?? null,
+    contractAddress: contractAddress ?? defaults.contractAddress ?? null,
+    author: author ?? null,
+    clientTimestamp: clientTimestamp ?? null,
+    record,
+    ...(batch ? { batch } : {}),
+  };
+};
+
+/**
+ * Bundle local records into a backup
+ *
+ * @param localRecords Array of { hash, record } as stored in localStorage
+ * @param defaults chainId / contractAddress for older records saved without them
+ */
+export const buildBackupBundle = (localRecords, defaults = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  records: localRecords.map(({ hash, record }) => toBackupEntry(hash, record, defaults)),
+});
+
+
+// ============ IMPORT ============
+
+/**
+ * Parse and sanity-check a backup file
+ * Every entry needs a bytes32 hex `hash` (unique in the file) and a `record` object
+ *
+ * @returns The list of backup entries, hashes lowercased
+ */
+export const parseBackupBundle = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Backup file is not valid JSON');
+  }
+
+  if (data?.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Proof of Prompt backup file');
+  }
+  if (data.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${data.version}`);
+  }
+  if (!Array.isArray(data.records)) {
+    throw new Error('Backup file has no records');
+  }
+
+  // Entries are rendered and keyed by hash, so check their shape before
+  // anything else looks at them
+  const seen = new Set();
+  return data.records.map((entry, index) => {
+    const label = `Backup record ${index + 1}`;
+    if (!isObject(entry)) {
+      throw new Error(`${label} is not an object`);
+    }
+    if (typeof entry.hash !== 'string' || !HASH_PATTERN.test(entry.hash)) {
+      throw new Error(`${label} has no valid hash (0x followed by 64 hex characters)`);
+    }
+    if (!isObject(entry.record)) {
+      throw new Error(`${label} has no record`);
+    }
+    if (entry.batch !== undefined && !isObject(entry.batch)) {
+      throw new Error(`${label} has a malformed batch proof`);
+    }
+    const hash = entry.hash.toLowerCase();
+    if (seen.has(hash)) {
+      throw new Error(`${label} repeats hash ${hash}`);
+    }
+    seen.add(hash);
+    return { ...entry, hash };
+  });
+};
+
+/**
+ * Check one backup entry before it is merged
+ *
+ * 1. Recompute the hash from the stored record and compare it to the claimed hash
+ * 2. If the entry belongs to the chain + contract we're connected to, look the
+ *    hash (or, for batch items, its inclusion proof) up on-chain and compare
+ *    the registered author
+ *
+ * @returns { hashMatches, onChain, problems } where onChain is one of
+ *   'registered' | 'author-mismatch' | 'not-registered' | 'other-network' | 'unchecked'
+ */
+export const checkBackupEntry = async (entry, { contract, chainId, contractAddress }) => {
+  const problems = [];
+
+  let recomputed = null;
+  try {
+    recomputed = await hashRecord(normalizeRecord(entry.record));
+  } catch (e) {
+    problems.push(`Record is malformed: ${e.message}`);
+  }
+  const hashMatches = recomputed !== null && recomputed === String(entry.hash).toLowerCase();
+  if (recomputed !== null && !hashMatches) {
+    problems.push('Recomputed hash does not match the hash in the backup');
+  }
+
+  let onChain = 'unchecked';
+  const sameNetwork = Number(entry.chainId) === Number(chainId)
+    && String(entry.contractAddress || '').toLowerCase() === String(contractAddress || '').toLowerCase();
+
+  if (!contract) {
+    problems.push('Connect a wallet to check this record on-chain');
+  } else if (!sameNetwork) {
+    onChain = 'other-network';
+    problems.push(`Registered on chain ${entry.chainId ?? '?'} / ${entry.contractAddress ?? 'unknown contract'}; switch networks to check it`);
+  } else {
+    try {
+      const [exists, author] = entry.batch
+        ? await contract.verifyBatchItem(entry.hash, entry.batch.proof, entry.batch.merkleRoot)
+        : await contract.verifyContent(entry.hash);
+      if (!exists) {
+        onChain = 'not-registered';
+        problems.push('Hash is not registered on-chain');
+      } else if (entry.author && author.toLowerCase() !== String(entry.author).toLowerCase()) {
+        onChain = 'author-mismatch';
+        problems.push(`Registered on-chain by ${author}, not ${entry.author}`);
+      } else {
+        onChain = 'registered';
+      }
+    } catch (e) {
+      problems.push(`On-chain lookup failed: ${e.shortMessage || e.message}`);
+    }
+  }
+
+  return { hashMatches, onChain, problems, ok: hashMatches && onChain === 'registered' };
+};
+
+/**
+ * Turn a backup entry back into the shape saveLocalRecord stores
+ */
+export const toLocalRecord = (entry) => ({
+  ...normalizeRecord(entry.record),
+  author: entry.author,
+  clientTimestamp: entry.clientTimestamp,
+  chainId: entry.chainId,
+  contractAddress: entry.contractAddress,
+  ...(entry.batch ? { batch: entry.batch } : {}),
+});
@@ -0,0 +1,265 @@
+// frontend/src/lib/certificate.js
+import {
+  hashRecord,
+  encodeRecord,
+  normalizeRecord,
+  describeGeneration,
+  isConversationRecord,
+  LEGACY_SCHEME,
+} from './records.js';
+
+/**
+ * PROOF CERTIFICATES
+ *
+ * A certificate is everything needed to prove a registration without trusting
+ * whoever hands it to you: the hashing inputs, the scheme, and every on-chain
+ * fact about the registration (tx, block, chain, contract, author, time).
+ *
+ * It comes in two flavours:
+ * - JSON: machine-readable, the canonical form
+ * - HTML: a printable page that embeds the same JSON, so the page itself can
+ *   be dropped back into the Verify tab
+ *
+ * Verification re-derives each claim independently and reports every check
+ * on its own line.
+ */
+
+export const CERTIFICATE_FORMAT = 'proof-of-prompt/certificate';
+export const CERTIFICATE_VERSION = 1;
+
+// id of the <script> tag holding the JSON inside the HTML certificate
+const EMBED_ID = 'proof-of-prompt-certificate';
+
+
+// ============ BUILDING ============
+
+/**
+ * Assemble a certificate from a confirmed registration
+ */
+export const buildCertificate = ({
+  record,
+  hash,
+  txHash,
+  blockNumber,
+  chainId,
+  contractAddress,
+  author,
+  blockTimestamp,
+}) => ({
+  format: CERTIFICATE_FORMAT,
+  version: CERTIFICATE_VERSION,
+  issuedAt: new Date().toISOString(),
+  contentHash: hash,
+  scheme: record.scheme === LEGACY_SCHEME ? LEGACY_SCHEME : `${record.scheme}/v${record.v}`,
+  record,
+  registration: {
+    chainId: Number(chainId),
+    contractAddress,
+    txHash,
+    blockNumber: Number(blockNumber),
+    author,
+    blockTimestamp: Number(blockTimestamp),
+  },
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a printable HTML page for a certificate
+ * The JSON form is embedded so the file stays machine-verifiable
+ */
+export const renderCertificateHtml = (cert) => {
+  const reg = cert.registration;
+  const rows = [
+    ['Content hash', cert.contentHash],
+    ['Hash scheme', cert.scheme],
+    ...(cert.record.generation ? [['Generated by', describeGeneration(cert.record.generation)]] : []),
+    ['Author', reg.author],
+    ['Registered at', `${new Date(reg.blockTimestamp * 1000).toUTCString()} (${reg.blockTimestamp})`],
+    ['Chain id', reg.chainId],
+    ['Contract', reg.contractAddress],
+    ['Transaction', reg.txHash],
+    ['Block', reg.blockNumber],
+  ];
+  const salt = cert.record.scheme === LEGACY_SCHEME ? cert.record.timestamp : cert.record.salt;
+
+  // "</script" inside the JSON would end the embed early
+  const embedded = JSON.stringify(cert, null, 2).replace(/<\/script/gi, '<\\/script');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Proof of Prompt Certificate ${escapeHtml(cert.contentHash.substring(0, 18))}…</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 820px; margin: 40px auto; padding: 0 24px; color: #0f172a; }
+  h1 { text-align: center; border-bottom: 3px double #1d4ed8; padding-bottom: 12px; }
+  .subtitle { text-align: center; color: #475569; margin-top: -8px; }
+  table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #cbd5e1; vertical-align: top; }
+  th { width: 160px; font-size: 0.85rem; text-transform: uppercase; color: #334155; }
+  td { font-family: Monaco, 'Courier New', monospace; font-size: 0.85rem; word-break: break-all; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f1f5f9; padding: 12px; border-radius: 6px; font-size: 0.85rem; }
+  .note { color: #475569; font-size: 0.85rem; font-style: italic; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>🔐 Proof of Prompt Certificate</h1>
+<p class="subtitle">Blockchain-verified AI content authenticity</p>
+<table>
+${rows.map(([label, value]) => `  <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${isConversationRecord(cert.record)
+    ? cert.record.messages.map((message, index) => `<h2>Turn ${index + 1}: ${escapeHtml(message.role)}</h2>
+<pre>${escapeHtml(message.content)}</pre>`).join('\n')
+    : `<h2>Prompt</h2>
+<pre>${escapeHtml(cert.record.prompt)}</pre>
+<h2>Output</h2>
+<pre>${escapeHtml(cert.record.output)}</pre>`}
+<h2>${cert.record.scheme === LEGACY_SCHEME ? 'Timestamp' : 'Salt'}</h2>
+<pre>${escapeHtml(salt)}</pre>
+<h2>Hashed bytes</h2>
+<pre>${escapeHtml(encodeRecord(cert.record))}</pre>
+<p class="note">
+  To verify: SHA-256 of the hashed bytes (UTF-8) must equal the content hash, and
+  verifyContent(contentHash) on the contract above must return this author and time.
+  Upload this file to the Verify tab of Proof of Prompt to run every check automatically.
+</p>
+<script type="application/json" id="${EMBED_ID}">
+${embedded}
+</script>
+</body>
+</html>
+`;
+};
+
+
+// ============ PARSING ============
+
+/**
+ * Read a certificate from either its JSON or HTML form
+ */
+export const parseCertificate = (text) => {
+  let json = text;
+  if (/^\s*</.test(text)) {
+    const match = text.match(new RegExp(`<script[^>]*id="${EMBED_ID}"[^>]*>([\\s\\S]*?)</script>`));
+    if (!match) {
+      throw new Error('HTML file does not contain an embedded certificate');
+    }
+    json = match[1];
+  }
+
+  let cert;
+  try {
+    cert = JSON.parse(json);
+  } catch {
+    throw new Error('Certificate is not valid JSON');
+  }
+
+  if (cert?.format !== CERTIFICATE_FORMAT) {
+    throw new Error('Not a Proof of Prompt certificate');
+  }
+  if (cert.version !== CERTIFICATE_VERSION) {
+    throw new Error(`Unsupported certificate version: ${cert.version}`);
+  }
+  if (!cert.record || !cert.registration || !cert.contentHash) {
+    throw new Error('Certificate is missing required fields');
+  }
+  return cert;
+};
+
+
+// ============ VERIFICATION ============
+
+const sameAddress = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Check every claim in a certificate against the recomputed hash and the chain
+ *
+ * @param cert A parsed certificate
+ * @param contract Registry contract on the connected chain
+ * @param provider ethers provider on the connected chain
+ * @param chainId The connected chain id
+ * @returns Array of { label, status: 'pass' | 'fail' | 'skip', detail }
+ */
+export const verifyCertificate = async (cert, { contract, provider, chainId }) => {
+  const checks = [];
+  const add = (label, status, detail = '') => checks.push({ label, status, detail });
+  const reg = cert.registration;
+
+  // 1. Hashing inputs → hash
+  let recomputed = null;
+  try {
+    const record = normalizeRecord(cert.record);
+    recomputed = await hashRecord(record);
+    add(
+      'Recomputed hash matches content hash',
+      recomputed === String(cert.contentHash).toLowerCase() ? 'pass' : 'fail',
+      recomputed
+    );
+  } catch (e) {
+    add('Recomputed hash matches content hash', 'fail', e.message);
+  }
+
+  // 2. Network
+  const sameChain = Number(reg.chainId) === Number(chainId);
+  add('Chain id matches connected network', sameChain ? 'pass' : 'fail', `certificate: ${reg.chainId}, connected: ${chainId ?? 'none'}`);
+
+  const contractAddress = contract ? await contract.getAddress() : null;
+  const sameContract = sameAddress(reg.contractAddress, contractAddress);
+  add('Contract address matches this app', sameContract ? 'pass' : 'fail', `certificate: ${reg.contractAddress}, app: ${contractAddress ?? 'none'}`);
+
+  if (!sameChain || !sameContract || !provider) {
+    const reason = !provider ? 'Connect a wallet to run on-chain checks' : 'Switch to the certificate\'s network to run on-chain checks';
+    ['Hash is registered', 'Registered author matches', 'Registered time matches', 'Transaction succeeded', 'Block number matches', 'Block timestamp matches', 'Transaction emitted ContentRegistered'].forEach((label) => add(label, 'skip', reason));
+    return checks;
+  }
+
+  // 3. Registry state
+  const [exists, author, timestamp] = await contract.verifyContent(cert.contentHash);
+  add('Hash is registered', exists ? 'pass' : 'fail');
+  add('Registered author matches', exists && sameAddress(author, reg.author) ? 'pass' : 'fail', exists ? `on-chain: ${author}` : '');
+  add(
+    'Registered time matches',
+    exists && Number(timestamp) === Number(reg.blockTimestamp) ? 'pass' : 'fail',
+    exists ? `on-chain: ${Number(timestamp)}` : ''
+  );
+
+  // 4. Transaction + block
+  const receipt = await provider.getTransactionReceipt(reg.txHash);
+  add(
+    'Transaction succeeded',
+    receipt && receipt.status === 1 && sameAddress(receipt.to, reg.contractAddress) ? 'pass' : 'fail',
+    receipt ? `status ${receipt.status}, to ${receipt.to}` : 'transaction not found'
+  );
+  add(
+    'Block number matches',
+    receipt && Number(receipt.blockNumber) === Number(reg.blockNumber) ? 'pass' : 'fail',
+    receipt ? `on-chain: ${receipt.blockNumber}` : ''
+  );
+
+  const block = receipt ? await provider.getBlock(receipt.blockNumber) : null;
+  add(
+    'Block timestamp matches',
+    block && Number(block.timestamp) === Number(reg.blockTimestamp) ? 'pass' : 'fail',
+    block ? `on-chain: ${block.timestamp}` : ''
+  );
+
+  // 5. The tx itself registered this hash for this author
+  const topic = contract.interface.getEvent('ContentRegistered').topicHash;
+  const emitted = (receipt?.logs || []).some((log) => (
+    sameAddress(log.address, reg.contractAddress)
+    && log.topics[0] === topic
+    && String(log.topics[2]).toLowerCase() === String(cert.contentHash).toLowerCase()
+    && sameAddress(`0x${String(log.topics[1]).slice(26)}`, reg.author)
+  ));
+  add('Transaction emitted ContentRegistered', emitted ? 'pass' : 'fail');
+
+  return checks;
+};
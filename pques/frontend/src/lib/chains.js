@@ -0,0 +1,165 @@
+// frontend/src/lib/chains.js
+import { getDeployment } from './deployments.js';
+
+/**
+ * CHAIN REGISTRY
+ *
+ * Every network the app knows about, keyed by chain id. A chain is
+ * "supported" when we have a contract address for it; registering is only
+ * allowed on supported chains.
+ *
+ * Contract addresses come from the deployment manifest written by
+ * scripts/deploy.js (see lib/deployments.js). Chains without a manifest can
+ * still be configured through the environment (.env.local):
+ *   VITE_CONTRACT_ADDRESS_<chainId>   e.g. VITE_CONTRACT_ADDRESS_31337=0x…
+ *   VITE_CONTRACT_ADDRESS             legacy single address, used for the
+ *                                     default chain (VITE_DEFAULT_CHAIN_ID,
+ *                                     Sepolia unless set)
+ *   VITE_RPC_URL_<chainId>            JSON-RPC endpoint for reading without a
+ *                                     wallet (the chain's public RPC unless set)
+ */
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export const DEFAULT_CHAIN_ID = Number(import.meta.env.VITE_DEFAULT_CHAIN_ID || 11155111);
+
+/**
+ * Contract address for a chain: the deployment manifest first, then the
+ * environment (null if missing or malformed)
+ */
+const configuredAddress = (chainId) => {
+  const deployed = getDeployment(chainId)?.address;
+  if (ADDRESS_PATTERN.test(deployed || '')) return deployed;
+
+  const value = import.meta.env[`VITE_CONTRACT_ADDRESS_${chainId}`]
+    || (chainId === DEFAULT_CHAIN_ID ? import.meta.env.VITE_CONTRACT_ADDRESS : undefined);
+  return ADDRESS_PATTERN.test(value || '') ? value : null;
+};
+
+/**
+ * RPC endpoint for wallet-free reads: the environment, else the chain's public RPC
+ */
+const configuredRpcUrl = (chainId, publicRpcUrl) => import.meta.env[`VITE_RPC_URL_${chainId}`] || publicRpcUrl;
+
+/**
+ * Known networks
+ * rpcUrls / nativeCurrency are what wallet_addEthereumChain needs when the
+ * wallet doesn't know the chain yet; readRpcUrl is what the app reads through
+ * when no wallet is connected
+ */
+export const CHAINS = {
+  11155111: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    label: 'Sepolia Testnet',
+    rpcUrls: ['https://rpc.sepolia.org'],
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrl: 'https://sepolia.etherscan.io',
+    contractAddress: configuredAddress(11155111),
+    readRpcUrl: configuredRpcUrl(11155111, 'https://rpc.sepolia.org'),
+  },
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat Local',
+    label: 'Hardhat Local (127.0.0.1:8545)',
+    rpcUrls: ['http://127.0.0.1:8545'],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrl: null,
+    contractAddress: configuredAddress(31337),
+    readRpcUrl: configuredRpcUrl(31337, 'http://127.0.0.1:8545'),
+  },
+};
+
+
+// ============ LOOKUPS ============
+
+/**
+ * Registry entry for a chain id (null for unknown chains)
+ */
+export const getChain = (chainId) => CHAINS[Number(chainId)] ?? null;
+
+/**
+ * Human-readable network name, falling back to the raw chain id
+ */
+export const chainName = (chainId) => getChain(chainId)?.name ?? `chain ${chainId ?? '?'}`;
+
+/**
+ * Contract address deployed on a chain (null if we don't have one)
+ */
+export const getContractAddress = (chainId) => getChain(chainId)?.contractAddress ?? null;
+
+/**
+ * Can we register / verify on this chain?
+ */
+export const isSupportedChain = (chainId) => Boolean(getContractAddress(chainId));
+
+/**
+ * All chains that have a contract address, default chain first
+ */
+export const supportedChains = () => Object.values(CHAINS)
+  .filter((chain) => chain.contractAddress)
+  .sort((a, b) => (b.chainId === DEFAULT_CHAIN_ID) - (a.chainId === DEFAULT_CHAIN_ID));
+
+/**
+ * Chain to read from when no wallet is connected: the default chain if it is
+ * supported, else the first supported chain with an RPC endpoint (null if none)
+ */
+export const readOnlyChain = () => supportedChains().find((chain) => chain.readRpcUrl) ?? null;
+
+
+// ============ EXPLORER LINKS ============
+
+/**
+ * Block explorer link for a transaction (null on chains without an explorer)
+ */
+export const explorerTxUrl = (chainId, txHash) => {
+  const base = getChain(chainId)?.explorerUrl;
+  return base && txHash ? `${base}/tx/${txHash}` : null;
+};
+
+/**
+ * Block explorer link for an address or contract
+ */
+export const explorerAddressUrl = (chainId, address) => {
+  const base = getChain(chainId)?.explorerUrl;
+  return base && address ? `${base}/address/${address}` : null;
+};
+
+
+// ============ WALLET SWITCHING ============
+
+/**
+ * Ask the wallet to switch to a chain, adding it first if the wallet doesn't know it
+ *
+ * @param ethereum The injected EIP-1193 provider (window.ethereum)
+ * @param chainId The chain to switch to (must be in the registry)
+ */
+export const switchToChain = async (ethereum, chainId) => {
+  const chain = getChain(chainId);
+  if (!chain) {
+    throw new Error(`Unknown chain ${chainId}`);
+  }
+  const hexChainId = `0x${chain.chainId.toString(16)}`;
+
+  try {
+    await ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }],
+    });
+  } catch (error) {
+    // 4902: the wallet has never seen this chain, so add it (which also switches)
+    const code = error?.code ?? error?.data?.originalError?.code;
+    if (code !== 4902) throw error;
+
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: hexChainId,
+        chainName: chain.label,
+        rpcUrls: chain.rpcUrls,
+        nativeCurrency: chain.nativeCurrency,
+        ...(chain.explorerUrl ? { blockExplorerUrls: [chain.explorerUrl] } : {}),
+      }],
+    });
+  }
+};
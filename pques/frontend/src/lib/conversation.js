@@ -0,0 +1,176 @@
+// frontend/src/lib/conversation.js
+import { ethers } from 'ethers';
+import { buildMerkleTree, getProof, processProof } from './merkle.js';
+import {
+  canonicalJson,
+  conversationHeader,
+  conversationTurnHashes,
+  hashTurn,
+  turnSalt,
+  isConversationRecord,
+  CONVERSATION_ROLES,
+  CONVERSATION_SCHEME,
+  CONVERSATION_VERSION,
+} from './records.js';
+
+/**
+ * CONVERSATIONS
+ *
+ * Helpers around "pop-conversation" records (the scheme itself lives in
+ * lib/records.js): reading pasted transcripts, and proving that one turn
+ * belongs to a registered conversation.
+ *
+ * Turn proof file (version 1):
+ *   {
+ *     format: "proof-of-prompt/conversation-turn",
+ *     version: 1,
+ *     contentHash,                 the registered hash
+ *     header,                      { generation?, scheme, turnCount, turnsRoot, v }
+ *     turn: { index, role, content, salt },   salt is the per-turn salt
+ *     proof: [bytes32…]            sibling hashes from the turn up to turnsRoot
+ *   }
+ *
+ * Checking one: the turn hashes up the proof to header.turnsRoot, the header
+ * hashes to contentHash, and contentHash is registered on-chain.
+ */
+
+export const TURN_PROOF_FORMAT = 'proof-of-prompt/conversation-turn';
+export const TURN_PROOF_VERSION = 1;
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// "User: …", "assistant - …", "SYSTEM> …" at the start of a line
+const SPEAKER_PATTERN = new RegExp(`^\\s*(${CONVERSATION_ROLES.join('|')})\\s*[:>-]\\s?(.*)$`, 'i');
+
+
+// ============ TRANSCRIPTS ============
+
+/**
+ * Read a pasted transcript into messages
+ *
+ * Accepts a JSON array of { role, content } (the usual chat API shape), or
+ * plain text where each turn starts with "system:", "user:" or "assistant:"
+ * on its own line; following lines belong to the same turn. Text is kept
+ * exactly as pasted apart from the blank lines between turns.
+ */
+export const parseTranscript = (text) => {
+  const value = String(text ?? '');
+  if (value.trim().startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(value);
+    } catch {
+      throw new Error('Transcript looks like JSON but could not be parsed');
+    }
+    return data.map((message, index) => {
+      const role = String(message?.role ?? '').toLowerCase();
+      if (!CONVERSATION_ROLES.includes(role) || typeof message.content !== 'string') {
+        throw new Error(`Message ${index + 1} needs a role (system, user, assistant) and text content`);
+      }
+      return { role, content: message.content };
+    });
+  }
+
+  const messages = [];
+  for (const line of value.split(/\r?\n/)) {
+    const match = line.match(SPEAKER_PATTERN);
+    if (match) {
+      messages.push({ role: match[1].toLowerCase(), lines: [match[2]] });
+    } else if (messages.length > 0) {
+      messages[messages.length - 1].lines.push(line);
+    } else if (line.trim()) {
+      throw new Error('Start each turn with "system:", "user:" or "assistant:"');
+    }
+  }
+  if (messages.length === 0) {
+    throw new Error('No turns found in the transcript');
+  }
+  return messages.map(({ role, lines }) => ({ role, content: lines.join('\n').replace(/\n+$/, '') }));
+};
+
+/**
+ * Write messages back out in the plain-text transcript format
+ */
+export const formatTranscript = (messages) => messages
+  .map((message) => `${message.role}: ${message.content}`)
+  .join('\n\n');
+
+
+// ============ TURN PROOFS ============
+
+/**
+ * Build the proof that turn `index` belongs to a conversation record
+ *
+ * @param record A conversation record (with its salt)
+ * @param index Turn position (0-based)
+ * @param contentHash The registered hash of the record
+ */
+export const buildTurnProof = (record, index, contentHash) => {
+  if (!isConversationRecord(record)) {
+    throw new Error('Turn proofs are only available for conversations');
+  }
+  const message = record.messages[index];
+  if (!message) {
+    throw new Error(`The conversation has no turn ${index + 1}`);
+  }
+
+  const tree = buildMerkleTree(conversationTurnHashes(record));
+  return {
+    format: TURN_PROOF_FORMAT,
+    version: TURN_PROOF_VERSION,
+    contentHash,
+    header: conversationHeader(record),
+    turn: { index, role: message.role, content: message.content, salt: turnSalt(record.salt, index) },
+    proof: getProof(tree, index),
+  };
+};
+
+/**
+ * Parse a turn proof and check it offline
+ *
+ * @returns The proof data, once the turn leads to the header's root and the
+ *   header hashes to contentHash (the on-chain check is up to the caller)
+ */
+export const parseTurnProof = (text) => {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch {
+    throw new Error('Turn proof is not valid JSON');
+  }
+
+  if (data?.format !== TURN_PROOF_FORMAT) {
+    throw new Error('Not a Proof of Prompt conversation turn proof');
+  }
+  if (data.version !== TURN_PROOF_VERSION) {
+    throw new Error(`Unsupported turn proof version: ${data.version}`);
+  }
+
+  const { header, turn, proof, contentHash } = data;
+  if (header?.scheme !== CONVERSATION_SCHEME || header.v !== CONVERSATION_VERSION) {
+    throw new Error(`Unsupported conversation scheme: ${header?.scheme ?? 'unknown'} v${header?.v ?? '?'}`);
+  }
+  if (!HASH_PATTERN.test(contentHash || '') || !HASH_PATTERN.test(header.turnsRoot || '')) {
+    throw new Error('Turn proof is missing its content hash or turns root');
+  }
+  if (!Array.isArray(proof) || !proof.every((hash) => HASH_PATTERN.test(hash))) {
+    throw new Error('Turn proof path must be a list of 32-byte hashes');
+  }
+  if (!Number.isInteger(turn?.index) || turn.index < 0 || turn.index >= header.turnCount) {
+    throw new Error('Turn index is outside the conversation');
+  }
+  if (!CONVERSATION_ROLES.includes(turn.role) || typeof turn.content !== 'string' || !HASH_PATTERN.test(turn.salt || '')) {
+    throw new Error('Turn proof is missing the turn role, text or salt');
+  }
+
+  const root = processProof(hashTurn(turn), proof);
+  if (root !== header.turnsRoot.toLowerCase()) {
+    throw new Error('This turn is not part of the conversation (proof does not lead to its turns root)');
+  }
+  const headerHash = ethers.sha256(ethers.toUtf8Bytes(canonicalJson(header)));
+  if (headerHash !== contentHash.toLowerCase()) {
+    throw new Error('The conversation header does not hash to the content hash');
+  }
+
+  return data;
+};
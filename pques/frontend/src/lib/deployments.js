@@ -0,0 +1,101 @@
+// frontend/src/lib/deployments.js
+import { ethers } from 'ethers';
+
+/**
+ * DEPLOYMENT MANIFESTS
+ *
+ * scripts/deploy.js writes pques/deployments/<network>.json after every
+ * deploy: address, ABI, deploy block, deployer, compiler version and the
+ * keccak256 of the deployed bytecode. The frontend picks the manifest for
+ * the wallet's chain, so nobody has to copy addresses or ABIs by hand.
+ *
+ * Chains deployed without the script (address only, via .env.local) fall
+ * back to the ABI of the locally compiled contract (npx hardhat compile).
+ */
+
+// Bundled at build time; both globs are simply empty when nothing exists yet
+const manifestFiles = import.meta.glob('../../../deployments/*.json', { eager: true, import: 'default' });
+const artifactFiles = import.meta.glob('../../../artifacts/contracts/ProofOfPrompt.sol/ProofOfPrompt.json', {
+  eager: true,
+  import: 'default',
+});
+
+const manifests = Object.values(manifestFiles).filter((m) => m && m.address && Array.isArray(m.abi));
+const compiledAbi = Object.values(artifactFiles)[0]?.abi ?? null;
+
+
+// ============ LOOKUPS ============
+
+/**
+ * Manifest for a chain (null if the contract was never deployed there by the script)
+ * Includes the Ignition deployment id (deploymentId) the contract was deployed under
+ */
+export const getDeployment = (chainId) => (
+  manifests.find((manifest) => Number(manifest.chainId) === Number(chainId)) ?? null
+);
+
+/**
+ * ABI to talk to the contract on a chain: the manifest's, else the compiled one
+ */
+export const getContractAbi = (chainId) => getDeployment(chainId)?.abi ?? compiledAbi;
+
+
+// ============ CONSISTENCY CHECKS ============
+
+/**
+ * Function signatures of an ABI, sorted, for comparing two ABIs
+ */
+const abiSignatures = (abi) => new ethers.Interface(abi).fragments
+  .filter((fragment) => fragment.type === 'function' || fragment.type === 'event')
+  .map((fragment) => fragment.format('sighash'))
+  .sort();
+
+/**
+ * Compare the manifest with what is actually on-chain
+ *
+ * - Is there code at the address at all?
+ * - Does its keccak256 match the bytecode the manifest was built from?
+ * - Does every function in the ABI have its selector in the deployed code?
+ * - Has contracts/ProofOfPrompt.sol changed since the manifest was written?
+ *
+ * @param provider Any ethers provider on the chain being checked
+ * @param chainId That chain's id
+ * @param address The address the app is about to use
+ * @returns A list of human-readable warnings (empty when everything matches)
+ */
+export const checkDeployment = async (provider, chainId, address) => {
+  const manifest = getDeployment(chainId);
+  const warnings = [];
+
+  const code = await provider.getCode(address);
+  if (!code || code === '0x') {
+    warnings.push(`No contract code at ${address} on this chain. Was the node restarted without redeploying?`);
+    return warnings;
+  }
+
+  if (!manifest) {
+    return warnings;
+  }
+
+  if (manifest.address.toLowerCase() !== address.toLowerCase()) {
+    warnings.push(`Using ${address}, but the deployment manifest lists ${manifest.address}`);
+  }
+
+  if (manifest.deployedBytecodeHash && ethers.keccak256(code) !== manifest.deployedBytecodeHash) {
+    warnings.push('Deployed bytecode does not match the deployment manifest (contract redeployed or built from different source)');
+  }
+
+  const missing = new ethers.Interface(manifest.abi).fragments
+    .filter((fragment) => fragment.type === 'function')
+    .filter((fragment) => !code.includes(fragment.selector.slice(2)))
+    .map((fragment) => fragment.name);
+  if (missing.length > 0) {
+    warnings.push(`ABI functions not found in the deployed code: ${missing.join(', ')}`);
+  }
+
+  if (compiledAbi && abiSignatures(compiledAbi).join() !== abiSignatures(manifest.abi).join()) {
+    warnings.push('The local contract source has changed since this deployment; redeploy to use the new ABI');
+  }
+
+  return warnings;
+};
@@ -0,0 +1,42 @@
+// frontend/src/lib/download.js
+
+/**
+ * Trigger a browser download for in-memory content
+ *
+ * @param filename Suggested file name for the save dialog
+ * @param content String contents of the file
+ * @param mimeType Content type (defaults to JSON)
+ */
+export const downloadFile = (filename, content, mimeType = 'application/json') => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download a value as pretty-printed JSON
+ */
+export const downloadJson = (filename, data) => {
+  downloadFile(filename, JSON.stringify(data, null, 2));
+};
+
+/**
+ * Read a File chosen through an <input type="file"> as text
+ */
+export const readFileAsText = (file) => {
+  if (typeof file?.text === 'function') {
+    return file.text();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result ?? ''));
+    reader.onerror = () => reject(reader.error ?? new Error('Could not read file'));
+    reader.readAsText(file);
+  });
+};
@@ -0,0 +1,175 @@
+// frontend/src/lib/encryption.js
+import { ethers } from 'ethers';
+
+/**
+ * CLIENT-SIDE ENCRYPTION
+ *
+ * Records can be encrypted in the browser before they are published or
+ * exported, and shared with specific addresses.
+ *
+ * Keys
+ * - Each wallet derives an "encryption key" (a secp256k1 key pair) from its
+ *   signature over ENCRYPTION_KEY_MESSAGE. Wallets sign deterministically,
+ *   so the same wallet always gets the same key back; nothing is stored.
+ * - The public half is published on-chain (ProofOfPrompt.setEncryptionKey)
+ *   so authors can look up who they are sharing with.
+ *
+ * Envelope (version 1)
+ *   {
+ *     format: "proof-of-prompt/encrypted",
+ *     version: 1,
+ *     contentType: "record" | "backup",
+ *     hash,              content hash (public on-chain anyway), optional
+ *     cipher: "AES-256-GCM",
+ *     iv, ciphertext,    the payload, encrypted with a random content key
+ *     recipients: [{ address, ephemeralPublicKey, iv, wrappedKey }]
+ *   }
+ *
+ * The content key is wrapped once per recipient: ECDH between a fresh
+ * ephemeral key and the recipient's encryption key, SHA-256 of the shared
+ * point as an AES-256-GCM key. Only listed recipients can unwrap it.
+ */
+
+export const ENCRYPTED_FORMAT = 'proof-of-prompt/encrypted';
+export const ENCRYPTED_VERSION = 1;
+
+// Signed once per session to derive the wallet's encryption key
+export const ENCRYPTION_KEY_MESSAGE = [
+  'Proof of Prompt encryption key (v1)',
+  '',
+  'Signing this message derives the key used to encrypt and decrypt shared prompts.',
+  'Only sign it on the Proof of Prompt app. It does not send a transaction or cost gas.',
+].join('\n');
+
+
+// ============ KEYS ============
+
+/**
+ * Turn the wallet's signature over ENCRYPTION_KEY_MESSAGE into a key pair
+ */
+export const deriveEncryptionKey = (signature) => new ethers.SigningKey(ethers.keccak256(signature));
+
+/**
+ * Ask the wallet to sign the key message and derive the encryption key
+ *
+ * @param signer An ethers signer for the wallet
+ */
+export const requestEncryptionKey = async (signer) => deriveEncryptionKey(await signer.signMessage(ENCRYPTION_KEY_MESSAGE));
+
+/**
+ * Compressed public key to publish on-chain (33 bytes)
+ */
+export const encryptionPublicKey = (signingKey) => signingKey.compressedPublicKey;
+
+
+// ============ AES-GCM HELPERS ============
+
+const importAesKey = (keyBytes) => globalThis.crypto.subtle.importKey(
+  'raw',
+  ethers.getBytes(keyBytes),
+  'AES-GCM',
+  false,
+  ['encrypt', 'decrypt']
+);
+
+const aesEncrypt = async (keyBytes, plaintextBytes) => {
+  const iv = ethers.randomBytes(12);
+  const key = await importAesKey(keyBytes);
+  const ciphertext = await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintextBytes);
+  return { iv: ethers.hexlify(iv), ciphertext: ethers.hexlify(new Uint8Array(ciphertext)) };
+};
+
+const aesDecrypt = async (keyBytes, iv, ciphertext) => {
+  const key = await importAesKey(keyBytes);
+  const plaintext = await globalThis.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(iv) },
+    key,
+    ethers.getBytes(ciphertext)
+  );
+  return new Uint8Array(plaintext);
+};
+
+/**
+ * AES key shared between a private key and someone's public key
+ */
+const sharedKey = (signingKey, publicKey) => ethers.sha256(signingKey.computeSharedSecret(publicKey));
+
+
+// ============ ENVELOPES ============
+
+/**
+ * Encrypt text for a set of recipients
+ *
+ * @param plaintext The text to protect (e.g. a proof file as JSON)
+ * @param recipients [{ address, publicKey }] (include the author to keep access)
+ * @param meta { contentType, hash } stored in the clear
+ */
+export const encryptForRecipients = async (plaintext, recipients, { contentType = 'record', hash } = {}) => {
+  if (!recipients.length) {
+    throw new Error('Add at least one recipient');
+  }
+
+  const contentKey = ethers.randomBytes(32);
+  const payload = await aesEncrypt(contentKey, new TextEncoder().encode(plaintext));
+
+  const wrapped = [];
+  for (const { address, publicKey } of recipients) {
+    const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+    const { iv, ciphertext } = await aesEncrypt(sharedKey(ephemeral, publicKey), contentKey);
+    wrapped.push({
+      address: ethers.getAddress(address),
+      ephemeralPublicKey: ephemeral.compressedPublicKey,
+      iv,
+      wrappedKey: ciphertext,
+    });
+  }
+
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    contentType,
+    ...(hash ? { hash } : {}),
+    cipher: 'AES-256-GCM',
+    iv: payload.iv,
+    ciphertext: payload.ciphertext,
+    recipients: wrapped,
+  };
+};
+
+/**
+ * Is this parsed JSON an encrypted envelope?
+ */
+export const isEncryptedEnvelope = (data) => data?.format === ENCRYPTED_FORMAT;
+
+/**
+ * Can this address open the envelope?
+ */
+export const isRecipient = (envelope, address) => Boolean(address) && envelope.recipients.some(
+  (recipient) => recipient.address.toLowerCase() === address.toLowerCase()
+);
+
+/**
+ * Decrypt an envelope with the recipient's encryption key
+ *
+ * @param envelope A parsed envelope
+ * @param address The recipient's address
+ * @param signingKey That address's derived encryption key
+ * @returns The plaintext
+ */
+export const decryptEnvelope = async (envelope, address, signingKey) => {
+  if (envelope.version !== ENCRYPTED_VERSION) {
+    throw new Error(`Unsupported encryption version: ${envelope.version}`);
+  }
+  const entry = envelope.recipients.find((recipient) => recipient.address.toLowerCase() === address.toLowerCase());
+  if (!entry) {
+    throw new Error('This content was not shared with your address');
+  }
+
+  try {
+    const contentKey = await aesDecrypt(sharedKey(signingKey, entry.ephemeralPublicKey), entry.iv, entry.wrappedKey);
+    const plaintext = await aesDecrypt(contentKey, envelope.iv, envelope.ciphertext);
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('Decryption failed: the key does not match this envelope');
+  }
+};
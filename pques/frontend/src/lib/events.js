@@ -0,0 +1,88 @@
+// frontend/src/lib/events.js
+
+// Public RPCs usually cap eth_getLogs ranges; stay well under common limits
+export const DEFAULT_CHUNK_SIZE = 5000;
+
+/**
+ * Run queryFilter over a block range in chunks
+ *
+ * @param contract An ethers contract
+ * @param filter Event filter (e.g. contract.filters.ContentRegistered())
+ * @param fromBlock First block to scan (e.g. the deploy block)
+ * @param toBlock Last block to scan (defaults to the latest block)
+ * @param onChunk Optional progress callback (events, { fromBlock, toBlock })
+ * @returns Every matching event, oldest first
+ */
+export const queryEventsChunked = async (
+  contract,
+  filter,
+  { fromBlock = 0, toBlock, chunkSize = DEFAULT_CHUNK_SIZE, onChunk } = {}
+) => {
+  const last = toBlock ?? await contract.runner.provider.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= last; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, last);
+    const chunk = await contract.queryFilter(filter, start, end);
+    events.push(...chunk);
+    onChunk?.(chunk, { fromBlock: start, toBlock: end });
+  }
+  return events;
+};
+
+/**
+ * Run queryFilter backwards from a block in chunks, for newest-first paging
+ *
+ * Stops once at least `minEvents` were found, `maxChunks` chunks were read or
+ * `fromBlock` was reached, whichever comes first. Whole chunks are kept, so a
+ * page can hold a few more than `minEvents`.
+ *
+ * @param contract An ethers contract
+ * @param filter Event filter
+ * @param fromBlock Lowest block to scan (e.g. the deploy block)
+ * @param toBlock Block to start from (defaults to the latest block)
+ * @returns { events, toBlock, nextToBlock }: events oldest first, the block
+ *   scanning started at, and where the next (older) page starts (null when
+ *   `fromBlock` was reached)
+ */
+export const queryEventsBackward = async (
+  contract,
+  filter,
+  { fromBlock = 0, toBlock, chunkSize = DEFAULT_CHUNK_SIZE, minEvents = 1, maxChunks = Infinity, onChunk } = {}
+) => {
+  const last = toBlock ?? await contract.runner.provider.getBlockNumber();
+  const events = [];
+  let end = last;
+  for (let chunks = 0; end >= fromBlock && events.length < minEvents && chunks < maxChunks; chunks++) {
+    const start = Math.max(fromBlock, end - chunkSize + 1);
+    const chunk = await contract.queryFilter(filter, start, end);
+    events.unshift(...chunk);
+    onChunk?.(chunk, { fromBlock: start, toBlock: end });
+    end = start - 1;
+  }
+  return { events, toBlock: last, nextToBlock: end >= fromBlock ? end : null };
+};
+
+/**
+ * First block mined at or after a time, by binary search over block timestamps
+ *
+ * @param provider Any ethers provider
+ * @param timestamp Unix time, in seconds
+ * @param fromBlock / toBlock Range to search (toBlock defaults to the latest block)
+ * @returns A block number; toBlock + 1 when every block in range is older
+ */
+export const findBlockByTime = async (provider, timestamp, { fromBlock = 0, toBlock } = {}) => {
+  let low = fromBlock;
+  let high = toBlock ?? await provider.getBlockNumber();
+  const timeOf = async (number) => (await provider.getBlock(number)).timestamp;
+
+  if (await timeOf(high) < timestamp) return high + 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await timeOf(middle) < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
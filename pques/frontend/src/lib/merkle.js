@@ -0,0 +1,189 @@
+// frontend/src/lib/merkle.js
+import { ethers } from 'ethers';
+import { normalizeRecord, hashRecord } from './records.js';
+
+/**
+ * BATCH MERKLE TREES
+ *
+ * A batch registers many records with one transaction: we build a Merkle
+ * tree over the records' content hashes and only the root goes on-chain
+ * (ProofOfPrompt.registerBatch). Each item keeps an inclusion proof that
+ * leads from its hash to that root.
+ *
+ * Tree rules (must match ProofOfPrompt._processProof):
+ * - Leaf:   SHA-256(0x00 || contentHash)
+ * - Parent: SHA-256(0x01 || min(left, right) || max(left, right))
+ * - An odd node at the end of a level moves up unchanged
+ *
+ * Because each pair is sorted before hashing, a proof is just the list of
+ * sibling hashes from the leaf upwards; no left/right flags are needed.
+ *
+ * Item proof file (version 1):
+ *   {
+ *     format: "proof-of-prompt/batch-item",
+ *     version: 1,
+ *     itemHash, merkleRoot, proof: [bytes32…], index, itemCount,
+ *     chainId, contractAddress, author, txHash,
+ *     record   (optional: the prompt/output/salt the item hash was built from)
+ *   }
+ */
+
+export const BATCH_ITEM_FORMAT = 'proof-of-prompt/batch-item';
+export const BATCH_ITEM_VERSION = 1;
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+
+// ============ TREE BUILDING ============
+
+/**
+ * Leaf node for an item's content hash
+ */
+export const leafHash = (itemHash) => ethers.sha256(ethers.concat(['0x00', itemHash]));
+
+/**
+ * Parent node for two children (order-independent)
+ */
+export const hashPair = (a, b) => {
+  const [low, high] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.sha256(ethers.concat(['0x01', low, high]));
+};
+
+/**
+ * Build a Merkle tree over item content hashes
+ *
+ * @param itemHashes bytes32 hex strings, in batch order (no duplicates)
+ * @returns { root, layers } where layers[0] are the leaves and the last layer is [root]
+ */
+export const buildMerkleTree = (itemHashes) => {
+  if (!Array.isArray(itemHashes) || itemHashes.length === 0) {
+    throw new Error('A batch needs at least one item');
+  }
+
+  const normalized = itemHashes.map((hash) => {
+    if (!HASH_PATTERN.test(hash)) throw new Error(`Not a content hash: ${hash}`);
+    return hash.toLowerCase();
+  });
+  if (new Set(normalized).size !== normalized.length) {
+    throw new Error('A batch cannot contain the same record twice');
+  }
+
+  const layers = [normalized.map(leafHash)];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], layers };
+};
+
+/**
+ * Inclusion proof for the item at `index`
+ *
+ * @returns The sibling hashes from the leaf up to (not including) the root
+ */
+export const getProof = (tree, index) => {
+  const proof = [];
+  let position = index;
+  for (let depth = 0; depth < tree.layers.length - 1; depth++) {
+    const level = tree.layers[depth];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    // An odd node without a sibling moves up unchanged: nothing to add
+    if (sibling < level.length) proof.push(level[sibling]);
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+/**
+ * Recompute the root a proof leads to (offline check, same math as the contract)
+ */
+export const processProof = (itemHash, proof) => (
+  proof.reduce((node, sibling) => hashPair(node, sibling), leafHash(itemHash))
+);
+
+
+// ============ ITEM PROOF FILES ============
+
+/**
+ * Build the downloadable proof for one batch item
+ */
+export const buildBatchItemProof = ({
+  itemHash,
+  merkleRoot,
+  proof,
+  index,
+  itemCount,
+  chainId,
+  contractAddress,
+  author,
+  txHash,
+  record,
+}) => ({
+  format: BATCH_ITEM_FORMAT,
+  version: BATCH_ITEM_VERSION,
+  itemHash,
+  merkleRoot,
+  proof,
+  index,
+  itemCount,
+  chainId: chainId === null || chainId === undefined ? null : Number(chainId),
+  contractAddress: contractAddress ?? null,
+  author: author ?? null,
+  txHash: txHash ?? null,
+  ...(record ? { record } : {}),
+});
+
+/**
+ * Parse an item proof file and check it is internally consistent
+ * (well-formed hashes, and the record, when present, hashes to itemHash)
+ */
+export const parseBatchItemProof = async (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Batch proof is not valid JSON');
+  }
+
+  if (data?.format !== BATCH_ITEM_FORMAT) {
+    throw new Error('Not a Proof of Prompt batch item proof');
+  }
+  if (data.version !== BATCH_ITEM_VERSION) {
+    throw new Error(`Unsupported batch proof version: ${data.version}`);
+  }
+  if (!HASH_PATTERN.test(data.itemHash || '') || !HASH_PATTERN.test(data.merkleRoot || '')) {
+    throw new Error('Batch proof is missing its item hash or Merkle root');
+  }
+  if (!Array.isArray(data.proof) || !data.proof.every((hash) => HASH_PATTERN.test(hash))) {
+    throw new Error('Batch proof path must be a list of 32-byte hashes');
+  }
+
+  if (data.record) {
+    const record = normalizeRecord(data.record);
+    const recomputed = await hashRecord(record);
+    if (recomputed !== data.itemHash.toLowerCase()) {
+      throw new Error('The record in this proof does not hash to its item hash');
+    }
+    data.record = record;
+  }
+
+  return data;
+};
+
+/**
+ * Parse a pasted proof path: JSON array, or hashes separated by commas / whitespace
+ */
+export const parseProofList = (text) => {
+  const value = String(text || '').trim();
+  if (!value) return [];
+  const items = value.startsWith('[') ? JSON.parse(value) : value.split(/[\s,]+/).filter(Boolean);
+  if (!items.every((hash) => HASH_PATTERN.test(hash))) {
+    throw new Error('Each proof entry must be 0x followed by 64 hex characters');
+  }
+  return items;
+};
@@ -0,0 +1,98 @@
+// frontend/src/lib/metadata.js
+import { ethers } from 'ethers';
+import { canonicalJson } from './records.js';
+
+/**
+ * ON-CHAIN GENERATION METADATA
+ *
+ * Registrations can carry, next to the hash (ProofOfPrompt.metadata):
+ * - modelId:     "<provider>:<model>", e.g. "bytez:openai/gpt-4.1"
+ * - paramsHash:  SHA-256 of the canonical JSON of the generation parameters
+ * - contentType: a short tag, stored as a bytes32 string and indexed in
+ *                ContentRegistered so registrations can be filtered by type
+ *
+ * The full generation details stay in the record (and its hash); this copy
+ * makes the model and type readable on-chain without the record. When the
+ * record is at hand, the two can be checked against each other.
+ */
+
+export const CONTENT_TYPES = [
+  { id: 'text', label: '📝 Text' },
+  { id: 'conversation', label: '💬 Conversation' },
+  { id: 'code', label: '💻 Code' },
+  { id: 'image', label: '🖼️ Image' },
+  { id: 'audio', label: '🔊 Audio' },
+  { id: 'other', label: '📦 Other' },
+];
+
+/**
+ * Content-type tag → bytes32 (empty tag → zero)
+ */
+export const encodeContentType = (tag) => (tag ? ethers.encodeBytes32String(tag) : ethers.ZeroHash);
+
+/**
+ * bytes32 → content-type tag ('' for zero or undecodable values)
+ */
+export const decodeContentType = (value) => {
+  if (!value || value === ethers.ZeroHash) return '';
+  try {
+    return ethers.decodeBytes32String(value);
+  } catch {
+    return value;
+  }
+};
+
+export const contentTypeLabel = (tag) => CONTENT_TYPES.find((type) => type.id === tag)?.label ?? tag;
+
+/**
+ * Hash of generation parameters, as stored in paramsHash
+ */
+export const hashParams = (params) => ethers.sha256(ethers.toUtf8Bytes(canonicalJson(params)));
+
+export const modelIdOf = (generation) => `${generation.provider}:${generation.model}`;
+
+/**
+ * Metadata for a registration from the record's generation details
+ *
+ * @param generation Generation details, or undefined for hand-written content
+ * @param contentType Content-type tag (see CONTENT_TYPES)
+ * @returns { modelId, paramsHash, contentType } ready for the contract
+ */
+export const buildMetadata = (generation, contentType) => ({
+  modelId: generation ? modelIdOf(generation) : '',
+  paramsHash: generation?.params ? hashParams(generation.params) : ethers.ZeroHash,
+  contentType: encodeContentType(contentType),
+});
+
+/**
+ * Does the deployed contract know about metadata? (older deployments don't)
+ */
+export const supportsMetadata = (contract) => Boolean(contract?.interface.getFunction('getMetadata'));
+
+/**
+ * Read the metadata of a registration
+ *
+ * @returns null when there is none (or the contract predates metadata),
+ *   otherwise { modelId, paramsHash (null if unset), contentType (tag) }
+ */
+export const readMetadata = async (contract, contentHash) => {
+  if (!supportsMetadata(contract)) return null;
+  const [modelId, paramsHash, contentType] = await contract.getMetadata(contentHash);
+  if (!modelId && paramsHash === ethers.ZeroHash && contentType === ethers.ZeroHash) return null;
+  return {
+    modelId,
+    paramsHash: paramsHash === ethers.ZeroHash ? null : paramsHash,
+    contentType: decodeContentType(contentType),
+  };
+};
+
+/**
+ * Compare on-chain metadata with a record's generation details
+ *
+ * @returns true / false, or null when there is nothing to compare
+ */
+export const metadataMatchesGeneration = (metadata, generation) => {
+  if (!metadata || !generation || (!metadata.modelId && !metadata.paramsHash)) return null;
+  return metadata.modelId === modelIdOf(generation)
+    && metadata.paramsHash === hashParams(generation.params ?? {});
+};
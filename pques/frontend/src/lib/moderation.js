@@ -0,0 +1,55 @@
+// frontend/src/lib/moderation.js
+import { ethers } from 'ethers';
+
+/**
+ * MODERATION FLAGS
+ *
+ * The owner and delegated admins can flag a registration as disputed or
+ * abusive (ProofOfPrompt.flagContent). The registration itself never changes;
+ * the flag is a label with a reason, shown wherever the record is displayed.
+ *
+ * Status values mirror the contract's FlagStatus enum.
+ */
+
+export const FLAG_STATUS = {
+  none: 0,
+  disputed: 1,
+  abusive: 2,
+};
+
+export const FLAG_LABELS = {
+  [FLAG_STATUS.none]: 'Not flagged',
+  [FLAG_STATUS.disputed]: '⚠️ Disputed',
+  [FLAG_STATUS.abusive]: '🚫 Abusive',
+};
+
+/**
+ * Read the flag on a registration
+ *
+ * @returns null when the hash was never flagged (or the flag was cleared),
+ *   otherwise { status, label, reason, flaggedBy, flaggedAt (Date) }
+ */
+export const readFlag = async (contract, contentHash) => {
+  const [status, reason, flaggedBy, flaggedAt] = await contract.getFlag(contentHash);
+  const value = Number(status);
+  if (value === FLAG_STATUS.none) return null;
+  return {
+    status: value,
+    label: FLAG_LABELS[value] ?? `Flag ${value}`,
+    reason,
+    flaggedBy,
+    flaggedAt: new Date(Number(flaggedAt) * 1000),
+  };
+};
+
+/**
+ * Can this address moderate? (owner or admin; false on contracts without moderation)
+ */
+export const checkIsAdmin = async (contract, address) => {
+  if (!contract || !address || address === ethers.ZeroAddress) return false;
+  try {
+    return await contract.isAdmin(address);
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,39 @@
+// frontend/src/lib/readOnly.js
+import { ethers } from 'ethers';
+import { readOnlyChain } from './chains.js';
+import { getContractAbi } from './deployments.js';
+import { createRegistry } from './sdk/index.js';
+
+/**
+ * WALLET-FREE READS
+ *
+ * Verifying and browsing are view calls, so they don't need a signer. Until a
+ * wallet connects, the app reads through a plain JSON-RPC provider on the
+ * read-only chain (lib/chains.js: the default chain, VITE_RPC_URL_<chainId>
+ * or its public RPC). A wallet is only needed to register.
+ */
+
+/**
+ * Read-only registry on a chain's RPC endpoint
+ *
+ * @param chain Chain registry entry (defaults to readOnlyChain())
+ * @returns { chainId, address, rpcUrl, provider, registry }, or null when no
+ *   chain has both a contract and an RPC endpoint (or no ABI is available)
+ */
+export const createReadOnlyConnection = (chain = readOnlyChain()) => {
+  const abi = chain ? getContractAbi(chain.chainId) : null;
+  if (!chain?.readRpcUrl || !abi) return null;
+
+  // staticNetwork: trust the configured chain id instead of asking (and
+  // retrying forever) when the node is unreachable
+  const network = ethers.Network.from(chain.chainId);
+  const provider = new ethers.JsonRpcProvider(chain.readRpcUrl, network, { staticNetwork: network });
+
+  return {
+    chainId: chain.chainId,
+    address: chain.contractAddress,
+    rpcUrl: chain.readRpcUrl,
+    provider,
+    registry: createRegistry({ address: chain.contractAddress, abi, runner: provider }),
+  };
+};
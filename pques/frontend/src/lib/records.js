@@ -0,0 +1,363 @@
+// frontend/src/lib/records.js
+import { ethers } from 'ethers';
+import { buildMerkleTree } from './merkle.js';
+
+/**
+ * CANONICAL RECORD FORMAT
+ *
+ * Every registration hashes a "record": a small object holding everything
+ * needed to recompute the on-chain hash later from its parts.
+ *
+ * Scheme "pop-record", version 1:
+ *   { output, prompt, salt, scheme: "pop-record", v: 1, generation? }
+ *
+ * The optional `generation` field says which model produced the output:
+ *   { provider: "bytez", model: "openai/gpt-4.1", params: { maxTokens, temperature },
+ *     candidate?: { index, total } }
+ * `candidate` says which of several generated candidates was registered
+ * (index is 1-based, total is how many were generated for the prompt).
+ * It is hashed like everything else, so it can't be changed after registering.
+ * Records without it encode (and hash) exactly as before.
+ *
+ * Encoding rules (so anyone can rebuild the exact same bytes):
+ * - Keys are sorted lexicographically at every level
+ * - JSON.stringify escaping, no whitespace between tokens
+ * - Text is hashed exactly as typed (no trimming, no normalization)
+ * - The JSON string is encoded as UTF-8 and run through SHA-256
+ *
+ * The salt is 32 random bytes (0x + 64 hex chars). It keeps short or common
+ * prompts from being brute-forced out of the public hash, and it is the
+ * only extra piece someone needs besides the prompt and output to verify.
+ *
+ * Legacy scheme "legacy-pipe" (hashes made before versioning existed):
+ *   SHA-256 of `${prompt}|${output}|${timestamp}` with a millisecond timestamp
+ *
+ * Scheme "pop-conversation", version 1 (multi-turn transcripts):
+ *   { messages: [{ role, content }…], salt, scheme: "pop-conversation", v: 1, generation? }
+ * role is "system", "user" or "assistant". What gets hashed is a header that
+ * commits to every turn through a Merkle root (same tree rules as batches):
+ *   { generation?, scheme, turnCount, turnsRoot, v }
+ *   turn leaf hash = SHA-256(canonical { content, index, role, salt: turnSalt })
+ *   turnSalt       = SHA-256(UTF-8 `${salt}:${index}`)
+ * so a single turn can be proven against the registered hash on its own
+ * (see lib/conversation.js), without revealing the other turns or the salt.
+ */
+
+// ============ SCHEME CONSTANTS ============
+
+export const RECORD_SCHEME = 'pop-record';
+export const RECORD_VERSION = 1;
+export const LEGACY_SCHEME = 'legacy-pipe';
+export const CONVERSATION_SCHEME = 'pop-conversation';
+export const CONVERSATION_VERSION = 1;
+export const CONVERSATION_ROLES = ['system', 'user', 'assistant'];
+
+// Identifies downloaded proof files so the Verify tab can recognise them
+export const PROOF_FILE_FORMAT = 'proof-of-prompt/record';
+
+const SALT_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const GENERATION_PARAMS = ['maxTokens', 'temperature'];
+const LEGACY_TIMESTAMP_PATTERN = /^\d{10,16}$/;
+
+
+// ============ LOW-LEVEL HELPERS ============
+
+/**
+ * Hash text using SHA-256 (WebCrypto, available in browsers and Node 18+)
+ *
+ * @param text The text to hash (encoded as UTF-8)
+ * @returns The hash as a 0x-prefixed hex string (a valid bytes32)
+ */
+export const sha256Hex = async (text) => {
+  const data = new TextEncoder().encode(text);
+  const hashBuffer = await globalThis.crypto.subtle.digest('SHA-256', data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return '0x' + hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Generate a fresh random salt (32 bytes, hex encoded)
+ */
+export const generateSalt = () => {
+  const bytes = new Uint8Array(32);
+  globalThis.crypto.getRandomValues(bytes);
+  return '0x' + Array.from(bytes).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Serialize a value as JSON with keys sorted at every level
+ * This is what makes the encoding canonical: property order never matters
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+
+// ============ RECORD BUILDING ============
+
+/**
+ * Check and normalize a record's generation details
+ * Only known params are kept, so the hashed bytes don't depend on extra UI state
+ */
+export const normalizeGeneration = (generation) => {
+  if (generation === undefined || generation === null) return undefined;
+  const { provider, model, params = {}, candidate } = generation;
+  if (typeof provider !== 'string' || !provider || typeof model !== 'string' || !model) {
+    throw new Error('Generation details need a provider and a model');
+  }
+
+  const kept = {};
+  for (const name of GENERATION_PARAMS) {
+    if (params[name] === undefined) continue;
+    if (typeof params[name] !== 'number' || !Number.isFinite(params[name])) {
+      throw new Error(`Generation parameter ${name} must be a number`);
+    }
+    kept[name] = params[name];
+  }
+
+  if (candidate === undefined) {
+    return { provider, model, params: kept };
+  }
+  const { index, total } = candidate;
+  if (!Number.isInteger(index) || !Number.isInteger(total) || index < 1 || index > total) {
+    throw new Error('Generation candidate must be { index, total } with 1 <= index <= total');
+  }
+  return { provider, model, params: kept, candidate: { index, total } };
+};
+
+/**
+ * One-line description of generation details, for display
+ * e.g. "bytez · openai/gpt-4.1 (maxTokens 150, temperature 0.6)"
+ */
+export const describeGeneration = (generation) => {
+  if (!generation) return '';
+  const params = Object.entries(generation.params || {}).map(([name, value]) => `${name} ${value}`);
+  const candidate = generation.candidate
+    ? `, candidate ${generation.candidate.index} of ${generation.candidate.total}`
+    : '';
+  return `${generation.provider} · ${generation.model}${params.length ? ` (${params.join(', ')})` : ''}${candidate}`;
+};
+
+/**
+ * Build a new versioned record for registration
+ *
+ * @param prompt The exact prompt text
+ * @param output The exact AI output text
+ * @param salt Optional salt (a random one is generated if omitted)
+ * @param generation Optional { provider, model, params } that produced the output
+ */
+export const createRecord = ({ prompt, output, salt = generateSalt(), generation }) => {
+  if (typeof prompt !== 'string' || typeof output !== 'string') {
+    throw new Error('Record needs both a prompt and an output');
+  }
+  if (!SALT_PATTERN.test(salt)) {
+    throw new Error('Salt must be 0x followed by 64 hex characters');
+  }
+  return {
+    scheme: RECORD_SCHEME,
+    v: RECORD_VERSION,
+    prompt,
+    output,
+    salt: salt.toLowerCase(),
+    ...(generation ? { generation: normalizeGeneration(generation) } : {}),
+  };
+};
+
+/**
+ * Build a legacy record (prompt|output|timestamp) so old hashes still verify
+ */
+export const createLegacyRecord = ({ prompt, output, timestamp }) => ({
+  scheme: LEGACY_SCHEME,
+  prompt,
+  output,
+  timestamp: String(timestamp),
+});
+
+/**
+ * Build a new conversation record for registration
+ *
+ * @param messages [{ role, content }] in order (system / user / assistant)
+ * @param salt Optional salt (a random one is generated if omitted)
+ * @param generation Optional generation details for the final assistant turn
+ */
+export const createConversationRecord = ({ messages, salt = generateSalt(), generation }) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('A conversation needs at least one message');
+  }
+  const clean = messages.map((message, index) => {
+    if (!CONVERSATION_ROLES.includes(message?.role)) {
+      throw new Error(`Message ${index + 1} has an unknown role: ${message?.role}`);
+    }
+    if (typeof message.content !== 'string') {
+      throw new Error(`Message ${index + 1} has no text`);
+    }
+    return { role: message.role, content: message.content };
+  });
+  if (!SALT_PATTERN.test(salt)) {
+    throw new Error('Salt must be 0x followed by 64 hex characters');
+  }
+  return {
+    scheme: CONVERSATION_SCHEME,
+    v: CONVERSATION_VERSION,
+    messages: clean,
+    salt: salt.toLowerCase(),
+    ...(generation ? { generation: normalizeGeneration(generation) } : {}),
+  };
+};
+
+/**
+ * Rebuild any supported record from parsed JSON (checks its fields)
+ */
+export const normalizeRecord = (record) => {
+  if (record?.scheme === LEGACY_SCHEME) return createLegacyRecord(record);
+  if (record?.scheme === CONVERSATION_SCHEME && record.v === CONVERSATION_VERSION) {
+    return createConversationRecord(record);
+  }
+  if (record?.scheme === RECORD_SCHEME && record.v === RECORD_VERSION) return createRecord(record);
+  throw new Error(`Unsupported record scheme: ${record?.scheme ?? 'unknown'} v${record?.v ?? '?'}`);
+};
+
+/**
+ * Is this a multi-turn conversation record?
+ */
+export const isConversationRecord = (record) => record?.scheme === CONVERSATION_SCHEME;
+
+/**
+ * A prompt/output pair to show for any record
+ * Conversations show their first user message and last assistant reply
+ */
+export const recordSummary = (record) => {
+  if (!isConversationRecord(record)) {
+    return { prompt: record?.prompt ?? '', output: record?.output ?? '' };
+  }
+  const messages = record.messages || [];
+  const firstUser = messages.find((m) => m.role === 'user') ?? messages[0];
+  const lastAssistant = [...messages].reverse().find((m) => m.role === 'assistant');
+  return { prompt: firstUser?.content ?? '', output: lastAssistant?.content ?? '' };
+};
+
+
+// ============ CONVERSATION TURNS ============
+
+/**
+ * Per-turn salt: revealing it for one turn says nothing about the others
+ */
+export const turnSalt = (salt, index) => ethers.sha256(ethers.toUtf8Bytes(`${salt.toLowerCase()}:${index}`));
+
+/**
+ * Hash of one turn (the value that goes into the turns tree)
+ */
+export const hashTurn = ({ index, role, content, salt }) => ethers.sha256(
+  ethers.toUtf8Bytes(canonicalJson({ content, index, role, salt }))
+);
+
+/**
+ * Turn hashes of a conversation record, in order
+ */
+export const conversationTurnHashes = (record) => record.messages.map((message, index) => hashTurn({
+  index,
+  role: message.role,
+  content: message.content,
+  salt: turnSalt(record.salt, index),
+}));
+
+/**
+ * The part of a conversation that gets hashed: commits to every turn by root
+ */
+export const conversationHeader = (record) => ({
+  scheme: CONVERSATION_SCHEME,
+  v: CONVERSATION_VERSION,
+  turnCount: record.messages.length,
+  turnsRoot: buildMerkleTree(conversationTurnHashes(record)).root,
+  ...(record.generation ? { generation: record.generation } : {}),
+});
+
+/**
+ * Rebuild a record from loose parts typed into the Verify form
+ * The "salt" field accepts either a v1 salt or a legacy millisecond timestamp;
+ * "generation" is the record's generation details as JSON (v1 only, optional)
+ */
+export const recordFromParts = ({ prompt, output, salt, generation = '' }) => {
+  const value = String(salt ?? '').trim();
+  if (SALT_PATTERN.test(value)) {
+    let details;
+    if (String(generation).trim()) {
+      try {
+        details = JSON.parse(generation);
+      } catch {
+        throw new Error('Generation details must be JSON, as in the proof file');
+      }
+    }
+    return createRecord({ prompt, output, salt: value, generation: details });
+  }
+  if (LEGACY_TIMESTAMP_PATTERN.test(value)) {
+    return createLegacyRecord({ prompt, output, timestamp: value });
+  }
+  throw new Error('Enter a 0x… salt (64 hex characters) or a legacy millisecond timestamp');
+};
+
+/**
+ * Produce the exact string that gets hashed for a record
+ */
+export const encodeRecord = (record) => {
+  if (record?.scheme === LEGACY_SCHEME) {
+    return `${record.prompt}|${record.output}|${record.timestamp}`;
+  }
+  if (record?.scheme === RECORD_SCHEME && record.v === RECORD_VERSION) {
+    return canonicalJson(record);
+  }
+  if (record?.scheme === CONVERSATION_SCHEME && record.v === CONVERSATION_VERSION) {
+    return canonicalJson(conversationHeader(record));
+  }
+  throw new Error(`Unsupported record scheme: ${record?.scheme ?? 'unknown'} v${record?.v ?? '?'}`);
+};
+
+/**
+ * Hash a record according to its scheme
+ *
+ * @returns The content hash as 0x-prefixed bytes32 hex
+ */
+export const hashRecord = async (record) => sha256Hex(encodeRecord(record));
+
+
+// ============ PROOF FILES ============
+
+/**
+ * Wrap a record into a downloadable proof file
+ * Holding this file (or just the salt) is enough to re-verify the content later
+ */
+export const buildProofFile = (record, hash) => ({
+  format: PROOF_FILE_FORMAT,
+  hash,
+  record,
+});
+
+/**
+ * Parse a proof file (or a bare record object) back into a record
+ *
+ * @param text The raw JSON file contents
+ * @returns { record, hash } where hash is the claimed hash (may be undefined)
+ */
+export const parseProofFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Proof file is not valid JSON');
+  }
+
+  const record = data?.format === PROOF_FILE_FORMAT ? data.record : data;
+  if (!record || typeof record !== 'object') {
+    throw new Error('Proof file does not contain a record');
+  }
+  return { record: normalizeRecord(record), hash: data.hash };
+};
@@ -0,0 +1,113 @@
+// frontend/src/lib/relayer.js
+
+/**
+ * GASLESS REGISTRATION
+ *
+ * Instead of sending registerContent (which needs ETH for gas), the author
+ * signs an EIP-712 RegisterContent message in their wallet and hands it to the
+ * relayer service (pques/relayer). The relayer submits registerContentFor and
+ * pays the gas; the contract still records the signer as the author.
+ *
+ * The message carries the author's current on-chain nonce and a deadline, so a
+ * signature can be used once, on one chain and contract, for a limited time.
+ * Registrations with generation metadata (lib/metadata.js) sign a
+ * RegisterContentWithMetadata message instead, which covers the metadata too.
+ *
+ * Enabled when VITE_RELAYER_URL points at a running relayer.
+ */
+
+export const RELAYER_URL = import.meta.env?.VITE_RELAYER_URL || '';
+
+// How long a signature stays valid for the relayer to submit it
+export const SIGNATURE_TTL_SECONDS = 60 * 60;
+
+// Must match ProofOfPrompt.REGISTER_TYPEHASH (and pques/relayer/typedData.js)
+export const REGISTER_TYPES = {
+  RegisterContent: [
+    { name: 'author', type: 'address' },
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'promptIPFSHash', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Must match ProofOfPrompt.REGISTER_WITH_METADATA_TYPEHASH
+export const REGISTER_WITH_METADATA_TYPES = {
+  RegisterContentWithMetadata: [
+    { name: 'author', type: 'address' },
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'promptIPFSHash', type: 'string' },
+    { name: 'modelId', type: 'string' },
+    { name: 'paramsHash', type: 'bytes32' },
+    { name: 'contentType', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+export const registerDomain = (chainId, verifyingContract) => ({
+  name: 'ProofOfPrompt',
+  version: '1',
+  chainId,
+  verifyingContract,
+});
+
+/**
+ * Ask the wallet to sign a registration (no transaction, no gas)
+ *
+ * @param signer The author's ethers signer
+ * @param contract The registry contract (for the nonce and address)
+ * @param contentHash Hash to register
+ * @param promptIPFSHash Optional CID, covered by the signature
+ * @param metadata Optional { modelId, paramsHash, contentType }, also signed
+ * @returns The request body for the relayer
+ */
+export const signRegistration = async (signer, contract, { contentHash, promptIPFSHash = '', metadata = null }) => {
+  const author = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const nonce = await contract.nonces(author);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS);
+
+  const signature = await signer.signTypedData(
+    registerDomain(chainId, await contract.getAddress()),
+    metadata ? REGISTER_WITH_METADATA_TYPES : REGISTER_TYPES,
+    { author, contentHash, promptIPFSHash, ...metadata, nonce, deadline }
+  );
+
+  return {
+    author,
+    contentHash,
+    promptIPFSHash,
+    deadline: deadline.toString(),
+    signature,
+    ...(metadata ? { metadata } : {}),
+  };
+};
+
+/**
+ * Hand a signed registration to the relayer
+ *
+ * @returns { txHash, nonce, relayer } once the relayer has broadcast the tx
+ */
+export const relayRegistration = async (request, url = RELAYER_URL) => {
+  if (!url) throw new Error('No relayer configured (VITE_RELAYER_URL)');
+
+  let response;
+  try {
+    response = await fetch(`${url.replace(/\/$/, '')}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request),
+    });
+  } catch {
+    throw new Error(`Relayer unreachable at ${url}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const retry = data.retryAfterMs ? ` Try again in ${Math.ceil(data.retryAfterMs / 60000)} min.` : '';
+    throw new Error(`Relayer: ${data.error || `HTTP ${response.status}`}.${retry}`);
+  }
+  return data;
+};
@@ -0,0 +1,92 @@
+// frontend/src/lib/router.js
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * URL ROUTES
+ *
+ * A tiny History API router so results can be linked to and survive refresh:
+ *
+ *   /                  → Register tab
+ *   /verify            → Verify tab
+ *   /verify/0x<64 hex> → Verify tab, hash filled in and checked automatically
+ *   /portfolio         → My Registrations for the connected wallet
+ *   /author/0x<40 hex> → Registrations of any address
+ *   /explorer          → Every registration from the event log, with filters
+ *   /admin             → Moderation dashboard (owner and admins only)
+ *
+ * Unknown paths fall back to the Register tab. The dev server already serves
+ * index.html for every path; static hosts need the same SPA fallback.
+ */
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export const isContentHash = (value) => HASH_PATTERN.test(String(value || '').trim());
+
+/**
+ * Turn a pathname into { tab, hash, address }
+ */
+export const parseRoute = (pathname) => {
+  const parts = String(pathname || '/').split('/').filter(Boolean);
+  const [section, param] = parts;
+
+  if (section === 'verify') {
+    return { tab: 'verify', hash: HASH_PATTERN.test(param || '') ? param.toLowerCase() : null, address: null };
+  }
+  if (section === 'author' && ADDRESS_PATTERN.test(param || '')) {
+    return { tab: 'portfolio', hash: null, address: param };
+  }
+  if (section === 'portfolio' || section === 'author') {
+    return { tab: 'portfolio', hash: null, address: null };
+  }
+  if (section === 'explorer') {
+    return { tab: 'explorer', hash: null, address: null };
+  }
+  if (section === 'admin') {
+    return { tab: 'admin', hash: null, address: null };
+  }
+  return { tab: 'register', hash: null, address: null };
+};
+
+/**
+ * Path helpers so links are built the same way everywhere
+ */
+export const paths = {
+  register: () => '/',
+  verify: (hash) => (hash ? `/verify/${hash}` : '/verify'),
+  portfolio: () => '/portfolio',
+  author: (address) => `/author/${address}`,
+  explorer: () => '/explorer',
+  admin: () => '/admin',
+};
+
+/**
+ * Absolute URL for a path, for "copy share link" buttons
+ */
+export const shareUrl = (path) => `${window.location.origin}${path}`;
+
+/**
+ * Current route plus a navigate() that pushes (or replaces) history entries
+ * Back/forward buttons are picked up through popstate.
+ */
+export default function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const onPopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === window.location.pathname) return;
+    if (replace) {
+      window.history.replaceState(null, '', path);
+    } else {
+      window.history.pushState(null, '', path);
+    }
+    setRoute(parseRoute(path));
+  }, []);
+
+  return { route, navigate };
+}
@@ -0,0 +1,116 @@
+// frontend/src/lib/sdk/errors.js
+
+/**
+ * DECODING ERRORS
+ *
+ * Wallets, nodes and ethers report the same failure in different shapes:
+ * MetaMask rejections are code 4001 or ACTION_REJECTED, a revert reason can
+ * sit on the error itself or deep inside the node's JSON-RPC reply. This
+ * turns any of them into one { kind, message, reason } so callers can pick a
+ * message without poking at ethers internals.
+ *
+ * kind:
+ *   rejected            the user declined in their wallet
+ *   reverted            the contract refused; `reason` is its revert string
+ *   insufficient-funds  not enough ETH for gas
+ *   network             the node could not be reached or timed out
+ *   unknown             anything else
+ */
+
+/**
+ * @typedef {'rejected' | 'reverted' | 'insufficient-funds' | 'network' | 'unknown'} ErrorKind
+ *
+ * @typedef {object} DecodedError
+ * @property {ErrorKind} kind
+ * @property {string} message Short, human-readable
+ * @property {string | null} reason The contract's revert string, when it reverted
+ */
+
+// Hardhat and Geth spell out the reason inside the RPC error message
+const REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^"\n]+)/,
+];
+
+/**
+ * Walk an error and the errors it wraps (ethers keeps the node's reply in
+ * `info.error` / `error`, some wallets in `data.originalError`)
+ */
+const errorChain = (error) => {
+  const chain = [];
+  let current = error;
+  while (current && typeof current === 'object' && !chain.includes(current) && chain.length < 8) {
+    chain.push(current);
+    current = current.info?.error ?? current.error ?? current.data?.originalError ?? current.cause;
+  }
+  return chain;
+};
+
+const findReason = (chain, contractInterface) => {
+  for (const error of chain) {
+    if (typeof error.reason === 'string' && error.reason) return error.reason;
+    if (error.revert?.args?.length) return String(error.revert.args[0]);
+
+    const data = typeof error.data === 'string' ? error.data : null;
+    if (data && data !== '0x' && contractInterface) {
+      try {
+        const parsed = contractInterface.parseError(data);
+        if (parsed) return parsed.args.length ? String(parsed.args[0]) : parsed.name;
+      } catch {
+        // not one of the contract's errors
+      }
+    }
+
+    for (const pattern of REASON_PATTERNS) {
+      const match = typeof error.message === 'string' && error.message.match(pattern);
+      if (match) return match[1].trim();
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode an error thrown by a wallet, node or contract call
+ *
+ * @param {unknown} error Whatever was thrown
+ * @param {import('ethers').Interface} [contractInterface] Decodes custom errors
+ * @returns {DecodedError}
+ */
+export const decodeError = (error, contractInterface) => {
+  const chain = errorChain(error);
+  const codes = chain.map((e) => e.code);
+  const messages = chain.map((e) => String(e.message ?? '')).join('\n');
+
+  if (codes.includes('ACTION_REJECTED') || codes.includes(4001) || /user (rejected|denied)/i.test(messages)) {
+    return { kind: 'rejected', message: 'Rejected in wallet', reason: null };
+  }
+
+  const reason = findReason(chain, contractInterface);
+  if (reason || codes.includes('CALL_EXCEPTION')) {
+    return {
+      kind: 'reverted',
+      message: reason ? `Reverted: ${reason}` : 'Transaction reverted',
+      reason,
+    };
+  }
+
+  if (codes.includes('INSUFFICIENT_FUNDS') || /insufficient funds/i.test(messages)) {
+    return { kind: 'insufficient-funds', message: 'Not enough ETH to pay for gas', reason: null };
+  }
+
+  if (codes.some((code) => ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(code))) {
+    return { kind: 'network', message: error.shortMessage || 'Could not reach the network', reason: null };
+  }
+
+  return {
+    kind: 'unknown',
+    message: error?.shortMessage || error?.message || String(error ?? 'Unknown error'),
+    reason: null,
+  };
+};
+
+/**
+ * Did the registration fail because the hash is already taken?
+ */
+export const isAlreadyRegistered = (decoded) => decoded.kind === 'reverted'
+  && /already registered/i.test(decoded.reason ?? '');
@@ -0,0 +1,154 @@
+// frontend/src/lib/sdk/fingerprints.js
+import { fingerprint, compareFingerprints } from '../similarity.js';
+import { isConversationRecord } from '../records.js';
+import { createMemoryStorage } from './localRecords.js';
+
+/**
+ * LOCAL FINGERPRINT INDEX
+ *
+ * Near-duplicate search over registered outputs (see lib/similarity.js).
+ * Every record saved at registration gets a MinHash fingerprint of its
+ * output, kept in the same kind of Storage-like object as the records
+ * (localStorage in the browser, memory in Node) under
+ * `proof-of-prompt-fp:<lowercase hash>`.
+ *
+ * Entries hold the fingerprint and where the record was registered, never the
+ * text, so the index can be searched for content the record store no longer
+ * has (or never had, when fingerprints come from somewhere else).
+ */
+
+export const FINGERPRINT_PREFIX = 'proof-of-prompt-fp:';
+
+// Below this estimated similarity, a search doesn't call it a candidate
+const DEFAULT_MIN_SIMILARITY = 0.3;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+const defaultStorage = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) return window.localStorage;
+  } catch {
+    // storage disabled (private mode, sandboxed iframe)
+  }
+  return createMemoryStorage();
+};
+
+/**
+ * The text a record's fingerprint is made from: the output, or every
+ * assistant reply of a conversation
+ */
+export const fingerprintText = (record) => {
+  if (!isConversationRecord(record)) return record?.output ?? '';
+  return (record.messages || [])
+    .filter((message) => message.role === 'assistant')
+    .map((message) => message.content)
+    .join('\n\n');
+};
+
+/**
+ * Create a fingerprint index
+ *
+ * @param {Storage} [storage] Defaults to localStorage, or memory outside the browser
+ * @returns {{
+ *   add: (hash: string, text: string, details?: object) => object | null,
+ *   addRecord: (hash: string, record: object) => object | null,
+ *   get: (hash: string) => object | null,
+ *   list: () => object[],
+ *   remove: (hash: string) => void,
+ *   search: (text: string, options?: object) => object[],
+ * }}
+ */
+export const createFingerprintIndex = (storage = defaultStorage()) => {
+  const keyOf = (hash) => `${FINGERPRINT_PREFIX}${String(hash).toLowerCase()}`;
+
+  const get = (hash) => {
+    try {
+      const raw = storage.getItem(keyOf(hash));
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Fingerprint a text and keep it under its hash
+   * details: { chainId, contractAddress, author } (stored as given)
+   *
+   * @returns The stored entry, or null for text without words
+   */
+  const add = (hash, text, details = {}) => {
+    const print = fingerprint(text);
+    if (!print) return null;
+    const entry = { hash: String(hash).toLowerCase(), ...details, fingerprint: print };
+    try {
+      storage.setItem(keyOf(hash), JSON.stringify(entry));
+    } catch (e) {
+      console.log('Fingerprint save failed', e);
+    }
+    return entry;
+  };
+
+  const list = () => {
+    const entries = [];
+    try {
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key || !key.startsWith(FINGERPRINT_PREFIX)) continue;
+        const entry = get(key.slice(FINGERPRINT_PREFIX.length));
+        if (entry) entries.push(entry);
+      }
+    } catch (e) {
+      console.log('Fingerprint listing failed', e);
+    }
+    return entries;
+  };
+
+  return {
+    add,
+
+    /**
+     * Fingerprint a saved record (the shape the local record store keeps)
+     */
+    addRecord: (hash, record) => add(hash, fingerprintText(record), {
+      chainId: record.chainId ?? null,
+      contractAddress: record.contractAddress ?? null,
+      author: record.author ?? null,
+    }),
+
+    get,
+    list,
+
+    remove: (hash) => {
+      storage.removeItem(keyOf(hash));
+    },
+
+    /**
+     * Entries whose fingerprint is close to a text's, most similar first
+     *
+     * @param options { minSimilarity = 0.3, limit = 10, chainId, contractAddress }
+     *   chainId / contractAddress skip entries known to be registered elsewhere.
+     *   Entries are saved before their transaction is sent, so some may never
+     *   have been registered: filter those out before limiting (limit: Infinity)
+     * @returns [{ ...entry, similarity }]
+     */
+    search: (text, {
+      minSimilarity = DEFAULT_MIN_SIMILARITY,
+      limit = DEFAULT_SEARCH_LIMIT,
+      chainId,
+      contractAddress,
+    } = {}) => {
+      const print = fingerprint(text);
+      if (!print) return [];
+      const elsewhere = (entry) => (
+        (chainId != null && entry.chainId != null && Number(entry.chainId) !== Number(chainId))
+        || (contractAddress && entry.contractAddress
+          && entry.contractAddress.toLowerCase() !== contractAddress.toLowerCase())
+      );
+      return list()
+        .filter((entry) => !elsewhere(entry))
+        .map((entry) => ({ ...entry, similarity: compareFingerprints(print, entry.fingerprint) }))
+        .filter((entry) => entry.similarity !== null && entry.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    },
+  };
+};
@@ -0,0 +1,333 @@
+// frontend/src/lib/sdk/index.d.ts
+// Types for the Proof of Prompt SDK (index.js)
+
+import type {
+  Contract,
+  ContractRunner,
+  ContractTransactionResponse,
+  Interface,
+  InterfaceAbi,
+} from 'ethers';
+
+// ============ RECORDS ============
+
+export const RECORD_SCHEME: 'pop-record';
+export const CONVERSATION_SCHEME: 'pop-conversation';
+export const LEGACY_SCHEME: 'legacy-pipe';
+export const PROOF_FILE_FORMAT: 'proof-of-prompt/record';
+
+export type Role = 'system' | 'user' | 'assistant';
+
+export interface Message {
+  role: Role;
+  content: string;
+}
+
+export interface Generation {
+  provider: string;
+  model: string;
+  params?: { maxTokens?: number; temperature?: number };
+  candidate?: { index: number; total: number };
+}
+
+export interface PromptRecord {
+  scheme: 'pop-record';
+  v: 1;
+  prompt: string;
+  output: string;
+  salt: string;
+  generation?: Generation;
+}
+
+export interface ConversationRecord {
+  scheme: 'pop-conversation';
+  v: 1;
+  messages: Message[];
+  salt: string;
+  generation?: Generation;
+}
+
+export interface LegacyRecord {
+  scheme: 'legacy-pipe';
+  prompt: string;
+  output: string;
+  timestamp: string;
+}
+
+export type ContentRecord = PromptRecord | ConversationRecord | LegacyRecord;
+
+export interface ProofFile {
+  format: 'proof-of-prompt/record';
+  hash: string;
+  record: ContentRecord;
+}
+
+export function createRecord(parts: {
+  prompt: string;
+  output: string;
+  salt?: string;
+  generation?: Generation;
+}): PromptRecord;
+export function createConversationRecord(parts: {
+  messages: Message[];
+  salt?: string;
+  generation?: Generation;
+}): ConversationRecord;
+export function createLegacyRecord(parts: {
+  prompt: string;
+  output: string;
+  timestamp: string | number;
+}): LegacyRecord;
+export function recordFromParts(parts: {
+  prompt: string;
+  output: string;
+  salt: string;
+  generation?: string;
+}): PromptRecord | LegacyRecord;
+export function normalizeRecord(record: unknown): ContentRecord;
+export function isConversationRecord(record: unknown): record is ConversationRecord;
+export function recordSummary(record: ContentRecord | null | undefined): { prompt: string; output: string };
+export function hashRecord(record: ContentRecord): Promise<string>;
+export function encodeRecord(record: ContentRecord): string;
+export function canonicalJson(value: unknown): string;
+export function buildProofFile(record: ContentRecord, hash: string): ProofFile;
+export function parseProofFile(text: string): { record: ContentRecord; hash: string | undefined };
+
+// ============ METADATA ============
+
+/** Metadata as sent to the contract (contentType is bytes32) */
+export interface MetadataInput {
+  modelId: string;
+  paramsHash: string;
+  contentType: string;
+}
+
+/** Metadata as read back (contentType is the tag) */
+export interface Metadata {
+  modelId: string;
+  paramsHash: string | null;
+  contentType: string;
+}
+
+export const CONTENT_TYPES: { id: string; label: string }[];
+export function buildMetadata(generation: Generation | undefined, contentType: string): MetadataInput;
+export function hashParams(params: object): string;
+export function modelIdOf(generation: Generation): string;
+
+// ============ LOCAL RECORDS ============
+
+export const LOCAL_RECORD_PREFIX: 'proof-of-prompt:';
+
+export interface StorageLike {
+  readonly length: number;
+  key(index: number): string | null;
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface LocalRecords {
+  save(hash: string, record: object): void;
+  load(hash: string): (ContentRecord & Record<string, unknown>) | null;
+  list(): { hash: string; record: ContentRecord & Record<string, unknown> }[];
+  remove(hash: string): void;
+}
+
+export function createMemoryStorage(): StorageLike;
+export function createLocalRecords(storage?: StorageLike): LocalRecords;
+
+// ============ NEAR-DUPLICATES ============
+
+export const FINGERPRINT_PREFIX: 'proof-of-prompt-fp:';
+
+export interface Fingerprint {
+  scheme: 'minhash';
+  v: 1;
+  /** Words in the fingerprinted text */
+  words: number;
+  /** 128 MinHash values, 8 hex characters each */
+  signature: string;
+}
+
+export interface FingerprintEntry {
+  hash: string;
+  chainId?: number | null;
+  contractAddress?: string | null;
+  author?: string | null;
+  fingerprint: Fingerprint;
+}
+
+export interface SimilarContent extends FingerprintEntry {
+  /** Estimated Jaccard similarity of the word shingles, 0 to 1 */
+  similarity: number;
+}
+
+export interface FingerprintIndex {
+  add(hash: string, text: string, details?: Record<string, unknown>): FingerprintEntry | null;
+  addRecord(hash: string, record: ContentRecord & Record<string, unknown>): FingerprintEntry | null;
+  get(hash: string): FingerprintEntry | null;
+  list(): FingerprintEntry[];
+  remove(hash: string): void;
+  search(text: string, options?: {
+    minSimilarity?: number;
+    limit?: number;
+    chainId?: number;
+    contractAddress?: string;
+  }): SimilarContent[];
+}
+
+export interface DiffSegment {
+  type: 'equal' | 'removed' | 'added';
+  text: string;
+}
+
+export function createFingerprintIndex(storage?: StorageLike): FingerprintIndex;
+export function fingerprintText(record: ContentRecord): string;
+export function fingerprint(text: string): Fingerprint | null;
+export function compareFingerprints(a: Fingerprint, b: Fingerprint): number | null;
+export function textSimilarity(a: string, b: string): number;
+/** null when the texts differ in more than maxEdits words and spaces */
+export function diffWords(before: string, after: string, options?: { maxEdits?: number }): DiffSegment[] | null;
+
+// ============ ERRORS ============
+
+export type ErrorKind = 'rejected' | 'reverted' | 'insufficient-funds' | 'network' | 'unknown';
+
+export interface DecodedError {
+  kind: ErrorKind;
+  message: string;
+  reason: string | null;
+}
+
+export function decodeError(error: unknown, contractInterface?: Interface): DecodedError;
+export function isAlreadyRegistered(decoded: DecodedError): boolean;
+
+// ============ REGISTRY ============
+
+export type Registration =
+  | { exists: false; hash: string }
+  | {
+      exists: true;
+      hash: string;
+      author: string;
+      timestamp: number;
+      registeredAt: Date;
+      promptIPFSHash: string;
+    };
+
+export interface BatchItemResult {
+  included: boolean;
+  author: string | null;
+  timestamp: number;
+  registeredAt: Date | null;
+  itemCount: number;
+}
+
+export interface Batch {
+  merkleRoot: string;
+  author: string;
+  timestamp: number;
+  registeredAt: Date;
+  itemCount: number;
+}
+
+export interface Flag {
+  status: number;
+  label: string;
+  reason: string;
+  flaggedBy: string;
+  flaggedAt: Date;
+}
+
+export interface ClaimAttempt {
+  claimant: string;
+  timestamp: number;
+  claimedAt: Date;
+}
+
+export interface RegistrationEvent {
+  hash: string;
+  author: string;
+  contentType: string;
+  timestamp: number;
+  registeredAt: Date;
+  totalRegistrations: number;
+  blockNumber: number;
+  blockHash: string;
+  logIndex: number;
+  txHash: string;
+}
+
+export interface RegistrationFilter {
+  author?: string;
+  contentHash?: string;
+  contentType?: string;
+}
+
+export interface Registry {
+  readonly contract: Contract;
+  readonly address: string;
+
+  supportsMetadata(): boolean;
+  supportsClaimAttempts(): boolean;
+
+  register(
+    hash: string,
+    options?: { cid?: string; metadata?: MetadataInput | null }
+  ): Promise<ContractTransactionResponse>;
+  registerRecord(
+    record: ContentRecord,
+    options?: { cid?: string; contentType?: string }
+  ): Promise<{ hash: string; metadata: MetadataInput | null; tx: ContractTransactionResponse }>;
+  registerBatch(merkleRoot: string, itemCount: number): Promise<ContractTransactionResponse>;
+  recordClaimAttempt(hash: string): Promise<ContractTransactionResponse>;
+
+  lookup(hash: string): Promise<Registration>;
+  verifyRecord(record: ContentRecord): Promise<Registration>;
+  verifyBatchItem(itemHash: string, proof: string[], merkleRoot: string): Promise<BatchItemResult>;
+  isRegistered(hash: string): Promise<boolean>;
+  getContentDetails(hash: string): Promise<{
+    author: string;
+    timestamp: number;
+    registeredAt: Date;
+    promptIPFSHash: string;
+  }>;
+  getAuthorContent(author: string): Promise<string[]>;
+  getAuthorBatches(author: string): Promise<string[]>;
+  getBatch(merkleRoot: string): Promise<Batch | null>;
+  getStats(): Promise<{ total: number; owner: string }>;
+  getMetadata(hash: string): Promise<Metadata | null>;
+  getFlag(hash: string): Promise<Flag | null>;
+  getClaimAttempts(hash: string): Promise<ClaimAttempt[]>;
+  getEncryptionKey(address: string): Promise<string | null>;
+
+  queryRegistrations(
+    options?: RegistrationFilter & {
+      fromBlock?: number;
+      toBlock?: number;
+      onChunk?: (events: unknown[], range: { fromBlock: number; toBlock: number }) => void;
+    }
+  ): Promise<RegistrationEvent[]>;
+  queryRegistrationsPage(
+    options?: RegistrationFilter & {
+      fromBlock?: number;
+      toBlock?: number;
+      limit?: number;
+      maxChunks?: number;
+      chunkSize?: number;
+    }
+  ): Promise<{ registrations: RegistrationEvent[]; toBlock: number; nextToBlock: number | null }>;
+  blockAtTime(time: number | Date, range?: { fromBlock?: number; toBlock?: number }): Promise<number>;
+  onRegistered(
+    listener: (registration: RegistrationEvent) => void,
+    filter?: RegistrationFilter
+  ): () => Promise<void>;
+
+  decodeError(error: unknown): DecodedError;
+}
+
+export function createRegistry(
+  options:
+    | { address: string; abi: InterfaceAbi; runner?: ContractRunner | null }
+    | { contract: Contract }
+): Registry;
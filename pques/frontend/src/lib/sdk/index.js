@@ -0,0 +1,49 @@
+// frontend/src/lib/sdk/index.js
+
+/**
+ * PROOF OF PROMPT SDK
+ *
+ * Everything needed to build on the registry without the React app:
+ *
+ *   records      build records, hash them, write and read proof files
+ *   local store  keep records (and their salts) next to their hashes
+ *   fingerprints find registered outputs close to a text (near-duplicates)
+ *   registry     register, verify, query authors, subscribe to events
+ *   errors       turn wallet / node / revert errors into one shape
+ *
+ * Plain ES modules on top of ethers v6: the same files run in the browser
+ * (the app imports them) and in Node 18+ (the CLI and the tests do).
+ * Types are in index.d.ts.
+ *
+ *   import { createRegistry, createRecord } from './lib/sdk/index.js';
+ *
+ *   const registry = createRegistry({ address, abi, runner: signer });
+ *   const { hash, tx } = await registry.registerRecord(createRecord({ prompt, output }));
+ *   await tx.wait();
+ *   await registry.lookup(hash);   // { exists: true, author, registeredAt, … }
+ */
+
+export {
+  createRecord,
+  createConversationRecord,
+  createLegacyRecord,
+  recordFromParts,
+  normalizeRecord,
+  isConversationRecord,
+  recordSummary,
+  hashRecord,
+  encodeRecord,
+  canonicalJson,
+  buildProofFile,
+  parseProofFile,
+  RECORD_SCHEME,
+  CONVERSATION_SCHEME,
+  LEGACY_SCHEME,
+  PROOF_FILE_FORMAT,
+} from '../records.js';
+export { buildMetadata, hashParams, modelIdOf, CONTENT_TYPES } from '../metadata.js';
+export { createLocalRecords, createMemoryStorage, LOCAL_RECORD_PREFIX } from './localRecords.js';
+export { createFingerprintIndex, fingerprintText, FINGERPRINT_PREFIX } from './fingerprints.js';
+export { fingerprint, compareFingerprints, textSimilarity, diffWords } from '../similarity.js';
+export { createRegistry } from './registry.js';
+export { decodeError, isAlreadyRegistered } from './errors.js';
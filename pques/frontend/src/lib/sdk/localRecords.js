@@ -0,0 +1,104 @@
+// frontend/src/lib/sdk/localRecords.js
+
+/**
+ * LOCAL RECORD STORE
+ *
+ * The registry only keeps hashes; the records behind them (prompt, output,
+ * salt) stay with their author. This keeps them in a Storage-like object:
+ * localStorage in the browser, or anything with getItem / setItem /
+ * removeItem / key / length elsewhere. Without one (Node), records live in
+ * memory for the life of the process.
+ *
+ * Keys are `proof-of-prompt:<lowercase hash>`, the same keys the app has
+ * always used, so existing browser data stays readable.
+ */
+
+export const LOCAL_RECORD_PREFIX = 'proof-of-prompt:';
+
+/**
+ * Storage-like object backed by a Map
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+};
+
+const defaultStorage = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) return window.localStorage;
+  } catch {
+    // storage disabled (private mode, sandboxed iframe)
+  }
+  return createMemoryStorage();
+};
+
+/**
+ * Create a local record store
+ *
+ * @param {Storage} [storage] Defaults to localStorage, or memory outside the browser
+ * @returns {{
+ *   save: (hash: string, record: object) => void,
+ *   load: (hash: string) => object | null,
+ *   list: () => { hash: string, record: object }[],
+ *   remove: (hash: string) => void,
+ * }}
+ */
+export const createLocalRecords = (storage = defaultStorage()) => {
+  const keyOf = (hash) => `${LOCAL_RECORD_PREFIX}${String(hash).toLowerCase()}`;
+
+  const load = (hash) => {
+    try {
+      const raw = storage.getItem(keyOf(hash));
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    save: (hash, record) => {
+      try {
+        storage.setItem(keyOf(hash), JSON.stringify(record));
+      } catch (e) {
+        console.log('Local record save failed', e);
+      }
+    },
+
+    load,
+
+    /**
+     * Every record in the store as [{ hash, record }] (used by backups)
+     */
+    list: () => {
+      const records = [];
+      try {
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          if (!key || !key.startsWith(LOCAL_RECORD_PREFIX)) continue;
+          const hash = key.slice(LOCAL_RECORD_PREFIX.length);
+          const record = load(hash);
+          if (record) records.push({ hash, record });
+        }
+      } catch (e) {
+        console.log('Local record listing failed', e);
+      }
+      return records;
+    },
+
+    remove: (hash) => {
+      storage.removeItem(keyOf(hash));
+    },
+  };
+};
@@ -0,0 +1,353 @@
+// frontend/src/lib/sdk/registry.js
+import { ethers } from 'ethers';
+import { hashRecord, isConversationRecord } from '../records.js';
+import { buildMetadata, readMetadata, supportsMetadata, encodeContentType, decodeContentType } from '../metadata.js';
+import { readFlag } from '../moderation.js';
+import { queryEventsChunked, queryEventsBackward, findBlockByTime } from '../events.js';
+import { decodeError } from './errors.js';
+
+/**
+ * THE REGISTRY CLIENT
+ *
+ * Every read and write the app makes against ProofOfPrompt, behind one
+ * object. Results are plain values: numbers instead of BigInts, Dates next
+ * to raw timestamps, null instead of zero addresses.
+ *
+ * It only needs an ethers runner, so the same code runs in the browser
+ * (BrowserProvider / its signer) and in Node (JsonRpcProvider, Wallet,
+ * Hardhat's signers). Reads work with a provider; writes need a signer.
+ */
+
+/**
+ * @typedef {import('ethers').ContractRunner} ContractRunner
+ * @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse
+ *
+ * @typedef {object} Registration
+ * @property {boolean} exists
+ * @property {string} hash
+ * @property {string} [author]
+ * @property {number} [timestamp] Block timestamp, in seconds
+ * @property {Date} [registeredAt]
+ * @property {string} [promptIPFSHash] Storage CID, '' when nothing was published
+ *
+ * @typedef {object} Metadata
+ * @property {string} modelId
+ * @property {string | null} paramsHash
+ * @property {string} contentType Content-type tag
+ *
+ * @typedef {object} RegistrationEvent
+ * @property {string} hash
+ * @property {string} author
+ * @property {string} contentType Tag, '' when the registration has no metadata
+ * @property {number} timestamp
+ * @property {Date} registeredAt
+ * @property {number} totalRegistrations Registry total right after this one
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {number} logIndex
+ * @property {string} txHash
+ *
+ * @typedef {object} RegistrationFilter
+ * @property {string} [author]
+ * @property {string} [contentHash]
+ * @property {string} [contentType] Content-type tag
+ */
+
+const toDate = (seconds) => new Date(Number(seconds) * 1000);
+
+// Claims fetched per getClaimAttempts call
+const CLAIM_PAGE_SIZE = 100;
+
+/**
+ * A ContentRegistered log (from queryFilter or a live listener) as a plain object
+ */
+const registrationFromEvent = (event) => ({
+  hash: event.args.contentHash,
+  author: event.args.author,
+  contentType: decodeContentType(event.args.contentType),
+  timestamp: Number(event.args.timestamp),
+  registeredAt: toDate(event.args.timestamp),
+  totalRegistrations: Number(event.args.totalRegistrations),
+  blockNumber: event.blockNumber,
+  blockHash: event.blockHash,
+  logIndex: event.index,
+  txHash: event.transactionHash,
+});
+
+/**
+ * Create a registry client
+ *
+ * @param {object} options
+ * @param {string} [options.address] Contract address
+ * @param {import('ethers').InterfaceAbi} [options.abi] ABI, e.g. from deployments/<network>.json
+ * @param {ContractRunner} [options.runner] Provider for reads, signer for writes
+ * @param {import('ethers').Contract} [options.contract] An existing contract, instead of the three above
+ */
+export const createRegistry = ({ address, abi, runner, contract: existing }) => {
+  if (!existing && !(address && abi)) {
+    throw new Error('createRegistry needs an address and ABI, or a contract');
+  }
+  const contract = existing ?? new ethers.Contract(address, abi, runner);
+
+  const registrationFilter = ({ author, contentHash, contentType } = {}) => contract.filters.ContentRegistered(
+    author ?? null,
+    contentHash ?? null,
+    contentType ? encodeContentType(contentType) : null
+  );
+
+  const registry = {
+    contract,
+    address: contract.target,
+
+    /**
+     * Does this deployment store generation metadata? (older ones don't)
+     * @returns {boolean}
+     */
+    supportsMetadata: () => supportsMetadata(contract),
+
+    /**
+     * Does this deployment keep claims on registered content? (older ones don't)
+     * @returns {boolean}
+     */
+    supportsClaimAttempts: () => Boolean(contract.interface.getFunction('getClaimAttempts')),
+
+    // ========== WRITES ==========
+
+    /**
+     * Register a hash. Metadata is dropped on contracts that predate it.
+     *
+     * @param {string} hash
+     * @param {{ cid?: string, metadata?: { modelId: string, paramsHash: string, contentType: string } | null }} [options]
+     *   metadata as built by buildMetadata (contentType already bytes32)
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    register: (hash, { cid = '', metadata = null } = {}) => (
+      metadata && supportsMetadata(contract)
+        ? contract.registerContentWithMetadata(hash, cid, metadata)
+        : contract.registerContent(hash, cid)
+    ),
+
+    /**
+     * Hash a record and register it, with metadata from its generation details
+     *
+     * @param {object} record From createRecord / createConversationRecord
+     * @param {{ cid?: string, contentType?: string }} [options] contentType
+     *   defaults to 'conversation' or 'text'
+     * @returns {Promise<{ hash: string, metadata: object | null, tx: ContractTransactionResponse }>}
+     */
+    registerRecord: async (record, { cid = '', contentType } = {}) => {
+      const hash = await hashRecord(record);
+      const metadata = supportsMetadata(contract)
+        ? buildMetadata(record.generation, contentType || (isConversationRecord(record) ? 'conversation' : 'text'))
+        : null;
+      const tx = await registry.register(hash, { cid, metadata });
+      return { hash, metadata, tx };
+    },
+
+    /**
+     * Register a batch's Merkle root (see lib/merkle.js)
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    registerBatch: (merkleRoot, itemCount) => contract.registerBatch(merkleRoot, itemCount),
+
+    /**
+     * Put on record that the signer claims a hash another address registered
+     * The registration stays the author's; the claim is listed next to it
+     * @returns {Promise<ContractTransactionResponse>}
+     */
+    recordClaimAttempt: (hash) => contract.recordClaimAttempt(hash),
+
+    // ========== LOOKUPS ==========
+
+    /**
+     * Who registered a hash, and when
+     * @returns {Promise<Registration>}
+     */
+    lookup: async (hash) => {
+      const [exists, author, timestamp, promptIPFSHash] = await contract.verifyContent(hash);
+      if (!exists) return { exists: false, hash };
+      return { exists: true, hash, author, timestamp: Number(timestamp), registeredAt: toDate(timestamp), promptIPFSHash };
+    },
+
+    /**
+     * Recompute a record's hash and look it up
+     * @returns {Promise<Registration>}
+     */
+    verifyRecord: async (record) => registry.lookup(await hashRecord(record)),
+
+    /**
+     * Check a batch item's inclusion proof against a registered root
+     *
+     * @param {string} itemHash
+     * @param {string[]} proof Sibling hashes, leaf to root
+     * @param {string} merkleRoot
+     * @returns {Promise<{ included: boolean, author: string | null, timestamp: number, registeredAt: Date | null, itemCount: number }>}
+     */
+    verifyBatchItem: async (itemHash, proof, merkleRoot) => {
+      const [included, author, timestamp, itemCount] = await contract.verifyBatchItem(itemHash, proof, merkleRoot);
+      const known = author !== ethers.ZeroAddress;
+      return {
+        included,
+        author: known ? author : null,
+        timestamp: Number(timestamp),
+        registeredAt: known ? toDate(timestamp) : null,
+        itemCount: Number(itemCount),
+      };
+    },
+
+    /** @returns {Promise<boolean>} */
+    isRegistered: (hash) => contract.hashExists(hash),
+
+    /**
+     * Details of a registered hash (throws "Content not found" otherwise)
+     * @returns {Promise<{ author: string, timestamp: number, registeredAt: Date, promptIPFSHash: string }>}
+     */
+    getContentDetails: async (hash) => {
+      const [author, timestamp, promptIPFSHash] = await contract.getContentDetails(hash);
+      return { author, timestamp: Number(timestamp), registeredAt: toDate(timestamp), promptIPFSHash };
+    },
+
+    /**
+     * Hashes an author registered, oldest first
+     * @returns {Promise<string[]>}
+     */
+    getAuthorContent: async (author) => Array.from(await contract.getAuthorContent(author)),
+
+    /**
+     * Batch roots an author registered, oldest first
+     * @returns {Promise<string[]>}
+     */
+    getAuthorBatches: async (author) => Array.from(await contract.getAuthorBatches(author)),
+
+    /**
+     * A registered batch, or null for an unknown root
+     * @returns {Promise<{ merkleRoot: string, author: string, timestamp: number, registeredAt: Date, itemCount: number } | null>}
+     */
+    getBatch: async (merkleRoot) => {
+      const [author, timestamp, itemCount] = await contract.batches(merkleRoot);
+      if (author === ethers.ZeroAddress) return null;
+      return { merkleRoot, author, timestamp: Number(timestamp), registeredAt: toDate(timestamp), itemCount: Number(itemCount) };
+    },
+
+    /**
+     * @returns {Promise<{ total: number, owner: string }>}
+     */
+    getStats: async () => {
+      const [total, owner] = await contract.getPlatformStats();
+      return { total: Number(total), owner };
+    },
+
+    /**
+     * Model, parameters hash and content type stored with a registration
+     * @returns {Promise<Metadata | null>}
+     */
+    getMetadata: (hash) => readMetadata(contract, hash),
+
+    /**
+     * Moderation flag (see lib/moderation.js), null when not flagged
+     */
+    getFlag: (hash) => readFlag(contract, hash),
+
+    /**
+     * Everyone else who claimed a hash, oldest first ([] on older deployments)
+     * @returns {Promise<{ claimant: string, timestamp: number, claimedAt: Date }[]>}
+     */
+    getClaimAttempts: async (hash) => {
+      if (!registry.supportsClaimAttempts()) return [];
+      const count = Number(await contract.getClaimAttemptCount(hash));
+      const attempts = [];
+      for (let offset = 0; offset < count; offset += CLAIM_PAGE_SIZE) {
+        const [claimants, timestamps] = await contract.getClaimAttempts(hash, offset, CLAIM_PAGE_SIZE);
+        claimants.forEach((claimant, i) => {
+          attempts.push({ claimant, timestamp: Number(timestamps[i]), claimedAt: toDate(timestamps[i]) });
+        });
+      }
+      return attempts;
+    },
+
+    /**
+     * Encryption key an address published, or null
+     * @returns {Promise<string | null>}
+     */
+    getEncryptionKey: async (address) => {
+      const key = await contract.encryptionKeys(address);
+      return key && key !== '0x' ? key : null;
+    },
+
+    // ========== EVENTS ==========
+
+    /**
+     * Registrations from the event log, oldest first, in chunks the RPC accepts
+     *
+     * @param {RegistrationFilter & { fromBlock?: number, toBlock?: number, onChunk?: Function }} [options]
+     * @returns {Promise<RegistrationEvent[]>}
+     */
+    queryRegistrations: async ({ fromBlock = 0, toBlock, onChunk, ...filter } = {}) => {
+      const events = await queryEventsChunked(contract, registrationFilter(filter), { fromBlock, toBlock, onChunk });
+      return events.map(registrationFromEvent);
+    },
+
+    /**
+     * One page of registrations, newest first, scanning back from `toBlock`
+     *
+     * A page ends once `limit` registrations were found or `maxChunks` chunks
+     * were read (so sparse history doesn't stall a page). Pass `nextToBlock`
+     * back as `toBlock` for the next, older page; it is null once `fromBlock`
+     * was reached.
+     *
+     * @param {RegistrationFilter & { fromBlock?: number, toBlock?: number, limit?: number, maxChunks?: number, chunkSize?: number }} [options]
+     * @returns {Promise<{ registrations: RegistrationEvent[], toBlock: number, nextToBlock: number | null }>}
+     */
+    queryRegistrationsPage: async ({ fromBlock = 0, toBlock, limit = 25, maxChunks = 20, chunkSize, ...filter } = {}) => {
+      const page = await queryEventsBackward(contract, registrationFilter(filter), {
+        fromBlock,
+        toBlock,
+        chunkSize,
+        minEvents: limit,
+        maxChunks,
+      });
+      return {
+        registrations: page.events.map(registrationFromEvent).reverse(),
+        toBlock: page.toBlock,
+        nextToBlock: page.nextToBlock,
+      };
+    },
+
+    /**
+     * First block mined at or after a time (for turning dates into block ranges)
+     *
+     * @param {number | Date} time Unix seconds, or a Date
+     * @param {{ fromBlock?: number, toBlock?: number }} [range]
+     * @returns {Promise<number>} toBlock + 1 (the next block) when none is that recent yet
+     */
+    blockAtTime: (time, range) => findBlockByTime(
+      contract.runner.provider ?? contract.runner,
+      time instanceof Date ? Math.floor(time.getTime() / 1000) : Number(time),
+      range
+    ),
+
+    /**
+     * Call `listener` for every new registration matching the filter
+     *
+     * @param {(registration: RegistrationEvent) => void} listener
+     * @param {RegistrationFilter} [filter]
+     * @returns {() => Promise<void>} Stops listening
+     */
+    onRegistered: (listener, filter) => {
+      const eventFilter = registrationFilter(filter);
+      const handler = (...args) => listener(registrationFromEvent(args[args.length - 1].log));
+      const subscribed = contract.on(eventFilter, handler);
+      return async () => {
+        await subscribed;
+        await contract.off(eventFilter, handler);
+      };
+    },
+
+    /**
+     * Decode an error from any of the calls above (see errors.js)
+     */
+    decodeError: (error) => decodeError(error, contract.interface),
+  };
+
+  return registry;
+};
@@ -0,0 +1,253 @@
+// frontend/src/lib/similarity.js
+
+/**
+ * NEAR-DUPLICATE DETECTION
+ *
+ * The registry matches exact SHA-256 hashes, so changing one word of an
+ * output gives a different hash. This finds outputs that are mostly the same
+ * text instead.
+ *
+ * Fingerprint: MinHash over word shingles (scheme "minhash", version 1)
+ *   - Text is lowercased and split into words (runs of Unicode letters and
+ *     digits); punctuation and whitespace are ignored
+ *   - Shingles are overlapping runs of SHINGLE_SIZE words (a text shorter
+ *     than that is one shingle)
+ *   - Each shingle is hashed to 32 bits (FNV-1a over its UTF-16 code units),
+ *     then mixed with SIGNATURE_SIZE different seeds (murmur3 finalizer);
+ *     the signature keeps the smallest value per seed
+ *   - Stored as one hex string, 8 characters per value
+ *
+ * The share of equal values in two signatures estimates the Jaccard
+ * similarity of their shingle sets (give or take about 0.04 at 128 values).
+ * Changing one word changes at most SHINGLE_SIZE shingles, so lightly edited
+ * long outputs stay close to 1. Short ones drop faster.
+ *
+ * A fingerprint can't be turned back into the text, so it is safe to keep
+ * next to hashes that are public anyway.
+ */
+
+export const FINGERPRINT_SCHEME = 'minhash';
+export const FINGERPRINT_VERSION = 1;
+export const SHINGLE_SIZE = 3;
+export const SIGNATURE_SIZE = 128;
+
+// Diffs give up past this many inserted + removed words (the texts are
+// too different for a side-by-side view to help)
+const MAX_DIFF_EDITS = 2000;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+
+// ============ FINGERPRINTS ============
+
+/**
+ * Lowercased words of a text, in order
+ */
+export const words = (text) => String(text ?? '').toLowerCase().match(WORD_PATTERN) ?? [];
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * murmur3's 32-bit finalizer: spreads every input bit over the output
+ */
+const mix = (value) => {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// One seed per signature value, fixed so fingerprints compare across machines
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(Math.imul(i + 1, 0x9e3779b9)));
+
+/**
+ * Distinct shingle hashes of a text
+ */
+const shingleHashes = (text) => {
+  const list = words(text);
+  const hashes = new Set();
+  if (list.length === 0) return hashes;
+  if (list.length < SHINGLE_SIZE) {
+    hashes.add(fnv1a(list.join(' ')));
+    return hashes;
+  }
+  for (let i = 0; i <= list.length - SHINGLE_SIZE; i++) {
+    hashes.add(fnv1a(list.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return hashes;
+};
+
+/**
+ * Fingerprint a text
+ *
+ * @param text Any text (an output, usually)
+ * @returns { scheme, v, words, signature } or null when the text has no words
+ */
+export const fingerprint = (text) => {
+  const hashes = shingleHashes(text);
+  if (hashes.size === 0) return null;
+
+  const minimums = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const hash of hashes) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix(hash ^ SEEDS[i]);
+      if (value < minimums[i]) minimums[i] = value;
+    }
+  }
+
+  return {
+    scheme: FINGERPRINT_SCHEME,
+    v: FINGERPRINT_VERSION,
+    words: words(text).length,
+    signature: Array.from(minimums, (value) => value.toString(16).padStart(8, '0')).join(''),
+  };
+};
+
+/**
+ * Estimated similarity of two fingerprints, from 0 (nothing in common) to 1
+ *
+ * @returns A number, or null when the fingerprints weren't made the same way
+ */
+export const compareFingerprints = (a, b) => {
+  if (!a || !b || a.scheme !== b.scheme || a.v !== b.v || a.signature.length !== b.signature.length) {
+    return null;
+  }
+  const size = a.signature.length / 8;
+  let equal = 0;
+  for (let i = 0; i < a.signature.length; i += 8) {
+    if (a.signature.slice(i, i + 8) === b.signature.slice(i, i + 8)) equal++;
+  }
+  return equal / size;
+};
+
+/**
+ * Exact Jaccard similarity of two texts' shingles (when both texts are at hand)
+ */
+export const textSimilarity = (a, b) => {
+  const left = shingleHashes(a);
+  const right = shingleHashes(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  for (const hash of left) if (right.has(hash)) shared++;
+  return shared / (left.size + right.size - shared);
+};
+
+
+// ============ WORD DIFF ============
+
+/**
+ * Words and the whitespace between them, so joining the tokens gives the
+ * text back exactly
+ */
+const diffTokens = (text) => String(text ?? '').split(/(\s+)/).filter(Boolean);
+
+/**
+ * Shortest edit script between two token lists (Myers' O(ND) algorithm)
+ * Keeps one slice of the frontier per step to walk back from the end
+ *
+ * @returns ['equal' | 'removed' | 'added', token][] or null past maxEdits
+ */
+const editScript = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  // v[k + offset]: furthest x reached on diagonal k (k = x - y)
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  let edits = -1;
+  for (let d = 0; d <= limit && edits < 0; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        edits = d;
+        break;
+      }
+    }
+  }
+  if (edits < 0) return null;
+
+  // Walk back through the saved frontiers (trace[d] holds k from -d-1 to d+1)
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = edits; d >= 0; d--) {
+    if (d === 0) {
+      while (x > 0) script.push(['equal', a[--x]]);
+      break;
+    }
+    const frontier = trace[d];
+    const at = (k) => frontier[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      script.push(['equal', a[--x]]);
+      y--;
+    }
+    if (x === previousX) script.push(['added', b[--y]]);
+    else script.push(['removed', a[--x]]);
+  }
+  return script.reverse();
+};
+
+/**
+ * Word-level diff of two texts
+ *
+ * @param before The text to compare (e.g. what was pasted)
+ * @param after The text it is compared to (e.g. a registered output)
+ * @param options { maxEdits } Give up past this many changed tokens
+ * @returns [{ type: 'equal' | 'removed' | 'added', text }], adjacent tokens
+ *   of the same type merged; null when the texts are too different
+ */
+export const diffWords = (before, after, { maxEdits = MAX_DIFF_EDITS } = {}) => {
+  const a = diffTokens(before);
+  const b = diffTokens(after);
+
+  // Common start and end don't need the diff algorithm
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const middle = editScript(a.slice(start, a.length - end), b.slice(start, b.length - end), maxEdits);
+  if (!middle) return null;
+
+  const script = [
+    ...a.slice(0, start).map((token) => ['equal', token]),
+    ...middle,
+    ...a.slice(a.length - end).map((token) => ['equal', token]),
+  ];
+
+  const segments = [];
+  for (const [type, text] of script) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  }
+  return segments;
+};
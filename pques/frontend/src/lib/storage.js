@@ -0,0 +1,256 @@
+// frontend/src/lib/storage.js
+import { buildProofFile, parseProofFile, hashRecord } from './records.js';
+import { isEncryptedEnvelope } from './encryption.js';
+
+/**
+ * CONTENT-ADDRESSED STORAGE
+ *
+ * The contract only keeps a hash, so the full record would otherwise live in
+ * one browser. When publishing is enabled, registration uploads the record
+ * (as a proof file) to a storage backend and puts its CID in promptIPFSHash;
+ * anyone can then fetch it, recompute the hash and read the full text.
+ * Encrypted records are published the same way, as an envelope from
+ * lib/encryption.js that only its recipients can open.
+ *
+ * CIDs are IPFS-compatible CIDv1 values: raw codec (0x55), sha2-256
+ * multihash, base32 multibase ("bafkrei…"). That is exactly what IPFS
+ * produces for a single raw block (`ipfs add --cid-version=1 --raw-leaves`),
+ * which every record fits into (records are capped at MAX_BLOCK_SIZE).
+ *
+ * Backends share one shape, so they can be swapped freely:
+ *   { name, put(bytes) → cid, get(cid) → bytes }
+ *
+ * - http:   IPFS HTTP API (Kubo-compatible /api/v0/add) for pinning,
+ *           a gateway for reading
+ * - local:  localStorage, for development (survives reloads, this browser only)
+ * - memory: a Map, for development and scripts (gone on reload)
+ *
+ * Selected through VITE_STORAGE_BACKEND ('http' | 'local' | 'memory' | 'none').
+ */
+
+// IPFS's default chunk size: bigger files would be split and get a different CID
+export const MAX_BLOCK_SIZE = 256 * 1024;
+
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+
+// ============ CID HELPERS ============
+
+/**
+ * RFC 4648 base32, lowercase, no padding (multibase prefix "b")
+ */
+const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return out;
+};
+
+/**
+ * Compute the CIDv1 (raw, sha2-256, base32) of some bytes
+ */
+export const computeCid = async (bytes) => {
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes));
+  // version 1, codec raw, multihash: code sha2-256, length 32, digest
+  const cid = new Uint8Array([0x01, RAW_CODEC, SHA2_256, 32, ...digest]);
+  return `b${base32Encode(cid)}`;
+};
+
+/**
+ * Accept "bafk…", "ipfs://bafk…" or a gateway URL ending in the CID
+ */
+export const normalizeCid = (value) => {
+  const cid = String(value || '').trim().replace(/^ipfs:\/\//, '').split('/').filter(Boolean).pop() || '';
+  return cid;
+};
+
+const assertBlockSize = (bytes) => {
+  if (bytes.length > MAX_BLOCK_SIZE) {
+    throw new Error(`Content is larger than ${MAX_BLOCK_SIZE / 1024} KiB and cannot be stored as a single block`);
+  }
+};
+
+/**
+ * Make sure fetched bytes really are the content the CID names
+ * (only raw CIDs we computed ourselves can be checked this way)
+ */
+const assertCidMatches = async (cid, bytes) => {
+  if (!cid.startsWith('bafkrei')) return;
+  const actual = await computeCid(bytes);
+  if (actual !== cid) {
+    throw new Error(`Fetched content does not match CID ${cid}`);
+  }
+};
+
+
+// ============ BACKENDS ============
+
+/**
+ * In-memory backend (development, scripts)
+ */
+export const createMemoryStorage = () => {
+  const blocks = new Map();
+  return {
+    name: 'memory',
+    put: async (bytes) => {
+      assertBlockSize(bytes);
+      const cid = await computeCid(bytes);
+      blocks.set(cid, new Uint8Array(bytes));
+      return cid;
+    },
+    get: async (cid) => {
+      const bytes = blocks.get(normalizeCid(cid));
+      if (!bytes) throw new Error(`Content ${cid} not found in memory storage`);
+      return bytes;
+    },
+  };
+};
+
+/**
+ * localStorage backend (development: survives reloads, this browser only)
+ */
+export const createLocalStorage = (prefix = 'proof-of-prompt-blob:') => ({
+  name: 'local',
+  put: async (bytes) => {
+    assertBlockSize(bytes);
+    const cid = await computeCid(bytes);
+    window.localStorage.setItem(`${prefix}${cid}`, new TextDecoder().decode(bytes));
+    return cid;
+  },
+  get: async (cid) => {
+    const text = window.localStorage.getItem(`${prefix}${normalizeCid(cid)}`);
+    if (text === null) throw new Error(`Content ${cid} not found in this browser's local storage`);
+    return new TextEncoder().encode(text);
+  },
+});
+
+/**
+ * IPFS over HTTP: pin through a Kubo-compatible API, read through a gateway
+ *
+ * @param apiUrl Base URL of the IPFS HTTP API (e.g. http://127.0.0.1:5001)
+ * @param token Optional bearer token for hosted pinning services
+ * @param gateway Gateway URL prefix for reads (e.g. https://ipfs.io/ipfs/)
+ */
+export const createHttpStorage = ({ apiUrl, token, gateway }) => ({
+  name: 'http',
+  put: async (bytes) => {
+    if (!apiUrl) throw new Error('No IPFS API URL configured (VITE_IPFS_API_URL)');
+    assertBlockSize(bytes);
+    const expected = await computeCid(bytes);
+
+    const body = new FormData();
+    body.append('file', new Blob([bytes]), 'record.json');
+    const response = await fetch(
+      `${apiUrl.replace(/\/$/, '')}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`,
+      { method: 'POST', body, headers: token ? { Authorization: `Bearer ${token}` } : {} }
+    );
+    if (!response.ok) {
+      throw new Error(`IPFS upload failed: HTTP ${response.status}`);
+    }
+
+    const { Hash } = await response.json();
+    if (Hash !== expected) {
+      throw new Error(`IPFS node returned CID ${Hash}, expected ${expected}`);
+    }
+    return Hash;
+  },
+  get: async (cid) => {
+    const normalized = normalizeCid(cid);
+    const response = await fetch(`${gateway}${normalized}`);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${normalized} from the gateway: HTTP ${response.status}`);
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    await assertCidMatches(normalized, bytes);
+    return bytes;
+  },
+});
+
+/**
+ * The backend configured for this build, or null when publishing is off
+ *
+ * Defaults: 'http' when VITE_IPFS_API_URL is set, 'local' in development,
+ * otherwise none (registrations keep an empty promptIPFSHash as before)
+ */
+export const createStorageFromEnv = (env = import.meta.env) => {
+  const backend = env.VITE_STORAGE_BACKEND
+    || (env.VITE_IPFS_API_URL ? 'http' : env.DEV ? 'local' : 'none');
+
+  switch (backend) {
+    case 'http':
+      return createHttpStorage({
+        apiUrl: env.VITE_IPFS_API_URL,
+        token: env.VITE_IPFS_API_TOKEN,
+        gateway: env.VITE_IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+      });
+    case 'local':
+      return createLocalStorage();
+    case 'memory':
+      return createMemoryStorage();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
+
+
+// ============ RECORD PUBLISHING ============
+
+/**
+ * Upload any JSON document and return its CID
+ */
+export const publishJson = async (storage, data) => storage.put(new TextEncoder().encode(JSON.stringify(data)));
+
+/**
+ * Upload a record (as a proof file) and return its CID
+ */
+export const publishRecord = async (storage, record, hash) => publishJson(storage, buildProofFile(record, hash));
+
+/**
+ * Parse proof-file text and check it against the on-chain hash
+ *
+ * @returns The record, once the recomputed hash matches
+ */
+export const verifyRecordText = async (text, expectedHash) => {
+  const { record } = parseProofFile(text);
+  const recomputed = await hashRecord(record);
+  if (recomputed !== String(expectedHash).toLowerCase()) {
+    throw new Error('Stored content does not hash to the registered hash');
+  }
+  return record;
+};
+
+/**
+ * Fetch published content for a registration
+ *
+ * @returns { record, cid } for a public record (already checked against the
+ *   hash), or { envelope, cid } for an encrypted one (checked after decryption)
+ */
+export const fetchPublished = async (storage, cid, expectedHash) => {
+  const text = new TextDecoder().decode(await storage.get(cid));
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Stored content is not valid JSON');
+  }
+  if (isEncryptedEnvelope(data)) {
+    return { envelope: data, cid: normalizeCid(cid) };
+  }
+  return { record: await verifyRecordText(text, expectedHash), cid: normalizeCid(cid) };
+};
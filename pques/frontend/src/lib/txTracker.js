@@ -0,0 +1,204 @@
+// frontend/src/lib/txTracker.js
+
+/**
+ * PERSISTENT REGISTRATION QUEUE
+ *
+ * Every registration attempt is written to localStorage before MetaMask is
+ * even opened, then updated as it moves through its lifecycle:
+ *
+ *   signing  → waiting for the user to approve in MetaMask
+ *   pending  → broadcast, waiting to be mined
+ *   confirmed → mined successfully (confirmations keep counting up)
+ *   failed   → reverted on-chain or could not be sent
+ *   rejected → the user rejected the request in MetaMask
+ *   replaced → the nonce was used by another tx (speed up / cancel in MetaMask)
+ *   dropped  → the tx vanished from the mempool without its nonce being used
+ *
+ * Because the queue lives in localStorage it survives reloads (including the
+ * forced reload on chainChanged) and the watcher picks pending entries back up.
+ */
+
+// ============ CONFIGURATION ============
+
+const QUEUE_STORAGE_KEY = 'proof-of-prompt-tx:queue';
+
+// Keep the queue from growing forever
+const MAX_ENTRIES = 50;
+
+// How many confirmations before an entry counts as final
+export const REQUIRED_CONFIRMATIONS = Number(import.meta.env?.VITE_REQUIRED_CONFIRMATIONS) || 2;
+
+// A tx the node no longer knows about, whose nonce is still unused, is
+// considered dropped after this long
+const DROP_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Statuses the watcher still needs to look at
+const WATCHED_STATUSES = ['pending', 'confirmed'];
+
+// Statuses that can be retried from the stored record
+const RETRYABLE_STATUSES = ['failed', 'rejected', 'dropped', 'replaced'];
+
+
+// ============ STORAGE ============
+
+/**
+ * Read the queue from localStorage (newest first)
+ */
+export const loadQueue = () => {
+  try {
+    if (typeof window === 'undefined') return [];
+    const raw = window.localStorage.getItem(QUEUE_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.log('Transaction queue load failed', e);
+    return [];
+  }
+};
+
+/**
+ * Write the queue to localStorage, trimming the oldest entries
+ */
+export const saveQueue = (entries) => {
+  try {
+    if (typeof window === 'undefined') return;
+    window.localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(entries.slice(0, MAX_ENTRIES)));
+  } catch (e) {
+    console.log('Transaction queue save failed', e);
+  }
+};
+
+/**
+ * Create a new queue entry for a registration attempt
+ *
+ * @param hash The content hash being registered
+ * @param record The full record (prompt, output, salt) so it can be retried
+ * @param contentCid CID of the published record ('' when it wasn't published)
+ * @param relayed Signed by the author and submitted by the relayer
+ *   (the tx comes from the relayer's account, so `from` has no nonce to watch)
+ * @param metadata On-chain generation metadata (lib/metadata.js), or null
+ */
+export const createEntry = ({
+  hash,
+  record,
+  from,
+  chainId,
+  contractAddress,
+  contentCid = '',
+  relayed = false,
+  metadata = null,
+}) => {
+  const now = Date.now();
+  return {
+    id: `${hash}-${now}`,
+    hash,
+    record,
+    contentCid,
+    relayed,
+    metadata,
+    from,
+    chainId,
+    contractAddress,
+    status: 'signing',
+    txHash: null,
+    nonce: null,
+    blockNumber: null,
+    confirmations: 0,
+    replacedBy: null,
+    error: null,
+    attempts: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Entries still "signing" when the page loads were interrupted by a reload
+ * before the wallet answered; we can't know if they were sent, so surface
+ * them as failed and let the user retry.
+ */
+export const recoverInterrupted = (entry) => (
+  entry.status === 'signing'
+    ? { ...entry, status: 'failed', error: 'Page was reloaded before the wallet returned a transaction' }
+    : entry
+);
+
+export const isRetryable = (entry) =>
+  RETRYABLE_STATUSES.includes(entry.status) && !entry.registeredByReplacement;
+
+export const isFinal = (entry) =>
+  entry.status === 'confirmed' && entry.confirmations >= REQUIRED_CONFIRMATIONS;
+
+
+// ============ RECEIPT WATCHING ============
+
+/**
+ * Work out what happened to a broadcast transaction
+ *
+ * Returns a patch for the entry (or null when nothing changed). Replacement
+ * detection works from state alone, so it also runs after a reload:
+ * once the sender's nonce has moved past ours and our tx has no receipt,
+ * someone else's tx used the nonce. If the hash still ended up registered by
+ * the same author it was a speed-up; we look up the winning tx from the
+ * ContentRegistered log.
+ *
+ * @param entry Queue entry with txHash, nonce and from
+ * @param provider An ethers provider on the entry's chain
+ * @param contract The registry contract (for replacement lookups)
+ */
+export const checkEntry = async (entry, { provider, contract }) => {
+  if (!WATCHED_STATUSES.includes(entry.status) || !entry.txHash) return null;
+
+  const currentBlock = await provider.getBlockNumber();
+  const receipt = await provider.getTransactionReceipt(entry.txHash);
+
+  if (receipt) {
+    if (receipt.status === 0) {
+      return { status: 'failed', blockNumber: receipt.blockNumber, error: 'Transaction reverted on-chain' };
+    }
+    const confirmations = Math.max(0, currentBlock - receipt.blockNumber + 1);
+    if (entry.status === 'confirmed' && entry.confirmations === confirmations) return null;
+    return { status: 'confirmed', blockNumber: receipt.blockNumber, confirmations };
+  }
+
+  // A mined tx that lost its receipt was reorged out: treat it as pending again
+  const reorged = entry.status === 'confirmed' ? { status: 'pending', confirmations: 0, blockNumber: null } : null;
+
+  const tx = await provider.getTransaction(entry.txHash);
+  if (tx) return reorged;
+
+  // The node doesn't know the tx any more: replaced or dropped?
+  if (entry.nonce !== null && entry.from) {
+    const minedNonce = await provider.getTransactionCount(entry.from, 'latest');
+    if (minedNonce > entry.nonce) {
+      let replacedBy = null;
+      let outcome = 'cancelled';
+      try {
+        const logs = await contract.queryFilter(
+          contract.filters.ContentRegistered(entry.from, entry.hash),
+          Math.max(0, currentBlock - 5000)
+        );
+        if (logs.length > 0) {
+          replacedBy = logs[logs.length - 1].transactionHash;
+          outcome = 'registered';
+        }
+      } catch (e) {
+        console.log('Replacement lookup failed', e);
+      }
+      return {
+        status: 'replaced',
+        replacedBy,
+        error: outcome === 'registered'
+          ? 'Sped up in wallet: the replacement tx registered this content'
+          : 'Cancelled or replaced in wallet: this content was not registered',
+        registeredByReplacement: outcome === 'registered',
+      };
+    }
+  }
+
+  if (Date.now() - entry.updatedAt > DROP_TIMEOUT_MS) {
+    return { status: 'dropped', error: 'Transaction disappeared from the mempool' };
+  }
+
+  return reorged;
+};
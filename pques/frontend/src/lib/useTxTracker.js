@@ -0,0 +1,98 @@
+// frontend/src/lib/useTxTracker.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { loadQueue, saveQueue, checkEntry, isFinal, recoverInterrupted } from './txTracker.js';
+
+// How often pending entries are re-checked against the chain
+const POLL_INTERVAL_MS = 4000;
+
+/**
+ * React hook around the persistent registration queue
+ *
+ * Loads the queue from localStorage on startup, writes every change back, and
+ * polls the chain for entries on the current chain that are still moving
+ * (pending, or confirmed but short of REQUIRED_CONFIRMATIONS).
+ *
+ * @param provider ethers provider for the wallet's current chain
+ * @param contract Registry contract (used for replacement lookups)
+ * @param chainId Current chain id; entries from other chains are left alone
+ * @param onUpdate Called as (entry, previous) whenever the watcher changes an entry
+ */
+export default function useTxTracker({ provider, contract, chainId, onUpdate }) {
+  const [entries, setEntries] = useState(() => loadQueue().map(recoverInterrupted));
+
+  // The polling loop reads these through refs so it doesn't restart every render
+  const entriesRef = useRef(entries);
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    entriesRef.current = entries;
+    saveQueue(entries);
+  }, [entries]);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  const addEntry = useCallback((entry) => {
+    setEntries((prev) => [entry, ...prev]);
+  }, []);
+
+  const updateEntry = useCallback((id, patch) => {
+    setEntries((prev) => prev.map((entry) => (
+      entry.id === id ? { ...entry, ...patch, updatedAt: Date.now() } : entry
+    )));
+  }, []);
+
+  const removeEntry = useCallback((id) => {
+    setEntries((prev) => prev.filter((entry) => entry.id !== id));
+  }, []);
+
+  /**
+   * Drop everything that no longer needs attention
+   * (final confirmations and replacements that still registered the content)
+   */
+  const clearFinished = useCallback(() => {
+    setEntries((prev) => prev.filter((entry) => !isFinal(entry) && !entry.registeredByReplacement));
+  }, []);
+
+  // Watch receipts for the current chain (resumes automatically after reload)
+  useEffect(() => {
+    if (!provider || !contract || !chainId) return;
+
+    let stopped = false;
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        const watched = entriesRef.current.filter(
+          (entry) => entry.chainId === chainId && !isFinal(entry)
+        );
+        for (const entry of watched) {
+          if (stopped) return;
+          try {
+            const patch = await checkEntry(entry, { provider, contract });
+            if (patch && !stopped) {
+              updateEntry(entry.id, patch);
+              onUpdateRef.current?.({ ...entry, ...patch }, entry);
+            }
+          } catch (e) {
+            console.log('Receipt check failed', e);
+          }
+        }
+      } finally {
+        running = false;
+      }
+    };
+
+    tick();
+    const timer = setInterval(tick, POLL_INTERVAL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, [provider, contract, chainId, updateEntry]);
+
+  return { entries, addEntry, updateEntry, removeEntry, clearFinished };
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Deployment manifests and compiled artifacts live one level up (pques/)
+      allow: ['..'],
+    },
+  },
 })
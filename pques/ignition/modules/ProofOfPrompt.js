@@ -0,0 +1,24 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+/**
+ * Deploys ProofOfPrompt
+ *
+ * Parameters (see ignition/parameters/*.json):
+ *   initialOwner  Address that owns the contract. Defaults to the deploying
+ *                 account; set it to hand ownership to a separate admin wallet.
+ *
+ * Ignition journals every step under ignition/deployments/<deployment id>, so
+ * re-running with the same id resumes an interrupted deploy or does nothing
+ * if it already finished. scripts/deploy.js uses one id per network
+ * (proof-of-prompt-<network>) and records it in the deployment manifest.
+ */
+export default buildModule("ProofOfPromptModule", (m) => {
+  const initialOwner = m.getParameter("initialOwner", m.getAccount(0));
+
+  const proofOfPrompt = m.contract("ProofOfPrompt", [initialOwner]);
+
+  return { proofOfPrompt };
+});
@@ -0,0 +1,184 @@
+/**
+ * REGISTRATION INDEXER
+ *
+ * Follows ContentRegistered events into the store (store.js):
+ *
+ * 1. Reorg check: is the block at the cursor still the one we indexed? If
+ *    not, walk back through the checkpoints to the newest block that is,
+ *    drop everything after it and carry on from there. When none of them
+ *    survived (or a local node was restarted), start over from the deploy block.
+ * 2. Catch up from the cursor to the head (minus `confirmations`) in chunks
+ *    the RPC accepts. Each registration also gets its storage CID and
+ *    generation metadata, so the API never has to ask the chain.
+ *
+ * A chunk only counts once the hash of its last block is the same before and
+ * after its logs were read; otherwise the chain moved under us and the chunk
+ * is read again.
+ *
+ * The store is flushed to its file at the end of every sync, and every
+ * `flushIntervalMs` while a sync is still catching up.
+ */
+
+/**
+ * @param registry SDK registry client (frontend/src/lib/sdk) with a provider
+ * @param store Store from openStore()
+ * @param deployBlock First block to index
+ * @param confirmations Blocks to stay behind the head (0 follows the head)
+ * @param chunkSize Blocks per eth_getLogs call
+ * @param pollIntervalMs Pause between syncs when following the head
+ * @param flushIntervalMs Longest time between writes of the index file during a catch-up
+ * @returns { sync, start, stop, status }
+ */
+export function createIndexer({
+  registry,
+  store,
+  deployBlock = 0,
+  confirmations = 0,
+  chunkSize = 5000,
+  pollIntervalMs = 2000,
+  flushIntervalMs = 10_000,
+  log = console.log,
+}) {
+  const provider = registry.contract.runner.provider ?? registry.contract.runner;
+
+  const status = {
+    headBlock: null,
+    lastSyncAt: null,
+    lastError: null,
+    reorgs: 0,
+  };
+
+  const blockAt = async (number) => {
+    const block = await provider.getBlock(number);
+    return block ? { number: block.number, hash: block.hash } : null;
+  };
+
+  /**
+   * Roll back to the newest checkpoint that is still on the canonical chain
+   */
+  const handleReorg = async () => {
+    status.reorgs++;
+    for (const checkpoint of [...store.checkpoints].reverse()) {
+      const current = await blockAt(checkpoint.number);
+      if (current?.hash === checkpoint.hash) {
+        const dropped = store.rollback(checkpoint);
+        log(`Reorg: rolled back to block ${checkpoint.number} (${dropped} registrations dropped)`);
+        return;
+      }
+    }
+    const dropped = store.rollback(null);
+    log(`Reorg deeper than the stored checkpoints (or the chain was reset): re-indexing from block ${deployBlock} (${dropped} registrations dropped)`);
+  };
+
+  /**
+   * Registrations in a block range, with the details the events don't carry
+   */
+  const readRange = async (fromBlock, toBlock) => {
+    const events = await registry.queryRegistrations({ fromBlock, toBlock });
+    const registrations = [];
+    for (const event of events) {
+      const { promptIPFSHash } = await registry.lookup(event.hash);
+      registrations.push({
+        hash: event.hash.toLowerCase(),
+        author: event.author,
+        timestamp: event.timestamp,
+        contentType: event.contentType,
+        promptIPFSHash: promptIPFSHash ?? "",
+        metadata: await registry.getMetadata(event.hash),
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.logIndex,
+        txHash: event.txHash,
+      });
+    }
+    return registrations;
+  };
+
+  /**
+   * Bring the store up to date once
+   *
+   * @returns how many registrations were added
+   */
+  const sync = async () => {
+    try {
+      return await catchUp();
+    } finally {
+      store.flush();
+    }
+  };
+
+  const catchUp = async () => {
+    const cursor = store.cursor;
+    if (cursor) {
+      const current = await blockAt(cursor.number);
+      if (current?.hash !== cursor.hash) await handleReorg();
+    }
+
+    const head = await provider.getBlockNumber();
+    status.headBlock = head;
+    const target = head - confirmations;
+
+    let added = 0;
+    let lastFlush = Date.now();
+    let from = store.cursor ? store.cursor.number + 1 : deployBlock;
+    while (from <= target) {
+      const to = Math.min(from + chunkSize - 1, target);
+      const before = await blockAt(to);
+      const registrations = await readRange(from, to);
+      const after = await blockAt(to);
+      if (!before || before.hash !== after?.hash) {
+        // The chain changed while reading; the next sync checks it again
+        log(`Block ${to} changed while indexing; retrying`);
+        break;
+      }
+      store.append(registrations, after);
+      added += registrations.length;
+      from = to + 1;
+
+      // A long catch-up keeps its progress without rewriting the file per chunk
+      if (Date.now() - lastFlush >= flushIntervalMs) {
+        store.flush();
+        lastFlush = Date.now();
+      }
+    }
+
+    status.lastSyncAt = new Date().toISOString();
+    status.lastError = null;
+    return added;
+  };
+
+  let timer = null;
+  let running = false;
+
+  const loop = async () => {
+    try {
+      const added = await sync();
+      if (added > 0) log(`Indexed ${added} registrations up to block ${store.cursor.number}`);
+    } catch (e) {
+      status.lastError = e.shortMessage || e.message;
+      log(`Sync failed: ${status.lastError}`);
+    }
+    if (running) timer = setTimeout(loop, pollIntervalMs);
+  };
+
+  return {
+    sync,
+
+    start() {
+      if (running) return;
+      running = true;
+      loop();
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    },
+
+    status: () => ({
+      ...status,
+      indexedBlock: store.cursor?.number ?? null,
+      lag: status.headBlock === null || !store.cursor ? null : status.headBlock - store.cursor.number,
+    }),
+  };
+}
@@ -0,0 +1,220 @@
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as dotenv from "dotenv";
+import { ethers } from "ethers";
+import { createRegistry } from "../frontend/src/lib/sdk/index.js";
+import { openStore } from "./store.js";
+import { createIndexer } from "./indexer.js";
+import { loadContractInfo } from "../scripts/lib/manifest.js";
+
+/**
+ * VERIFICATION API
+ *
+ * Lets anyone check a proof over plain HTTP, without a wallet. An indexer
+ * (indexer.js) follows ContentRegistered events from an RPC node into a local
+ * file (store.js); the API answers from that file. The indexer picks up where
+ * it left off after a restart and rolls back blocks dropped by a reorg.
+ *
+ *   GET /verify/<hash>       → 200 { registered: true, author, timestamp, … }
+ *                              404 { registered: false } when not (yet) indexed
+ *   GET /authors/<address>   → { address, total, registrations } newest first
+ *                              (?offset=0&limit=50, limit at most 500)
+ *   GET /stats               → totals, content types and indexing progress
+ *   GET /health              → chain, contract and how far behind the head
+ *
+ * Configuration (environment, or pques/.env.local):
+ *   INDEXER_RPC_URL           default http://127.0.0.1:8545 (npx hardhat node)
+ *   INDEXER_NETWORK           manifest to load from deployments/ (default localhost)
+ *   INDEXER_CONTRACT_ADDRESS  overrides the manifest's address
+ *   INDEXER_FROM_BLOCK        first block to index (default: the manifest's deploy block)
+ *   INDEXER_STORE             index file (default indexer/data/<network>.json)
+ *   INDEXER_CONFIRMATIONS     blocks to stay behind the head (default 0)
+ *   INDEXER_CHUNK_SIZE        blocks per log query (default 5000)
+ *   INDEXER_POLL_MS           pause between syncs (default 2000)
+ *   INDEXER_PORT              default 8788
+ *   INDEXER_ALLOWED_ORIGIN    CORS origin (default *)
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+dotenv.config({ path: path.join(ROOT, ".env.local"), quiet: true });
+
+const network = process.env.INDEXER_NETWORK || "localhost";
+const config = {
+  rpcUrl: process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545",
+  network,
+  contractAddress: process.env.INDEXER_CONTRACT_ADDRESS || "",
+  fromBlock: process.env.INDEXER_FROM_BLOCK ? Number(process.env.INDEXER_FROM_BLOCK) : null,
+  storeFile: process.env.INDEXER_STORE || path.join(ROOT, "indexer", "data", `${network}.json`),
+  confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  chunkSize: Number(process.env.INDEXER_CHUNK_SIZE || 5000),
+  pollIntervalMs: Number(process.env.INDEXER_POLL_MS || 2000),
+  port: Number(process.env.INDEXER_PORT || 8788),
+  allowedOrigin: process.env.INDEXER_ALLOWED_ORIGIN || "*",
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+
+// ============ SETUP ============
+
+/**
+ * Contract address, ABI and deploy block from the deployment manifest
+ * (or the compiled artifact, indexing from block 0)
+ */
+function loadIndexedContract() {
+  const { address, abi, manifest } = loadContractInfo(ROOT, config.network, config.contractAddress);
+  if (!address) {
+    throw new Error(`No contract address: deploy to ${config.network} first, or set INDEXER_CONTRACT_ADDRESS`);
+  }
+
+  // The manifest's deploy block only applies to the manifest's own address
+  const sameContract = manifest?.address?.toLowerCase() === address.toLowerCase();
+  const deployBlock = config.fromBlock ?? (sameContract ? manifest.deployBlock : null) ?? 0;
+  return { address, abi, deployBlock };
+}
+
+
+// ============ RESPONSES ============
+
+/**
+ * A stored registration as the API returns it
+ */
+function presentRegistration(registration, headBlock) {
+  return {
+    registered: true,
+    hash: registration.hash,
+    author: registration.author,
+    timestamp: registration.timestamp,
+    registeredAt: new Date(registration.timestamp * 1000).toISOString(),
+    promptIPFSHash: registration.promptIPFSHash,
+    contentType: registration.contentType,
+    metadata: registration.metadata,
+    blockNumber: registration.blockNumber,
+    txHash: registration.txHash,
+    confirmations: headBlock === null ? null : headBlock - registration.blockNumber + 1,
+  };
+}
+
+const pageParam = (url, name, fallback, max = Infinity) => {
+  const value = url.searchParams.get(name);
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) throw new ApiError(400, `${name} must be a whole number`);
+  return Math.min(Number(value), max);
+};
+
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": config.allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(JSON.stringify(data));
+}
+
+function createApi({ store, indexer, chainId, address }) {
+  return (req, res) => {
+    const url = new URL(req.url, "http://indexer");
+    const [route, param, ...rest] = url.pathname.split("/").filter(Boolean);
+    const { headBlock, indexedBlock } = indexer.status();
+
+    try {
+      if (req.method === "OPTIONS") {
+        sendJson(res, 204, {});
+      } else if (req.method !== "GET" || rest.length > 0) {
+        sendJson(res, 404, { error: "Not found" });
+      } else if (route === "verify" && param) {
+        if (!ethers.isHexString(param, 32)) throw new ApiError(400, "Hash must be 0x followed by 64 hex characters");
+        const registration = store.get(param);
+        if (registration) {
+          sendJson(res, 200, presentRegistration(registration, headBlock));
+        } else {
+          sendJson(res, 404, { registered: false, hash: param.toLowerCase(), indexedBlock });
+        }
+      } else if (route === "authors" && param) {
+        if (!ethers.isAddress(param)) throw new ApiError(400, "Not an address");
+        const offset = pageParam(url, "offset", 0);
+        const limit = pageParam(url, "limit", DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const all = store.byAuthor(param);
+        const page = [...all].reverse().slice(offset, offset + limit);
+        sendJson(res, 200, {
+          address: ethers.getAddress(param),
+          total: all.length,
+          offset,
+          limit,
+          registrations: page.map((registration) => presentRegistration(registration, headBlock)),
+        });
+      } else if (route === "stats" && !param) {
+        sendJson(res, 200, { chainId, contract: address, ...store.stats(), ...indexer.status() });
+      } else if (route === "health" && !param) {
+        const status = indexer.status();
+        sendJson(res, status.lastError ? 503 : 200, { ok: !status.lastError, chainId, contract: address, ...status });
+      } else {
+        sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (e) {
+      if (e instanceof ApiError) {
+        sendJson(res, e.status, { error: e.message });
+      } else {
+        console.error("Request failed:", e);
+        sendJson(res, 500, { error: e.message });
+      }
+    }
+  };
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const { address, abi, deployBlock } = loadIndexedContract();
+
+  if ((await provider.getCode(address)) === "0x") {
+    throw new Error(`No contract at ${address} on chain ${chainId} (is the node running and deployed to?)`);
+  }
+
+  const registry = createRegistry({ address, abi, runner: provider });
+  const store = openStore(config.storeFile, { chainId: Number(chainId), contract: address });
+  if (store.reset) console.log(`${config.storeFile} was for another chain or contract; starting over`);
+
+  const indexer = createIndexer({
+    registry,
+    store,
+    deployBlock,
+    confirmations: config.confirmations,
+    chunkSize: config.chunkSize,
+    pollIntervalMs: config.pollIntervalMs,
+  });
+
+  console.log(`Indexing ${address} on chain ${chainId} from block ${store.cursor ? store.cursor.number + 1 : deployBlock}`);
+  await indexer.sync();
+  indexer.start();
+
+  const server = http.createServer(createApi({ store, indexer, chainId: Number(chainId), address }));
+  server.listen(config.port, () => {
+    console.log(`Index file ${config.storeFile} (${store.stats().totalRegistrations} registrations)`);
+    console.log(`Listening on http://127.0.0.1:${config.port}`);
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    store.flush();
+    server.close();
+    provider.destroy();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,163 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * INDEX STORE
+ *
+ * Everything the indexer knows, in one JSON file:
+ *
+ *   chainId, contract   what was indexed (a different one starts over)
+ *   cursor              last block fully indexed: { number, hash }
+ *   checkpoints         recent indexed blocks { number, hash }, oldest first;
+ *                       a reorg rolls back to the newest one still on-chain
+ *   registrations       ContentRegistered entries, in chain order
+ *
+ * Changes are made in memory; flush() writes the whole file (write + rename),
+ * so a crash loses what changed since the last flush but never leaves half a
+ * file. The indexer flushes once per sync, and every few seconds
+ * during a long catch-up, instead of once per chunk: rewriting the file for
+ * every chunk would make catching up quadratic in the size of the index.
+ * Lookups use in-memory maps, built on load and extended as blocks come in.
+ */
+
+const STORE_VERSION = 1;
+
+// Enough history to survive any realistic reorg while following the head
+export const MAX_CHECKPOINTS = 256;
+
+const emptyState = ({ chainId, contract }) => ({
+  version: STORE_VERSION,
+  chainId,
+  contract: contract.toLowerCase(),
+  cursor: null,
+  checkpoints: [],
+  registrations: [],
+});
+
+/**
+ * Open (or create) the store for a chain and contract
+ *
+ * @param file JSON file to keep the index in (null keeps it in memory only)
+ * @returns the store; `reset` is true when an existing file was for another
+ *   chain or contract and got discarded
+ */
+export function openStore(file, { chainId, contract }) {
+  let state = null;
+  if (file && fs.existsSync(file)) {
+    try {
+      state = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      console.warn(`Index file ${file} is unreadable; starting over`);
+    }
+  }
+  const matches = state?.version === STORE_VERSION
+    && state.chainId === chainId
+    && state.contract === contract.toLowerCase();
+  const reset = Boolean(state) && !matches;
+  if (!matches) state = emptyState({ chainId, contract });
+
+  const byHash = new Map();
+  const byAuthor = new Map();
+  const contentTypes = new Map();
+
+  const indexRegistration = (registration) => {
+    byHash.set(registration.hash, registration);
+    const author = registration.author.toLowerCase();
+    if (!byAuthor.has(author)) byAuthor.set(author, []);
+    byAuthor.get(author).push(registration);
+    contentTypes.set(registration.contentType, (contentTypes.get(registration.contentType) || 0) + 1);
+  };
+
+  const rebuildMaps = () => {
+    byHash.clear();
+    byAuthor.clear();
+    contentTypes.clear();
+    state.registrations.forEach(indexRegistration);
+  };
+
+  // Changes not written to the file yet
+  let dirty = false;
+
+  const persist = () => {
+    dirty = false;
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(state));
+    fs.renameSync(temp, file);
+  };
+
+  rebuildMaps();
+  if (reset) persist();
+
+  return {
+    reset,
+
+    get cursor() {
+      return state.cursor;
+    },
+
+    get checkpoints() {
+      return state.checkpoints;
+    },
+
+    get dirty() {
+      return dirty;
+    },
+
+    /**
+     * Add the registrations found up to a block and move the cursor there
+     * (in memory; see flush)
+     */
+    append(registrations, block) {
+      for (const registration of registrations) {
+        if (byHash.has(registration.hash)) continue;
+        state.registrations.push(registration);
+        indexRegistration(registration);
+      }
+      state.cursor = block;
+      state.checkpoints = [...state.checkpoints, block].slice(-MAX_CHECKPOINTS);
+      dirty = true;
+    },
+
+    /**
+     * Forget everything after a block (null: forget everything)
+     *
+     * @returns how many registrations were dropped
+     */
+    rollback(block) {
+      const before = state.registrations.length;
+      if (block) {
+        state.registrations = state.registrations.filter((r) => r.blockNumber <= block.number);
+        state.checkpoints = state.checkpoints.filter((c) => c.number <= block.number);
+      } else {
+        state.registrations = [];
+        state.checkpoints = [];
+      }
+      state.cursor = block;
+      rebuildMaps();
+      dirty = true;
+      return before - state.registrations.length;
+    },
+
+    /**
+     * Write pending changes to the file (nothing to do when there are none)
+     */
+    flush() {
+      if (dirty) persist();
+    },
+
+    get: (hash) => byHash.get(hash.toLowerCase()) ?? null,
+
+    /**
+     * An author's registrations, oldest first
+     */
+    byAuthor: (address) => byAuthor.get(address.toLowerCase()) ?? [],
+
+    stats: () => ({
+      totalRegistrations: state.registrations.length,
+      authors: byAuthor.size,
+      contentTypes: Object.fromEntries(contentTypes),
+    }),
+  };
+}
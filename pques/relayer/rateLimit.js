@@ -0,0 +1,57 @@
+/**
+ * Sliding-window rate limiter, kept in memory
+ *
+ * Each key (an author address) may use `limit` slots per `windowMs`.
+ * Restarting the relayer resets all counters.
+ *
+ * @returns { check(key) → { allowed, remaining, retryAfterMs },
+ *   reserve(key) → { allowed, remaining, retryAfterMs, release() } }
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map();
+
+  // Drop timestamps that fell out of the window
+  const recent = (key) => {
+    const cutoff = now() - windowMs;
+    const list = (hits.get(key) || []).filter((time) => time > cutoff);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  };
+
+  const check = (key) => {
+    const list = recent(key);
+    if (list.length < limit) {
+      return { allowed: true, remaining: limit - list.length, retryAfterMs: 0 };
+    }
+    return { allowed: false, remaining: 0, retryAfterMs: list[0] + windowMs - now() };
+  };
+
+  return {
+    check,
+
+    // Take a slot right away, so concurrent requests can't all pass check();
+    // release() gives it back (the request failed before anything was sent)
+    reserve(key) {
+      const quota = check(key);
+      if (!quota.allowed) return { ...quota, release: () => {} };
+
+      const time = now();
+      hits.set(key, [...recent(key), time]);
+      let released = false;
+      return {
+        allowed: true,
+        remaining: quota.remaining - 1,
+        retryAfterMs: 0,
+        release: () => {
+          if (released) return;
+          released = true;
+          const list = hits.get(key) || [];
+          const index = list.indexOf(time);
+          if (index !== -1) list.splice(index, 1);
+          if (list.length === 0) hits.delete(key);
+        },
+      };
+    },
+  };
+}
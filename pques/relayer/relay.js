@@ -0,0 +1,170 @@
+import { ethers } from "ethers";
+import { registerDomain, recoverRegistrationSigner } from "./typedData.js";
+
+/**
+ * RELAYING
+ *
+ * Checks a signed registration request and submits it with the relayer's key.
+ * Kept apart from the HTTP server (server.js) so it can be tested against an
+ * in-process network.
+ *
+ * Concurrent requests are settled before the first await: the rate-limit slot
+ * is reserved and the content hash marked in flight synchronously, so copies
+ * of one request (or a burst from one author) can't all pass the checks while
+ * the first transaction is still pending. Once the nonce is known, the
+ * author's nonce is marked in flight too. Both stay marked until the
+ * transaction is mined or given up on (PENDING_TIMEOUT_MS).
+ */
+
+// How long to wait for a relayed transaction before treating it as dropped
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+export class RelayError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Check a request body and turn it into registerContentFor arguments
+ */
+export function parseRelayRequest(body) {
+  const { author, contentHash, promptIPFSHash = "", deadline, signature, metadata } = body || {};
+
+  if (!ethers.isAddress(author)) throw new RelayError(400, "author must be an address");
+  if (!ethers.isHexString(contentHash, 32) || contentHash === ethers.ZeroHash) {
+    throw new RelayError(400, "contentHash must be a non-zero bytes32 hex string");
+  }
+  if (typeof promptIPFSHash !== "string") throw new RelayError(400, "promptIPFSHash must be a string");
+  if (!/^\d+$/.test(String(deadline))) throw new RelayError(400, "deadline must be a Unix timestamp");
+  if (!ethers.isHexString(signature, 65)) throw new RelayError(400, "signature must be 65 bytes of hex");
+  if (metadata !== undefined && metadata !== null) {
+    if (typeof metadata.modelId !== "string") throw new RelayError(400, "metadata.modelId must be a string");
+    if (!ethers.isHexString(metadata.paramsHash, 32) || !ethers.isHexString(metadata.contentType, 32)) {
+      throw new RelayError(400, "metadata.paramsHash and metadata.contentType must be bytes32 hex strings");
+    }
+  }
+
+  return {
+    author: ethers.getAddress(author),
+    contentHash: contentHash.toLowerCase(),
+    promptIPFSHash,
+    deadline: BigInt(deadline),
+    signature,
+    metadata: metadata
+      ? { modelId: metadata.modelId, paramsHash: metadata.paramsHash, contentType: metadata.contentType }
+      : null,
+  };
+}
+
+/**
+ * @param options { contract (connected to the relayer's signer), signer, chainId,
+ *   limiter (rateLimit.js), pendingTimeoutMs?, log? }
+ * @returns { relay(body) → { txHash, nonce, relayer }, pending() → in-flight count }
+ */
+export function createRelayer({
+  contract,
+  signer,
+  chainId,
+  limiter,
+  pendingTimeoutMs = PENDING_TIMEOUT_MS,
+  log = console.log,
+}) {
+  const domain = registerDomain(chainId, contract.target);
+
+  // One relayer key: send transactions one at a time so nonces don't collide
+  let sendQueue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = sendQueue.then(task, task);
+    sendQueue = run.catch(() => {});
+    return run;
+  };
+
+  // Content hashes and author:nonce pairs with a relayed transaction pending
+  const inFlight = new Set();
+
+  const relay = async (body) => {
+    const request = parseRelayRequest(body);
+    const key = request.author.toLowerCase();
+
+    if (request.deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+      throw new RelayError(400, "Signature expired");
+    }
+    if (inFlight.has(request.contentHash)) {
+      throw new RelayError(409, "A registration of this content is already pending");
+    }
+
+    // Claimed before the first await; released again unless a transaction is sent
+    const slot = limiter.reserve(key);
+    if (!slot.allowed) {
+      throw new RelayError(429, "Rate limit reached for this address", { retryAfterMs: slot.retryAfterMs });
+    }
+    const claimed = [request.contentHash];
+    inFlight.add(request.contentHash);
+    const release = () => claimed.forEach((entry) => inFlight.delete(entry));
+
+    let tx;
+    let nonce;
+    try {
+      // Check everything off-chain first, so bad requests cost no gas
+      nonce = await contract.nonces(request.author);
+      const nonceKey = `${key}:${nonce}`;
+      if (inFlight.has(nonceKey)) {
+        throw new RelayError(409, "A registration with this nonce is already pending");
+      }
+      claimed.push(nonceKey);
+      inFlight.add(nonceKey);
+
+      let recovered;
+      try {
+        recovered = recoverRegistrationSigner(domain, {
+          author: request.author,
+          contentHash: request.contentHash,
+          promptIPFSHash: request.promptIPFSHash,
+          ...request.metadata,
+          nonce,
+          deadline: request.deadline,
+        }, request.signature);
+      } catch {
+        // 65 bytes, but not a signature (r or s out of range, bad v)
+        throw new RelayError(400, "Invalid signature");
+      }
+      if (recovered.toLowerCase() !== key) {
+        throw new RelayError(400, "Signature does not match author (or the nonce is stale)");
+      }
+      if (await contract.hashExists(request.contentHash)) {
+        throw new RelayError(409, "Content already registered");
+      }
+
+      const register = request.metadata ? contract.registerContentWithMetadataFor : contract.registerContentFor;
+      const args = request.metadata
+        ? [request.author, request.contentHash, request.promptIPFSHash, request.metadata, request.deadline, request.signature]
+        : [request.author, request.contentHash, request.promptIPFSHash, request.deadline, request.signature];
+      tx = await enqueue(async () => {
+        try {
+          await register.staticCall(...args);
+        } catch (e) {
+          throw new RelayError(400, e.reason || e.shortMessage || "Registration would revert");
+        }
+        return register(...args);
+      });
+    } catch (e) {
+      slot.release();
+      release();
+      throw e;
+    }
+
+    // The slot stays used; the hash and nonce are free again once the
+    // transaction is mined, reverted or dropped
+    tx.wait(1, pendingTimeoutMs)
+      .catch((e) => log(`Relayed ${tx.hash} did not confirm: ${e.shortMessage || e.message}`))
+      .finally(release);
+
+    log(`Relayed ${request.contentHash} for ${request.author}: ${tx.hash}`);
+    return { txHash: tx.hash, nonce: nonce.toString(), relayer: await signer.getAddress() };
+  };
+
+  return { relay, pending: () => inFlight.size };
+}
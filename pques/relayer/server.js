@@ -0,0 +1,165 @@
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as dotenv from "dotenv";
+import { ethers } from "ethers";
+import { createRateLimiter } from "./rateLimit.js";
+import { RelayError, createRelayer } from "./relay.js";
+import { loadContractInfo } from "../scripts/lib/manifest.js";
+
+/**
+ * GASLESS REGISTRATION RELAYER
+ *
+ * Authors sign a RegisterContent EIP-712 message in their wallet; this service
+ * checks it and submits ProofOfPrompt.registerContentFor, paying the gas.
+ * The contract records the signer as author, so the relayer never owns anything.
+ *
+ *   POST /relay            { author, contentHash, promptIPFSHash, deadline, signature,
+ *                            metadata? { modelId, paramsHash, contentType } }
+ *                          → 202 { txHash, nonce }
+ *   GET  /quota/<address>  → { remaining, retryAfterMs }
+ *   GET  /health           → relayer address, chain and contract
+ *
+ * Configuration (environment, or pques/.env.local):
+ *   RELAYER_RPC_URL           default http://127.0.0.1:8545 (npx hardhat node)
+ *   RELAYER_PRIVATE_KEY       key that pays for gas; without it the node's
+ *                             first unlocked account is used (local node only)
+ *   RELAYER_NETWORK           manifest to load from deployments/ (default localhost)
+ *   RELAYER_CONTRACT_ADDRESS  overrides the manifest's address
+ *   RELAYER_PORT              default 8787
+ *   RELAYER_RATE_LIMIT        registrations per author per window (default 5)
+ *   RELAYER_RATE_WINDOW_MS    window length (default 1 hour)
+ *   RELAYER_ALLOWED_ORIGIN    CORS origin (default *)
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+dotenv.config({ path: path.join(ROOT, ".env.local"), quiet: true });
+
+const config = {
+  rpcUrl: process.env.RELAYER_RPC_URL || "http://127.0.0.1:8545",
+  privateKey: process.env.RELAYER_PRIVATE_KEY || "",
+  network: process.env.RELAYER_NETWORK || "localhost",
+  contractAddress: process.env.RELAYER_CONTRACT_ADDRESS || "",
+  port: Number(process.env.RELAYER_PORT || 8787),
+  rateLimit: Number(process.env.RELAYER_RATE_LIMIT || 5),
+  rateWindowMs: Number(process.env.RELAYER_RATE_WINDOW_MS || 60 * 60 * 1000),
+  allowedOrigin: process.env.RELAYER_ALLOWED_ORIGIN || "*",
+};
+
+// Requests are tiny; anything bigger is not a registration
+const MAX_BODY_BYTES = 16 * 1024;
+
+
+// ============ SETUP ============
+
+async function loadSigner(provider) {
+  if (config.privateKey) return new ethers.Wallet(config.privateKey, provider);
+  return provider.getSigner(0);
+}
+
+
+// ============ HTTP ============
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      // Stop keeping the body but let the socket live until the 413 is sent
+      // (the handler closes the connection after it)
+      req.off("data", onData);
+      req.resume();
+      reject(new RelayError(413, "Request body too large"));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on("data", onData);
+  req.on("end", () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+    } catch {
+      reject(new RelayError(400, "Body must be JSON"));
+    }
+  });
+  req.on("error", reject);
+});
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": config.allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...headers,
+  });
+  res.end(JSON.stringify(data));
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const signer = await loadSigner(provider);
+  // From the deployment manifest (or the compiled artifact)
+  const { address, abi } = loadContractInfo(ROOT, config.network, config.contractAddress);
+  if (!address) {
+    throw new Error(`No contract address: deploy to ${config.network} first, or set RELAYER_CONTRACT_ADDRESS`);
+  }
+
+  if ((await provider.getCode(address)) === "0x") {
+    throw new Error(`No contract at ${address} on chain ${chainId} (is the node running and deployed to?)`);
+  }
+
+  const contract = new ethers.Contract(address, abi, signer);
+  const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+  const { relay } = createRelayer({ contract, signer, chainId: Number(chainId), limiter });
+  const relayerAddress = await signer.getAddress();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://relayer");
+    try {
+      if (req.method === "OPTIONS") {
+        sendJson(res, 204, {});
+      } else if (req.method === "GET" && url.pathname === "/health") {
+        sendJson(res, 200, {
+          ok: true,
+          relayer: relayerAddress,
+          chainId: Number(chainId),
+          contract: address,
+          rateLimit: { limit: config.rateLimit, windowMs: config.rateWindowMs },
+        });
+      } else if (req.method === "GET" && url.pathname.startsWith("/quota/")) {
+        const account = url.pathname.slice("/quota/".length);
+        if (!ethers.isAddress(account)) throw new RelayError(400, "Not an address");
+        const { remaining, retryAfterMs } = limiter.check(account.toLowerCase());
+        sendJson(res, 200, { remaining, retryAfterMs });
+      } else if (req.method === "POST" && url.pathname === "/relay") {
+        sendJson(res, 202, await relay(await readJsonBody(req)));
+      } else {
+        sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (e) {
+      if (e instanceof RelayError) {
+        const headers = e.extra.retryAfterMs ? { "Retry-After": String(Math.ceil(e.extra.retryAfterMs / 1000)) } : {};
+        // The rest of an oversized body is never read: don't reuse the connection
+        if (e.status === 413) headers.Connection = "close";
+        sendJson(res, e.status, { error: e.message, ...e.extra }, headers);
+      } else {
+        console.error("Relay failed:", e);
+        sendJson(res, 500, { error: e.shortMessage || e.message });
+      }
+    }
+  });
+
+  server.listen(config.port, () => {
+    console.log(`Relayer ${relayerAddress} on chain ${chainId}`);
+    console.log(`Contract ${address}`);
+    console.log(`Listening on http://127.0.0.1:${config.port} (${config.rateLimit} registrations per address per ${config.rateWindowMs / 1000}s)`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
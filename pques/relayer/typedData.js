@@ -0,0 +1,52 @@
+import { ethers } from "ethers";
+
+/**
+ * EIP-712 REGISTRATION MESSAGES
+ *
+ * Must match ProofOfPrompt.REGISTER_TYPEHASH, REGISTER_WITH_METADATA_TYPEHASH
+ * and DOMAIN_SEPARATOR(); the frontend builds the same messages in
+ * frontend/src/lib/relayer.js.
+ */
+
+export const REGISTER_TYPES = {
+  RegisterContent: [
+    { name: "author", type: "address" },
+    { name: "contentHash", type: "bytes32" },
+    { name: "promptIPFSHash", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Registrations that carry generation metadata sign it too
+export const REGISTER_WITH_METADATA_TYPES = {
+  RegisterContentWithMetadata: [
+    { name: "author", type: "address" },
+    { name: "contentHash", type: "bytes32" },
+    { name: "promptIPFSHash", type: "string" },
+    { name: "modelId", type: "string" },
+    { name: "paramsHash", type: "bytes32" },
+    { name: "contentType", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export const registerDomain = (chainId, verifyingContract) => ({
+  name: "ProofOfPrompt",
+  version: "1",
+  chainId,
+  verifyingContract,
+});
+
+/**
+ * Who signed this registration message? (checked before spending any gas)
+ * Messages with a modelId, paramsHash and contentType are metadata messages
+ */
+export const recoverRegistrationSigner = (domain, message, signature) =>
+  ethers.verifyTypedData(
+    domain,
+    "modelId" in message ? REGISTER_WITH_METADATA_TYPES : REGISTER_TYPES,
+    message,
+    signature
+  );
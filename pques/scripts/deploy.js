@@ -1,19 +1,85 @@
 import hre from "hardhat";
+import fs from "node:fs";
+import path from "node:path";
+import ProofOfPromptModule from "../ignition/modules/ProofOfPrompt.js";
+import { deploymentIdFor, writeManifest } from "./lib/manifest.js";
+
+/**
+ * Deploy (or resume deploying) ProofOfPrompt through its Ignition module,
+ * then write the deployment manifest for the frontend and other scripts
+ *
+ * Module parameters come from ignition/parameters/<network>.json when it
+ * exists; INITIAL_OWNER in the environment overrides the owner.
+ */
+
+const ignitionDir = path.resolve(hre.config.paths.root, "ignition");
+
+function loadParameters() {
+  const file = path.join(ignitionDir, "parameters", `${hre.network.name}.json`);
+  const parameters = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  if (process.env.INITIAL_OWNER) {
+    parameters.ProofOfPromptModule = {
+      ...parameters.ProofOfPromptModule,
+      initialOwner: process.env.INITIAL_OWNER,
+    };
+  }
+  return parameters;
+}
+
+/**
+ * Find the transaction that created the contract in Ignition's journal
+ * (the in-process hardhat network keeps no journal, so this may be null)
+ */
+async function findDeployTransaction(deploymentId) {
+  const journal = path.join(ignitionDir, "deployments", deploymentId, "journal.jsonl");
+  if (!fs.existsSync(journal)) return null;
+
+  const confirmed = fs.readFileSync(journal, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .find((entry) => entry.type === "TRANSACTION_CONFIRM" && entry.futureId === "ProofOfPromptModule#ProofOfPrompt");
+  if (!confirmed) return null;
+
+  return hre.ethers.provider.getTransactionReceipt(confirmed.hash);
+}
 
 async function main() {
   console.log("🚀 Deploying ProofOfPrompt...");
 
-  const ProofOfPrompt = await hre.ethers.getContractFactory("ProofOfPrompt");
-  const pop = await ProofOfPrompt.deploy();
-
-  await pop.waitForDeployment();
+  const deploymentId = deploymentIdFor(hre.network.name);
+  const { proofOfPrompt } = await hre.ignition.deploy(ProofOfPromptModule, {
+    parameters: loadParameters(),
+    deploymentId,
+  });
 
-  const address = await pop.getAddress();
+  const address = await proofOfPrompt.getAddress();
+  const owner = await proofOfPrompt.contractOwner();
 
   console.log("✅ ProofOfPrompt deployed to:", address);
+  console.log("👤 Owner:", owner);
+
+  // The in-process "hardhat" network disappears when this script exits,
+  // so a manifest for it would only point at nothing
+  if (hre.network.name === "hardhat") {
+    console.log("ℹ️  Skipping manifest for the in-process hardhat network (use --network localhost)");
+    return;
+  }
+
+  const receipt = await findDeployTransaction(deploymentId);
+  const file = await writeManifest(hre, {
+    address,
+    owner,
+    deployer: receipt?.from ?? null,
+    deployBlock: receipt?.blockNumber ?? null,
+    txHash: receipt?.hash ?? null,
+    deploymentId,
+  });
+  console.log("🆔 Ignition deployment id:", deploymentId);
+  console.log("📝 Deployment manifest written to:", path.relative(process.cwd(), file));
 }
 
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,108 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * DEPLOYMENT MANIFESTS
+ *
+ * One JSON file per network in pques/deployments/<network>.json, written by
+ * scripts/deploy.js and read by the frontend (frontend/src/lib/deployments.js),
+ * by other scripts through readManifest(), and by the relayer and indexer
+ * services (which run without Hardhat) through loadContractInfo().
+ */
+
+export const CONTRACT_NAME = "ProofOfPrompt";
+export const FULLY_QUALIFIED_NAME = `contracts/${CONTRACT_NAME}.sol:${CONTRACT_NAME}`;
+
+/**
+ * Ignition deployment id for a network (one journal per network, so re-running
+ * a deploy resumes or no-ops instead of deploying a second copy)
+ */
+export const deploymentIdFor = (networkName) => `proof-of-prompt-${networkName}`;
+
+const manifestPath = (root, networkName) =>
+  path.resolve(root, "deployments", `${networkName}.json`);
+
+// Where Hardhat writes the compiled contract: artifacts/<source>/<name>.json
+const artifactPath = (root) => {
+  const [source, name] = FULLY_QUALIFIED_NAME.split(":");
+  return path.resolve(root, "artifacts", source, `${name}.json`);
+};
+
+const readManifestAt = (root, networkName) => {
+  const file = manifestPath(root, networkName);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+/**
+ * Read the manifest for a network (defaults to the one the script runs on)
+ *
+ * @returns The manifest object, or null if that network was never deployed to
+ */
+export function readManifest(hre, networkName = hre.network.name) {
+  return readManifestAt(hre.config.paths.root, networkName);
+}
+
+/**
+ * Contract address and ABI for a network, without the Hardhat runtime
+ * The ABI comes from the manifest, or from the compiled artifact when that
+ * network has no manifest
+ *
+ * @param root The project directory (pques/)
+ * @param address Optional address overriding the manifest's
+ * @returns { address (null if neither gives one), abi, manifest (or null) }
+ */
+export function loadContractInfo(root, networkName, address) {
+  const manifest = readManifestAt(root, networkName);
+
+  let abi = manifest?.abi;
+  if (!abi) {
+    const artifactFile = artifactPath(root);
+    if (!fs.existsSync(artifactFile)) {
+      throw new Error("No ABI: run npx hardhat compile, or deploy with scripts/deploy.js");
+    }
+    abi = JSON.parse(fs.readFileSync(artifactFile, "utf8")).abi;
+  }
+  return { address: address || manifest?.address || null, abi, manifest };
+}
+
+/**
+ * Write the manifest for the network the script runs on
+ * Holds everything the frontend needs (address + ABI) plus enough to check
+ * later that the code at that address is really this build
+ *
+ * @returns The path of the written file
+ */
+export async function writeManifest(hre, { address, owner, deployer, deployBlock, txHash, deploymentId }) {
+  const artifact = await hre.artifacts.readArtifact(FULLY_QUALIFIED_NAME);
+  const buildInfo = await hre.artifacts.getBuildInfo(FULLY_QUALIFIED_NAME);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  // Re-running a finished deploy keeps the original deploy date
+  const previous = readManifest(hre);
+  const sameDeployment = previous?.address?.toLowerCase() === address.toLowerCase();
+
+  const manifest = {
+    contractName: CONTRACT_NAME,
+    network: hre.network.name,
+    chainId: Number(chainId),
+    address,
+    owner,
+    deployer,
+    deployBlock,
+    txHash,
+    deploymentId,
+    deployedAt: sameDeployment && previous.deployedAt ? previous.deployedAt : new Date().toISOString(),
+    compiler: {
+      version: buildInfo?.solcLongVersion ?? buildInfo?.solcVersion ?? null,
+      optimizer: buildInfo?.input?.settings?.optimizer ?? null,
+    },
+    deployedBytecodeHash: hre.ethers.keccak256(artifact.deployedBytecode),
+    abi: artifact.abi,
+  };
+
+  const file = manifestPath(hre.config.paths.root, hre.network.name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
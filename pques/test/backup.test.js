@@ -0,0 +1,40 @@
+import { expect } from "chai";
+import { buildBackupBundle, parseBackupBundle } from "../frontend/src/lib/backup.js";
+import { createRecord, hashRecord } from "../frontend/src/lib/sdk/index.js";
+
+/**
+ * Backup bundle tests (no chain needed)
+ */
+
+const bundleWith = (records) => JSON.stringify({ ...buildBackupBundle([]), records });
+
+describe("Backups", function () {
+  it("round-trips local records, with hashes lowercased", async function () {
+    const record = createRecord({ prompt: "backed up", output: "safe" });
+    const hash = await hashRecord(record);
+    const bundle = buildBackupBundle([{ hash: hash.toUpperCase().replace("0X", "0x"), record }], { chainId: 31337 });
+
+    const [entry] = parseBackupBundle(JSON.stringify(bundle));
+    expect(entry.hash).to.equal(hash);
+    expect(entry.record).to.deep.equal(record);
+    expect(entry.chainId).to.equal(31337);
+  });
+
+  it("rejects entries without a bytes32 hash or a record object", function () {
+    const record = { prompt: "p", output: "o" };
+    expect(() => parseBackupBundle(bundleWith(["not an entry"]))).to.throw("Backup record 1 is not an object");
+    expect(() => parseBackupBundle(bundleWith([{ hash: 42, record }]))).to.throw(/record 1 has no valid hash/);
+    expect(() => parseBackupBundle(bundleWith([{ hash: "0x1234", record }]))).to.throw(/record 1 has no valid hash/);
+    expect(() => parseBackupBundle(bundleWith([{ hash: `0x${"ab".repeat(32)}`, record: "text" }])))
+      .to.throw("Backup record 1 has no record");
+  });
+
+  it("rejects a hash that appears twice, whatever its case", function () {
+    const record = { prompt: "p", output: "o" };
+    const records = [
+      { hash: `0x${"ab".repeat(32)}`, record },
+      { hash: `0x${"AB".repeat(32)}`, record },
+    ];
+    expect(() => parseBackupBundle(bundleWith(records))).to.throw(/Backup record 2 repeats hash 0xabab/);
+  });
+});
@@ -0,0 +1,197 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createRegistry } from "../frontend/src/lib/sdk/index.js";
+import { hashRecord, RECORD_SCHEME, CONVERSATION_SCHEME } from "../frontend/src/lib/records.js";
+import { CliError } from "../cli/context.js";
+import { parseJsonItems, parseRegisterInput, toRecord } from "../cli/input.js";
+import { register, verify, list, exportRegistrations } from "../cli/commands.js";
+
+/**
+ * CLI tests
+ *
+ * Commands run against the in-process network with a context built the way
+ * cli/context.js builds one for a JSON-RPC node.
+ */
+
+async function deployRegistry() {
+  const [owner, other] = await hre.ethers.getSigners();
+  const deployed = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  const receipt = await deployed.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const contract = deployed.connect(owner);
+  return {
+    owner,
+    other,
+    ctx: {
+      network: "hardhat",
+      chainId: Number(chainId),
+      provider: hre.ethers.provider,
+      contract,
+      registry: createRegistry({ contract }),
+      signer: owner,
+      manifest: { deployBlock: receipt.blockNumber },
+    },
+  };
+}
+
+// Synchronous failures, as the CLI reports them
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+describe("CLI input", function () {
+  it("reads a JSON value, a JSON array or JSON Lines", function () {
+    expect(parseJsonItems('{ "a": 1 }')).to.deep.equal([{ a: 1 }]);
+    expect(parseJsonItems('[{ "a": 1 }, { "a": 2 }]')).to.deep.equal([{ a: 1 }, { a: 2 }]);
+    expect(parseJsonItems('{ "a": 1 }\n\n{ "a": 2 }\n')).to.deep.equal([{ a: 1 }, { a: 2 }]);
+
+    const badLine = errorOf(() => parseJsonItems('{ "a": 1 }\n{ nope'));
+    expect(badLine).to.be.instanceOf(CliError);
+    expect(badLine.message).to.equal("Line 2 is not valid JSON");
+    expect(errorOf(() => parseJsonItems("  \n")).message).to.equal("Input is empty");
+  });
+
+  it("builds records from pairs, conversations and proof files", async function () {
+    const pair = toRecord({ prompt: "p", output: "o", generation: { provider: "mock", model: "m" } });
+    expect(pair).to.include({ scheme: RECORD_SCHEME, prompt: "p", output: "o" });
+    expect(pair.salt).to.match(/^0x[0-9a-f]{64}$/);
+    expect(pair.generation).to.include({ provider: "mock", model: "m" });
+
+    // A fresh salt per record, so equal texts still hash differently
+    expect(toRecord({ prompt: "p", output: "o" }).salt).to.not.equal(pair.salt);
+
+    const conversation = toRecord({ messages: [{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }] });
+    expect(conversation.scheme).to.equal(CONVERSATION_SCHEME);
+    expect(conversation.messages).to.have.lengthOf(2);
+
+    // Proof files and full records are registered as they are, salt included
+    const proof = { format: "proof-of-prompt/record", hash: await hashRecord(pair), record: pair };
+    expect(await hashRecord(toRecord(proof))).to.equal(proof.hash);
+    expect(toRecord(pair)).to.deep.equal(pair);
+
+    const unknown = errorOf(() => toRecord({ output: "no prompt" }, 2));
+    expect(unknown).to.be.instanceOf(CliError);
+    expect(unknown.message).to.match(/^Item 3 needs "prompt" and "output"/);
+  });
+
+  it("takes --prompt input as the output text, exactly as read", function () {
+    const [record] = parseRegisterInput("  line one\nline two\n", { prompt: "Write two lines" });
+    expect(record).to.include({ prompt: "Write two lines", output: "  line one\nline two\n" });
+
+    const records = parseRegisterInput('{ "prompt": "a", "output": "1" }\n{ "prompt": "b", "output": "2" }');
+    expect(records.map((r) => r.prompt)).to.deep.equal(["a", "b"]);
+  });
+});
+
+describe("CLI commands", function () {
+  let files = [];
+
+  afterEach(function () {
+    for (const file of files) fs.rmSync(file, { force: true });
+    files = [];
+  });
+
+  const writeTemp = (content) => {
+    const file = path.join(os.tmpdir(), `pop-cli-${process.pid}-${Date.now()}-${files.length}.json`);
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+    files.push(file);
+    return file;
+  };
+
+  it("hashes without sending anything on a dry run", async function () {
+    const source = writeTemp({ prompt: "dry", output: "run" });
+    const { ok, results: [result] } = await register(null, source, { dryRun: true });
+
+    expect(ok).to.equal(true);
+    expect(result.status).to.equal("dry-run");
+    expect(result.hash).to.equal(await hashRecord(result.proof.record));
+    expect(result.metadata.contentType).to.equal(ethers.encodeBytes32String("text"));
+  });
+
+  it("registers records, then verifies them by hash and by proof file", async function () {
+    const { ctx, owner } = await loadFixture(deployRegistry);
+    const source = writeTemp([{ prompt: "first", output: "one" }, { prompt: "second", output: "two" }]);
+
+    const registered = await register(ctx, source, { type: "code", confirmations: 1 });
+    expect(registered.ok).to.equal(true);
+    expect(registered.results.map((r) => r.status)).to.deep.equal(["registered", "registered"]);
+    expect(registered.results[0].author).to.equal(owner.address);
+
+    const [first] = registered.results;
+    const byHash = await verify(ctx, first.hash);
+    expect(byHash).to.include({ ok: true, kind: "hash", registered: true, author: owner.address });
+    expect(byHash.metadata.contentType).to.equal("code");
+    expect(byHash.flag).to.equal(null);
+    expect(byHash.claimAttempts).to.deep.equal([]);
+
+    const byProof = await verify(ctx, writeTemp(first.proof));
+    expect(byProof).to.include({ ok: true, kind: "record", hashMatches: true, hash: first.hash });
+
+    // Registering the same proof again sends nothing
+    const again = await register(ctx, writeTemp(first.proof), { confirmations: 1 });
+    expect(again.results[0].status).to.equal("already-registered");
+  });
+
+  it("fails verification of an edited proof file", async function () {
+    const { ctx } = await loadFixture(deployRegistry);
+    const { results: [result] } = await register(ctx, writeTemp({ prompt: "p", output: "original" }), { confirmations: 1 });
+
+    const edited = { ...result.proof, record: { ...result.proof.record, output: "edited" } };
+    const verified = await verify(ctx, writeTemp(edited));
+    expect(verified).to.include({ ok: false, hashMatches: false, registered: false });
+
+    const unknown = await verify(ctx, `0x${"ab".repeat(32)}`);
+    expect(unknown).to.include({ ok: false, registered: false });
+  });
+
+  it("lists and exports an author's registrations", async function () {
+    const { ctx, owner, other } = await loadFixture(deployRegistry);
+    const { results } = await register(ctx, writeTemp([{ prompt: "a", output: "1" }, { prompt: "b", output: "2" }]), {
+      confirmations: 1,
+    });
+    const hashes = results.map((r) => r.hash);
+
+    const listed = await list(ctx, {});
+    expect(listed.author).to.equal(owner.address);
+    expect(listed.registrations.map((r) => r.hash)).to.deep.equal(hashes);
+    expect(listed.registrations[0].metadata.contentType).to.equal("text");
+    expect(listed.batches).to.deep.equal([]);
+
+    expect((await list(ctx, { author: other.address })).registrations).to.deep.equal([]);
+    const badAuthor = await Promise.allSettled([list(ctx, { author: "nobody" })]);
+    expect(badAuthor[0].reason).to.be.instanceOf(CliError);
+
+    const { rows } = await exportRegistrations(ctx, { metadata: true });
+    expect(rows.map((row) => row.hash)).to.deep.equal(hashes);
+    expect(rows.every((row) => row.author === owner.address && row.metadata)).to.equal(true);
+  });
+
+  it("leaves out what an older deployment can't answer instead of failing", async function () {
+    const { ctx } = await loadFixture(deployRegistry);
+    const { results: [result] } = await register(ctx, writeTemp({ prompt: "p", output: "o" }), { confirmations: 1 });
+
+    // As against a contract without metadata, moderation or claims
+    const missing = () => Promise.reject(new Error("function not found"));
+    const older = {
+      ...ctx,
+      registry: { ...ctx.registry, getMetadata: missing, getFlag: missing, getClaimAttempts: missing },
+    };
+
+    const verified = await verify(older, result.hash);
+    expect(verified).to.include({ ok: true, metadata: null, flag: null });
+    expect(verified.claimAttempts).to.deep.equal([]);
+    expect((await list(older, {})).registrations[0].metadata).to.equal(null);
+    expect((await exportRegistrations(older, { metadata: true })).rows[0].metadata).to.equal(null);
+  });
+});
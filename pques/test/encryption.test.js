@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import {
+  requestEncryptionKey,
+  encryptionPublicKey,
+  encryptForRecipients,
+  decryptEnvelope,
+} from "../frontend/src/lib/encryption.js";
+
+/**
+ * Encryption tests
+ *
+ * Keys are derived from a wallet signature exactly as in the app; the
+ * contract only stores their public halves.
+ */
+
+async function deployWithKeys() {
+  const [owner, alice, bob, carol] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  await contract.waitForDeployment();
+
+  const keys = {};
+  for (const signer of [alice, bob, carol]) keys[signer.address] = await requestEncryptionKey(signer);
+  return { contract, alice, bob, carol, keys };
+}
+
+// Envelopes only hold text, so failures come back as rejected promises
+const failureOf = async (promise) => {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+};
+
+describe("Encryption", function () {
+  describe("envelopes", function () {
+    it("opens for every recipient", async function () {
+      const { alice, bob, keys } = await loadFixture(deployWithKeys);
+      const recipients = [alice, bob].map((signer) => ({
+        address: signer.address,
+        publicKey: encryptionPublicKey(keys[signer.address]),
+      }));
+
+      const plaintext = JSON.stringify({ prompt: "secret prompt", output: "secret output ✓" });
+      const envelope = await encryptForRecipients(plaintext, recipients, { hash: ethers.ZeroHash });
+
+      expect(envelope.ciphertext).to.not.include("secret");
+      expect(envelope.recipients.map((r) => r.address)).to.deep.equal([alice.address, bob.address]);
+      expect(await decryptEnvelope(envelope, alice.address, keys[alice.address])).to.equal(plaintext);
+      expect(await decryptEnvelope(envelope, bob.address.toLowerCase(), keys[bob.address])).to.equal(plaintext);
+    });
+
+    it("stays closed to anyone else, and to the wrong key", async function () {
+      const { alice, bob, carol, keys } = await loadFixture(deployWithKeys);
+      const envelope = await encryptForRecipients("for alice only", [
+        { address: alice.address, publicKey: encryptionPublicKey(keys[alice.address]) },
+      ]);
+
+      expect(await failureOf(decryptEnvelope(envelope, carol.address, keys[carol.address])))
+        .to.equal("This content was not shared with your address");
+      expect(await failureOf(decryptEnvelope(envelope, alice.address, keys[bob.address])))
+        .to.equal("Decryption failed: the key does not match this envelope");
+
+      const tampered = { ...envelope, ciphertext: `${envelope.ciphertext.slice(0, -4)}AAAA` };
+      expect(await failureOf(decryptEnvelope(tampered, alice.address, keys[alice.address])))
+        .to.match(/^Decryption failed/);
+      expect(await failureOf(encryptForRecipients("nobody", []))).to.equal("Add at least one recipient");
+    });
+  });
+
+  describe("setEncryptionKey", function () {
+    it("stores a compressed public key and emits EncryptionKeySet", async function () {
+      const { contract, alice, keys } = await loadFixture(deployWithKeys);
+      const publicKey = encryptionPublicKey(keys[alice.address]);
+
+      await expect(contract.connect(alice).setEncryptionKey(publicKey))
+        .to.emit(contract, "EncryptionKeySet")
+        .withArgs(alice.address, publicKey);
+      expect(await contract.encryptionKeys(alice.address)).to.equal(publicKey);
+    });
+
+    it("rejects anything but a compressed secp256k1 key", async function () {
+      const { contract, alice, keys } = await loadFixture(deployWithKeys);
+      const compressed = encryptionPublicKey(keys[alice.address]);
+      const invalid = [
+        "0x",
+        keys[alice.address].publicKey,                  // uncompressed (0x04 + 64 bytes)
+        `0x04${compressed.slice(4)}`,                   // 33 bytes, wrong prefix
+        ethers.dataSlice(compressed, 0, 32),            // one byte short
+        ethers.concat([compressed, "0x00"]),            // one byte long
+      ];
+
+      for (const key of invalid) {
+        await expect(contract.connect(alice).setEncryptionKey(key))
+          .to.be.revertedWith("Encryption key must be a compressed secp256k1 public key");
+      }
+      expect(await contract.encryptionKeys(alice.address)).to.equal("0x");
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture, mine } from "@nomicfoundation/hardhat-network-helpers";
+import { createRegistry, createRecord } from "../frontend/src/lib/sdk/index.js";
+import { openStore } from "../indexer/store.js";
+import { createIndexer } from "../indexer/indexer.js";
+
+/**
+ * Indexer tests
+ *
+ * Reorgs are simulated with evm_snapshot / evm_revert: reverting drops the
+ * blocks the indexer already saw, and mining again puts different blocks at
+ * the same heights.
+ */
+
+async function deployRegistry() {
+  const [owner] = await hre.ethers.getSigners();
+  const deployed = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  const receipt = await deployed.deploymentTransaction().wait();
+
+  const { abi } = await hre.artifacts.readArtifact("ProofOfPrompt");
+  const address = await deployed.getAddress();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  // Hardhat's provider, unlike a BrowserProvider, doesn't cache the head
+  // block number, so every sync sees the blocks mined just before it
+  return {
+    address,
+    chainId: Number(chainId),
+    deployBlock: receipt.blockNumber,
+    registry: createRegistry({ address, abi, runner: owner }),
+    reader: createRegistry({ address, abi, runner: hre.ethers.provider }),
+  };
+}
+
+const register = async (registry, output, options) => {
+  const { hash, tx } = await registry.registerRecord(createRecord({ prompt: "index me", output }), options);
+  await tx.wait();
+  return hash;
+};
+
+describe("Indexer", function () {
+  let files = [];
+
+  afterEach(function () {
+    for (const file of files) fs.rmSync(file, { force: true });
+    files = [];
+  });
+
+  const tempFile = () => {
+    const file = path.join(os.tmpdir(), `pop-index-${process.pid}-${Date.now()}-${files.length}.json`);
+    files.push(file);
+    return file;
+  };
+
+  const setup = async ({ file = null, chunkSize } = {}) => {
+    const fixture = await loadFixture(deployRegistry);
+    const store = openStore(file, { chainId: fixture.chainId, contract: fixture.address });
+    const indexer = createIndexer({
+      registry: fixture.reader,
+      store,
+      deployBlock: fixture.deployBlock,
+      chunkSize,
+      log: () => {},
+    });
+    return { ...fixture, store, indexer };
+  };
+
+  it("indexes registrations with their details", async function () {
+    const { registry, store, indexer } = await setup();
+    const hash = await register(registry, "first", { cid: "bafkreiexample", contentType: "code" });
+
+    expect(await indexer.sync()).to.equal(1);
+
+    const stored = store.get(hash);
+    expect(stored).to.include({
+      hash,
+      author: await registry.contract.runner.getAddress(),
+      promptIPFSHash: "bafkreiexample",
+      contentType: "code",
+    });
+    expect(store.byAuthor(stored.author.toLowerCase())).to.have.lengthOf(1);
+    expect(store.stats()).to.deep.equal({ totalRegistrations: 1, authors: 1, contentTypes: { code: 1 } });
+  });
+
+  it("catches up across several chunks, and only reads new blocks afterwards", async function () {
+    const { registry, store, indexer } = await setup({ chunkSize: 2 });
+    const hashes = [];
+    for (const output of ["a", "b", "c", "d", "e"]) hashes.push(await register(registry, output));
+
+    expect(await indexer.sync()).to.equal(5);
+    expect(await indexer.sync()).to.equal(0);
+    hashes.push(await register(registry, "f"));
+    expect(await indexer.sync()).to.equal(1);
+
+    expect(hashes.every((hash) => store.get(hash))).to.equal(true);
+    expect(indexer.status().lag).to.equal(0);
+  });
+
+  it("picks up where it left off after a restart", async function () {
+    const file = tempFile();
+    const { registry, indexer, chainId, address, reader, deployBlock } = await setup({ file });
+    const first = await register(registry, "before restart");
+    await indexer.sync();
+
+    const second = await register(registry, "while stopped");
+    const reopened = openStore(file, { chainId, contract: address });
+    expect(reopened.get(first)).to.not.equal(null);
+
+    const restarted = createIndexer({ registry: reader, store: reopened, deployBlock, log: () => {} });
+    expect(await restarted.sync()).to.equal(1);
+    expect(reopened.get(second)).to.not.equal(null);
+  });
+
+  it("writes the file once per sync, not once per chunk", async function () {
+    const file = tempFile();
+    const { registry, store, indexer, chainId, address } = await setup({ file, chunkSize: 2 });
+    for (const output of ["a", "b", "c", "d", "e"]) await register(registry, output);
+
+    const renameSync = fs.renameSync;
+    let writes = 0;
+    fs.renameSync = (from, to) => {
+      if (to === file) writes++;
+      return renameSync(from, to);
+    };
+    try {
+      expect(await indexer.sync()).to.equal(5);
+    } finally {
+      fs.renameSync = renameSync;
+    }
+
+    expect(writes).to.equal(1);
+    expect(store.dirty).to.equal(false);
+    expect(openStore(file, { chainId, contract: address }).stats().totalRegistrations).to.equal(5);
+  });
+
+  it("starts over when the file is for another contract", async function () {
+    const file = tempFile();
+    const { registry, indexer, chainId, address } = await setup({ file });
+    await register(registry, "old contract");
+    await indexer.sync();
+
+    expect(openStore(file, { chainId, contract: address }).reset).to.equal(false);
+    const other = openStore(file, { chainId, contract: ethers.ZeroAddress });
+    expect(other.reset).to.equal(true);
+    expect(other.stats().totalRegistrations).to.equal(0);
+  });
+
+  it("rolls back registrations dropped by a reorg", async function () {
+    const { registry, store, indexer } = await setup();
+    const kept = await register(registry, "before the fork");
+    await indexer.sync();
+
+    const fork = await hre.network.provider.send("evm_snapshot");
+    const orphaned = await register(registry, "on the old branch");
+    await indexer.sync();
+    expect(store.get(orphaned)).to.not.equal(null);
+
+    // The old branch disappears; the new one is longer and has other content
+    await hre.network.provider.send("evm_revert", [fork]);
+    await mine(1);
+    const replacement = await register(registry, "on the new branch");
+
+    await indexer.sync();
+    expect(store.get(kept)).to.not.equal(null);
+    expect(store.get(orphaned)).to.equal(null);
+    expect(store.get(replacement)).to.not.equal(null);
+    expect(indexer.status().reorgs).to.equal(1);
+  });
+
+  it("re-indexes from the deploy block when no checkpoint survived", async function () {
+    const { registry, store, indexer } = await setup();
+    const kept = await register(registry, "kept");
+    await indexer.sync();
+
+    // Pretend every checkpoint was on a branch that no longer exists
+    store.checkpoints.forEach((checkpoint) => {
+      checkpoint.hash = ethers.ZeroHash;
+    });
+
+    await indexer.sync();
+    expect(indexer.status().reorgs).to.equal(1);
+    expect(store.get(kept)).to.not.equal(null);
+    expect(store.stats().totalRegistrations).to.equal(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+
+/**
+ * Moderation tests
+ *
+ * The owner appoints admins; the owner and admins flag registrations. Flags
+ * are a label next to a registration and must never change it.
+ */
+
+const DISPUTED = 1;
+const ABUSIVE = 2;
+
+const hashOf = (text) => ethers.sha256(ethers.toUtf8Bytes(text));
+
+async function deployWithRegistration() {
+  const [owner, author, admin, stranger] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  await contract.waitForDeployment();
+
+  const contentHash = hashOf("moderated");
+  await (await contract.connect(author).registerContent(contentHash, "bafkreiexample")).wait();
+  await (await contract.setAdmin(admin.address, true)).wait();
+  return { contract, owner, author, admin, stranger, contentHash };
+}
+
+describe("Moderation", function () {
+  it("only lets the owner appoint admins", async function () {
+    const { contract, admin, stranger } = await loadFixture(deployWithRegistration);
+
+    await expect(contract.connect(admin).setAdmin(stranger.address, true)).to.be.revertedWith("Only owner can call this");
+    await expect(contract.setAdmin(ethers.ZeroAddress, true)).to.be.revertedWith("Admin cannot be the zero address");
+    await expect(contract.setAdmin(admin.address, true)).to.be.revertedWith("Admin status unchanged");
+    expect(await contract.getAdmins()).to.deep.equal([admin.address]);
+  });
+
+  it("rejects flags and clears from non-admins", async function () {
+    const { contract, owner, stranger, contentHash } = await loadFixture(deployWithRegistration);
+
+    await expect(contract.connect(stranger).flagContent(contentHash, DISPUTED, "mine"))
+      .to.be.revertedWith("Only owner or admin can call this");
+
+    await (await contract.connect(owner).flagContent(contentHash, DISPUTED, "reported")).wait();
+    await expect(contract.connect(stranger).clearFlag(contentHash, "not mine to clear"))
+      .to.be.revertedWith("Only owner or admin can call this");
+  });
+
+  it("takes moderation rights away from a removed admin", async function () {
+    const { contract, admin, contentHash } = await loadFixture(deployWithRegistration);
+    await (await contract.connect(admin).flagContent(contentHash, DISPUTED, "reported")).wait();
+
+    await expect(contract.setAdmin(admin.address, false))
+      .to.emit(contract, "AdminUpdated")
+      .withArgs(admin.address, false);
+    expect(await contract.isAdmin(admin.address)).to.equal(false);
+    expect(await contract.getAdmins()).to.deep.equal([]);
+
+    await expect(contract.connect(admin).clearFlag(contentHash, "too late"))
+      .to.be.revertedWith("Only owner or admin can call this");
+    await expect(contract.connect(admin).flagContent(contentHash, ABUSIVE, "too late"))
+      .to.be.revertedWith("Only owner or admin can call this");
+  });
+
+  it("needs a real status, a reason and a registered hash", async function () {
+    const { contract, admin, contentHash } = await loadFixture(deployWithRegistration);
+    const moderator = contract.connect(admin);
+
+    await expect(moderator.flagContent(contentHash, 0, "none")).to.be.revertedWith("Use clearFlag to remove a flag");
+    await expect(moderator.flagContent(contentHash, DISPUTED, "")).to.be.revertedWith("A reason is required");
+    await expect(moderator.flagContent(hashOf("unknown"), DISPUTED, "reported"))
+      .to.be.revertedWith("Content not found in registry");
+    await expect(moderator.clearFlag(contentHash, "nothing to clear")).to.be.revertedWith("Content is not flagged");
+  });
+
+  it("emits ContentFlagged and leaves the registration untouched", async function () {
+    const { contract, author, admin, contentHash } = await loadFixture(deployWithRegistration);
+    const before = await contract.getContentDetails(contentHash);
+    const totalBefore = await contract.totalRegistrations();
+
+    const flagged = await contract.connect(admin).flagContent(contentHash, ABUSIVE, "spam");
+    const { timestamp } = await hre.ethers.provider.getBlock((await flagged.wait()).blockNumber);
+    await expect(flagged)
+      .to.emit(contract, "ContentFlagged")
+      .withArgs(contentHash, ABUSIVE, "spam", admin.address, timestamp);
+
+    const flag = await contract.getFlag(contentHash);
+    expect(flag.status).to.equal(BigInt(ABUSIVE));
+    expect(flag.reason).to.equal("spam");
+    expect(flag.flaggedBy).to.equal(admin.address);
+
+    const cleared = await contract.connect(admin).clearFlag(contentHash, "resolved");
+    const clearedAt = (await hre.ethers.provider.getBlock((await cleared.wait()).blockNumber)).timestamp;
+    await expect(cleared)
+      .to.emit(contract, "ContentFlagged")
+      .withArgs(contentHash, 0, "resolved", admin.address, clearedAt);
+    expect((await contract.getFlag(contentHash)).status).to.equal(0n);
+
+    expect(await contract.getContentDetails(contentHash)).to.deep.equal(before);
+    expect(await contract.totalRegistrations()).to.equal(totalBefore);
+    expect(await contract.getAuthorContent(author.address)).to.deep.equal([contentHash]);
+    expect((await contract.verifyContent(contentHash)).author).to.equal(author.address);
+  });
+});
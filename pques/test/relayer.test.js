@@ -0,0 +1,239 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createRateLimiter } from "../relayer/rateLimit.js";
+import { createRelayer } from "../relayer/relay.js";
+import { REGISTER_TYPES, REGISTER_WITH_METADATA_TYPES, registerDomain } from "../relayer/typedData.js";
+
+/**
+ * Gasless registration tests
+ *
+ * Authors sign with signTypedData; the relayer (another account) submits.
+ */
+
+const hashOf = (text) => ethers.sha256(ethers.toUtf8Bytes(text));
+
+// secp256k1 group order: s and n - s are both valid for the same message
+const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+async function deployRegistry() {
+  const [owner, author, relayerSigner, stranger] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  await contract.waitForDeployment();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const domain = registerDomain(Number(chainId), await contract.getAddress());
+  return { contract, owner, author, relayerSigner, stranger, chainId: Number(chainId), domain };
+}
+
+const inAnHour = async () => BigInt((await hre.ethers.provider.getBlock("latest")).timestamp + 3600);
+
+/**
+ * A signed RegisterContent request, as the frontend posts it to the relayer
+ */
+async function signRequest({ domain, contract, signer, contentHash, promptIPFSHash = "", nonce, deadline }) {
+  const message = {
+    author: signer.address,
+    contentHash,
+    promptIPFSHash,
+    nonce: nonce ?? (await contract.nonces(signer.address)),
+    deadline: deadline ?? (await inAnHour()),
+  };
+  const signature = await signer.signTypedData(domain, REGISTER_TYPES, message);
+  return { ...message, nonce: message.nonce, deadline: message.deadline.toString(), signature };
+}
+
+describe("Signed registration", function () {
+  const submit = (contract, relayerSigner, request) => contract.connect(relayerSigner).registerContentFor(
+    request.author, request.contentHash, request.promptIPFSHash, request.deadline, request.signature
+  );
+
+  it("registers for the signer, with any account paying for gas", async function () {
+    const { contract, domain, author, relayerSigner } = await loadFixture(deployRegistry);
+    const contentHash = hashOf("signed");
+    const request = await signRequest({ domain, contract, signer: author, contentHash, promptIPFSHash: "bafkrei" });
+
+    await expect(submit(contract, relayerSigner, request))
+      .to.emit(contract, "RelayedRegistration")
+      .withArgs(author.address, relayerSigner.address, contentHash, 0n);
+
+    const [registeredBy, , promptIPFSHash] = await contract.getContentDetails(contentHash);
+    expect(registeredBy).to.equal(author.address);
+    expect(promptIPFSHash).to.equal("bafkrei");
+    expect(await contract.nonces(author.address)).to.equal(1n);
+  });
+
+  it("rejects a replayed signature once the nonce has moved on", async function () {
+    const { contract, domain, author, relayerSigner } = await loadFixture(deployRegistry);
+    const request = await signRequest({ domain, contract, signer: author, contentHash: hashOf("replayed") });
+    await submit(contract, relayerSigner, request);
+
+    await expect(submit(contract, relayerSigner, request)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("rejects an expired deadline", async function () {
+    const { contract, domain, author, relayerSigner } = await loadFixture(deployRegistry);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const request = await signRequest({
+      domain, contract, signer: author, contentHash: hashOf("late"), deadline: BigInt(timestamp - 1),
+    });
+
+    await expect(submit(contract, relayerSigner, request)).to.be.revertedWith("Signature expired");
+  });
+
+  it("rejects malleable and malformed signatures", async function () {
+    const { contract, domain, author, relayerSigner } = await loadFixture(deployRegistry);
+    const request = await signRequest({ domain, contract, signer: author, contentHash: hashOf("malleable") });
+    const { r, s, v } = ethers.Signature.from(request.signature);
+
+    // Same signature with s mirrored to the upper half (and v flipped)
+    const highS = ethers.concat([r, ethers.toBeHex(SECP256K1_N - BigInt(s), 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+    await expect(submit(contract, relayerSigner, { ...request, signature: highS }))
+      .to.be.revertedWith("Invalid signature s value");
+
+    const wrongV = ethers.concat([r, s, ethers.toBeHex(29, 1)]);
+    await expect(submit(contract, relayerSigner, { ...request, signature: wrongV }))
+      .to.be.revertedWith("Invalid signature v value");
+
+    await expect(submit(contract, relayerSigner, { ...request, signature: request.signature.slice(0, -2) }))
+      .to.be.revertedWith("Invalid signature length");
+  });
+
+  it("rejects a signature from anyone but the author", async function () {
+    const { contract, domain, author, stranger, relayerSigner } = await loadFixture(deployRegistry);
+    const forged = await signRequest({ domain, contract, signer: stranger, contentHash: hashOf("forged") });
+
+    await expect(submit(contract, relayerSigner, { ...forged, author: author.address }))
+      .to.be.revertedWith("Invalid signature");
+  });
+
+  it("won't let the relayer change signed metadata", async function () {
+    const { contract, domain, author, relayerSigner } = await loadFixture(deployRegistry);
+    const contentHash = hashOf("with metadata");
+    const meta = { modelId: "openai/gpt-4.1", paramsHash: hashOf("params"), contentType: ethers.encodeBytes32String("code") };
+    const message = {
+      author: author.address,
+      contentHash,
+      promptIPFSHash: "",
+      ...meta,
+      nonce: 0n,
+      deadline: await inAnHour(),
+    };
+    const signature = await author.signTypedData(domain, REGISTER_WITH_METADATA_TYPES, message);
+    const relayed = contract.connect(relayerSigner);
+    const send = (metadata) => relayed.registerContentWithMetadataFor(
+      author.address, contentHash, "", metadata, message.deadline, signature
+    );
+
+    await expect(send({ ...meta, modelId: "someone/else" })).to.be.revertedWith("Invalid signature");
+    await expect(send({ ...meta, contentType: ethers.encodeBytes32String("image") })).to.be.revertedWith("Invalid signature");
+
+    await send(meta);
+    const stored = await contract.getMetadata(contentHash);
+    expect(stored.modelId).to.equal(meta.modelId);
+    expect(stored.contentType).to.equal(meta.contentType);
+  });
+});
+
+describe("Rate limiter", function () {
+  it("allows `limit` slots per window, and says when the next one frees up", function () {
+    let time = 1_000;
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60_000, now: () => time });
+
+    expect(limiter.reserve("a").allowed).to.equal(true);
+    time += 10_000;
+    expect(limiter.reserve("a").remaining).to.equal(0);
+    expect(limiter.check("b").remaining).to.equal(2);
+
+    const refused = limiter.reserve("a");
+    expect(refused).to.include({ allowed: false, remaining: 0, retryAfterMs: 50_000 });
+
+    // The first slot leaves the window 60s after it was taken
+    time = 1_000 + 60_000;
+    expect(limiter.check("a")).to.deep.equal({ allowed: true, remaining: 1, retryAfterMs: 0 });
+  });
+
+  it("gives a released slot back, once", function () {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60_000, now: () => 5_000 });
+    const slot = limiter.reserve("a");
+    expect(limiter.check("a").allowed).to.equal(false);
+
+    slot.release();
+    slot.release();
+    expect(limiter.check("a").remaining).to.equal(1);
+  });
+});
+
+describe("Relayer", function () {
+  const setup = async ({ limit = 5 } = {}) => {
+    const fixture = await loadFixture(deployRegistry);
+    const limiter = createRateLimiter({ limit, windowMs: 60_000 });
+    const relayer = createRelayer({
+      contract: fixture.contract.connect(fixture.relayerSigner),
+      signer: fixture.relayerSigner,
+      chainId: fixture.chainId,
+      limiter,
+      log: () => {},
+    });
+    return { ...fixture, limiter, relayer };
+  };
+
+  it("relays a signed request once, even when it is sent several times at once", async function () {
+    const { contract, domain, author, relayer, limiter } = await setup();
+    const contentHash = hashOf("relayed once");
+    const request = await signRequest({ domain, contract, signer: author, contentHash });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => relayer.relay(request)));
+
+    const sent = results.filter((result) => result.status === "fulfilled");
+    const rejected = results.filter((result) => result.status === "rejected").map((result) => result.reason);
+    expect(sent).to.have.lengthOf(1);
+    expect(rejected.map((e) => e.status)).to.deep.equal([409, 409]);
+    expect(limiter.check(author.address.toLowerCase()).remaining).to.equal(4);
+
+    await (await hre.ethers.provider.getTransaction(sent[0].value.txHash)).wait();
+    expect((await contract.getContentDetails(contentHash))[0]).to.equal(author.address);
+  });
+
+  it("holds the author's nonce while a relayed transaction is pending", async function () {
+    const { contract, domain, author, relayer } = await setup();
+    const first = await signRequest({ domain, contract, signer: author, contentHash: hashOf("first") });
+    const second = await signRequest({ domain, contract, signer: author, contentHash: hashOf("second") });
+
+    const [a, b] = await Promise.allSettled([relayer.relay(first), relayer.relay(second)]);
+    expect(a.status).to.equal("fulfilled");
+    expect(b.reason.status).to.equal(409);
+    expect(b.reason.message).to.match(/nonce is already pending/);
+  });
+
+  it("answers a malformed signature with a 400, not a server error", async function () {
+    const { contract, domain, author, relayer, limiter } = await setup();
+    const request = await signRequest({ domain, contract, signer: author, contentHash: hashOf("zero r") });
+    const { s, v } = ethers.Signature.from(request.signature);
+    const zeroR = ethers.concat([ethers.ZeroHash, s, ethers.toBeHex(v, 1)]);
+
+    const [result] = await Promise.allSettled([relayer.relay({ ...request, signature: zeroR })]);
+    expect(result.status).to.equal("rejected");
+    expect(result.reason).to.include({ status: 400, message: "Invalid signature" });
+    expect(limiter.check(author.address.toLowerCase()).remaining).to.equal(5);
+    expect(relayer.pending()).to.equal(0);
+  });
+
+  it("claims the rate-limit slot before checking, and gives it back on failure", async function () {
+    const { contract, domain, author, stranger, relayer, limiter } = await setup({ limit: 1 });
+    const key = author.address.toLowerCase();
+
+    // Signed by someone else: rejected, and the slot is free again
+    const forged = await signRequest({ domain, contract, signer: stranger, contentHash: hashOf("forged") });
+    const [failed] = await Promise.allSettled([relayer.relay({ ...forged, author: author.address })]);
+    expect(failed.reason.message).to.match(/Signature does not match/);
+    expect(limiter.check(key).remaining).to.equal(1);
+
+    const one = await signRequest({ domain, contract, signer: author, contentHash: hashOf("one") });
+    const two = await signRequest({ domain, contract, signer: author, contentHash: hashOf("two"), nonce: 1n });
+    const [a, b] = await Promise.allSettled([relayer.relay(one), relayer.relay(two)]);
+    expect(a.status).to.equal("fulfilled");
+    expect(b.reason.status).to.equal(429);
+    expect(b.reason.extra.retryAfterMs).to.be.above(0);
+  });
+});
@@ -0,0 +1,407 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import {
+  createRegistry,
+  createRecord,
+  createConversationRecord,
+  hashRecord,
+  buildProofFile,
+  parseProofFile,
+  buildMetadata,
+  createLocalRecords,
+  createMemoryStorage,
+  createFingerprintIndex,
+  diffWords,
+  decodeError,
+  isAlreadyRegistered,
+} from "../frontend/src/lib/sdk/index.js";
+import { buildMerkleTree, getProof } from "../frontend/src/lib/merkle.js";
+
+/**
+ * SDK tests
+ *
+ * Run against Hardhat's in-process network (npx hardhat test), or against a
+ * running node with --network localhost. The SDK talks to the chain through
+ * an EIP-1193 BrowserProvider, exactly as it does behind MetaMask.
+ */
+
+const GENERATION = { provider: "mock", model: "mock-1", params: { maxTokens: 64, temperature: 0 } };
+
+async function deployRegistry() {
+  const [owner] = await hre.ethers.getSigners();
+  const deployed = await hre.ethers.deployContract("ProofOfPrompt", [owner.address]);
+  await deployed.waitForDeployment();
+
+  const { abi } = await hre.artifacts.readArtifact("ProofOfPrompt");
+  const provider = new ethers.BrowserProvider(hre.network.provider);
+  provider.pollingInterval = 100;
+  const address = await deployed.getAddress();
+
+  const [ownerSigner, otherSigner] = await Promise.all([provider.getSigner(0), provider.getSigner(1)]);
+  return {
+    provider,
+    abi,
+    address,
+    owner: ownerSigner,
+    other: otherSigner,
+    registry: createRegistry({ address, abi, runner: ownerSigner }),
+    otherRegistry: createRegistry({ address, abi, runner: otherSigner }),
+    reader: createRegistry({ address, abi, runner: provider }),
+  };
+}
+
+describe("SDK", function () {
+  describe("records", function () {
+    it("hashes the same record to the same hash, and a new salt to a new one", async function () {
+      const record = createRecord({ prompt: "Hi", output: "Hello!" });
+      const again = createRecord({ prompt: "Hi", output: "Hello!", salt: record.salt });
+
+      expect(await hashRecord(record)).to.equal(await hashRecord(again));
+      expect(await hashRecord(record)).to.not.equal(await hashRecord(createRecord({ prompt: "Hi", output: "Hello!" })));
+      expect(await hashRecord(record)).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("round-trips a proof file", async function () {
+      const record = createConversationRecord({
+        messages: [{ role: "user", content: "2+2?" }, { role: "assistant", content: "4" }],
+        generation: GENERATION,
+      });
+      const hash = await hashRecord(record);
+      const parsed = parseProofFile(JSON.stringify(buildProofFile(record, hash)));
+
+      expect(parsed.hash).to.equal(hash);
+      expect(await hashRecord(parsed.record)).to.equal(hash);
+    });
+  });
+
+  describe("local records", function () {
+    it("saves, loads and lists records by hash, ignoring other keys", function () {
+      const storage = createMemoryStorage();
+      storage.setItem("proof-of-prompt-tx:queue", "[]");
+      const store = createLocalRecords(storage);
+      const hash = `0x${"AB".repeat(32)}`;
+
+      store.save(hash, { prompt: "p", output: "o" });
+
+      expect(store.load(hash.toLowerCase())).to.deep.equal({ prompt: "p", output: "o" });
+      expect(store.list()).to.deep.equal([{ hash: hash.toLowerCase(), record: { prompt: "p", output: "o" } }]);
+      expect(store.load(`0x${"cd".repeat(32)}`)).to.equal(null);
+
+      store.remove(hash);
+      expect(store.list()).to.deep.equal([]);
+    });
+  });
+
+  describe("near-duplicates", function () {
+    const OUTPUT = "Proof of Prompt records who generated an AI output first. The hash goes on-chain, "
+      + "while the prompt, the output and the salt stay with their author until they choose to share them.";
+
+    it("finds a lightly edited output and ranks it above unrelated ones", function () {
+      const index = createFingerprintIndex(createMemoryStorage());
+      const hash = `0x${"AB".repeat(32)}`;
+      const other = `0x${"cd".repeat(32)}`;
+      index.addRecord(hash, { ...createRecord({ prompt: "p", output: OUTPUT }), chainId: 31337 });
+      index.addRecord(other, createRecord({ prompt: "p", output: "A completely different text about the weather today." }));
+
+      const edited = OUTPUT.replace("first", "originally");
+      const [match, ...rest] = index.search(edited);
+      expect(match.hash).to.equal(hash.toLowerCase());
+      expect(match.similarity).to.be.above(0.6).and.below(1);
+      expect(rest).to.deep.equal([]);
+
+      expect(index.search(OUTPUT)[0].similarity).to.equal(1);
+      expect(index.search(OUTPUT, { chainId: 1 })).to.deep.equal([]);
+      expect(index.get(hash).fingerprint).to.not.have.property("text");
+    });
+
+    it("limits results only when asked to, so callers can filter first", function () {
+      const index = createFingerprintIndex(createMemoryStorage());
+      for (let i = 0; i < 12; i++) {
+        index.add(ethers.toBeHex(i + 1, 32), `${OUTPUT} Copy number ${i}.`);
+      }
+
+      expect(index.search(OUTPUT)).to.have.lengthOf(10);
+      expect(index.search(OUTPUT, { limit: Infinity })).to.have.lengthOf(12);
+    });
+
+    it("fingerprints the assistant replies of a conversation", function () {
+      const index = createFingerprintIndex(createMemoryStorage());
+      const record = createConversationRecord({
+        messages: [
+          { role: "user", content: "Say something" },
+          { role: "assistant", content: OUTPUT },
+        ],
+      });
+      index.addRecord(`0x${"ef".repeat(32)}`, record);
+
+      expect(index.search(OUTPUT)).to.have.lengthOf(1);
+      expect(index.search("Say something")).to.deep.equal([]);
+    });
+
+    it("diffs word by word, keeping both texts intact", function () {
+      const before = "the quick brown fox\njumps over the lazy dog";
+      const after = "the quick red fox\njumps over the dog";
+      const diff = diffWords(before, after);
+
+      expect(diff.filter((s) => s.type !== "added").map((s) => s.text).join("")).to.equal(before);
+      expect(diff.filter((s) => s.type !== "removed").map((s) => s.text).join("")).to.equal(after);
+      expect(diff.filter((s) => s.type === "removed").map((s) => s.text.trim())).to.deep.equal(["brown", "lazy"]);
+      expect(diff.filter((s) => s.type === "added").map((s) => s.text.trim())).to.deep.equal(["red"]);
+      expect(diffWords("a b c d e f", "u v w x y z", { maxEdits: 4 })).to.equal(null);
+    });
+  });
+
+  describe("registry", function () {
+    it("registers a record with metadata and looks it up", async function () {
+      const { registry, reader, owner } = await loadFixture(deployRegistry);
+      const record = createRecord({ prompt: "Hi", output: "Hello!", generation: GENERATION });
+
+      const { hash, tx } = await registry.registerRecord(record, { cid: "bafkreiexample" });
+      await tx.wait();
+
+      const found = await reader.lookup(hash);
+      expect(found.exists).to.equal(true);
+      expect(found.author).to.equal(await owner.getAddress());
+      expect(found.promptIPFSHash).to.equal("bafkreiexample");
+      expect(found.registeredAt).to.be.instanceOf(Date);
+      expect(found.registeredAt.getTime()).to.equal(found.timestamp * 1000);
+
+      expect(await reader.verifyRecord(record)).to.deep.equal(found);
+      expect(await reader.isRegistered(hash)).to.equal(true);
+      expect(await reader.getMetadata(hash)).to.deep.equal({
+        modelId: "mock:mock-1",
+        paramsHash: buildMetadata(GENERATION, "text").paramsHash,
+        contentType: "text",
+      });
+    });
+
+    it("reports unknown hashes as not registered", async function () {
+      const { reader } = await loadFixture(deployRegistry);
+      const hash = await hashRecord(createRecord({ prompt: "never", output: "registered" }));
+
+      expect(await reader.lookup(hash)).to.deep.equal({ exists: false, hash });
+      expect(await reader.isRegistered(hash)).to.equal(false);
+      expect(await reader.getMetadata(hash)).to.equal(null);
+    });
+
+    it("registers a plain hash without metadata", async function () {
+      const { registry } = await loadFixture(deployRegistry);
+      const hash = await hashRecord(createRecord({ prompt: "plain", output: "hash" }));
+
+      await (await registry.register(hash)).wait();
+
+      expect((await registry.lookup(hash)).exists).to.equal(true);
+      expect(await registry.getMetadata(hash)).to.equal(null);
+    });
+
+    it("queries an author's registrations and the platform stats", async function () {
+      const { registry, otherRegistry, reader, owner, other } = await loadFixture(deployRegistry);
+      const mine = [];
+      for (const output of ["one", "two"]) {
+        const { hash, tx } = await registry.registerRecord(createRecord({ prompt: "count", output }));
+        await tx.wait();
+        mine.push(hash);
+      }
+      const { tx } = await otherRegistry.registerRecord(createRecord({ prompt: "count", output: "three" }));
+      await tx.wait();
+
+      expect(await reader.getAuthorContent(await owner.getAddress())).to.deep.equal(mine);
+      expect(await reader.getAuthorContent(await other.getAddress())).to.have.lengthOf(1);
+
+      const details = await reader.getContentDetails(mine[1]);
+      expect(details.author).to.equal(await owner.getAddress());
+      expect(details.promptIPFSHash).to.equal("");
+
+      expect(await reader.getStats()).to.deep.equal({ total: 3, owner: await owner.getAddress() });
+    });
+
+    it("registers a batch and verifies its items", async function () {
+      const { registry, reader, owner } = await loadFixture(deployRegistry);
+      const hashes = [];
+      for (const output of ["a", "b", "c"]) {
+        hashes.push(await hashRecord(createRecord({ prompt: "batch", output })));
+      }
+      const tree = buildMerkleTree(hashes);
+
+      await (await registry.registerBatch(tree.root, hashes.length)).wait();
+
+      const item = await reader.verifyBatchItem(hashes[2], getProof(tree, 2), tree.root);
+      expect(item.included).to.equal(true);
+      expect(item.author).to.equal(await owner.getAddress());
+      expect(item.itemCount).to.equal(3);
+
+      const wrong = await reader.verifyBatchItem(hashes[2], getProof(tree, 0), tree.root);
+      expect(wrong.included).to.equal(false);
+
+      expect(await reader.getAuthorBatches(await owner.getAddress())).to.deep.equal([tree.root]);
+      expect((await reader.getBatch(tree.root)).itemCount).to.equal(3);
+      expect(await reader.getBatch(ethers.ZeroHash)).to.equal(null);
+    });
+
+    it("records claims on someone else's content without touching the registration", async function () {
+      const { registry, otherRegistry, reader, owner, other } = await loadFixture(deployRegistry);
+      const { hash, tx } = await registry.registerRecord(createRecord({ prompt: "mine", output: "first" }));
+      await tx.wait();
+      expect(await reader.getClaimAttempts(hash)).to.deep.equal([]);
+
+      const claim = await (await otherRegistry.recordClaimAttempt(hash)).wait();
+      const attempts = await reader.getClaimAttempts(hash);
+      expect(attempts).to.have.lengthOf(1);
+      expect(attempts[0].claimant).to.equal(await other.getAddress());
+      expect(attempts[0].claimedAt).to.be.an.instanceOf(Date);
+
+      const [event] = await reader.contract.queryFilter(
+        reader.contract.filters.DuplicateRegistrationAttempt(null, hash), claim.blockNumber, claim.blockNumber
+      );
+      expect(event.args.author).to.equal(await owner.getAddress());
+      expect(event.args.attemptCount).to.equal(1n);
+
+      expect((await reader.lookup(hash)).author).to.equal(await owner.getAddress());
+
+      const reasonFor = async (promise) => {
+        try {
+          await promise;
+        } catch (e) {
+          return reader.decodeError(e).reason;
+        }
+        return null;
+      };
+      expect(await reasonFor(otherRegistry.recordClaimAttempt(hash))).to.equal("Claim already recorded");
+      expect(await reasonFor(registry.recordClaimAttempt(hash))).to.equal("You are the registered author");
+      expect(await reasonFor(otherRegistry.recordClaimAttempt(ethers.id("unregistered"))))
+        .to.equal("Content not found in registry");
+    });
+  });
+
+  describe("events", function () {
+    it("queries registrations filtered by author and content type", async function () {
+      const { registry, otherRegistry, reader, other } = await loadFixture(deployRegistry);
+      const text = await registry.registerRecord(createRecord({ prompt: "q", output: "text" }));
+      await text.tx.wait();
+      const code = await otherRegistry.registerRecord(createRecord({ prompt: "q", output: "code" }), { contentType: "code" });
+      const { blockNumber: toBlock } = await code.tx.wait();
+
+      // Up to the last receipt: ethers briefly caches the latest block number
+      const all = await reader.queryRegistrations({ toBlock });
+      expect(all.map((r) => r.hash)).to.deep.equal([text.hash, code.hash]);
+      expect(all[1]).to.include({ contentType: "code", totalRegistrations: 2 });
+
+      const byAuthor = await reader.queryRegistrations({ author: await other.getAddress(), toBlock });
+      expect(byAuthor.map((r) => r.hash)).to.deep.equal([code.hash]);
+
+      const byType = await reader.queryRegistrations({ contentType: "text", toBlock });
+      expect(byType.map((r) => r.hash)).to.deep.equal([text.hash]);
+    });
+
+    it("pages through registrations newest first, a few blocks at a time", async function () {
+      const { registry, reader } = await loadFixture(deployRegistry);
+      const hashes = [];
+      let toBlock;
+      for (const output of ["a", "b", "c", "d", "e"]) {
+        const { hash, tx } = await registry.registerRecord(createRecord({ prompt: "page", output }));
+        ({ blockNumber: toBlock } = await tx.wait());
+        hashes.push(hash);
+      }
+      const fromBlock = toBlock - 4;
+
+      const first = await reader.queryRegistrationsPage({ fromBlock, toBlock, limit: 2, chunkSize: 1 });
+      expect(first.registrations.map((r) => r.hash)).to.deep.equal([hashes[4], hashes[3]]);
+      expect(first.nextToBlock).to.equal(toBlock - 2);
+
+      const rest = await reader.queryRegistrationsPage({ fromBlock, toBlock: first.nextToBlock, limit: 10, chunkSize: 2 });
+      expect(rest.registrations.map((r) => r.hash)).to.deep.equal([hashes[2], hashes[1], hashes[0]]);
+      expect(rest.nextToBlock).to.equal(null);
+
+      // A sparse range ends the page early, with somewhere to carry on from
+      const capped = await reader.queryRegistrationsPage({ fromBlock, toBlock, limit: 10, chunkSize: 1, maxChunks: 3 });
+      expect(capped.registrations).to.have.lengthOf(3);
+      expect(capped.nextToBlock).to.equal(toBlock - 3);
+    });
+
+    it("finds the first block at or after a time", async function () {
+      const { registry, reader, provider } = await loadFixture(deployRegistry);
+      const register = async (output) => {
+        const { tx } = await registry.registerRecord(createRecord({ prompt: "when", output }));
+        const { blockNumber } = await tx.wait();
+        return { blockNumber, timestamp: (await provider.getBlock(blockNumber)).timestamp };
+      };
+      const early = await register("early");
+      await time.setNextBlockTimestamp(early.timestamp + 3600);
+      const late = await register("late");
+
+      const range = { fromBlock: early.blockNumber, toBlock: late.blockNumber };
+      expect(await reader.blockAtTime(early.timestamp, range)).to.equal(early.blockNumber);
+      expect(await reader.blockAtTime(early.timestamp + 1, range)).to.equal(late.blockNumber);
+      expect(await reader.blockAtTime(new Date(late.timestamp * 1000), range)).to.equal(late.blockNumber);
+      expect(await reader.blockAtTime(late.timestamp + 1, range)).to.equal(late.blockNumber + 1);
+    });
+
+    it("notifies subscribers of new registrations until they unsubscribe", async function () {
+      const { registry, reader } = await loadFixture(deployRegistry);
+      const seen = [];
+      const unsubscribe = reader.onRegistered((registration) => seen.push(registration));
+      // The first poll records the current block; only later blocks are reported
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      const { hash, tx } = await registry.registerRecord(createRecord({ prompt: "live", output: "event" }));
+      const receipt = await tx.wait();
+      for (let i = 0; i < 50 && seen.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      await unsubscribe();
+
+      expect(seen).to.have.lengthOf(1);
+      expect(seen[0]).to.include({ hash, blockNumber: receipt.blockNumber, txHash: tx.hash, contentType: "text" });
+    });
+  });
+
+  describe("errors", function () {
+    it("decodes a duplicate registration", async function () {
+      const { registry, otherRegistry } = await loadFixture(deployRegistry);
+      const record = createRecord({ prompt: "dup", output: "licate" });
+      await (await registry.registerRecord(record)).tx.wait();
+
+      let error;
+      try {
+        await otherRegistry.registerRecord(record);
+      } catch (e) {
+        error = e;
+      }
+      const decoded = otherRegistry.decodeError(error);
+      expect(decoded).to.deep.equal({
+        kind: "reverted",
+        message: "Reverted: Content already registered",
+        reason: "Content already registered",
+      });
+      expect(isAlreadyRegistered(decoded)).to.equal(true);
+    });
+
+    it("decodes a revert from a read", async function () {
+      const { reader } = await loadFixture(deployRegistry);
+      let error;
+      try {
+        await reader.getContentDetails(ethers.ZeroHash);
+      } catch (e) {
+        error = e;
+      }
+      expect(reader.decodeError(error).reason).to.equal("Content hash cannot be empty (0x0...)");
+    });
+
+    it("recognises wallet rejections, however they are wrapped", function () {
+      expect(decodeError({ code: "ACTION_REJECTED", message: "user rejected action" }).kind).to.equal("rejected");
+      expect(decodeError({ code: -32603, message: "Internal", data: { originalError: { code: 4001 } } }).kind)
+        .to.equal("rejected");
+    });
+
+    it("falls back to the error's message", function () {
+      expect(decodeError(new Error("boom"))).to.deep.equal({ kind: "unknown", message: "boom", reason: null });
+      expect(decodeError({ code: "INSUFFICIENT_FUNDS", message: "insufficient funds" }).kind).to.equal("insufficient-funds");
+    });
+  });
+
+  it("needs an address and ABI, or a contract", function () {
+    expect(() => createRegistry({})).to.throw(/address and ABI/);
+  });
+});